@@ -0,0 +1,526 @@
+// answer_details_sync.js - Cloud sync of reasons, attempt counts, drawn graphs and FRQ votes
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (supabase, turboModeActive, currentUsername, classData, appStorage,
+//               RAILWAY_SERVER_URL from railway_client.js)
+//               Requires functions from other modules (getActiveSyncSource, getSyncCursor, setSyncCursor,
+//               markAnswerDirty, toSyncTimestamp, DELTA_CURSOR_OVERLAP_MS from delta_sync.js, flushOutbox from sync_outbox.js,
+//               saveClassData, getUserSection, getSectionFilter, canRetry, refreshLiveQuestion from live_updates.js,
+//               pullAnswerDetailsFromRailway, submitVotesViaRailway from railway_client.js)
+// This module handles "everything about an answer besides its value" - the reason given with it, how many
+// attempts were used (canRetry), the graphs drawn for FRQ parts (graph_builder.js) and peers'
+// helpful/unclear/contradicts votes (getVoteCount), so peer reasoning, graphs and retry limits look the same
+// on every device. Reasons, attempts and graphs ride along with each answer in the outbox (sync_outbox.js);
+// votes are pushed on their own a moment after they are cast.
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+// Cloud tables and the columns pulled from each; the pull cursor for each lives beside the answer cursors
+// in delta_sync.js under "<source>:<kind>". Like the answer cursors it follows the server-set updated_at:
+// timestamp is a client clock (upload time, or when a vote was cast) and only decides which vote is newer.
+const ANSWER_DETAIL_TABLES = {
+    reasons: { table: 'answer_reasons', columns: 'username, question_id, reason, timestamp, section, updated_at' },
+    attempts: { table: 'answer_attempts', columns: 'username, question_id, attempts, timestamp, section, updated_at' },
+    graphs: { table: 'answer_graphs', columns: 'username, question_id, graphs, timestamp, section, updated_at' },
+    votes: { table: 'frq_votes', columns: 'voter, author, question_id, vote_type, timestamp, section, updated_at' }
+};
+
+// Supabase returns at most 1000 rows per request
+const ANSWER_DETAIL_PAGE_SIZE = 1000;
+
+// Votes wait this long so quickly toggling a vote sends one request
+const VOTE_SYNC_DELAY = 2000;
+const voteSyncTimers = {};
+
+// ========================================
+// PUSHING REASONS, ATTEMPTS AND GRAPHS
+// ========================================
+
+/**
+ * Splits outbox answer rows into reason, attempt and graph rows for the cloud tables
+ * @param {Array} answerRows - Rows from buildOutboxRow {username, question_id, timestamp, section, reason, attempts, graphs}
+ * @returns {Object} {reasons: [...], attempts: [...], graphs: [...]}
+ */
+function buildAnswerDetailRows(answerRows) {
+    const uploadedAt = Date.now();
+    const reasons = [];
+    const attempts = [];
+    const graphs = [];
+
+    answerRows.forEach(row => {
+        if (typeof row.reason === 'string') {
+            reasons.push({
+                username: row.username,
+                question_id: row.question_id,
+                reason: row.reason,
+                timestamp: uploadedAt,
+                section: row.section ?? null
+            });
+        }
+        if (row.attempts > 0) {
+            attempts.push({
+                username: row.username,
+                question_id: row.question_id,
+                attempts: row.attempts,
+                timestamp: uploadedAt,
+                section: row.section ?? null
+            });
+        }
+        if (row.graphs && Object.keys(row.graphs).length > 0) {
+            graphs.push({
+                username: row.username,
+                question_id: row.question_id,
+                graphs: row.graphs,
+                timestamp: uploadedAt,
+                section: row.section ?? null
+            });
+        }
+    });
+
+    return { reasons, attempts, graphs };
+}
+
+/**
+ * Upserts the reasons, attempt counts and graphs that go with a batch of answers. A failure is only logged:
+ * the answers themselves were saved, and the next push of the same answers sends these again.
+ * @param {Array} answerRows - Answer rows with reason, attempts and graphs fields
+ * @returns {Promise<boolean>} True if everything was saved
+ */
+async function pushAnswerDetailsToSupabase(answerRows) {
+    if (!turboModeActive || !supabase || answerRows.length === 0) return false;
+
+    const { reasons, attempts, graphs } = buildAnswerDetailRows(answerRows);
+
+    try {
+        if (reasons.length > 0) {
+            const { error } = await supabase
+                .from('answer_reasons')
+                .upsert(reasons, { onConflict: 'username,question_id' });
+            if (error) throw error;
+        }
+        if (attempts.length > 0) {
+            const { error } = await supabase
+                .from('answer_attempts')
+                .upsert(attempts, { onConflict: 'username,question_id' });
+            if (error) throw error;
+        }
+        if (graphs.length > 0) {
+            const { error } = await supabase
+                .from('answer_graphs')
+                .upsert(graphs, { onConflict: 'username,question_id' });
+            if (error) throw error;
+        }
+        return true;
+    } catch (error) {
+        console.log(`⚠️ Failed to sync reasons, attempts and graphs: ${error.message}`);
+        return false;
+    }
+}
+
+// ========================================
+// PUSHING VOTES
+// ========================================
+
+/**
+ * Cloud row for one of the current user's votes; a withdrawn vote is sent with vote_type null
+ * @param {string} questionId - Question ID
+ * @param {string} author - Username of the response voted on
+ * @returns {Object} Vote row
+ */
+function buildVoteRow(questionId, author) {
+    const vote = classData.users[currentUsername]?.votes?.[questionId]?.[author];
+    return {
+        voter: currentUsername,
+        author: author,
+        question_id: questionId,
+        vote_type: vote ? vote.type : null,
+        timestamp: vote ? toSyncTimestamp(vote.timestamp) || Date.now() : Date.now(),
+        section: getUserSection(currentUsername)
+    };
+}
+
+/**
+ * Queues the current user's vote (or its withdrawal) for upload after a short delay
+ * @param {string} questionId - Question ID
+ * @param {string} author - Username of the response voted on
+ */
+function scheduleVoteSync(questionId, author) {
+    if (!turboModeActive) return;
+
+    const key = `${questionId}:${author}`;
+    clearTimeout(voteSyncTimers[key]);
+    voteSyncTimers[key] = setTimeout(() => {
+        delete voteSyncTimers[key];
+        pushVotes([buildVoteRow(questionId, author)]);
+    }, VOTE_SYNC_DELAY);
+}
+
+/**
+ * Sends vote rows through the active sync source (submitVotesViaRailway is always defined,
+ * so the choice follows getActiveSyncSource rather than which function exists)
+ * @param {Array} rows - Vote rows
+ * @returns {Promise<boolean>} True if the votes were saved
+ */
+function pushVotes(rows) {
+    return getActiveSyncSource() === 'railway'
+        ? submitVotesViaRailway(rows)
+        : pushVotesToSupabase(rows);
+}
+
+/**
+ * Upserts vote rows directly to Supabase
+ * @param {Array} rows - Vote rows {voter, author, question_id, vote_type, timestamp, section}
+ * @returns {Promise<boolean>} True if the votes were saved
+ */
+async function pushVotesToSupabase(rows) {
+    if (!turboModeActive || !supabase || rows.length === 0) return false;
+
+    try {
+        const { error } = await supabase
+            .from('frq_votes')
+            .upsert(rows, { onConflict: 'voter,author,question_id' });
+
+        if (error) throw error;
+        console.log(`✅ Synced ${rows.length} vote${rows.length === 1 ? '' : 's'} to cloud`);
+        return true;
+    } catch (error) {
+        console.log(`⚠️ Failed to sync votes: ${error.message}`);
+        return false;
+    }
+}
+
+// ========================================
+// MERGING PULLED ROWS
+// ========================================
+
+/**
+ * The classData entry for a username, created if this device has not seen them yet
+ * @param {string} username - Username
+ * @returns {Object} User entry
+ */
+function ensureDetailUser(username) {
+    if (!classData.users[username]) {
+        classData.users[username] = {
+            answers: {},
+            reasons: {},
+            timestamps: {},
+            attempts: {}
+        };
+    }
+    const user = classData.users[username];
+    if (!user.reasons) user.reasons = {};
+    if (!user.attempts) user.attempts = {};
+    return user;
+}
+
+/**
+ * Merges reason rows into classData. The student's own reason is left alone while this device
+ * still has an edit to it in the outbox.
+ * @param {Array} rows - Rows {username, question_id, reason}
+ * @param {Object} changes - questionId -> Set of usernames, filled in as rows change something
+ */
+function mergeReasonRows(rows, changes) {
+    const unsynced = appStorage.getSyncQueue();
+
+    rows.forEach(row => {
+        if (typeof row.reason !== 'string') return;
+        if (row.username === currentUsername && unsynced[`${row.username}::${row.question_id}`] !== undefined) return;
+
+        const user = ensureDetailUser(row.username);
+        if (user.reasons[row.question_id] === row.reason) return;
+
+        user.reasons[row.question_id] = row.reason;
+        noteDetailChange(changes, row.question_id, row.username);
+    });
+}
+
+/**
+ * Merges attempt rows into classData, keeping the higher count so a retry used on any device counts
+ * @param {Array} rows - Rows {username, question_id, attempts}
+ * @param {Object} changes - questionId -> Set of usernames
+ */
+function mergeAttemptRows(rows, changes) {
+    rows.forEach(row => {
+        const attempts = parseInt(row.attempts) || 0;
+        const user = ensureDetailUser(row.username);
+        if (attempts <= (user.attempts[row.question_id] || 0)) return;
+
+        user.attempts[row.question_id] = attempts;
+        noteDetailChange(changes, row.question_id, row.username);
+    });
+}
+
+/**
+ * Merges graph rows into classData part by part, keeping whichever drawing of a part is newer
+ * @param {Array} rows - Rows {username, question_id, graphs: {partId: {chart, timestamp}}}
+ * @param {Object} changes - questionId -> Set of usernames
+ */
+function mergeGraphRows(rows, changes) {
+    rows.forEach(row => {
+        if (!row.graphs || typeof row.graphs !== 'object') return;
+
+        const user = ensureDetailUser(row.username);
+        if (!user.graphs) user.graphs = {};
+        const questionGraphs = user.graphs[row.question_id] || {};
+        let changed = false;
+
+        Object.entries(row.graphs).forEach(([partId, incoming]) => {
+            if (!incoming?.chart) return;
+            const current = questionGraphs[partId];
+            if (current && (Number(current.timestamp) || 0) >= (Number(incoming.timestamp) || 0)) return;
+
+            questionGraphs[partId] = incoming;
+            changed = true;
+        });
+
+        if (!changed) return;
+        user.graphs[row.question_id] = questionGraphs;
+        noteDetailChange(changes, row.question_id, row.username);
+    });
+}
+
+/**
+ * Merges vote rows into classData (newer vote wins; vote_type null removes the vote).
+ * The student's own votes still waiting to be pushed are left alone.
+ * @param {Array} rows - Rows {voter, author, question_id, vote_type, timestamp}
+ * @param {Object} changes - questionId -> Set of usernames (the authors whose counts changed)
+ */
+function mergeVoteRows(rows, changes) {
+    rows.forEach(row => {
+        if (row.voter === currentUsername && voteSyncTimers[`${row.question_id}:${row.author}`]) return;
+
+        const voter = ensureDetailUser(row.voter);
+        if (!voter.votes) voter.votes = {};
+        const questionVotes = voter.votes[row.question_id] || {};
+        const existing = questionVotes[row.author];
+        const timestamp = toSyncTimestamp(row.timestamp);
+        if (existing && toSyncTimestamp(existing.timestamp) > timestamp) return;
+
+        if (row.vote_type) {
+            if (existing && existing.type === row.vote_type) return;
+            questionVotes[row.author] = { type: row.vote_type, timestamp: new Date(timestamp).toISOString() };
+        } else {
+            if (!existing) return;
+            delete questionVotes[row.author];
+        }
+
+        if (Object.keys(questionVotes).length > 0) {
+            voter.votes[row.question_id] = questionVotes;
+        } else {
+            delete voter.votes[row.question_id];
+        }
+        noteDetailChange(changes, row.question_id, row.author);
+    });
+}
+
+function noteDetailChange(changes, questionId, username) {
+    if (!changes[questionId]) changes[questionId] = new Set();
+    changes[questionId].add(username);
+}
+
+/**
+ * Saves merged changes and refreshes anything on screen they affect: the open question's peer
+ * reasoning and vote counts, and the submit button if the student ran out of retries elsewhere
+ * @param {Object} changes - questionId -> Set of usernames
+ * @returns {number} Number of questions that changed
+ */
+function applyAnswerDetailChanges(changes) {
+    const questionIds = Object.keys(changes);
+    if (questionIds.length === 0) return 0;
+
+    saveClassData();
+
+    questionIds.forEach(questionId => {
+        const usernames = [...changes[questionId]];
+        if (typeof refreshLiveQuestion === 'function') {
+            refreshLiveQuestion(questionId, usernames.filter(username => username !== currentUsername), []);
+        }
+
+        const submitBtn = document.getElementById(`submit-${questionId}`);
+        if (submitBtn && usernames.includes(currentUsername) && !canRetry(questionId)) {
+            submitBtn.textContent = 'Max Attempts Reached';
+            submitBtn.disabled = true;
+        }
+    });
+
+    return questionIds.length;
+}
+
+/**
+ * Merges the reason, attempt count and graphs carried by live answer events (Railway answer_submitted)
+ * @param {Array} rows - Answer rows that may have reason, attempts and graphs fields
+ * @returns {number} Number of questions that changed
+ */
+function applyAnswerDetailRows(rows) {
+    const changes = {};
+    mergeReasonRows(rows, changes);
+    mergeAttemptRows(rows.filter(row => row.attempts !== undefined), changes);
+    mergeGraphRows(rows, changes);
+    return applyAnswerDetailChanges(changes);
+}
+
+/**
+ * Merges live vote events (Railway votes_cast)
+ * @param {Array} rows - Vote rows
+ * @returns {number} Number of questions that changed
+ */
+function applyVoteRows(rows) {
+    const changes = {};
+    mergeVoteRows(rows, changes);
+    return applyAnswerDetailChanges(changes);
+}
+
+// ========================================
+// PULLING
+// ========================================
+
+/**
+ * Pulls one table's rows written after `since` directly from Supabase, paging past the row limit
+ * @param {string} kind - 'reasons', 'attempts', 'graphs' or 'votes'
+ * @param {number} since - Server updated_at to pull after (0 = everything)
+ * @param {string|null} section - Only rows from this section (null = every section)
+ * @returns {Promise<Array>} Rows, oldest write first
+ */
+async function fetchAnswerDetailsFromSupabase(kind, since, section) {
+    const { table, columns } = ANSWER_DETAIL_TABLES[kind];
+    const rows = [];
+
+    for (let from = 0; ; from += ANSWER_DETAIL_PAGE_SIZE) {
+        let query = supabase
+            .from(table)
+            .select(columns)
+            .order('updated_at', { ascending: true })
+            .range(from, from + ANSWER_DETAIL_PAGE_SIZE - 1);
+
+        if (since > 0) {
+            query = query.gt('updated_at', since);
+        }
+        if (section) {
+            query = query.eq('section', section);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        rows.push(...data);
+        if (data.length < ANSWER_DETAIL_PAGE_SIZE) break;
+    }
+
+    return rows;
+}
+
+/**
+ * On the first pull of reasons, attempts or graphs, queues any of the student's answers whose reason, attempt
+ * count or graphs never reached the cloud (saved before these tables existed), so they go up with the next
+ * flush. A kind pulled from a cursor only has recent rows, so it is not checked.
+ * @param {Object} pulled - kind -> {since, rows} from pullAnswerDetails
+ * @returns {number} Answers queued
+ */
+function queueMissingAnswerDetails(pulled) {
+    const user = classData.users[currentUsername];
+    if (!user || !user.answers) return 0;
+
+    const ownRows = kind => (pulled[kind].since === 0 ? pulled[kind].rows : []).filter(row => row.username === currentUsername);
+    const remoteReasons = new Set(ownRows('reasons').map(row => row.question_id));
+    const remoteAttempts = {};
+    ownRows('attempts').forEach(row => {
+        remoteAttempts[row.question_id] = parseInt(row.attempts) || 0;
+    });
+    const remoteGraphs = new Set(ownRows('graphs').map(row => row.question_id));
+
+    let queued = 0;
+    Object.entries(user.answers).forEach(([questionId, answer]) => {
+        const reason = user.reasons?.[questionId];
+        const attempts = user.attempts?.[questionId] || 0;
+        const graphs = user.graphs?.[questionId];
+        const missingReason = pulled.reasons.since === 0 && typeof reason === 'string' && reason !== '' && !remoteReasons.has(questionId);
+        const missingAttempts = pulled.attempts.since === 0 && attempts > (remoteAttempts[questionId] || 0);
+        const missingGraphs = pulled.graphs.since === 0 && graphs && Object.keys(graphs).length > 0 && !remoteGraphs.has(questionId);
+
+        if (missingReason || missingAttempts || missingGraphs) {
+            markAnswerDirty(currentUsername, questionId, toSyncTimestamp(answer?.timestamp));
+            queued++;
+        }
+    });
+
+    return queued;
+}
+
+/**
+ * Pulls reasons, attempt counts, graphs and votes written since their cursors and merges them into classData
+ * @returns {Promise<number>} Number of questions that changed
+ */
+async function pullAnswerDetails() {
+    if (!turboModeActive || !supabase || !classData) return 0;
+
+    const source = getActiveSyncSource();
+    const section = getSectionFilter();
+    const pulled = {};
+    const changes = {};
+
+    try {
+        for (const kind of Object.keys(ANSWER_DETAIL_TABLES)) {
+            const since = getSyncCursor(`${source}:${kind}`);
+            // A little behind the cursor, as for answers: merging a row twice is harmless
+            const pullAfter = since > 0 ? Math.max(since - DELTA_CURSOR_OVERLAP_MS, 1) : 0;
+            const rows = source === 'railway'
+                ? await pullAnswerDetailsFromRailway(kind, pullAfter, section)
+                : await fetchAnswerDetailsFromSupabase(kind, pullAfter, section);
+            pulled[kind] = { since, rows };
+        }
+    } catch (error) {
+        console.log(`⚠️ Failed to pull reasons, attempts, graphs and votes: ${error.message}`);
+        return 0;
+    }
+
+    mergeReasonRows(pulled.reasons.rows, changes);
+    mergeAttemptRows(pulled.attempts.rows, changes);
+    mergeGraphRows(pulled.graphs.rows, changes);
+    mergeVoteRows(pulled.votes.rows, changes);
+    const changed = applyAnswerDetailChanges(changes);
+
+    Object.entries(pulled).forEach(([kind, { since, rows }]) => {
+        const newest = rows.reduce((max, row) => Math.max(max, toSyncTimestamp(row.updated_at)), since);
+        if (newest > since) setSyncCursor(`${source}:${kind}`, newest);
+    });
+
+    console.log(`✅ Pulled ${pulled.reasons.rows.length} reasons, ${pulled.attempts.rows.length} attempt counts, ` +
+        `${pulled.graphs.rows.length} graphs and ${pulled.votes.rows.length} votes (${changed} questions updated)`);
+
+    // First pull from this source: send up whatever the cloud has never seen
+    if ((pulled.reasons.since === 0 || pulled.attempts.since === 0 || pulled.graphs.since === 0) &&
+        queueMissingAnswerDetails(pulled) > 0) {
+        await flushOutbox();
+    }
+    if (pulled.votes.since === 0) {
+        await pushMissingVotes(pulled.votes.rows);
+    }
+
+    return changed;
+}
+
+/**
+ * On the first pull of votes, uploads the student's votes the cloud does not have yet
+ * @param {Array} voteRows - Every vote row pulled
+ * @returns {Promise<boolean>} True if nothing was missing or the upload succeeded
+ */
+async function pushMissingVotes(voteRows) {
+    const votes = classData.users[currentUsername]?.votes || {};
+    const remote = new Set(voteRows
+        .filter(row => row.voter === currentUsername)
+        .map(row => `${row.question_id}:${row.author}`));
+
+    const missing = [];
+    Object.entries(votes).forEach(([questionId, authors]) => {
+        Object.keys(authors || {}).forEach(author => {
+            if (!remote.has(`${questionId}:${author}`)) missing.push(buildVoteRow(questionId, author));
+        });
+    });
+
+    if (missing.length === 0) return true;
+    return pushVotes(missing);
+}
+
+// Expose for console diagnostics (see sync_diagnostics.js)
+window.pullAnswerDetails = pullAnswerDetails;
@@ -1,6 +1,10 @@
 // auth.js - User authentication and management functions
 // Part of AP Statistics Consensus Quiz
 // Dependencies: Must be loaded after data_manager.js (for initClassData, initializeProgressTracking)
+//               Uses class_sections.js (setCurrentSection, updateSectionDisplay) for the section code
+//               Uses student_auth.js (getStudentPin, isUsernameProtected, unlockProtectedUsername,
+//               protectUsernameFromOnboarding) for optional PIN protection
+//               Uses storage.js (appStorage) for the saved username and recent usernames
 // This module handles "who is the user" - username generation, prompting, and session management
 
 // ========================================
@@ -30,7 +34,7 @@ function generateRandomUsername() {
  * Checks for saved username or shows prompt
  */
 function promptUsername() {
-    const savedUsername = localStorage.getItem('consensusUsername');
+    const savedUsername = appStorage.getMeta('consensusUsername');
     if (savedUsername) {
         currentUsername = savedUsername;
         initClassData();
@@ -120,8 +124,15 @@ window.showNewStudentFlow = function() {
                 <p class="username-hint">💡 Write this down - you'll need it to restore your progress later!</p>
             </div>
 
+            <div class="section-code-entry">
+                <label for="sectionCodeInput">Class section code <span class="optional-label">(from your teacher)</span></label>
+                <input type="text" id="sectionCodeInput" class="section-code-input" placeholder="e.g. P3" maxlength="64">
+                <label for="studentPinInput">PIN to protect your username <span class="optional-label">(optional)</span></label>
+                <input type="password" id="studentPinInput" class="student-pin-input" placeholder="••••" autocomplete="new-password">
+            </div>
+
             <div class="flow-actions">
-                <button onclick="acceptUsername('${suggestedName}')" class="action-button primary extra-large">
+                <button onclick="acceptNewUsername('${suggestedName}')" class="action-button primary extra-large">
                     ✅ Let's Go!
                 </button>
                 <button onclick="rerollUsernameInFlow()" class="action-button secondary large">
@@ -192,7 +203,7 @@ window.rerollUsernameInFlow = function() {
         // Update the accept button
         const acceptButton = document.querySelector('.action-button.primary.extra-large');
         if (acceptButton) {
-            acceptButton.onclick = () => acceptUsername(newName);
+            acceptButton.onclick = () => acceptNewUsername(newName);
         }
     } else {
         // Fallback
@@ -239,31 +250,12 @@ function loadRecentUsernamesForReturning() {
 }
 
 /**
- * Helper: Get recent usernames from localStorage
+ * Helper: Get recent usernames from storage
  * @returns {Array<string>} Array of recent usernames
  */
 function getRecentUsernames() {
-    const recentUsers = [];
-
-    // Check localStorage for any stored usernames
-    for (let key in localStorage) {
-        if (key.startsWith('answers_')) {
-            const username = key.replace('answers_', '');
-            if (username && username !== 'undefined') {
-                recentUsers.push(username);
-            }
-        }
-    }
-
-    // Also check class data
-    const classData = JSON.parse(localStorage.getItem('classData') || '{}');
-    if (classData.users) {
-        Object.keys(classData.users).forEach(u => {
-            if (!recentUsers.includes(u)) {
-                recentUsers.push(u);
-            }
-        });
-    }
+    // Every user with answers or a record in storage
+    const recentUsers = appStorage.getUsernames();
 
     return recentUsers;
 }
@@ -288,30 +280,59 @@ window.rerollUsername = function() {
     }
 }
 
+/**
+ * Accepts a freshly generated username, rerolling if someone has already protected it with a PIN
+ * Exposed to window for onclick handlers
+ * @param {string} name - The generated username
+ */
+window.acceptNewUsername = async function(name) {
+    if (!getStudentPin(name) && await isUsernameProtected(name)) {
+        showMessage(`${name} is already taken - here's another name.`, 'info');
+        rerollUsernameInFlow();
+        return;
+    }
+    acceptUsername(name);
+}
+
 /**
  * Accepts a username and initializes user session
  * Exposed to window for onclick handlers
  * @param {string} name - The username to accept
  */
 window.acceptUsername = function(name) {
+    // Read the section code before the onboarding screen is replaced
+    const sectionInput = document.getElementById('sectionCodeInput');
+    const sectionCode = sectionInput ? sectionInput.value : '';
+    const pinInput = document.getElementById('studentPinInput');
+    const pin = pinInput ? pinInput.value.trim() : '';
+
     currentUsername = name;
-    localStorage.setItem('consensusUsername', currentUsername);
+    appStorage.setMeta('consensusUsername', currentUsername);
 
     // Save to recent usernames list
-    let recentUsernames = JSON.parse(localStorage.getItem('recentUsernames') || '[]');
+    let recentUsernames = appStorage.getMeta('recentUsernames', []);
     if (!recentUsernames.includes(name)) {
         recentUsernames.unshift(name);
         // Keep only last 5 usernames
         recentUsernames = recentUsernames.slice(0, 5);
-        localStorage.setItem('recentUsernames', JSON.stringify(recentUsernames));
+        appStorage.setMeta('recentUsernames', recentUsernames);
     }
 
     initClassData();
+    if (sectionCode.trim()) {
+        if (!setCurrentSection(sectionCode)) {
+            showMessage('That section code was not valid - you can join a section from the unit menu.', 'error');
+        }
+    }
     initializeProgressTracking(); // Initialize progress tracking for new session
     showUsernameWelcome();
     initializeFromEmbeddedData();
     updateCurrentUsernameDisplay();
 
+    if (pin) {
+        protectUsernameFromOnboarding(name, pin);
+    }
+
     // Initialize multiplayer pig system
     if (typeof PigManager !== 'undefined' && !window.pigManager) {
         window.pigManager = new PigManager();
@@ -343,13 +364,16 @@ window.recoverUsername = function() {
 }
 
 /**
- * Checks if a username has existing data in localStorage
+ * Checks if a username has existing data on this device.
+ * Protected usernames need their PIN before they can be used on this device.
  * @param {string} username - Username to check
  */
-function checkExistingData(username) {
-    const existingData = localStorage.getItem(`answers_${username}`);
-    const classData = JSON.parse(localStorage.getItem('classData') || '{}');
-    const hasData = existingData || (classData.users && classData.users[username]);
+async function checkExistingData(username) {
+    if (!(await unlockProtectedUsername(username))) {
+        return;
+    }
+
+    const hasData = appStorage.hasUserData(username);
 
     if (hasData) {
         if (confirm(`Found existing data for ${username}. Would you like to continue with this username and restore your progress?`)) {
@@ -380,31 +404,12 @@ function updateCurrentUsernameDisplay() {
 }
 
 /**
- * Loads and displays recently used usernames from localStorage
- * Checks both answers_ keys and classData for all users on this device
+ * Loads and displays recently used usernames from storage
+ * Lists every user with answers or a record on this device
  */
 function loadRecentUsernames() {
-    const recentUsers = [];
-
-    // Check localStorage for any stored usernames
-    for (let key in localStorage) {
-        if (key.startsWith('answers_')) {
-            const username = key.replace('answers_', '');
-            if (username && username !== 'undefined') {
-                recentUsers.push(username);
-            }
-        }
-    }
-
-    // Also check class data
-    const classData = JSON.parse(localStorage.getItem('classData') || '{}');
-    if (classData.users) {
-        Object.keys(classData.users).forEach(u => {
-            if (!recentUsers.includes(u)) {
-                recentUsers.push(u);
-            }
-        });
-    }
+    // Every user with answers or a record in storage
+    const recentUsers = appStorage.getUsernames();
 
     // Display recent usernames if any found
     if (recentUsers.length > 0) {
@@ -432,7 +437,14 @@ function showUsernameWelcome() {
     const welcomeDiv = document.createElement('div');
     welcomeDiv.className = 'username-welcome';
     welcomeDiv.textContent = `Welcome ${currentUsername}!`;
+
+    const sectionLabel = document.createElement('span');
+    sectionLabel.id = 'currentSectionLabel';
+    sectionLabel.className = 'current-section-label';
+    welcomeDiv.appendChild(sectionLabel);
+
     container.insertBefore(welcomeDiv, container.firstChild.nextSibling);
+    updateSectionDisplay();
 }
 
 /**
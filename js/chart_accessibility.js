@@ -0,0 +1,532 @@
+// chart_accessibility.js - Text, table and audio alternatives for canvas charts
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires functions from other modules (getDiscreteDistribution, getShadeRegions, getCriticalValues,
+//               computeRegression from charts.js)
+// This module handles "what does this chart show if I can't see it" - every renderChart call gets an ARIA
+// description of shape, center and spread computed from the chart's own data, a data table that can be
+// toggled open, and a Listen button that plays bar heights / the scatter trend as rising and falling tones.
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+// Pitch range for sonification (Hz) - two octaves from A3
+const CHART_TONE_LOW_HZ = 220;
+const CHART_TONE_HIGH_HZ = 880;
+
+// Length of each tone and the most tones one chart plays
+const CHART_TONE_MS = 220;
+const CHART_MAX_TONES = 40;
+
+// Data table, summary and tones per chart ID, filled in by renderChartAlternatives
+const chartAlternatives = {};
+
+// Audio context shared by all charts (created on first Listen click) and the chart currently playing
+let chartAudioContext = null;
+let chartAudioPlayback = null;
+
+// ========================================
+// SUMMARY STATISTICS
+// ========================================
+
+/**
+ * Formats a number for summaries and tables
+ * @param {number} value - Number to show
+ * @returns {string} Up to 3 decimal places
+ */
+function formatChartNumber(value) {
+    return Number.isFinite(value) ? String(Number(value.toFixed(3))) : '—';
+}
+
+/**
+ * Median of already-sorted numbers
+ * @param {Array} sorted - Sorted numbers
+ * @returns {number} Median
+ */
+function getSortedMedian(sorted) {
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Five-number summary, mean and SD of a list of numbers (quartiles as medians of the halves, like the TI-84)
+ * @param {Array} values - Numbers
+ * @returns {Object} {n, mean, sd, min, q1, median, q3, max}
+ */
+function summarizeValues(values) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+    const sd = n > 1 ? Math.sqrt(sorted.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1)) : 0;
+    const half = Math.floor(n / 2);
+    return {
+        n,
+        mean,
+        sd,
+        min: sorted[0],
+        q1: n > 1 ? getSortedMedian(sorted.slice(0, half)) : sorted[0],
+        median: getSortedMedian(sorted),
+        q3: n > 1 ? getSortedMedian(sorted.slice(n - half)) : sorted[0],
+        max: sorted[n - 1]
+    };
+}
+
+/**
+ * Describes shape from how far the mean sits from the median
+ * @param {Object} stats - From summarizeValues
+ * @returns {string} "roughly symmetric", "skewed right" or "skewed left"
+ */
+function describeShape(stats) {
+    if (stats.n < 5 || stats.sd === 0) return 'too few distinct values to judge shape';
+    const skew = (stats.mean - stats.median) / stats.sd;
+    if (skew > 0.2) return 'skewed right';
+    if (skew < -0.2) return 'skewed left';
+    return 'roughly symmetric';
+}
+
+/**
+ * Shape, center and spread sentence for a list of numbers
+ * @param {Object} stats - From summarizeValues
+ * @returns {string} Sentence
+ */
+function describeDistribution(stats) {
+    return `${stats.n} values, ${describeShape(stats)}. ` +
+        `Center: median ${formatChartNumber(stats.median)}, mean ${formatChartNumber(stats.mean)}. ` +
+        `Spread: range ${formatChartNumber(stats.min)} to ${formatChartNumber(stats.max)}, ` +
+        `IQR ${formatChartNumber(stats.q3 - stats.q1)}, SD ${formatChartNumber(stats.sd)}.`;
+}
+
+/**
+ * Capitalizes the first letter of a phrase that starts a sentence
+ * @param {string} text - Phrase
+ * @returns {string} Capitalized phrase
+ */
+function capitalizePhrase(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Describes the direction and strength of a scatterplot's linear association
+ * @param {number} r - Correlation
+ * @returns {string} e.g. "strong negative"
+ */
+function describeAssociation(r) {
+    if (!Number.isFinite(r)) return 'no linear';
+    const strength = Math.abs(r) >= 0.8 ? 'strong' : Math.abs(r) >= 0.5 ? 'moderate' : Math.abs(r) >= 0.3 ? 'weak' : 'very weak';
+    return `${strength} ${r > 0 ? 'positive' : 'negative'}`;
+}
+
+// ========================================
+// DATA TABLES AND DESCRIPTIONS
+// ========================================
+
+/**
+ * Summary statistics for bars: each position weighted by its bar height (histogram counts, probabilities)
+ * @param {Array} positions - Numeric position of each bar, in increasing order
+ * @param {Array} weights - Height of each bar
+ * @returns {Object} Same fields as summarizeValues; n is the number of non-empty bars
+ */
+function summarizeWeighted(positions, weights) {
+    const bars = positions.map((x, i) => ({ x, w: Math.max(0, Number(weights[i]) || 0) })).filter(bar => bar.w > 0);
+    const total = bars.reduce((sum, bar) => sum + bar.w, 0);
+    const mean = bars.reduce((sum, bar) => sum + bar.x * bar.w, 0) / total;
+    const variance = bars.reduce((sum, bar) => sum + bar.w * (bar.x - mean) * (bar.x - mean), 0) / total;
+    const quantile = q => {
+        let cumulative = 0;
+        return (bars.find(bar => (cumulative += bar.w) >= q * total) || bars[bars.length - 1]).x;
+    };
+    return {
+        n: bars.length,
+        mean,
+        sd: Math.sqrt(variance),
+        min: bars[0]?.x,
+        q1: quantile(0.25),
+        median: quantile(0.5),
+        q3: quantile(0.75),
+        max: bars[bars.length - 1]?.x
+    };
+}
+
+/**
+ * Data table and ARIA description for one chart, computed from its data
+ * @param {Object} chartData - Chart attachment
+ * @returns {Object} {headers, rows, summary, tones}
+ */
+function describeChart(chartData) {
+    const config = chartData.chartConfig || {};
+    const type = chartData.chartType;
+
+    if (type === 'bar' || type === 'histogram') {
+        const labels = (config.orientation === 'horizontal' ? (chartData.yLabels || chartData.xLabels) : (chartData.xLabels || chartData.yLabels)) || [];
+        const series = chartData.series || [];
+        const rows = labels.map((label, i) => [label, ...series.map(s => formatChartNumber(Number(s.values?.[i])))]);
+        const first = (series[0]?.values || []).map(Number);
+
+        let summary;
+        if (type === 'histogram') {
+            // Bin labels that are numbers give real positions; otherwise bins are treated as evenly spaced
+            const positions = labels.every(label => Number.isFinite(Number(label))) ? labels.map(Number) : labels.map((_, i) => i);
+            const total = first.reduce((sum, v) => sum + (Number.isFinite(v) ? v : 0), 0);
+            const modal = first.indexOf(Math.max(...first));
+            const stats = summarizeWeighted(positions, first);
+            summary = `Histogram of ${labels.length} bins, ${formatChartNumber(total)} in total, ${describeShape(stats)}. ` +
+                `Tallest bin: ${labels[modal]} (${formatChartNumber(first[modal])}).`;
+        } else {
+            summary = `Bar chart of ${labels.length} categories. ` + series.map(s => {
+                const values = (s.values || []).map(Number);
+                const high = values.indexOf(Math.max(...values));
+                const low = values.indexOf(Math.min(...values));
+                return `${s.name ? `${s.name}: ` : ''}highest ${labels[high]} (${formatChartNumber(values[high])}), lowest ${labels[low]} (${formatChartNumber(values[low])}).`;
+            }).join(' ');
+        }
+        return {
+            headers: [config.xAxis?.title || 'Category', ...series.map(s => s.name || 'Value')],
+            rows,
+            summary,
+            tones: first
+        };
+    }
+
+    if (type === 'pie') {
+        const slices = chartData.series?.[0]?.values || [];
+        const total = slices.reduce((sum, slice) => sum + (Number(slice.value) || 0), 0);
+        const rows = slices.map(slice => [slice.name, formatChartNumber(Number(slice.value)),
+            total > 0 ? `${formatChartNumber(100 * slice.value / total)}%` : '—']);
+        const largest = slices.reduce((best, slice) => (Number(slice.value) > Number(best?.value ?? -Infinity) ? slice : best), null);
+        return {
+            headers: ['Category', 'Value', 'Percent'],
+            rows,
+            summary: `Pie chart of ${slices.length} categories.` +
+                (largest && total > 0 ? ` Largest: ${largest.name} (${formatChartNumber(100 * largest.value / total)}% of the total).` : ''),
+            tones: slices.map(slice => Number(slice.value))
+        };
+    }
+
+    if (type === 'scatter') {
+        const points = (chartData.points || []).filter(p => Number.isFinite(p?.x) && Number.isFinite(p?.y));
+        const xTitle = config.xAxis?.title || 'x';
+        const yTitle = config.yAxis?.title || 'y';
+        const fit = computeRegression(points);
+        const xs = summarizeValues(points.map(p => p.x));
+        const ys = summarizeValues(points.map(p => p.y));
+        let summary = `Scatterplot of ${points.length} points, ${yTitle} against ${xTitle}. ` +
+            `${xTitle} ranges from ${formatChartNumber(xs.min)} to ${formatChartNumber(xs.max)}; ` +
+            `${yTitle} from ${formatChartNumber(ys.min)} to ${formatChartNumber(ys.max)}.`;
+        // The direction, strength and r answer many scatterplot questions, so only charts that opt into the regression tools describe them
+        if (fit && config.regressionTools === true && !config.referenceLineAtZero) {
+            summary += ` ${capitalizePhrase(describeAssociation(fit.r))} linear association (r = ${formatChartNumber(fit.r)}).`;
+        }
+        return {
+            headers: [...(points.some(p => p.label !== undefined) ? ['Label'] : []), xTitle, yTitle],
+            rows: points.map(p => [...(points.some(q => q.label !== undefined) ? [p.label ?? ''] : []), formatChartNumber(p.x), formatChartNumber(p.y)]),
+            summary,
+            // Play the trend left to right
+            tones: [...points].sort((a, b) => a.x - b.x).map(p => p.y)
+        };
+    }
+
+    if (type === 'dotplot') {
+        const counts = {};
+        (chartData.values || []).forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+        const values = Object.keys(counts).map(Number).sort((a, b) => a - b);
+        return {
+            headers: [config.xAxis?.title || 'Value', 'Count'],
+            rows: values.map(value => [formatChartNumber(value), counts[value]]),
+            summary: `Dotplot. ${describeDistribution(summarizeValues((chartData.values || []).map(Number)))}`,
+            tones: values.map(value => counts[value])
+        };
+    }
+
+    if (type === 'boxplot') {
+        const boxplots = Array.isArray(config.boxplotData) ? config.boxplotData : [config.boxplotData || {}];
+        const rows = boxplots.map((box, i) => {
+            const low = box.whiskerMin !== undefined ? box.whiskerMin : box.min;
+            const high = box.whiskerMax !== undefined ? box.whiskerMax : box.max;
+            return [box.name || `Boxplot ${i + 1}`, low, box.Q1, box.median, box.Q3, high,
+                (box.outliers || []).join(', ') || 'none'].map(cell => typeof cell === 'number' ? formatChartNumber(cell) : cell);
+        });
+        const summary = 'Boxplot. ' + boxplots.map((box, i) => {
+            const low = box.whiskerMin !== undefined ? box.whiskerMin : box.min;
+            const high = box.whiskerMax !== undefined ? box.whiskerMax : box.max;
+            // The median sitting nearer Q1 means a longer right half of the box
+            const lean = (box.Q3 - box.median) - (box.median - box.Q1);
+            const shape = Math.abs(lean) < 0.1 * (box.Q3 - box.Q1 || 1) ? 'roughly symmetric' : lean > 0 ? 'skewed right' : 'skewed left';
+            return `${box.name || (boxplots.length > 1 ? `Boxplot ${i + 1}` : '')}${box.name || boxplots.length > 1 ? ': ' : ''}` +
+                `median ${formatChartNumber(box.median)}, IQR ${formatChartNumber(box.Q3 - box.Q1)}, ` +
+                `whiskers ${formatChartNumber(low)} to ${formatChartNumber(high)}, ${shape}` +
+                `${(box.outliers || []).length ? `, outliers at ${box.outliers.join(', ')}` : ''}.`;
+        }).join(' ');
+        return {
+            headers: ['Group', 'Min/lower whisker', 'Q1', 'Median', 'Q3', 'Max/upper whisker', 'Outliers'],
+            rows,
+            summary,
+            tones: boxplots.flatMap(box => [box.whiskerMin ?? box.min, box.Q1, box.median, box.Q3, box.whiskerMax ?? box.max])
+        };
+    }
+
+    if (type === 'normal' || type === 'tdist' || type === 'chisquare') {
+        return describeCurveChart(chartData);
+    }
+
+    if (type === 'binomial' || type === 'geometric' || type === 'sampling') {
+        const distribution = getDiscreteDistribution(chartData);
+        if (distribution.error) return { headers: [], rows: [], summary: `Chart unavailable: ${distribution.error}.`, tones: [] };
+        const { bars, normal } = distribution;
+        const stats = bars.length > 0 ? summarizeWeighted(bars.map(b => b.x), bars.map(b => b.y)) : null;
+        let summary = `${distribution.label}.`;
+        if (stats) summary += ` ${capitalizePhrase(describeShape(stats))}, centered near ${formatChartNumber(stats.mean)} with SD ${formatChartNumber(stats.sd)}.`;
+        if (normal) summary += ` Normal approximation: mean ${formatChartNumber(normal.mean)}, SD ${formatChartNumber(normal.sd)}.`;
+        summary += describeMarkings(chartData);
+        return {
+            headers: [distribution.xTitle, distribution.yTitle || 'Density'],
+            rows: bars.map(b => [formatChartNumber(b.x), formatChartNumber(b.y)]),
+            summary,
+            tones: bars.map(b => b.y)
+        };
+    }
+
+    if (type === 'numberline') {
+        const ticks = chartData.ticks || [];
+        return {
+            headers: ['Position', 'Label'],
+            rows: ticks.map(t => [formatChartNumber(t.x), [t.label || t.topLabel, t.bottomLabel || t.valueLabel].filter(Boolean).join(' / ')]),
+            summary: `Number line with ${ticks.length} marked positions.`,
+            tones: []
+        };
+    }
+
+    return { headers: [], rows: [], summary: `${type} chart.`, tones: [] };
+}
+
+/**
+ * Sentence listing shaded regions and critical values, if any
+ * @param {Object} chartData - Chart attachment
+ * @returns {string} Sentence (leading space) or ''
+ */
+function describeMarkings(chartData) {
+    const regions = getShadeRegions(chartData).map(region => {
+        if (region.lower === null && region.upper === null) return 'everything';
+        if (region.lower === null) return `at or below ${formatChartNumber(region.upper)}`;
+        if (region.upper === null) return `at or above ${formatChartNumber(region.lower)}`;
+        return `from ${formatChartNumber(region.lower)} to ${formatChartNumber(region.upper)}`;
+    });
+    const markers = getCriticalValues(chartData).map(marker => marker.label);
+    let text = '';
+    if (regions.length > 0) text += ` Shaded: ${regions.join(' and ')}.`;
+    if (markers.length > 0) text += ` Critical values marked at ${markers.join(', ')}.`;
+    return text;
+}
+
+/**
+ * Parameters table, description and sampled heights for the density-curve chart types
+ * @param {Object} chartData - normal, tdist or chisquare chart
+ * @returns {Object} {headers, rows, summary, tones}
+ */
+function describeCurveChart(chartData) {
+    const type = chartData.chartType;
+    const xAxis = chartData.chartConfig?.xAxis || {};
+    let rows;
+    let summary;
+    let pdf;
+    let range;
+
+    if (type === 'normal') {
+        const mean = typeof chartData.mean === 'number' ? chartData.mean : 0;
+        const sd = chartData.sd > 0 ? chartData.sd : 1;
+        rows = [['Mean', formatChartNumber(mean)], ['Standard deviation', formatChartNumber(sd)]];
+        summary = `Normal curve, symmetric and bell-shaped, centered at ${formatChartNumber(mean)} with SD ${formatChartNumber(sd)}.`;
+        pdf = x => normalPdf(x, mean, sd);
+        range = [mean - 3 * sd, mean + 3 * sd];
+    } else if (type === 'tdist') {
+        const df = chartData.df > 0 ? chartData.df : 1;
+        rows = [['Degrees of freedom', formatChartNumber(df)]];
+        summary = `t curve with ${formatChartNumber(df)} degrees of freedom: symmetric and centered at 0, with heavier tails than the standard normal.`;
+        pdf = x => tPdf(x, df);
+        range = [-4, 4];
+    } else {
+        const dfList = Array.isArray(chartData.dfList) && chartData.dfList.length > 0 ? chartData.dfList : [chartData.df || 1];
+        const labels = Array.isArray(chartData.labels) && chartData.labels.length === dfList.length ? chartData.labels : dfList.map(df => `df = ${df}`);
+        rows = dfList.map((df, i) => [labels[i], formatChartNumber(df)]);
+        summary = dfList.length > 1 ?
+            `${dfList.length} chi-square curves (${labels.map((label, i) => `${label}: df ${dfList[i]}`).join('; ')}), all skewed right; larger df shifts the peak right and spreads the curve out.` :
+            `Chi-square curve with ${dfList[0]} degrees of freedom, skewed right, mean ${dfList[0]}.`;
+        pdf = x => chiSquarePdf(x, dfList[0]);
+        range = [0, Math.max(...dfList) * 3.5];
+    }
+
+    const xMin = typeof xAxis.min === 'number' ? xAxis.min : range[0];
+    const xMax = typeof xAxis.max === 'number' ? xAxis.max : range[1];
+    const tones = Array.from({ length: 24 }, (_, i) => pdf(xMin + (i / 23) * (xMax - xMin)));
+    return {
+        headers: ['Parameter', 'Value'],
+        rows,
+        summary: summary + describeMarkings(chartData),
+        tones
+    };
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Escapes text for attributes and table cells
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeChartHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Screen-reader description, toggle buttons and (hidden) data table placed under a chart's canvas.
+ * The canvas points at the description with aria-describedby="<chartId>-summary".
+ * @param {Object} chartData - Chart attachment
+ * @param {string} chartId - Canvas ID
+ * @returns {string} HTML
+ */
+function renderChartAlternatives(chartData, chartId) {
+    let description;
+    try {
+        description = describeChart(chartData);
+    } catch (error) {
+        console.warn(`⚠️ Could not describe ${chartData.chartType} chart ${chartId}:`, error);
+        description = { headers: [], rows: [], summary: `${chartData.chartType} chart.`, tones: [] };
+    }
+    chartAlternatives[chartId] = description;
+
+    const hasTable = description.headers.length > 0 && description.rows.length > 0;
+    const canPlay = description.tones.filter(Number.isFinite).length > 1;
+
+    return `
+        <p class="sr-only" id="${chartId}-summary">${escapeChartHtml(description.summary)}</p>
+        <div class="chart-a11y-toolbar">
+            ${hasTable ? `<button type="button" class="chart-a11y-button" id="${chartId}-table-btn" aria-expanded="false" aria-controls="${chartId}-table" onclick="toggleChartDataTable('${chartId}')">📋 Data table</button>` : ''}
+            ${canPlay ? `<button type="button" class="chart-a11y-button" id="${chartId}-listen-btn" onclick="playChartSonification('${chartId}')" aria-label="Listen to the chart: higher pitch means a larger value">🔊 Listen</button>` : ''}
+        </div>
+        ${hasTable ? `
+        <div class="chart-data-table" id="${chartId}-table" hidden>
+            <table>
+                <caption>${escapeChartHtml(description.summary)}</caption>
+                <thead><tr>${description.headers.map(h => `<th scope="col">${escapeChartHtml(h)}</th>`).join('')}</tr></thead>
+                <tbody>${description.rows.map(row => `<tr>${row.map(cell => `<td>${escapeChartHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
+        </div>` : ''}
+    `;
+}
+
+/**
+ * Shows or hides a chart's data table
+ * @param {string} chartId - Canvas ID
+ */
+window.toggleChartDataTable = function(chartId) {
+    const table = document.getElementById(`${chartId}-table`);
+    const button = document.getElementById(`${chartId}-table-btn`);
+    if (!table) return;
+    table.hidden = !table.hidden;
+    if (button) {
+        button.setAttribute('aria-expanded', String(!table.hidden));
+        button.textContent = table.hidden ? '📋 Data table' : '📋 Hide data table';
+    }
+};
+
+// ========================================
+// SONIFICATION
+// ========================================
+
+/**
+ * Maps values onto the tone range (log scale, so equal steps sound equal)
+ * @param {Array} values - Heights to play
+ * @returns {Array} Frequencies in Hz (null for missing values, played as rests)
+ */
+function getToneFrequencies(values) {
+    const finite = values.filter(Number.isFinite);
+    const low = Math.min(...finite);
+    const high = Math.max(...finite);
+    const ratio = CHART_TONE_HIGH_HZ / CHART_TONE_LOW_HZ;
+    return values.map(value => {
+        if (!Number.isFinite(value)) return null;
+        const t = high > low ? (value - low) / (high - low) : 0.5;
+        return CHART_TONE_LOW_HZ * Math.pow(ratio, t);
+    });
+}
+
+/**
+ * Evenly thins a long list of tones down to CHART_MAX_TONES
+ * @param {Array} tones - Values
+ * @returns {Array} At most CHART_MAX_TONES values
+ */
+function thinTones(tones) {
+    if (tones.length <= CHART_MAX_TONES) return tones;
+    return Array.from({ length: CHART_MAX_TONES }, (_, i) => tones[Math.round(i * (tones.length - 1) / (CHART_MAX_TONES - 1))]);
+}
+
+/**
+ * Plays a chart's values as a sequence of tones; pressing Listen again stops it
+ * @param {string} chartId - Canvas ID
+ */
+window.playChartSonification = function(chartId) {
+    const description = chartAlternatives[chartId];
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!description || !AudioContextClass) {
+        console.warn('⚠️ Audio is not available in this browser');
+        return;
+    }
+
+    const wasPlaying = chartAudioPlayback?.chartId === chartId;
+    stopChartSonification();
+    if (wasPlaying) return;
+
+    chartAudioContext = chartAudioContext || new AudioContextClass();
+    const audio = chartAudioContext;
+    const start = audio.currentTime + 0.05;
+    const seconds = CHART_TONE_MS / 1000;
+    const frequencies = getToneFrequencies(thinTones(description.tones));
+
+    const oscillators = frequencies.map((frequency, i) => {
+        if (frequency === null) return null;
+        const oscillator = audio.createOscillator();
+        const gain = audio.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        // Short fade in and out so tones don't click
+        const toneStart = start + i * seconds;
+        gain.gain.setValueAtTime(0, toneStart);
+        gain.gain.linearRampToValueAtTime(0.2, toneStart + 0.02);
+        gain.gain.linearRampToValueAtTime(0, toneStart + seconds * 0.9);
+        oscillator.connect(gain).connect(audio.destination);
+        oscillator.start(toneStart);
+        oscillator.stop(toneStart + seconds);
+        return oscillator;
+    }).filter(Boolean);
+
+    const button = document.getElementById(`${chartId}-listen-btn`);
+    if (button) button.textContent = '⏹ Stop';
+    chartAudioPlayback = {
+        chartId,
+        oscillators,
+        timer: setTimeout(stopChartSonification, frequencies.length * CHART_TONE_MS + 100)
+    };
+};
+
+/**
+ * Stops whatever chart is playing and resets its Listen button
+ */
+function stopChartSonification() {
+    if (!chartAudioPlayback) return;
+    clearTimeout(chartAudioPlayback.timer);
+    chartAudioPlayback.oscillators.forEach(oscillator => {
+        try {
+            oscillator.stop();
+        } catch (error) {
+            // Already finished
+        }
+    });
+    const button = document.getElementById(`${chartAudioPlayback.chartId}-listen-btn`);
+    if (button) button.textContent = '🔊 Listen';
+    chartAudioPlayback = null;
+}
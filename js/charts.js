@@ -1,4 +1,538 @@
 
+// Lightweight Lanczos approximation for Gamma function
+function gamma(z) {
+    const p = [
+        0.99999999999980993,
+        676.5203681218851,
+        -1259.1392167224028,
+        771.32342877765313,
+        -176.61502916214059,
+        12.507343278686905,
+        -0.13857109526572012,
+        9.9843695780195716e-6,
+        1.5056327351493116e-7
+    ];
+    const g = 7;
+    if (z < 0.5) {
+        return Math.PI / (Math.sin(Math.PI * z) * gamma(1 - z));
+    }
+    z -= 1;
+    let x = p[0];
+    for (let i = 1; i < p.length; i++) {
+        x += p[i] / (z + i);
+    }
+    const t = z + g + 0.5;
+    return Math.sqrt(2 * Math.PI) * Math.pow(t, z + 0.5) * Math.exp(-t) * x;
+}
+
+// Chi-square probability density function
+function chiSquarePdf(x, k) {
+    if (x <= 0) return 0;
+    const coeff = 1 / (Math.pow(2, k / 2) * gamma(k / 2));
+    return coeff * Math.pow(x, k / 2 - 1) * Math.exp(-x / 2);
+}
+
+// Student's t probability density function (log form so large df does not overflow gamma)
+function tPdf(x, df) {
+    const logGammaRatio = df > 100
+        ? Math.log(df / 2) * 0.5 - 1 / (4 * df)
+        : Math.log(gamma((df + 1) / 2) / gamma(df / 2));
+    return Math.exp(logGammaRatio - 0.5 * Math.log(df * Math.PI) - ((df + 1) / 2) * Math.log(1 + x * x / df));
+}
+
+// Normal probability density function
+function normalPdf(x, mean, sd) {
+    return (1 / (sd * Math.sqrt(2 * Math.PI))) * Math.exp(-0.5 * Math.pow((x - mean) / sd, 2));
+}
+
+/**
+ * Natural log of the gamma function, using gamma where it cannot overflow
+ * @param {number} z - Positive number
+ * @returns {number} ln Γ(z)
+ */
+function logGamma(z) {
+    if (z < 100) return Math.log(gamma(z));
+    // Stirling series
+    return (z - 0.5) * Math.log(z) - z + 0.5 * Math.log(2 * Math.PI) + 1 / (12 * z) - 1 / (360 * z * z * z);
+}
+
+/**
+ * Binomial probability P(X = k)
+ * @param {number} n - Trials
+ * @param {number} p - Success probability
+ * @param {number} k - Successes
+ * @returns {number} Probability
+ */
+function binomialPmf(n, p, k) {
+    if (k < 0 || k > n) return 0;
+    if (p === 0) return k === 0 ? 1 : 0;
+    if (p === 1) return k === n ? 1 : 0;
+    const logChoose = logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+    return Math.exp(logChoose + k * Math.log(p) + (n - k) * Math.log(1 - p));
+}
+
+/**
+ * Geometric probability P(X = k), first success on trial k
+ * @param {number} p - Success probability
+ * @param {number} k - Trial number (1, 2, ...)
+ * @returns {number} Probability
+ */
+function geometricPmf(p, k) {
+    return k >= 1 ? Math.pow(1 - p, k - 1) * p : 0;
+}
+
+// ========================================
+// SHADING AND CRITICAL VALUES
+// ========================================
+
+// Most bars a binomial/geometric chart draws before trimming to the middle of the distribution
+const DISTRIBUTION_MAX_BARS = 80;
+
+/**
+ * Shaded regions for a distribution chart. chartConfig.shade wins over the older top-level shade;
+ * either may be one {lower, upper} or an array of them (two-tailed tests), null meaning unbounded.
+ * @param {Object} chartData - Chart attachment
+ * @returns {Array} [{lower, upper}]
+ */
+function getShadeRegions(chartData) {
+    const config = chartData.chartConfig || {};
+    const shade = config.shade !== undefined ? config.shade : chartData.shade;
+    if (!shade) return [];
+    return (Array.isArray(shade) ? shade : [shade])
+        .filter(region => region && typeof region === 'object')
+        .map(region => ({
+            lower: typeof region.lower === 'number' ? region.lower : null,
+            upper: typeof region.upper === 'number' ? region.upper : null
+        }));
+}
+
+/**
+ * Whether x falls inside any shaded region (bounds inclusive)
+ * @param {number} x - Value to test
+ * @param {Array} regions - From getShadeRegions
+ * @returns {boolean} True if shaded
+ */
+function isInShadeRegions(x, regions) {
+    return regions.some(region =>
+        (region.lower === null || x >= region.lower) && (region.upper === null || x <= region.upper));
+}
+
+/**
+ * Critical-value markers from chartConfig.criticalValues: numbers or {value, label}
+ * @param {Object} chartData - Chart attachment
+ * @returns {Array} [{value, label}]
+ */
+function getCriticalValues(chartData) {
+    const markers = (chartData.chartConfig || {}).criticalValues;
+    if (!Array.isArray(markers)) return [];
+    return markers
+        .map(marker => typeof marker === 'number' ? { value: marker } : marker)
+        .filter(marker => marker && typeof marker.value === 'number' && Number.isFinite(marker.value))
+        .map(marker => ({
+            value: marker.value,
+            label: marker.label !== undefined ? String(marker.label) : String(Number(marker.value.toFixed(3)))
+        }));
+}
+
+/**
+ * Points along a density curve plus the matching shaded-area points. The region bounds are
+ * added as sample points so narrow or sharp-edged regions are drawn exactly.
+ * @param {Function} pdf - x -> density
+ * @param {number} xMin - Left end of the axis
+ * @param {number} xMax - Right end of the axis
+ * @param {number} numPoints - Evenly spaced samples
+ * @param {Array} regions - From getShadeRegions
+ * @param {number} scale - Multiplier applied to every y value
+ * @returns {Object} {curvePoints, shadePoints}
+ */
+function buildDensityPoints(pdf, xMin, xMax, numPoints, regions, scale = 1) {
+    const xs = [];
+    for (let i = 0; i <= numPoints; i++) {
+        xs.push(xMin + (i / numPoints) * (xMax - xMin));
+    }
+    regions.forEach(region => {
+        [region.lower, region.upper].forEach(bound => {
+            if (bound !== null && bound > xMin && bound < xMax) xs.push(bound);
+        });
+    });
+    xs.sort((a, b) => a - b);
+
+    const curvePoints = xs.map(x => ({ x, y: pdf(x) * scale }));
+    const shadePoints = curvePoints.map(({ x, y }) => ({ x, y: isInShadeRegions(x, regions) ? y : null }));
+    return { curvePoints, shadePoints };
+}
+
+/**
+ * Line dataset that fills the shaded part of a curve down to the axis
+ * @param {Array} shadePoints - From buildDensityPoints
+ * @returns {Object} Chart.js dataset
+ */
+function createShadeDataset(shadePoints) {
+    return {
+        label: 'Shaded Region',
+        type: 'line',
+        data: shadePoints,
+        borderColor: 'transparent',
+        backgroundColor: isDarkMode() ? 'rgba(200,200,200,0.35)' : 'rgba(0,0,0,0.25)',
+        fill: 'origin',
+        pointRadius: 0,
+        tension: 0.15,
+        borderWidth: 0
+    };
+}
+
+/**
+ * Chart.js plugin drawing a dashed vertical line and label at each critical value
+ * @param {Array} markers - From getCriticalValues
+ * @returns {Object} Chart.js inline plugin
+ */
+function createCriticalValuePlugin(markers) {
+    return {
+        id: 'criticalValuePlugin',
+        afterDatasetsDraw: (chart) => {
+            const ctx = chart.ctx;
+            const xScale = chart.scales.x;
+            const area = chart.chartArea;
+
+            ctx.save();
+            ctx.strokeStyle = '#FF6384';
+            ctx.fillStyle = getTextColor();
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'bottom';
+            markers.forEach(marker => {
+                if (marker.value < xScale.min || marker.value > xScale.max) return;
+                const xPx = xScale.getPixelForValue(marker.value);
+                ctx.beginPath();
+                ctx.moveTo(xPx, area.top);
+                ctx.lineTo(xPx, area.bottom);
+                ctx.stroke();
+                ctx.fillText(marker.label, xPx, area.top - 4);
+            });
+            ctx.restore();
+        }
+    };
+}
+
+/**
+ * Bars (and the normal curve to overlay) for the binomial, geometric and sampling chart types
+ * @param {Object} chartData - Chart attachment
+ * @returns {Object} {bars: [{x, y}], barWidth, normal: {mean, sd}|null, xTitle, yTitle, label} or {error}
+ */
+function getDiscreteDistribution(chartData) {
+    const config = chartData.chartConfig || {};
+    const xAxisConfig = config.xAxis || {};
+    const type = chartData.chartType;
+    const p = chartData.p;
+
+    if (type === 'binomial') {
+        const n = chartData.n;
+        if (!(Number.isInteger(n) && n >= 0) || !(p >= 0 && p <= 1)) {
+            return { error: 'binomial chart needs a whole-number n and 0 ≤ p ≤ 1' };
+        }
+        const mean = n * p;
+        const sd = Math.sqrt(n * p * (1 - p));
+        let first = 0;
+        let last = n;
+        if (n + 1 > DISTRIBUTION_MAX_BARS) {
+            first = Math.max(0, Math.floor(mean - 4 * sd - 1));
+            last = Math.min(n, Math.ceil(mean + 4 * sd + 1));
+        }
+        if (typeof xAxisConfig.min === 'number') first = Math.max(0, Math.ceil(xAxisConfig.min));
+        if (typeof xAxisConfig.max === 'number') last = Math.min(n, Math.floor(xAxisConfig.max));
+        const bars = [];
+        for (let k = first; k <= last; k++) bars.push({ x: k, y: binomialPmf(n, p, k) });
+        return {
+            bars,
+            barWidth: 1,
+            normal: config.normalApproximation && sd > 0 ? { mean, sd } : null,
+            xTitle: 'x',
+            yTitle: 'P(X = x)',
+            label: `Binomial (n = ${n}, p = ${p})`
+        };
+    }
+
+    if (type === 'geometric') {
+        if (!(p > 0 && p <= 1)) return { error: 'geometric chart needs 0 < p ≤ 1' };
+        // Show through the 99th percentile unless the axis says otherwise
+        const defaultLast = p === 1 ? 1 : Math.ceil(Math.log(0.01) / Math.log(1 - p));
+        const first = typeof xAxisConfig.min === 'number' ? Math.max(1, Math.ceil(xAxisConfig.min)) : 1;
+        const last = typeof xAxisConfig.max === 'number' ?
+            Math.floor(xAxisConfig.max) :
+            Math.min(Math.max(defaultLast, 5), DISTRIBUTION_MAX_BARS);
+        const bars = [];
+        for (let k = first; k <= last; k++) bars.push({ x: k, y: geometricPmf(p, k) });
+        return { bars, barWidth: 1, normal: null, xTitle: 'x', yTitle: 'P(X = x)', label: `Geometric (p = ${p})` };
+    }
+
+    // Sampling distribution: simulated statistics, or the exact distribution of p̂
+    if (Array.isArray(chartData.values) && chartData.values.length > 0) {
+        const values = chartData.values.filter(v => typeof v === 'number' && Number.isFinite(v));
+        if (values.length === 0) return { error: 'sampling chart values must be numbers' };
+        const count = values.length;
+        const mean = values.reduce((sum, v) => sum + v, 0) / count;
+        const sd = count > 1 ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (count - 1)) : 0;
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const bins = config.bins || Math.min(30, Math.max(5, Math.ceil(Math.sqrt(count))));
+        const barWidth = config.binWidth || (max > min ? (max - min) / bins : 1);
+        const start = max > min ? min : min - barWidth / 2;
+        const binCount = Math.max(1, Math.ceil((max - start) / barWidth - 1e-9));
+        const counts = new Array(binCount).fill(0);
+        values.forEach(v => {
+            counts[Math.min(binCount - 1, Math.floor((v - start) / barWidth))]++;
+        });
+        const bars = counts.map((c, i) => ({ x: start + (i + 0.5) * barWidth, y: c / count }));
+        const normalMean = typeof chartData.mean === 'number' ? chartData.mean : mean;
+        const normalSd = typeof chartData.se === 'number' ? chartData.se : sd;
+        return {
+            bars,
+            barWidth,
+            normal: config.normalApproximation !== false && normalSd > 0 ? { mean: normalMean, sd: normalSd } : null,
+            xTitle: chartData.statistic ? `Sample ${chartData.statistic}` : 'Statistic',
+            yTitle: 'Relative frequency',
+            label: `${count} simulated samples`
+        };
+    }
+
+    const n = chartData.n;
+    if (!(Number.isInteger(n) && n > 0)) return { error: 'sampling chart needs values, or a whole-number n' };
+
+    if (chartData.statistic === 'mean') {
+        const sd = chartData.sd;
+        if (typeof chartData.mean !== 'number' || !(sd > 0)) return { error: 'sampling chart of means needs mean and sd' };
+        return {
+            bars: [],
+            barWidth: 0,
+            normal: { mean: chartData.mean, sd: sd / Math.sqrt(n) },
+            xTitle: 'Sample mean (x̄)',
+            yTitle: '',
+            label: `Sample means (n = ${n})`
+        };
+    }
+
+    if (!(p >= 0 && p <= 1)) return { error: 'sampling chart of proportions needs 0 ≤ p ≤ 1' };
+    const sd = Math.sqrt(p * (1 - p) / n);
+    const bars = [];
+    for (let k = 0; k <= n; k++) {
+        const pHat = k / n;
+        // Skip the far tails of large samples so the bars stay readable
+        if (n + 1 > DISTRIBUTION_MAX_BARS && Math.abs(pHat - p) > 4 * sd + 1 / n) continue;
+        bars.push({ x: pHat, y: binomialPmf(n, p, k) });
+    }
+    return {
+        bars,
+        barWidth: 1 / n,
+        normal: config.normalApproximation !== false && sd > 0 ? { mean: p, sd } : null,
+        xTitle: 'Sample proportion (p̂)',
+        yTitle: 'Probability',
+        label: `Sample proportions (n = ${n}, p = ${p})`
+    };
+}
+
+// ========================================
+// SCATTER REGRESSION
+// ========================================
+
+// Regression view per scatter chart ID: {points, residualPoints, regression, showLine, showResiduals, ...}
+const scatterRegressionViews = {};
+
+/**
+ * Least-squares regression line and correlation for a set of points
+ * @param {Array} points - [{x, y}]
+ * @returns {Object|null} {slope, intercept, r, rSquared, s, n} or null when x does not vary
+ */
+function computeRegression(points) {
+    const pts = (points || []).filter(p => Number.isFinite(p?.x) && Number.isFinite(p?.y));
+    const n = pts.length;
+    if (n < 2) return null;
+
+    const xBar = pts.reduce((sum, p) => sum + p.x, 0) / n;
+    const yBar = pts.reduce((sum, p) => sum + p.y, 0) / n;
+    let sxx = 0, syy = 0, sxy = 0;
+    pts.forEach(p => {
+        sxx += (p.x - xBar) * (p.x - xBar);
+        syy += (p.y - yBar) * (p.y - yBar);
+        sxy += (p.x - xBar) * (p.y - yBar);
+    });
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const intercept = yBar - slope * xBar;
+    const r = syy > 0 ? sxy / Math.sqrt(sxx * syy) : NaN;
+    const sse = pts.reduce((sum, p) => sum + Math.pow(p.y - (intercept + slope * p.x), 2), 0);
+    return {
+        slope,
+        intercept,
+        r,
+        rSquared: r * r,
+        s: n > 2 ? Math.sqrt(sse / (n - 2)) : NaN,
+        n
+    };
+}
+
+/**
+ * Formats a regression statistic (4 decimal places, "undefined" for NaN)
+ * @param {number} value - Number to show
+ * @returns {string} Formatted value
+ */
+function formatRegressionNumber(value) {
+    return Number.isFinite(value) ? String(Number(value.toFixed(4))) : 'undefined';
+}
+
+/**
+ * LSRL equation in AP form, e.g. "ŷ = 12.5 − 0.75x"
+ * @param {Object} regression - From computeRegression
+ * @returns {string} Equation
+ */
+function getRegressionEquation(regression) {
+    const sign = regression.slope < 0 ? '−' : '+';
+    return `ŷ = ${formatRegressionNumber(regression.intercept)} ${sign} ${formatRegressionNumber(Math.abs(regression.slope))}x`;
+}
+
+/**
+ * Line dataset for the LSRL across [minX, maxX]
+ * @param {Object} regression - From computeRegression
+ * @param {number} minX - Left end
+ * @param {number} maxX - Right end
+ * @param {Object} config - chartConfig (regressionLineColor, regressionLineDash)
+ * @returns {Object} Chart.js dataset
+ */
+function buildRegressionLineDataset(regression, minX, maxX, config) {
+    return {
+        label: 'Regression Line',
+        type: 'line',
+        data: [
+            { x: minX, y: regression.slope * minX + regression.intercept },
+            { x: maxX, y: regression.slope * maxX + regression.intercept }
+        ],
+        borderColor: config.regressionLineColor || getTextColor(),
+        borderDash: config.regressionLineDash || [],
+        borderWidth: 2,
+        fill: false,
+        pointRadius: 0,
+        tension: 0,
+        order: 0
+    };
+}
+
+/**
+ * Toolbar under a scatterplot for the LSRL and residual plot toggles
+ * @param {string} chartId - Canvas ID
+ * @returns {string} HTML
+ */
+function renderRegressionToolbar(chartId) {
+    return `
+        <div class="regression-toolbar">
+            <button type="button" class="regression-toggle" id="regression-line-btn-${chartId}" onclick="toggleRegressionLine('${chartId}')">📈 Show LSRL</button>
+            <button type="button" class="regression-toggle" id="regression-residual-btn-${chartId}" onclick="toggleResidualPlot('${chartId}')">Residual plot</button>
+        </div>
+        <div class="regression-stats" id="regression-stats-${chartId}"></div>
+    `;
+}
+
+/**
+ * Updates the toolbar labels and the r / r² / equation summary for a scatterplot
+ * @param {string} chartId - Canvas ID
+ */
+function renderRegressionStats(chartId) {
+    const view = scatterRegressionViews[chartId];
+    const statsDiv = document.getElementById(`regression-stats-${chartId}`);
+    if (!view || !statsDiv) return;
+
+    const lineButton = document.getElementById(`regression-line-btn-${chartId}`);
+    const residualButton = document.getElementById(`regression-residual-btn-${chartId}`);
+    if (lineButton) {
+        lineButton.textContent = view.showLine ? '📈 Hide LSRL' : '📈 Show LSRL';
+        lineButton.disabled = view.showResiduals;
+    }
+    if (residualButton) residualButton.textContent = view.showResiduals ? '↩ Back to scatterplot' : 'Residual plot';
+
+    if (!view.showLine && !view.showResiduals) {
+        statsDiv.innerHTML = '';
+        return;
+    }
+
+    const reg = view.regression;
+    statsDiv.innerHTML = `
+        <div class="regression-equation">${getRegressionEquation(reg)}</div>
+        <div>r = ${formatRegressionNumber(reg.r)} · r² = ${formatRegressionNumber(reg.rSquared)} · slope b = ${formatRegressionNumber(reg.slope)} · y-intercept a = ${formatRegressionNumber(reg.intercept)}</div>
+        ${view.showResiduals ? `<div>Residual = y − ŷ · s = ${formatRegressionNumber(reg.s)} (n = ${reg.n})</div>` : ''}
+    `;
+}
+
+/**
+ * Rebuilds a scatterplot's datasets and y axis for its current regression view
+ * @param {string} chartId - Canvas ID
+ */
+function applyRegressionView(chartId) {
+    const chart = chartInstances[chartId];
+    const view = scatterRegressionViews[chartId];
+    if (!chart || !view) return;
+
+    // Keep the points dataset; overlays are rebuilt for the current view
+    const pointsDataset = chart.data.datasets[0];
+    pointsDataset.data = view.showResiduals ? view.residualPoints : view.points;
+    const datasets = [pointsDataset];
+    const yScale = chart.options.scales.y;
+
+    if (view.showResiduals) {
+        datasets.push({
+            label: 'Reference Line y = 0',
+            type: 'line',
+            data: [{ x: view.minX, y: 0 }, { x: view.maxX, y: 0 }],
+            borderColor: '#CC0000',
+            borderDash: [6, 4],
+            borderWidth: 2,
+            fill: false,
+            pointRadius: 0,
+            order: 0
+        });
+        yScale.min = undefined;
+        yScale.max = undefined;
+        yScale.title.text = 'Residual';
+        yScale.ticks.stepSize = undefined;
+        yScale.ticks.callback = value => Number(value.toFixed(6));
+    } else {
+        if (view.showLine) {
+            datasets.push(buildRegressionLineDataset(view.regression, view.minX, view.maxX, view.config));
+        }
+        yScale.min = view.yScale.min;
+        yScale.max = view.yScale.max;
+        yScale.title.text = view.yScale.titleText;
+        yScale.ticks.stepSize = view.yScale.stepSize;
+        yScale.ticks.callback = view.yScale.callback;
+    }
+
+    chart.data.datasets = datasets;
+    chart.update();
+    renderRegressionStats(chartId);
+}
+
+/**
+ * Shows or hides the LSRL on a scatterplot
+ * @param {string} chartId - Canvas ID
+ */
+window.toggleRegressionLine = function(chartId) {
+    const view = scatterRegressionViews[chartId];
+    if (!view) return;
+    view.showLine = !view.showLine;
+    applyRegressionView(chartId);
+};
+
+/**
+ * Switches a scatterplot between the data and its residual plot
+ * @param {string} chartId - Canvas ID
+ */
+window.toggleResidualPlot = function(chartId) {
+    const view = scatterRegressionViews[chartId];
+    if (!view) return;
+    view.showResiduals = !view.showResiduals;
+    applyRegressionView(chartId);
+};
+
 function renderChart(chartData, questionId) {
     const chartId = `chart-${questionId}`;
     const config = chartData.chartConfig || {};
@@ -13,14 +547,20 @@ function renderChart(chartData, questionId) {
     // Allow a chart to request full horizontal space when rendered inside a "multiple-charts-container"
     const containerStyle = chartData.fullWidth ? 'style="flex:0 0 100%; max-width:100%; width:100%;"' : '';
 
+    // LSRL / residual toggles are opt-in: r, the slope and the residuals answer many scatterplot questions
+    const regression = chartData.chartType === 'scatter' && config.regressionTools === true && !config.referenceLineAtZero ?
+        computeRegression(chartData.points) : null;
+
     let chartHtml = `
         <div class="chart-container" ${containerStyle}>
             <div class="chart-title">${chartTitle}</div>
             ${config.description ? `<div style="font-size: 0.9em; color: #666; text-align: center; margin-bottom: 10px; font-style: italic;">${config.description}</div>` : 
 ''}
             <div class="chart-canvas">
-                <canvas id="${chartId}"></canvas>
+                <canvas id="${chartId}" role="img" aria-label="${escapeChartHtml(chartTitle)}" aria-describedby="${chartId}-summary"></canvas>
             </div>
+            ${regression ? renderRegressionToolbar(chartId) : ''}
+            ${renderChartAlternatives(chartData, chartId)}
         </div>
     `;
 
@@ -323,55 +863,22 @@ function renderChart(chartData, questionId) {
             const hasPointLabels = (chartData.points || []).some(pt => pt.label !== undefined);
 
             // --------------------------------------------------
-            // Optional regression line (least-squares)            <-- ADD
+            // Optional regression line (least-squares)
             // --------------------------------------------------
-            if (config.regressionLine) {
-                const pts = chartData.points || [];
-                if (Array.isArray(pts) && pts.length >= 2) {
-                    // Compute least-squares slope and intercept
-                    let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
-                    pts.forEach(p => {
-                        sumX += p.x;
-                        sumY += p.y;
-                        sumXY += p.x * p.y;
-                        sumXX += p.x * p.x;
-                    });
-                    const n = pts.length;
-                    const denominator = n * sumXX - sumX * sumX;
-                    if (denominator !== 0) {
-                        const slope = (n * sumXY - sumX * sumY) / denominator;
-                        const intercept = (sumY - slope * sumX) / n;
-
-                        // Determine the horizontal span for the line
-                        let minX = typeof xAxisConfig.min === 'number' ? xAxisConfig.min : undefined;
-                        let maxX = typeof xAxisConfig.max === 'number' ? xAxisConfig.max : undefined;
-                        if (minX === undefined || maxX === undefined) {
-                            const xs = pts.map(p => p.x);
-                            if (minX === undefined) minX = Math.min(...xs);
-                            if (maxX === undefined) maxX = Math.max(...xs);
-                        }
-
-                        // Style overrides (optional)
-                        const regColor = config.regressionLineColor || getTextColor();
-                        const regDash  = config.regressionLineDash  || [];
+            const pts = chartData.points || [];
+            const lineFit = regression || (config.regressionLine ? computeRegression(pts) : null);
+
+            // Determine the horizontal span for the line
+            let lineMinX = typeof xAxisConfig.min === 'number' ? xAxisConfig.min : undefined;
+            let lineMaxX = typeof xAxisConfig.max === 'number' ? xAxisConfig.max : undefined;
+            if (lineFit && (lineMinX === undefined || lineMaxX === undefined)) {
+                const xs = pts.map(p => p.x);
+                if (lineMinX === undefined) lineMinX = Math.min(...xs);
+                if (lineMaxX === undefined) lineMaxX = Math.max(...xs);
+            }
 
-                        datasets.push({
-                            label: 'Regression Line',
-                            type: 'line',
-                            data: [
-                                { x: minX, y: slope * minX + intercept },
-                                { x: maxX, y: slope * maxX + intercept }
-                            ],
-                            borderColor: regColor,
-                            borderDash: regDash,
-                            borderWidth: 2,
-                            fill: false,
-                            pointRadius: 0,
-                            tension: 0,
-                            order: 0
-                        });
-                    }
-                }
+            if (config.regressionLine && lineFit) {
+                datasets.push(buildRegressionLineDataset(lineFit, lineMinX, lineMaxX, config));
             }
 
             // --------------------------------------------------
@@ -509,6 +1016,29 @@ function renderChart(chartData, questionId) {
             });
             chartInstances[chartId] = chart;
 
+            // Remember the data and original y axis so the toolbar can switch to the residual plot and back
+            if (regression) {
+                const yScale = chart.options.scales.y;
+                scatterRegressionViews[chartId] = {
+                    points: pts,
+                    residualPoints: pts.map(p => ({ ...p, y: p.y - (regression.intercept + regression.slope * p.x) })),
+                    regression: regression,
+                    config: config,
+                    minX: lineMinX,
+                    maxX: lineMaxX,
+                    showLine: !!config.regressionLine,
+                    showResiduals: false,
+                    yScale: {
+                        min: yScale.min,
+                        max: yScale.max,
+                        titleText: yScale.title.text,
+                        stepSize: yScale.ticks.stepSize,
+                        callback: yScale.ticks.callback
+                    }
+                };
+                renderRegressionStats(chartId);
+            }
+
             // Add point label plugin AFTER chart creation to ensure meta is available
             if (false && (hasPointLabels || config.showPointLabels)) {
                 // Create inline plugin specific to this chart instance
@@ -578,7 +1108,7 @@ function renderChart(chartData, questionId) {
             }
 
             // Find max frequency for y-axis
-            const maxFrequency = Math.max(...Object.values(valueFrequency));
+            const maxFrequency = Math.max(0, ...Object.values(valueFrequency));
 
             // Allow caller to set dot radius (default 4)
             const dotRadius = (config.dotRadius !== undefined ? config.dotRadius : 4);
@@ -1119,45 +1649,34 @@ function renderChart(chartData, questionId) {
                 }]
             });
             chartInstances[chartId] = chart;
-        } else if (chartData.chartType === 'normal') {
+        } else if (chartData.chartType === 'normal' || chartData.chartType === 'tdist') {
             // --------------------------------------------------
-            // Normal distribution curve with optional shaded region
+            // Normal (or t) distribution curve with optional shaded region
             // --------------------------------------------------
+            const isT = chartData.chartType === 'tdist';
+            const df   = (typeof chartData.df === 'number' && chartData.df > 0) ? chartData.df : 1;
             const mean = (typeof chartData.mean === 'number') ? chartData.mean : 0;
             const sd   = (typeof chartData.sd   === 'number' && chartData.sd > 0) ? chartData.sd : 1;
-            const shade = chartData.shade || null; // {lower: number|null, upper: number|null}
+            const regions = getShadeRegions(chartData);
+            const markers = getCriticalValues(chartData);
 
             const config        = chartData.chartConfig || {};
             const xAxisConfig   = config.xAxis || {};
             const yAxisConfig   = config.yAxis || {};
 
-            const xMin = (typeof xAxisConfig.min === 'number') ? xAxisConfig.min : mean - 3 * sd;
-            const xMax = (typeof xAxisConfig.max === 'number') ? xAxisConfig.max : mean + 3 * sd;
-            const tickInterval = (typeof xAxisConfig.tickInterval === 'number') ? xAxisConfig.tickInterval : sd;
+            // t curves have heavier tails, so show a little more of them
+            const halfWidth = isT ? 4 : 3 * sd;
+            const xMin = (typeof xAxisConfig.min === 'number') ? xAxisConfig.min : mean - halfWidth;
+            const xMax = (typeof xAxisConfig.max === 'number') ? xAxisConfig.max : mean + halfWidth;
+            const tickInterval = (typeof xAxisConfig.tickInterval === 'number') ? xAxisConfig.tickInterval : (isT ? 1 : sd);
 
-            const pdf = (x) => (1 / (sd * Math.sqrt(2 * Math.PI))) * Math.exp(-0.5 * Math.pow((x - mean) / sd, 2));
+            const pdf = isT ? (x) => tPdf(x, df) : (x) => normalPdf(x, mean, sd);
 
-            const numPoints = 120;
-            const curvePoints = [];
-            const shadePoints = [];
-
-            const peakY = pdf(mean);
-
-            for (let i = 0; i <= numPoints; i++) {
-                const x = xMin + (i / numPoints) * (xMax - xMin);
-                const rawY = pdf(x);
-                const y = rawY / peakY; // scale
-                curvePoints.push({ x, y });
-
-                if (shade) {
-                    const inLower = (shade.lower == null) || (x >= shade.lower);
-                    const inUpper = (shade.upper == null) || (x <= shade.upper);
-                    shadePoints.push({ x, y: (inLower && inUpper) ? y : null });
-                }
-            }
+            // Scale so the peak sits at 1
+            const { curvePoints, shadePoints } = buildDensityPoints(pdf, xMin, xMax, 120, regions, 1 / pdf(isT ? 0 : mean));
 
             const datasets = [{
-                label: 'Normal Curve',
+                label: isT ? `t Curve (df = ${df})` : 'Normal Curve',
                 type: 'line',
                 data: curvePoints,
                 borderColor: getTextColor(),
@@ -1167,19 +1686,8 @@ function renderChart(chartData, questionId) {
                 tension: 0.15
             }];
 
-            if (shade) {
-                const shadeColor = isDarkMode() ? 'rgba(200,200,200,0.35)' : 'rgba(0,0,0,0.25)';
-                datasets.push({
-                    label: 'Shaded Region',
-                    type: 'line',
-                    data: shadePoints,
-                    borderColor: 'transparent',
-                    backgroundColor: shadeColor,
-                    fill: 'origin',
-                    pointRadius: 0,
-                    tension: 0.15,
-                    borderWidth: 0
-                });
+            if (regions.length > 0) {
+                datasets.push(createShadeDataset(shadePoints));
             }
 
             const chart = new Chart(ctx, {
@@ -1200,7 +1708,7 @@ function renderChart(chartData, questionId) {
                             },
                             title: {
                                 display: true,
-                                text: xAxisConfig.title || 'Value',
+                                text: xAxisConfig.title || (isT ? 't' : 'Value'),
                                 color: getTextColor()
                             },
                             grid: { display: false }
@@ -1218,8 +1726,10 @@ function renderChart(chartData, questionId) {
                             ticks: { display: false }
                         }
                     },
+                    layout: { padding: { top: markers.length > 0 ? 20 : 0 } },
                     plugins: { legend: { display: false }, datalabels: { display: false } }
-                }
+                },
+                plugins: markers.length > 0 ? [createCriticalValuePlugin(markers)] : []
             });
             chartInstances[chartId] = chart;
         } else if (chartData.chartType === 'chisquare') {
@@ -1241,51 +1751,20 @@ function renderChart(chartData, questionId) {
             const xMax = typeof xAxisConfig.max === 'number' ? xAxisConfig.max : Math.max(...dfList) * 3.5;
             const numPoints = cfg.numPoints || 120;
 
-            // Lightweight Lanczos approximation for Gamma function
-            function gamma(z) {
-                const p = [
-                    0.99999999999980993,
-                    676.5203681218851,
-                    -1259.1392167224028,
-                    771.32342877765313,
-                    -176.61502916214059,
-                    12.507343278686905,
-                    -0.13857109526572012,
-                    9.9843695780195716e-6,
-                    1.5056327351493116e-7
-                ];
-                const g = 7;
-                if (z < 0.5) {
-                    return Math.PI / (Math.sin(Math.PI * z) * gamma(1 - z));
-                }
-                z -= 1;
-                let x = p[0];
-                for (let i = 1; i < p.length; i++) {
-                    x += p[i] / (z + i);
-                }
-                const t = z + g + 0.5;
-                return Math.sqrt(2 * Math.PI) * Math.pow(t, z + 0.5) * Math.exp(-t) * x;
-            }
-
-            // Chi-square probability density function
-            function chiSquarePdf(x, k) {
-                if (x <= 0) return 0;
-                const coeff = 1 / (Math.pow(2, k / 2) * gamma(k / 2));
-                return coeff * Math.pow(x, k / 2 - 1) * Math.exp(-x / 2);
-            }
+            const regions = getShadeRegions(chartData);
+            const markers = getCriticalValues(chartData);
 
             const colorPalette = generateChartColors(dfList.length);
+            let shadePoints = [];
             const datasets = dfList.map((df, idx) => {
-                const pts = [];
-                for (let i = 0; i <= numPoints; i++) {
-                    const xVal = xMin + (i / numPoints) * (xMax - xMin);
-                    pts.push({ x: xVal, y: chiSquarePdf(xVal, df) });
-                }
+                // Shading (if any) sits under the first curve
+                const points = buildDensityPoints(x => chiSquarePdf(x, df), xMin, xMax, numPoints, idx === 0 ? regions : []);
+                if (idx === 0) shadePoints = points.shadePoints;
                 const color = colorPalette[idx % colorPalette.length] || '#36A2EB';
                 return {
                     label: labels[idx],
                     type: 'line',
-                    data: pts,
+                    data: points.curvePoints,
                     borderColor: color,
                     borderWidth: 2,
                     fill: false,
@@ -1294,6 +1773,10 @@ function renderChart(chartData, questionId) {
                 };
             });
 
+            if (regions.length > 0) {
+                datasets.push(createShadeDataset(shadePoints));
+            }
+
             // Grid line settings (reuse existing pattern)
             let showHorizontalGrid = true;
             let showVerticalGrid = false;
@@ -1352,14 +1835,141 @@ function renderChart(chartData, questionId) {
                     plugins: {
                         legend: {
                             display: dfList.length > 1,
-                            labels: { color: getTextColor() }
+                            labels: {
+                                color: getTextColor(),
+                                filter: item => item.text !== 'Shaded Region'
+                            }
                         },
                         datalabels: {
                             display: cfg.showPointLabels === true,
                             color: getTextColor()
                         }
-                    }
+                    },
+                    layout: { padding: { top: markers.length > 0 ? 20 : 0 } }
+                },
+                plugins: markers.length > 0 ? [createCriticalValuePlugin(markers)] : []
+            });
+            chartInstances[chartId] = chart;
+        } else if (chartData.chartType === 'binomial' || chartData.chartType === 'geometric' || chartData.chartType === 'sampling') {
+            // --------------------------------------------------
+            // Discrete and sampling distributions: probability bars on a linear axis,
+            // shaded bars inside chartConfig.shade and an optional normal curve on top
+            // --------------------------------------------------
+            const cfg = chartData.chartConfig || {};
+            const xAxisConfig = cfg.xAxis || {};
+            const yAxisConfig = cfg.yAxis || {};
+            const distribution = getDiscreteDistribution(chartData);
+
+            if (distribution.error) {
+                console.warn(`⚠️ Cannot draw ${chartData.chartType} chart for ${questionId}: ${distribution.error}`);
+                return;
+            }
+
+            const { bars, barWidth, normal } = distribution;
+            const regions = getShadeRegions(chartData);
+            const markers = getCriticalValues(chartData);
+
+            // Axis range: bars plus half a bar either side, or ±4 SD of the curve when there are no bars
+            let xMin = bars.length > 0 ? bars[0].x - barWidth / 2 : normal.mean - 4 * normal.sd;
+            let xMax = bars.length > 0 ? bars[bars.length - 1].x + barWidth / 2 : normal.mean + 4 * normal.sd;
+            if (typeof xAxisConfig.min === 'number') xMin = Math.min(xMin, xAxisConfig.min);
+            if (typeof xAxisConfig.max === 'number') xMax = Math.max(xMax, xAxisConfig.max);
+
+            const barColor = '#36A2EB';
+            const fadedColor = isDarkMode() ? 'rgba(54, 162, 235, 0.3)' : 'rgba(54, 162, 235, 0.25)';
+            const datasets = [];
+
+            if (bars.length > 0) {
+                datasets.push({
+                    label: distribution.label,
+                    type: 'bar',
+                    data: bars,
+                    backgroundColor: bars.map(bar =>
+                        regions.length === 0 || isInShadeRegions(bar.x, regions) ? barColor : fadedColor),
+                    borderColor: isDarkMode() ? '#1e1e1e' : '#ffffff',
+                    borderWidth: 1,
+                    barPercentage: 1,
+                    categoryPercentage: 1,
+                    order: 2
+                });
+            }
+
+            if (normal) {
+                // Scale the density by the bar width so the curve matches the bar probabilities
+                const { curvePoints, shadePoints } = buildDensityPoints(
+                    x => normalPdf(x, normal.mean, normal.sd), xMin, xMax, 160,
+                    bars.length === 0 ? regions : [], bars.length > 0 ? barWidth : 1);
+                datasets.push({
+                    label: `Normal approximation (mean = ${Number(normal.mean.toFixed(4))}, SD = ${Number(normal.sd.toFixed(4))})`,
+                    type: 'line',
+                    data: curvePoints,
+                    borderColor: getTextColor(),
+                    borderWidth: 2,
+                    fill: false,
+                    pointRadius: 0,
+                    tension: 0.15,
+                    order: 1
+                });
+                if (bars.length === 0 && regions.length > 0) {
+                    datasets.push(createShadeDataset(shadePoints));
                 }
+            }
+
+            const chart = new Chart(ctx, {
+                type: 'bar',
+                data: { datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        x: {
+                            type: 'linear',
+                            offset: false,
+                            min: xMin,
+                            max: xMax,
+                            title: {
+                                display: true,
+                                text: xAxisConfig.title || distribution.xTitle,
+                                color: getTextColor()
+                            },
+                            ticks: {
+                                stepSize: xAxisConfig.tickInterval || (chartData.chartType !== 'sampling' && xMax - xMin <= 30 ? 1 : undefined),
+                                color: getTextColor()
+                            },
+                            grid: { display: false }
+                        },
+                        y: {
+                            beginAtZero: true,
+                            display: bars.length > 0,
+                            title: {
+                                display: true,
+                                text: yAxisConfig.title || distribution.yTitle,
+                                color: getTextColor()
+                            },
+                            ticks: { color: getTextColor() },
+                            grid: { color: getGridColor() }
+                        }
+                    },
+                    layout: { padding: { top: markers.length > 0 ? 20 : 0 } },
+                    plugins: {
+                        legend: {
+                            display: !!normal && bars.length > 0,
+                            labels: {
+                                color: getTextColor(),
+                                filter: item => item.text !== 'Shaded Region'
+                            }
+                        },
+                        tooltip: {
+                            filter: item => item.dataset.type === 'bar',
+                            callbacks: {
+                                title: items => `x = ${Number(items[0].parsed.x.toFixed(4))}`,
+                                label: item => `${distribution.yTitle}: ${Number(item.parsed.y.toFixed(4))}`
+                            }
+                        },
+                        datalabels: { display: false }
+                    }
+                },
+                plugins: markers.length > 0 ? [createCriticalValuePlugin(markers)] : []
             });
             chartInstances[chartId] = chart;
         } else if (chartData.chartType === 'numberline') {
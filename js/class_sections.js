@@ -0,0 +1,250 @@
+// class_sections.js - Class sections (rosters) and section-scoped peer data
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (currentUsername, classData, appStorage)
+//               Requires functions from other modules (saveClassData, showMessage, resetSyncCursors,
+//               deltaSyncAnswers, renderUnitMenu)
+// This module handles "which class is this student in" - each student belongs to one section code
+// (e.g. P3), every answer they push carries it, and consensus, badges and peer sprites only count
+// classmates from the same section unless the teacher switches on the all-sections view.
+
+// ========================================
+// SECTION CODES
+// ========================================
+
+// Meta key for the teacher's all-sections view
+const SECTION_SCOPE_KEY = 'showAllSections';
+
+// Same character set the Railway server accepts in section:<code> topics
+const SECTION_CODE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Normalizes a section code typed by a student ("p3 " -> "P3")
+ * @param {string} code - Raw section code
+ * @returns {string|null} Uppercased code, or null if empty or invalid
+ */
+function normalizeSectionCode(code) {
+    if (typeof code !== 'string') return null;
+    const trimmed = code.trim().toUpperCase();
+    return SECTION_CODE_PATTERN.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Section a user belongs to, as last recorded in classData
+ * @param {string} username - Username
+ * @returns {string|null} Section code, or null if unknown
+ */
+function getUserSection(username) {
+    return classData?.users?.[username]?.section || null;
+}
+
+/**
+ * Section of the signed-in student
+ * @returns {string|null} Section code, or null if they have not joined one
+ */
+function getCurrentSection() {
+    return getUserSection(currentUsername);
+}
+
+/**
+ * Records the signed-in student's section and re-syncs so peer data matches the new scope
+ * @param {string} code - Section code
+ * @returns {string|null} The normalized code that was saved, or null if it was invalid
+ */
+function setCurrentSection(code) {
+    const section = normalizeSectionCode(code);
+    if (!section || !classData?.users?.[currentUsername]) return null;
+
+    const previous = getCurrentSection();
+    classData.users[currentUsername].section = section;
+    saveClassData();
+
+    if (previous !== section) {
+        console.log(`🏫 ${currentUsername} joined section ${section}`);
+        onSectionScopeChanged();
+    }
+    return section;
+}
+
+/**
+ * Records the sections carried by synced answer rows so peers can be scoped locally
+ * @param {Array} rows - Answer rows {username, section, ...}
+ * @returns {number} Number of users whose section changed
+ */
+function recordUserSections(rows) {
+    if (!classData || !classData.users || !Array.isArray(rows)) return 0;
+
+    let changed = 0;
+    rows.forEach(row => {
+        if (!row || !row.username || !row.section || row.username === currentUsername) return;
+
+        if (!classData.users[row.username]) {
+            classData.users[row.username] = { answers: {}, reasons: {}, timestamps: {}, attempts: {} };
+        }
+        if (classData.users[row.username].section !== row.section) {
+            classData.users[row.username].section = row.section;
+            changed++;
+        }
+    });
+
+    if (changed > 0) {
+        saveClassData();
+    }
+    return changed;
+}
+
+// ========================================
+// SCOPING
+// ========================================
+
+/**
+ * Whether the teacher's all-sections view is switched on
+ * @returns {boolean} True if peers from every section are shown
+ */
+function isAllSectionsView() {
+    return appStorage.getMeta(SECTION_SCOPE_KEY) === true;
+}
+
+/**
+ * Section that peer data is limited to right now
+ * @returns {string|null} Section code, or null when every section is in scope
+ */
+function getSectionFilter() {
+    if (isAllSectionsView()) return null;
+    return getCurrentSection();
+}
+
+/**
+ * Whether a user's answers count towards the current student's consensus, badges and sprites.
+ * Peers with no recorded section are left out once the student has joined a section.
+ * @param {string} username - Username
+ * @returns {boolean} True if the user is in scope
+ */
+function isUserInScope(username) {
+    if (username === currentUsername) return true;
+    const filter = getSectionFilter();
+    return !filter || getUserSection(username) === filter;
+}
+
+/**
+ * Usernames in classData that are in scope for the current student
+ * @returns {Array<string>} Usernames (including the current student)
+ */
+function getScopedUsernames() {
+    if (!classData || !classData.users) return [];
+    return Object.keys(classData.users).filter(isUserInScope);
+}
+
+/**
+ * Switches the teacher's all-sections view on or off
+ * Exposed to window for onclick handlers
+ * @param {boolean} enabled - Show peers from every section
+ */
+window.setAllSectionsView = function(enabled) {
+    appStorage.setMeta(SECTION_SCOPE_KEY, !!enabled);
+    console.log(`🏫 Peer data scope: ${enabled ? 'all sections' : (getCurrentSection() || 'no section')}`);
+    onSectionScopeChanged();
+    showMessage(enabled ? 'Showing answers from all sections.' : 'Showing answers from your section only.', 'info');
+}
+
+/**
+ * Re-pulls peer data for the new scope and redraws the section UI
+ */
+function onSectionScopeChanged() {
+    // The server filters by section, so a new scope needs a full pull
+    if (typeof resetSyncCursors === 'function') {
+        resetSyncCursors();
+    }
+    if (typeof deltaSyncAnswers === 'function') {
+        deltaSyncAnswers();
+    }
+
+    updateSectionDisplay();
+}
+
+// ========================================
+// SECTION UI
+// ========================================
+
+/**
+ * Builds the unit-menu banner that shows (or asks for) the student's section
+ * @returns {string} HTML string
+ */
+function renderSectionBanner() {
+    const section = getCurrentSection();
+
+    if (!section) {
+        return `
+            <div class="section-banner missing">
+                <div>
+                    <strong>🏫 Join your class section</strong>
+                    <span>Enter the code your teacher gave you to see your classmates' answers.</span>
+                </div>
+                <div class="section-banner-form">
+                    <input type="text" id="sectionBannerInput" class="section-code-input" placeholder="e.g. P3" maxlength="64">
+                    <button class="action-button primary" onclick="joinSectionFromBanner()">Join</button>
+                </div>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="section-banner">
+            <div>
+                <strong>🏫 Section ${section}</strong>
+                <span>${isAllSectionsView() ? 'Showing answers from all sections' : 'Showing answers from your section'}</span>
+            </div>
+            <button class="action-button secondary" onclick="changeSection()">Change Section</button>
+        </div>
+    `;
+}
+
+/**
+ * Joins the section typed into the unit-menu banner
+ * Exposed to window for onclick handlers
+ */
+window.joinSectionFromBanner = function() {
+    const input = document.getElementById('sectionBannerInput');
+    const section = setCurrentSection(input ? input.value : '');
+
+    if (!section) {
+        showMessage('Section codes use letters, numbers, - and _ only.', 'error');
+        return;
+    }
+
+    showMessage(`Joined section ${section}!`, 'success');
+    renderUnitMenu();
+}
+
+/**
+ * Prompts for a new section code
+ * Exposed to window for onclick handlers
+ */
+window.changeSection = function() {
+    const code = prompt('Enter your class section code:', getCurrentSection() || '');
+    if (code === null) return;
+
+    const section = setCurrentSection(code);
+    if (!section) {
+        showMessage('Section codes use letters, numbers, - and _ only.', 'error');
+        return;
+    }
+
+    showMessage(`You are now in section ${section}.`, 'success');
+    renderUnitMenu();
+}
+
+/**
+ * Syncs the section label in the welcome banner and the teacher toggle with the saved state
+ */
+function updateSectionDisplay() {
+    const label = document.getElementById('currentSectionLabel');
+    if (label) {
+        const section = getCurrentSection();
+        label.textContent = section ? `Section ${section}` : '';
+    }
+
+    const toggle = document.getElementById('allSectionsToggle');
+    if (toggle) {
+        toggle.checked = isAllSectionsView();
+    }
+}
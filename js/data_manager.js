@@ -1,7 +1,9 @@
 // data_manager.js - Data management, import/export, and storage functions
 // Part of AP Statistics Consensus Quiz
-// Dependencies: Requires global variables (currentUsername, classData, allCurriculumData)
-//               Requires functions from other modules (showMessage, renderUnitMenu, detectUnitAndLessons)
+// Dependencies: Requires global variables (currentUsername, classData, allCurriculumData, appStorage)
+//               Requires functions from other modules (showMessage, renderUnitMenu, detectUnitAndLessons,
+//               createExportEnvelope, normalizeLegacyUser, upgradeLegacyExport, validateExportData,
+//               isSameAnswerValue, recordAnswerConflict, notifyAnswerConflicts from sync_conflicts.js)
 // This module handles "what is their data" - import, export, merging, and persistence
 
 // ========================================
@@ -9,12 +11,11 @@
 // ========================================
 
 /**
- * Initializes or loads class data structure from localStorage
+ * Initializes or loads class data structure from storage
  * Creates user entry if it doesn't exist for current username
  */
 function initClassData() {
-    let classDataStr = localStorage.getItem('classData');
-    classData = classDataStr ? JSON.parse(classDataStr) : {users: {}};
+    classData = appStorage.loadClassData();
 
     if (!classData.users[currentUsername]) {
         classData.users[currentUsername] = {
@@ -45,15 +46,10 @@ function initClassData() {
 }
 
 /**
- * Saves class data to localStorage with error handling
+ * Saves class data to storage. Only changed records are written; a full disk is reported by storage.js.
  */
 function saveClassData() {
-    try {
-        localStorage.setItem('classData', JSON.stringify(classData));
-    } catch(e) {
-        console.log("Storage quota exceeded");
-        showMessage("Warning: Local storage is full. Some data may not be saved.", 'error');
-    }
+    appStorage.saveClassData(classData);
 }
 
 /**
@@ -65,17 +61,16 @@ function initializeProgressTracking() {
 
     // Set session start time
     const now = new Date().toISOString();
-    localStorage.setItem(`sessionStart_${currentUsername}`, now);
+    appStorage.setMeta(`sessionStart_${currentUsername}`, now);
 
     // Clear any previous temporary progress markers
-    localStorage.removeItem(`tempProgress_${currentUsername}`);
+    appStorage.removeMeta(`tempProgress_${currentUsername}`);
 
     console.log(`Progress tracking initialized for ${currentUsername} at ${now}`);
 
     // Check for import debug info from before page refresh
-    const importDebug = localStorage.getItem('import_debug');
-    if (importDebug) {
-        const debugInfo = JSON.parse(importDebug);
+    const debugInfo = appStorage.getMeta('import_debug');
+    if (debugInfo) {
         console.log('=== IMPORT DEBUG INFO (from before refresh) ===');
         console.log('Data keys:', debugInfo.dataKeys);
         console.log('Is personal file:', debugInfo.isPersonal);
@@ -84,35 +79,33 @@ function initializeProgressTracking() {
         console.log('=== END IMPORT DEBUG ===');
 
         // Clear the debug info
-        localStorage.removeItem('import_debug');
+        appStorage.removeMeta('import_debug');
     }
 
     // Check for pending imports from before page refresh
-    const pendingMaster = localStorage.getItem('pending_master_import');
-    const pendingPersonal = localStorage.getItem('pending_personal_import');
+    const pendingMaster = appStorage.getMeta('pending_master_import');
+    const pendingPersonal = appStorage.getMeta('pending_personal_import');
 
     if (pendingMaster) {
         console.log('Processing pending master import...');
         try {
-            const data = JSON.parse(pendingMaster);
-            importMasterData(data);
+            importMasterData(pendingMaster);
             console.log('✅ Master import completed after refresh');
         } catch (error) {
             console.error('Error processing pending master import:', error);
         }
-        localStorage.removeItem('pending_master_import');
+        appStorage.removeMeta('pending_master_import');
     }
 
     if (pendingPersonal) {
         console.log('Processing pending personal import...');
         try {
-            const data = JSON.parse(pendingPersonal);
-            importPersonalData(data);
+            importPersonalData(pendingPersonal);
             console.log('✅ Personal import completed after refresh');
         } catch (error) {
             console.error('Error processing pending personal import:', error);
         }
-        localStorage.removeItem('pending_personal_import');
+        appStorage.removeMeta('pending_personal_import');
     }
 }
 
@@ -164,13 +157,12 @@ function initializeFromEmbeddedData() {
  * Exposed to window for onclick handlers
  */
 window.exportPersonal = function() {
-    const personalData = {
-        exportTime: new Date().toISOString(),
+    const personalData = createExportEnvelope('personal', {
         username: currentUsername,
         users: {
-            [currentUsername]: classData.users[currentUsername]
+            [currentUsername]: normalizeLegacyUser(classData.users[currentUsername], Date.now())
         }
-    };
+    });
 
     const blob = new Blob([JSON.stringify(personalData, null, 2)], {type: 'application/json'});
     const url = URL.createObjectURL(blob);
@@ -190,48 +182,37 @@ window.exportPersonal = function() {
  * Exposed to window for onclick handlers
  */
 window.exportMasterData = function() {
-    // Get ALL data from localStorage, not filtered by user
+    // Get ALL data from storage, not filtered by user
     const masterData = {
         timestamp: new Date().toISOString(),
         exportType: 'master_database',
-        allUsers: Object.keys(localStorage)
-            .filter(key => key.includes('_username') || key.includes('answers_'))
-            .map(key => key.split('_')[1])
-            .filter((v, i, a) => a.indexOf(v) === i), // unique usernames
+        allUsers: appStorage.getUsernames(),
 
         // Get all class data without filtering
-        classData: JSON.parse(localStorage.getItem('classData') || '{}'),
+        classData: appStorage.loadClassData(),
 
         // Get all answers from all users
-        allAnswers: {},
+        allAnswers: appStorage.getAllUserData('answers'),
 
         // Get all progress from all users
-        allProgress: {},
+        allProgress: appStorage.getAllUserData('progress'),
 
         // Get any other data structures you have
-        consensusData: JSON.parse(localStorage.getItem('consensusResponses') || '{}'),
+        consensusData: appStorage.getMeta('consensusResponses', {}),
 
-        // Include raw localStorage for complete backup
-        rawLocalStorage: {}
+        // Legacy key layout, so older copies of the app can still restore the backup
+        rawLocalStorage: appStorage.exportLegacyEntries()
     };
 
-    // Collect all answers for all users
-    Object.keys(localStorage).forEach(key => {
-        if (key.startsWith('answers_')) {
-            const username = key.replace('answers_', '');
-            masterData.allAnswers[username] = JSON.parse(localStorage.getItem(key) || '{}');
-        }
-        if (key.startsWith('progress_')) {
-            const username = key.replace('progress_', '');
-            masterData.allProgress[username] = JSON.parse(localStorage.getItem(key) || '{}');
-        }
-
-        // Store everything in raw format too
-        masterData.rawLocalStorage[key] = localStorage.getItem(key);
-    });
+    // Wrap in the versioned envelope (merges allAnswers/allProgress into per-user records)
+    const envelope = upgradeLegacyExport(masterData).envelope;
+    const problems = validateExportData(envelope).errors;
+    if (problems.length > 0) {
+        console.warn('⚠️ Master export contains malformed fields:', problems);
+    }
 
     // Create and download the file
-    const blob = new Blob([JSON.stringify(masterData, null, 2)], { type: 'application/json' });
+    const blob = new Blob([JSON.stringify(envelope, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -281,11 +262,15 @@ function migrateAnswersToStandardFormat(answers) {
  * Merges two user data objects with non-destructive timestamp-based logic.
  * This function implements the approved merge rules for handling multiple personal backup imports.
  *
+ * When the username is given, answers that differ between the two copies are also recorded as conflicts
+ * for the student to resolve (the newer copy is still what the merge returns).
+ *
  * @param {Object} existingUserData - The current user's data from classData.users[username]
  * @param {Object} newUserData - The incoming user data from an imported file
+ * @param {string} username - Owner of both copies (optional)
  * @returns {Object} The merged user data object with the most recent/relevant information
  */
-function mergePersonalData(existingUserData, newUserData) {
+function mergePersonalData(existingUserData, newUserData, username) {
     try {
         console.log('=== Starting mergePersonalData ===');
 
@@ -324,6 +309,7 @@ function mergePersonalData(existingUserData, newUserData) {
         // 2. Merge Answers, Timestamps, and Reasons
         console.log('Merging answers based on timestamps...');
         let answersUpdated = 0;
+        let conflictsFound = 0;
 
         for (const questionId in newUserData.answers) {
             try {
@@ -351,6 +337,19 @@ function mergePersonalData(existingUserData, newUserData) {
                 newTimestamp = Number(newTimestamp) || 0;
                 existingTimestamp = Number(existingTimestamp) || 0;
 
+                // Both copies exist and disagree: whichever wins below, keep the other for the student to choose
+                if (username && existingAnswer && newTimestamp !== existingTimestamp) {
+                    const existingValue = typeof existingAnswer === 'object' && 'value' in existingAnswer ? existingAnswer.value : existingAnswer;
+                    const newValue = newAnswer && typeof newAnswer === 'object' && 'value' in newAnswer ? newAnswer.value : newAnswer;
+
+                    if (!isSameAnswerValue(existingValue, newValue)) {
+                        recordAnswerConflict(username, questionId, 'import',
+                            { value: existingValue, reason: mergedUserData.reasons[questionId] ?? null, timestamp: existingTimestamp },
+                            { value: newValue, reason: newUserData.reasons[questionId] ?? null, timestamp: newTimestamp });
+                        conflictsFound++;
+                    }
+                }
+
                 // Rule: If new answer is more recent (or no existing answer), update all related fields
                 if (!existingAnswer || newTimestamp > existingTimestamp) {
                     mergedUserData.answers[questionId] = newAnswer;
@@ -375,6 +374,9 @@ function mergePersonalData(existingUserData, newUserData) {
         }
 
         console.log(`Updated ${answersUpdated} answers based on timestamps`);
+        if (conflictsFound > 0) {
+            notifyAnswerConflicts(conflictsFound);
+        }
 
         // 3. Merge Attempts
         console.log('Merging attempt counts...');
@@ -447,7 +449,63 @@ function mergePersonalData(existingUserData, newUserData) {
             }
         }
 
-        // 6. Merge Preferences (use most recent)
+        // 6. Merge peer rubric scores given by this user (newer timestamp wins per response)
+        if (newUserData.rubricScores) {
+            mergedUserData.rubricScores = mergedUserData.rubricScores || {};
+
+            for (const questionId in newUserData.rubricScores) {
+                mergedUserData.rubricScores[questionId] = mergedUserData.rubricScores[questionId] || {};
+
+                for (const author in newUserData.rubricScores[questionId]) {
+                    const incoming = newUserData.rubricScores[questionId][author];
+                    const current = mergedUserData.rubricScores[questionId][author];
+
+                    if (!current || (Number(incoming.timestamp) || 0) > (Number(current.timestamp) || 0)) {
+                        mergedUserData.rubricScores[questionId][author] = incoming;
+                    }
+                }
+            }
+        }
+
+        // 7. Merge spaced-repetition review state (most recently reviewed wins)
+        if (newUserData.reviews) {
+            mergedUserData.reviews = mergedUserData.reviews || {};
+
+            for (const questionId in newUserData.reviews) {
+                const incoming = newUserData.reviews[questionId];
+                const current = mergedUserData.reviews[questionId];
+
+                if (!current || (Number(incoming.lastReviewed) || 0) > (Number(current.lastReviewed) || 0)) {
+                    mergedUserData.reviews[questionId] = incoming;
+                }
+            }
+        }
+
+        // 8. Merge student-drawn FRQ graphs (newer timestamp wins per part)
+        if (newUserData.graphs) {
+            mergedUserData.graphs = mergedUserData.graphs || {};
+
+            for (const questionId in newUserData.graphs) {
+                mergedUserData.graphs[questionId] = mergedUserData.graphs[questionId] || {};
+
+                for (const partId in newUserData.graphs[questionId]) {
+                    const incoming = newUserData.graphs[questionId][partId];
+                    const current = mergedUserData.graphs[questionId][partId];
+
+                    if (!current || (Number(incoming.timestamp) || 0) > (Number(current.timestamp) || 0)) {
+                        mergedUserData.graphs[questionId][partId] = incoming;
+                    }
+                }
+            }
+        }
+
+        // 9. Keep the known class section; a backup only fills it in when it is missing
+        if (!mergedUserData.section && newUserData.section) {
+            mergedUserData.section = newUserData.section;
+            console.log(`Restored class section ${newUserData.section}`);
+        }
+
+        // 10. Merge Preferences (use most recent)
         if (newUserData.preferences) {
             // For preferences, we'll take the entire new preferences object if it exists
             // as preferences are typically set as a complete unit
@@ -487,13 +545,13 @@ function importPersonalData(data) {
     // Import answers with standardization
     if (data.answers) {
         const standardizedAnswers = migrateAnswersToStandardFormat(data.answers);
-        localStorage.setItem(`answers_${currentUsername}`, JSON.stringify(standardizedAnswers));
+        appStorage.putUserData(currentUsername, 'answers', standardizedAnswers);
         console.log(`✓ Imported personal answers for ${currentUsername} (standardized format)`);
     }
 
     // Import progress
     if (data.progress) {
-        localStorage.setItem(`progress_${currentUsername}`, JSON.stringify(data.progress));
+        appStorage.putUserData(currentUsername, 'progress', data.progress);
     }
 
     // Reinitialize to show imported data
@@ -548,23 +606,23 @@ function importMasterData(data, targetUsername = null) {
                 if (userInfo.answers) {
                     // STANDARDIZATION FIX: Use migration function for consistency
                     const standardizedAnswers = migrateAnswersToStandardFormat(userInfo.answers);
-                    localStorage.setItem(`answers_${targetUsername}`, JSON.stringify(standardizedAnswers));
+                    appStorage.putUserData(targetUsername, 'answers', standardizedAnswers);
                     console.log(`✓ Restored answers for ${targetUsername} (standardized format)`);
                 }
                 if (userInfo.progress) {
-                    localStorage.setItem(`progress_${targetUsername}`, JSON.stringify(userInfo.progress));
+                    appStorage.putUserData(targetUsername, 'progress', userInfo.progress);
                     console.log(`✓ Restored progress for ${targetUsername}`);
                 }
                 if (userInfo.reasons) {
-                    localStorage.setItem(`reasons_${targetUsername}`, JSON.stringify(userInfo.reasons));
+                    appStorage.putUserData(targetUsername, 'reasons', userInfo.reasons);
                     console.log(`✓ Restored reasons for ${targetUsername}`);
                 }
                 if (userInfo.timestamps) {
-                    localStorage.setItem(`timestamps_${targetUsername}`, JSON.stringify(userInfo.timestamps));
+                    appStorage.putUserData(targetUsername, 'timestamps', userInfo.timestamps);
                     console.log(`✓ Restored timestamps for ${targetUsername}`);
                 }
                 if (userInfo.attempts) {
-                    localStorage.setItem(`attempts_${targetUsername}`, JSON.stringify(userInfo.attempts));
+                    appStorage.putUserData(targetUsername, 'attempts', userInfo.attempts);
                     console.log(`✓ Restored attempts for ${targetUsername}`);
                 }
 
@@ -577,7 +635,7 @@ function importMasterData(data, targetUsername = null) {
             console.log('Student usernames:', Object.keys(userData));
 
             // Get or create classData structure for peer display
-            const classData = JSON.parse(localStorage.getItem('classData') || '{}');
+            const classData = appStorage.loadClassData();
             if (!classData.users) classData.users = {};
 
             Object.entries(userData).forEach(([username, userInfo]) => {
@@ -587,10 +645,9 @@ function importMasterData(data, targetUsername = null) {
                     // STANDARDIZATION FIX: Use migration function for consistency
                     const standardizedAnswers = migrateAnswersToStandardFormat(userInfo.answers);
 
-                    // Store individual keys (for existing functionality)
-                    const key = `answers_${username}`;
-                    localStorage.setItem(key, JSON.stringify(standardizedAnswers));
-                    console.log(`✓ Stored answers for ${username} in ${key} (standardized format)`);
+                    // Store in the answers store (for existing functionality)
+                    appStorage.putUserData(username, 'answers', standardizedAnswers);
+                    console.log(`✓ Stored answers for ${username} (standardized format)`);
 
                     // ALSO store in classData structure (for peer display)
                     if (!classData.users[username]) {
@@ -603,27 +660,26 @@ function importMasterData(data, targetUsername = null) {
                 }
 
                 if (userInfo.progress) {
-                    const key = `progress_${username}`;
-                    localStorage.setItem(key, JSON.stringify(userInfo.progress));
-                    console.log(`✓ Stored progress for ${username} in ${key}`);
+                    appStorage.putUserData(username, 'progress', userInfo.progress);
+                    console.log(`✓ Stored progress for ${username}`);
                 }
 
                 if (userInfo.reasons) {
-                    localStorage.setItem(`reasons_${username}`, JSON.stringify(userInfo.reasons));
+                    appStorage.putUserData(username, 'reasons', userInfo.reasons);
                     if (classData.users[username]) {
                         Object.assign(classData.users[username].reasons, userInfo.reasons);
                     }
                 }
 
                 if (userInfo.timestamps) {
-                    localStorage.setItem(`timestamps_${username}`, JSON.stringify(userInfo.timestamps));
+                    appStorage.putUserData(username, 'timestamps', userInfo.timestamps);
                     if (classData.users[username]) {
                         Object.assign(classData.users[username].timestamps, userInfo.timestamps);
                     }
                 }
 
                 if (userInfo.attempts) {
-                    localStorage.setItem(`attempts_${username}`, JSON.stringify(userInfo.attempts));
+                    appStorage.putUserData(username, 'attempts', userInfo.attempts);
                     if (classData.users[username]) {
                         Object.assign(classData.users[username].attempts, userInfo.attempts);
                     }
@@ -631,7 +687,7 @@ function importMasterData(data, targetUsername = null) {
             });
 
             // Save the updated classData structure
-            localStorage.setItem('classData', JSON.stringify(classData));
+            appStorage.saveClassData(classData);
             console.log(`✓ Updated classData with ${Object.keys(classData.users).length} users`);
 
             // CRITICAL: Refresh the global classData variable
@@ -0,0 +1,402 @@
+// delta_sync.js - Cursor-based delta sync of answers with Supabase or the Railway server
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (supabase, turboModeActive, currentUsername, lastPeerDataTimestamp,
+//               appStorage, USE_RAILWAY and RAILWAY_SERVER_URL from railway_client.js)
+//               Requires functions from other modules (batchPushAnswersToSupabase, batchSubmitViaRailway,
+//               flushOutbox from sync_outbox.js, recordSyncConflicts from sync_conflicts.js,
+//               updatePeerDataTimestamp, applyLivePeerAnswers, getSectionFilter, getUserSection, recordUserSections)
+// This module handles "what changed since last time" - each sync pulls only rows written after a per-source
+// high-water mark and pushes only answers that changed locally, through the outbox in sync_outbox.js.
+// The high-water mark is the server-assigned updated_at column, never the client-set answer timestamp:
+// an answer made offline and uploaded later keeps its old timestamp but still gets a fresh updated_at.
+
+// ========================================
+// CURSORS AND DIRTY TRACKING
+// ========================================
+
+// Meta keys (dirty answers live in the syncQueue store as {"username::questionId": answerTimestamp})
+const SYNC_CURSORS_KEY = 'syncCursors';          // {supabase: 1727712000000, railway: ..., 'supabase:reasons': ...}
+const SYNC_SUMMARY_KEY = 'lastSyncSummary';
+
+// Supabase returns at most 1000 rows per request
+const DELTA_PULL_PAGE_SIZE = 1000;
+
+// Re-pull this far behind the cursor: updated_at is stamped when a write starts, so a slow transaction
+// can commit after a faster one with a later stamp. Merging a row twice is harmless.
+const DELTA_CURSOR_OVERLAP_MS = 5000;
+
+// A sync already in flight; concurrent callers share it
+let deltaSyncPromise = null;
+
+/**
+ * Which backend answers sync through right now
+ * @returns {string} 'railway' or 'supabase'
+ */
+function getActiveSyncSource() {
+    return typeof USE_RAILWAY !== 'undefined' && USE_RAILWAY ? 'railway' : 'supabase';
+}
+
+/**
+ * Reads the high-water mark for a source
+ * @param {string} source - 'supabase' or 'railway'
+ * @returns {number} Server updated_at of the newest row already pulled (0 = never synced)
+ */
+function getSyncCursor(source) {
+    const cursors = appStorage.getMeta(SYNC_CURSORS_KEY, {});
+    return cursors[source] || 0;
+}
+
+/**
+ * Advances the high-water mark for a source (never moves it backwards)
+ * @param {string} source - 'supabase' or 'railway'
+ * @param {number} timestamp - Newest row updated_at seen
+ */
+function setSyncCursor(source, timestamp) {
+    const cursors = appStorage.getMeta(SYNC_CURSORS_KEY, {});
+    if (!cursors[source] || timestamp > cursors[source]) {
+        cursors[source] = timestamp;
+        appStorage.setMeta(SYNC_CURSORS_KEY, cursors);
+    }
+}
+
+/**
+ * Clears every cursor so the next sync does a full pull and re-checks all local answers.
+ * Called after imports, which can bring in answers the cloud has never seen.
+ */
+function resetSyncCursors() {
+    appStorage.removeMeta(SYNC_CURSORS_KEY);
+    console.log('🔄 Sync cursors reset - next sync will be a full comparison');
+}
+
+/**
+ * Marks a locally saved answer as needing upload
+ * @param {string} username - Answer owner
+ * @param {string} questionId - Question ID
+ * @param {number} timestamp - Answer timestamp (ms)
+ */
+function markAnswerDirty(username, questionId, timestamp) {
+    appStorage.queueSync(`${username}::${questionId}`, timestamp);
+}
+
+/**
+ * Clears an answer's dirty mark after it was pushed outside a delta sync,
+ * unless it has been changed again since
+ * @param {string} username - Answer owner
+ * @param {string} questionId - Question ID
+ * @param {number} timestamp - Timestamp of the copy that was pushed
+ */
+function clearAnswerDirty(username, questionId, timestamp) {
+    appStorage.dequeueSync(`${username}::${questionId}`, timestamp);
+}
+
+/**
+ * Number of the signed-in student's answers waiting to be pushed (the outbox sends no one else's)
+ * @returns {number} Dirty answer count
+ */
+function getDirtyAnswerCount() {
+    return Object.keys(appStorage.getSyncQueue()).filter(key => key.startsWith(`${currentUsername}::`)).length;
+}
+
+// ========================================
+// LOCAL ANSWER ACCESS
+// ========================================
+
+/**
+ * Normalizes a stored timestamp (number, numeric string or ISO string) to milliseconds
+ * @param {*} timestamp - Stored timestamp
+ * @returns {number} Milliseconds (0 if missing)
+ */
+function toSyncTimestamp(timestamp) {
+    if (typeof timestamp === 'number') return timestamp;
+    if (typeof timestamp === 'string') {
+        const numeric = Number(timestamp);
+        if (!isNaN(numeric)) return numeric;
+        const parsed = new Date(timestamp).getTime();
+        return isNaN(parsed) ? 0 : parsed;
+    }
+    return 0;
+}
+
+/**
+ * Collects every local answer from the answers store, skipping empty values
+ * @returns {Object} username -> questionId -> {value, timestamp}
+ */
+function collectLocalAnswers() {
+    const local = {};
+
+    const addAnswer = (username, questionId, answerData) => {
+        const value = answerData && answerData.value !== undefined ? answerData.value : answerData;
+        if (value === undefined || value === null || value === '') return;
+
+        const timestamp = toSyncTimestamp(answerData?.timestamp);
+        if (!local[username]) local[username] = {};
+        const existing = local[username][questionId];
+        if (!existing || timestamp > existing.timestamp) {
+            local[username][questionId] = { value: value, timestamp: timestamp };
+        }
+    };
+
+    Object.entries(appStorage.getAllUserData('answers')).forEach(([username, answers]) => {
+        Object.entries(answers).forEach(([questionId, answerData]) => addAnswer(username, questionId, answerData));
+    });
+
+    return local;
+}
+
+/**
+ * Merges pulled rows into the answers store, keeping the newer copy
+ * @param {Array} rows - Answer rows {username, question_id, answer_value, timestamp}
+ * @returns {number} Number of local answers created or replaced
+ */
+function mergeAnswerRows(rows) {
+    const byUser = {};
+    rows.forEach(row => {
+        if (!byUser[row.username]) byUser[row.username] = [];
+        byUser[row.username].push(row);
+    });
+
+    let merged = 0;
+    Object.entries(byUser).forEach(([username, userRows]) => {
+        const existing = appStorage.getUserData(username, 'answers');
+        const incoming = {};
+
+        userRows.forEach(row => {
+            const timestamp = toSyncTimestamp(row.timestamp);
+            const current = incoming[row.question_id] || existing[row.question_id];
+            if (!current || timestamp > toSyncTimestamp(current.timestamp)) {
+                if (!incoming[row.question_id]) merged++;
+                incoming[row.question_id] = { value: row.answer_value, timestamp: timestamp };
+            }
+        });
+
+        appStorage.putUserData(username, 'answers', incoming);
+    });
+
+    return merged;
+}
+
+// ========================================
+// SOURCE ADAPTERS
+// ========================================
+
+/**
+ * Pulls answer rows written after `since` directly from Supabase, paging past the row limit
+ * @param {number} since - Server updated_at to pull after (0 = everything)
+ * @param {string|null} section - Only rows from this section (null = every section)
+ * @returns {Promise<Array>} Answer rows, oldest write first
+ */
+async function fetchAnswerDeltaFromSupabase(since, section) {
+    const rows = [];
+
+    for (let from = 0; ; from += DELTA_PULL_PAGE_SIZE) {
+        let query = supabase
+            .from('answers')
+            .select('username, question_id, answer_value, timestamp, section, updated_at')
+            .order('updated_at', { ascending: true })
+            .range(from, from + DELTA_PULL_PAGE_SIZE - 1);
+
+        if (since > 0) {
+            query = query.gt('updated_at', since);
+        }
+        if (section) {
+            query = query.eq('section', section);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        rows.push(...data);
+        if (data.length < DELTA_PULL_PAGE_SIZE) break;
+    }
+
+    return rows;
+}
+
+/**
+ * Pulls answer rows written after `since` through the Railway /api/peer-data?since= endpoint
+ * @param {number} since - Server updated_at to pull after (0 = everything)
+ * @param {string|null} section - Only rows from this section (null = every section)
+ * @returns {Promise<Array>} Answer rows
+ */
+async function fetchAnswerDeltaFromRailway(since, section) {
+    const params = new URLSearchParams();
+    if (since > 0) params.set('since', since);
+    if (section) params.set('section', section);
+
+    const query = params.toString();
+    const response = await fetch(`${RAILWAY_SERVER_URL}/api/peer-data${query ? `?${query}` : ''}`);
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.error || `Railway returned ${response.status}`);
+    }
+
+    return result.data;
+}
+
+/**
+ * Uploads one batch of answers through the given source
+ * @param {string} source - 'supabase' or 'railway'
+ * @param {Array} batch - Answer rows
+ * @returns {Promise<number>} Rows written (0 on failure)
+ */
+function pushAnswerBatch(source, batch) {
+    return source === 'railway'
+        ? batchSubmitViaRailway(batch)
+        : batchPushAnswersToSupabase(batch);
+}
+
+// ========================================
+// DELTA SYNC
+// ========================================
+
+/**
+ * Runs one delta sync: pull rows past the cursor, merge them, then push dirty answers through the outbox.
+ * The first sync for a source (no cursor) pulls everything and marks any of the student's local
+ * answers the cloud is missing or has an older copy of as dirty, so nothing is lost on first connect.
+ * @returns {Promise<Object|null>} Sync summary, or null when offline
+ */
+function deltaSyncAnswers() {
+    if (!turboModeActive || !supabase) return Promise.resolve(null);
+
+    // Share an in-flight sync instead of starting a second one
+    if (!deltaSyncPromise) {
+        deltaSyncPromise = runDeltaSync().finally(() => {
+            deltaSyncPromise = null;
+        });
+    }
+    return deltaSyncPromise;
+}
+
+async function runDeltaSync() {
+    const startedAt = Date.now();
+    const source = getActiveSyncSource();
+    const since = getSyncCursor(source);
+    const section = getSectionFilter();
+    const summary = {
+        source: source,
+        mode: since > 0 ? 'delta' : 'full',
+        section: section,
+        since: since,
+        cursor: since,
+        pulled: 0,
+        merged: 0,
+        pushed: 0,
+        failed: 0,
+        pending: 0,
+        durationMs: 0,
+        completedAt: null,
+        error: null
+    };
+
+    console.log(`🔄 ${summary.mode === 'delta' ? 'Delta' : 'Full'} sync via ${source}${section ? ` for section ${section}` : ''}${since ? ` since ${new Date(since).toISOString()}` : ''}...`);
+
+    try {
+        // 1. Pull (a little behind the cursor so late-committing writes are not skipped)
+        const pullAfter = since > 0 ? Math.max(since - DELTA_CURSOR_OVERLAP_MS, 1) : 0;
+        const rows = source === 'railway'
+            ? await fetchAnswerDeltaFromRailway(pullAfter, section)
+            : await fetchAnswerDeltaFromSupabase(pullAfter, section);
+
+        summary.pulled = rows.length;
+        // Keep the student's unsynced answers that a newer cloud copy is about to replace
+        recordSyncConflicts(rows);
+        summary.merged = mergeAnswerRows(rows);
+        recordUserSections(rows);
+
+        // Refresh any open question the new rows affect
+        if (summary.merged > 0 && typeof applyLivePeerAnswers === 'function') {
+            applyLivePeerAnswers(rows);
+        }
+
+        const newest = rows.reduce((max, row) => Math.max(max, toSyncTimestamp(row.updated_at)), since);
+
+        // 2. On a full sync, queue any of the student's answers the cloud is missing or has an older copy of
+        if (summary.mode === 'full') {
+            const remote = {};
+            rows.forEach(row => {
+                remote[`${row.username}::${row.question_id}`] = toSyncTimestamp(row.timestamp);
+            });
+
+            // Only the signed-in student's answers are ours to push: other usernames may be PIN-protected,
+            // and a section-filtered pull says nothing about other sections' rows anyway
+            const answers = collectLocalAnswers()[currentUsername] || {};
+            Object.entries(answers).forEach(([questionId, answer]) => {
+                const key = `${currentUsername}::${questionId}`;
+                if (remote[key] === undefined || remote[key] < answer.timestamp) {
+                    markAnswerDirty(currentUsername, questionId, answer.timestamp);
+                }
+            });
+        }
+
+        // 3. Push through the outbox, which skips answers still backing off and dead-lettered ones
+        const pushResult = await flushOutbox();
+        summary.pushed = pushResult.pushed;
+        summary.failed = pushResult.failed;
+        summary.pending = pushResult.pending;
+
+        // 4. Advance the cursor only after the pull has been merged
+        if (newest > since) {
+            setSyncCursor(source, newest);
+        }
+        summary.cursor = Math.max(newest, since);
+        lastPeerDataTimestamp = summary.cursor || lastPeerDataTimestamp;
+    } catch (error) {
+        summary.error = error.message;
+        summary.pending = getDirtyAnswerCount();
+        console.log(`⚠️ Delta sync failed: ${error.message}`);
+    }
+
+    summary.durationMs = Date.now() - startedAt;
+    summary.completedAt = Date.now();
+    appStorage.setMeta(SYNC_SUMMARY_KEY, summary);
+
+    console.log(`✅ Sync summary (${summary.source}, ${summary.mode}):`);
+    console.log(`   - ${summary.pulled} rows pulled, ${summary.merged} merged locally`);
+    console.log(`   - ${summary.pushed} answers pushed, ${summary.failed} failed, ${summary.pending} still pending`);
+    console.log(`   - finished in ${summary.durationMs}ms`);
+
+    if (typeof updatePeerDataTimestamp === 'function') {
+        updatePeerDataTimestamp();
+    }
+    renderSyncSummary();
+
+    return summary;
+}
+
+// ========================================
+// SUMMARY DISPLAY
+// ========================================
+
+/**
+ * The most recent sync summary (survives reloads)
+ * @returns {Object|null} Summary object from runDeltaSync
+ */
+function getLastSyncSummary() {
+    return appStorage.getMeta(SYNC_SUMMARY_KEY);
+}
+
+/**
+ * Writes the last sync summary into the sync modal, if it is on the page
+ */
+function renderSyncSummary() {
+    const element = document.getElementById('syncSummary');
+    if (!element) return;
+
+    const summary = getLastSyncSummary();
+    if (!summary) {
+        element.textContent = 'Not synced yet this session.';
+        return;
+    }
+
+    const when = new Date(summary.completedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    element.textContent = summary.error
+        ? `Last sync at ${when} failed: ${summary.error} (${summary.pending} answers waiting)`
+        : `Last sync at ${when}: ${summary.pulled} pulled, ${summary.pushed} pushed` +
+          (summary.pending > 0 ? `, ${summary.pending} waiting` : '') +
+          ` (${summary.source}${summary.section ? `, section ${summary.section}` : ''}, ${summary.durationMs}ms)`;
+}
+
+// Expose for console diagnostics (see sync_diagnostics.js)
+window.deltaSyncAnswers = deltaSyncAnswers;
+window.getLastSyncSummary = getLastSyncSummary;
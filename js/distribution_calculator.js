@@ -0,0 +1,674 @@
+// distribution_calculator.js - Side panel calculator for normal, t, chi-square, binomial and geometric probabilities
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (chartInstances)
+//               Requires functions from other modules (renderChart, logGamma, binomialPmf, geometricPmf from charts.js)
+// This module handles "I need normalcdf for this question" - the TI-84 style functions used in Units 5-9
+// (normalcdf, invNorm, binompdf/cdf, geometpdf/cdf, tcdf, invT, χ²cdf) with the area drawn through the
+// same normal, tdist, chisquare, binomial and geometric renderers the questions use.
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+// Each mode's inputs as {name, label, placeholder}; a blank bound means -∞ / ∞
+const CALCULATOR_MODES = {
+    normalcdf: {
+        label: 'normalcdf - area under a normal curve',
+        fields: [
+            { name: 'lower', label: 'Lower', placeholder: '-∞' },
+            { name: 'upper', label: 'Upper', placeholder: '∞' },
+            { name: 'mean', label: 'μ', placeholder: '0' },
+            { name: 'sd', label: 'σ', placeholder: '1' }
+        ]
+    },
+    invNorm: {
+        label: 'invNorm - value with a given area',
+        fields: [
+            { name: 'area', label: 'Area', placeholder: '0.95' },
+            { name: 'mean', label: 'μ', placeholder: '0' },
+            { name: 'sd', label: 'σ', placeholder: '1' },
+            { name: 'tail', label: 'Tail', type: 'tail' }
+        ]
+    },
+    binompdf: {
+        label: 'binompdf - P(X = x), binomial',
+        fields: [
+            { name: 'n', label: 'n', placeholder: '10' },
+            { name: 'p', label: 'p', placeholder: '0.5' },
+            { name: 'x', label: 'x', placeholder: '5' }
+        ]
+    },
+    binomcdf: {
+        label: 'binomcdf - P(lower ≤ X ≤ upper), binomial',
+        fields: [
+            { name: 'n', label: 'n', placeholder: '10' },
+            { name: 'p', label: 'p', placeholder: '0.5' },
+            { name: 'lower', label: 'Lower', placeholder: '0' },
+            { name: 'upper', label: 'Upper', placeholder: 'n' }
+        ]
+    },
+    geometpdf: {
+        label: 'geometpdf - P(X = x), first success on trial x',
+        fields: [
+            { name: 'p', label: 'p', placeholder: '0.2' },
+            { name: 'x', label: 'x', placeholder: '3' }
+        ]
+    },
+    geometcdf: {
+        label: 'geometcdf - P(lower ≤ X ≤ upper), geometric',
+        fields: [
+            { name: 'p', label: 'p', placeholder: '0.2' },
+            { name: 'lower', label: 'Lower', placeholder: '1' },
+            { name: 'upper', label: 'Upper', placeholder: '∞' }
+        ]
+    },
+    tcdf: {
+        label: 'tcdf - area under a t curve',
+        fields: [
+            { name: 'lower', label: 'Lower', placeholder: '-∞' },
+            { name: 'upper', label: 'Upper', placeholder: '∞' },
+            { name: 'df', label: 'df', placeholder: '10' }
+        ]
+    },
+    invT: {
+        label: 'invT - t* with a given area',
+        fields: [
+            { name: 'area', label: 'Area', placeholder: '0.95' },
+            { name: 'df', label: 'df', placeholder: '10' },
+            { name: 'tail', label: 'Tail', type: 'tail' }
+        ]
+    },
+    chisquarecdf: {
+        label: 'χ²cdf - area under a chi-square curve',
+        fields: [
+            { name: 'lower', label: 'Lower', placeholder: '0' },
+            { name: 'upper', label: 'Upper', placeholder: '∞' },
+            { name: 'df', label: 'df', placeholder: '3' }
+        ]
+    }
+};
+
+// Convergence settings for the incomplete gamma/beta functions and invT
+const CALCULATOR_MAX_ITERATIONS = 300;
+const CALCULATOR_EPSILON = 1e-12;
+
+// Bars beyond this many are not drawn for binomial/geometric pictures
+const CALCULATOR_MAX_BARS = 80;
+
+// Canvas ID suffix for renderChart (the canvas is chart-calculator)
+const CALCULATOR_CHART_ID = 'calculator';
+
+// Current mode and entries, kept when the panel is closed or the mode changes
+const calculatorState = {
+    mode: 'normalcdf',
+    values: {}
+};
+
+// ========================================
+// DISTRIBUTION MATH
+// ========================================
+
+/**
+ * Complementary error function (Chebyshev fit, fractional error below 1.2e-7 everywhere)
+ * @param {number} x - Any number
+ * @returns {number} erfc(x)
+ */
+function erfc(x) {
+    const z = Math.abs(x);
+    const t = 1 / (1 + 0.5 * z);
+    const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? r : 2 - r;
+}
+
+/**
+ * Standard normal cumulative probability
+ * @param {number} z - z-score (may be ±Infinity)
+ * @returns {number} P(Z ≤ z)
+ */
+function standardNormalCdf(z) {
+    if (z === Infinity) return 1;
+    if (z === -Infinity) return 0;
+    return 0.5 * erfc(-z / Math.SQRT2);
+}
+
+/**
+ * Inverse standard normal (Acklam's rational approximation, relative error below 1.2e-9)
+ * @param {number} p - Left-tail area, strictly between 0 and 1
+ * @returns {number} z with P(Z ≤ z) = p
+ */
+function inverseStandardNormal(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        return -inverseStandardNormal(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ * @param {number} a - Shape (positive)
+ * @param {number} x - Upper limit (non-negative)
+ * @returns {number} P(a, x)
+ */
+function lowerRegularizedGamma(a, x) {
+    if (x <= 0) return 0;
+    if (x === Infinity) return 1;
+    const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+    if (x < a + 1) {
+        // Series expansion
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < CALCULATOR_MAX_ITERATIONS; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * CALCULATOR_EPSILON) break;
+        }
+        return sum * Math.exp(logPrefix);
+    }
+
+    // Continued fraction for the upper tail (modified Lentz)
+    let b = x + 1 - a;
+    let c = 1 / Number.MIN_VALUE;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < CALCULATOR_MAX_ITERATIONS; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < Number.MIN_VALUE) d = Number.MIN_VALUE;
+        c = b + an / c;
+        if (Math.abs(c) < Number.MIN_VALUE) c = Number.MIN_VALUE;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < CALCULATOR_EPSILON) break;
+    }
+    return 1 - Math.exp(logPrefix) * h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Between 0 and 1
+ * @param {number} a - Positive shape
+ * @param {number} b - Positive shape
+ * @returns {number} I_x(a, b)
+ */
+function regularizedBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    // The continued fraction converges quickly only on one side of the mean
+    if (x > (a + 1) / (a + b + 2)) return 1 - regularizedBeta(1 - x, b, a);
+
+    const logPrefix = logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+
+    // Continued fraction (modified Lentz)
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < Number.MIN_VALUE) d = Number.MIN_VALUE;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m < CALCULATOR_MAX_ITERATIONS; m++) {
+        const m2 = 2 * m;
+        let an = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + an * d;
+        if (Math.abs(d) < Number.MIN_VALUE) d = Number.MIN_VALUE;
+        c = 1 + an / c;
+        if (Math.abs(c) < Number.MIN_VALUE) c = Number.MIN_VALUE;
+        d = 1 / d;
+        h *= d * c;
+
+        an = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + an * d;
+        if (Math.abs(d) < Number.MIN_VALUE) d = Number.MIN_VALUE;
+        c = 1 + an / c;
+        if (Math.abs(c) < Number.MIN_VALUE) c = Number.MIN_VALUE;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < CALCULATOR_EPSILON) break;
+    }
+    return Math.exp(logPrefix) * h / a;
+}
+
+/**
+ * t cumulative probability
+ * @param {number} t - t-score (may be ±Infinity)
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(T ≤ t)
+ */
+function tCdf(t, df) {
+    if (t === Infinity) return 1;
+    if (t === -Infinity) return 0;
+    const tail = 0.5 * regularizedBeta(df / (df + t * t), df / 2, 0.5);
+    return t > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Inverse t by bisection
+ * @param {number} p - Left-tail area, strictly between 0 and 1
+ * @param {number} df - Degrees of freedom
+ * @returns {number} t with P(T ≤ t) = p
+ */
+function inverseT(p, df) {
+    let low = -10;
+    let high = 10;
+    while (tCdf(low, df) > p) low *= 2;
+    while (tCdf(high, df) < p) high *= 2;
+
+    for (let i = 0; i < CALCULATOR_MAX_ITERATIONS && high - low > CALCULATOR_EPSILON; i++) {
+        const mid = (low + high) / 2;
+        if (tCdf(mid, df) < p) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Chi-square cumulative probability
+ * @param {number} x - Chi-square value (may be Infinity)
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(χ² ≤ x)
+ */
+function chiSquareCdf(x, df) {
+    return lowerRegularizedGamma(df / 2, x / 2);
+}
+
+// ========================================
+// CALCULATIONS
+// ========================================
+
+/**
+ * Reads a number as typed; blank gives the fallback, "inf"/"∞" give ±Infinity
+ * @param {string} text - Entry from the panel
+ * @param {number} fallback - Value for a blank entry
+ * @returns {number} Parsed number (NaN if it is not one)
+ */
+function parseCalculatorNumber(text, fallback) {
+    const trimmed = String(text ?? '').trim().toLowerCase().replace(/\s+/g, '');
+    if (trimmed === '') return fallback;
+    if (/^\+?(inf|infinity|∞)$/.test(trimmed)) return Infinity;
+    if (/^-(inf|infinity|∞)$/.test(trimmed)) return -Infinity;
+    return Number(trimmed);
+}
+
+/**
+ * Formats a probability or value for the result line
+ * @param {number} value - Number to show
+ * @returns {string} 4 decimal places, or scientific notation for tiny values
+ */
+function formatCalculatorNumber(value) {
+    if (value === Infinity) return '∞';
+    if (value === -Infinity) return '-∞';
+    if (value !== 0 && Math.abs(value) < 0.0001) return value.toExponential(3);
+    return String(Number(value.toFixed(4)));
+}
+
+/**
+ * Left-tail area and label for invNorm/invT from an area and tail choice
+ * @param {number} area - Area entered
+ * @param {string} tail - 'left', 'right' or 'center'
+ * @returns {number} Left-tail area of the (upper) cut-off
+ */
+function getLeftTailArea(area, tail) {
+    if (tail === 'right') return 1 - area;
+    if (tail === 'center') return (1 + area) / 2;
+    return area;
+}
+
+/**
+ * Shaded region for invNorm/invT given the cut-off
+ * @param {number} cutoff - Value found (upper cut-off for a center area)
+ * @param {string} tail - 'left', 'right' or 'center'
+ * @param {number} center - Mean of the distribution
+ * @returns {Object} {lower, upper} with null for unbounded sides
+ */
+function getTailShade(cutoff, tail, center) {
+    if (tail === 'right') return { lower: cutoff, upper: null };
+    if (tail === 'center') return { lower: 2 * center - cutoff, upper: cutoff };
+    return { lower: null, upper: cutoff };
+}
+
+/**
+ * Critical-value markers at the finite edges of an invNorm/invT region
+ * @param {Object} shade - {lower, upper} from getTailShade
+ * @returns {Array} [{value, label}] for chartConfig.criticalValues
+ */
+function getCutoffMarkers(shade) {
+    return [shade.lower, shade.upper]
+        .filter(value => value !== null)
+        .map(value => ({ value: value, label: formatCalculatorNumber(value) }));
+}
+
+/**
+ * Shading for a discrete region; an unbounded upper end is left open
+ * @param {number} lower - Smallest value in the region
+ * @param {number} upper - Largest value in the region (may be Infinity)
+ * @returns {Object} {lower, upper}
+ */
+function getDiscreteShade(lower, upper) {
+    return { lower: lower, upper: Number.isFinite(upper) ? upper : null };
+}
+
+/**
+ * Widens a curve's default x-range so a finite shading bound stays in view
+ * @param {number} center - Center of the default range
+ * @param {number} halfWidth - Default half width
+ * @param {number} maxHalfWidth - Furthest the range may grow
+ * @param {Array} bounds - Shading bounds (±Infinity ignored)
+ * @returns {Object} {min, max}
+ */
+function getCurveRange(center, halfWidth, maxHalfWidth, bounds) {
+    let reach = halfWidth;
+    bounds.filter(Number.isFinite).forEach(bound => {
+        reach = Math.max(reach, Math.min(maxHalfWidth, Math.abs(bound - center) * 1.15));
+    });
+    return { min: center - reach, max: center + reach };
+}
+
+/**
+ * Runs one calculator function
+ * @param {string} mode - Key of CALCULATOR_MODES
+ * @param {Object} values - Raw entries by field name
+ * @returns {Object} {expression, result, chart} or {error}
+ */
+function computeDistribution(mode, values) {
+    const read = (name, fallback) => parseCalculatorNumber(values[name], fallback);
+    const isWhole = value => Number.isInteger(value) && value >= 0;
+    const tail = values.tail || 'left';
+
+    const mean = read('mean', 0);
+    const sd = read('sd', 1);
+    const df = read('df', NaN);
+    const p = read('p', NaN);
+    const area = read('area', NaN);
+
+    if (['normalcdf', 'invNorm'].includes(mode) && (!Number.isFinite(mean) || !(sd > 0 && Number.isFinite(sd)))) {
+        return { error: 'μ must be a number and σ must be positive.' };
+    }
+    if (['tcdf', 'invT', 'chisquarecdf'].includes(mode) && !(df > 0 && Number.isFinite(df))) {
+        return { error: 'df must be a positive number.' };
+    }
+    if (['binompdf', 'binomcdf', 'geometpdf', 'geometcdf'].includes(mode) && !(p >= 0 && p <= 1)) {
+        return { error: 'p must be between 0 and 1.' };
+    }
+    if (['invNorm', 'invT'].includes(mode) && !(area > 0 && area < 1)) {
+        return { error: 'Area must be between 0 and 1.' };
+    }
+
+    if (mode === 'normalcdf' || mode === 'tcdf' || mode === 'chisquarecdf') {
+        const lower = read('lower', mode === 'chisquarecdf' ? 0 : -Infinity);
+        const upper = read('upper', Infinity);
+        if (Number.isNaN(lower) || Number.isNaN(upper)) return { error: 'Bounds must be numbers (leave blank for ±∞).' };
+        if (lower > upper) return { error: 'Lower bound is greater than the upper bound.' };
+        const shade = { lower: Number.isFinite(lower) ? lower : null, upper: Number.isFinite(upper) ? upper : null };
+        const bounds = `${formatCalculatorNumber(lower)}, ${formatCalculatorNumber(upper)}`;
+
+        if (mode === 'normalcdf') {
+            const result = standardNormalCdf((upper - mean) / sd) - standardNormalCdf((lower - mean) / sd);
+            const range = getCurveRange(mean, 3.5 * sd, 6 * sd, [lower, upper]);
+            return {
+                expression: `normalcdf(${bounds}, ${mean}, ${sd})`,
+                result: result,
+                chart: { chartType: 'normal', title: `Normal(μ = ${mean}, σ = ${sd})`, mean, sd, shade,
+                    chartConfig: { xAxis: { min: range.min, max: range.max, title: 'x' } } }
+            };
+        }
+        if (mode === 'tcdf') {
+            const range = getCurveRange(0, 4, 8, [lower, upper]);
+            return {
+                expression: `tcdf(${bounds}, ${df})`,
+                result: tCdf(upper, df) - tCdf(lower, df),
+                chart: { chartType: 'tdist', title: `t distribution (df = ${df})`, df, shade,
+                    chartConfig: { xAxis: { min: range.min, max: range.max, title: 't' } } }
+            };
+        }
+        const spread = Math.sqrt(2 * df);
+        const finiteBounds = [lower, upper].filter(Number.isFinite);
+        const xMax = Math.max(3.5 * df, df + 4 * spread, Math.min(df + 10 * spread, Math.max(0, ...finiteBounds) * 1.15));
+        return {
+            expression: `χ²cdf(${bounds}, ${df})`,
+            result: chiSquareCdf(upper, df) - chiSquareCdf(Math.max(0, lower), df),
+            chart: { chartType: 'chisquare', title: `Chi-square distribution (df = ${df})`, df, shade,
+                chartConfig: { xAxis: { min: 0, max: xMax, title: 'χ²' } } }
+        };
+    }
+
+    if (mode === 'invNorm') {
+        const cutoff = mean + sd * inverseStandardNormal(getLeftTailArea(area, tail));
+        const shade = getTailShade(cutoff, tail, mean);
+        const range = getCurveRange(mean, 3.5 * sd, 6 * sd, [shade.lower, shade.upper].filter(v => v !== null));
+        return {
+            expression: `invNorm(${area}, ${mean}, ${sd}, ${tail.toUpperCase()})`,
+            result: cutoff,
+            resultLabel: tail === 'center' ? `x = ${formatCalculatorNumber(mean)} ± ${formatCalculatorNumber(cutoff - mean)}` : null,
+            chart: { chartType: 'normal', title: `Normal(μ = ${mean}, σ = ${sd})`, mean, sd, shade,
+                chartConfig: { xAxis: { min: range.min, max: range.max, title: 'x' }, criticalValues: getCutoffMarkers(shade) } }
+        };
+    }
+
+    if (mode === 'invT') {
+        const cutoff = inverseT(getLeftTailArea(area, tail), df);
+        const shade = getTailShade(cutoff, tail, 0);
+        const range = getCurveRange(0, 4, 8, [shade.lower, shade.upper].filter(v => v !== null));
+        return {
+            expression: `invT(${area}, ${df}, ${tail.toUpperCase()})`,
+            result: cutoff,
+            resultLabel: tail === 'center' ? `t* = ±${formatCalculatorNumber(cutoff)}` : null,
+            chart: { chartType: 'tdist', title: `t distribution (df = ${df})`, df, shade,
+                chartConfig: { xAxis: { min: range.min, max: range.max, title: 't' }, criticalValues: getCutoffMarkers(shade) } }
+        };
+    }
+
+    if (mode === 'binompdf' || mode === 'binomcdf') {
+        const n = read('n', NaN);
+        if (!isWhole(n)) return { error: 'n must be a whole number.' };
+        const lower = mode === 'binompdf' ? read('x', NaN) : read('lower', 0);
+        const upper = mode === 'binompdf' ? lower : read('upper', n);
+        if (!isWhole(lower) || !isWhole(upper)) return { error: 'x values must be whole numbers.' };
+        if (lower > upper) return { error: 'Lower bound is greater than the upper bound.' };
+
+        let result = 0;
+        for (let k = lower; k <= Math.min(upper, n); k++) result += binomialPmf(n, p, k);
+
+        // Draw the middle of the distribution (±4 SD), widened to include the region
+        const spread = 4 * Math.sqrt(n * p * (1 - p)) + 1;
+        let first = Math.max(0, Math.min(lower, Math.floor(n * p - spread)));
+        let last = Math.min(n, Math.max(Math.min(upper, n), Math.ceil(n * p + spread)));
+        if (last - first + 1 > CALCULATOR_MAX_BARS) {
+            // Too many bars: center on the region if it fits, otherwise on the mean
+            const regionFits = Math.min(upper, n) - lower + 1 <= CALCULATOR_MAX_BARS;
+            const center = regionFits ? (lower + Math.min(upper, n)) / 2 : n * p;
+            first = Math.max(0, Math.min(n - CALCULATOR_MAX_BARS + 1, Math.round(center - CALCULATOR_MAX_BARS / 2)));
+            last = Math.min(n, first + CALCULATOR_MAX_BARS - 1);
+        }
+        return {
+            expression: mode === 'binompdf' ? `binompdf(${n}, ${p}, ${lower})` : `binomcdf(${n}, ${p}, ${lower} ≤ X ≤ ${upper})`,
+            result: result,
+            chart: { chartType: 'binomial', title: `Binomial(n = ${n}, p = ${p})`, n, p,
+                chartConfig: { shade: getDiscreteShade(lower, upper), xAxis: { min: first, max: last } } }
+        };
+    }
+
+    if (mode === 'geometpdf' || mode === 'geometcdf') {
+        if (p === 0) return { error: 'p must be greater than 0 for a geometric distribution.' };
+        const lower = mode === 'geometpdf' ? read('x', NaN) : read('lower', 1);
+        const upper = mode === 'geometpdf' ? lower : read('upper', Infinity);
+        if (!(Number.isInteger(lower) && lower >= 1) || !(Number.isInteger(upper) || upper === Infinity) || upper < 1) {
+            return { error: 'x values must be whole numbers of 1 or more.' };
+        }
+        if (lower > upper) return { error: 'Lower bound is greater than the upper bound.' };
+
+        const result = Math.pow(1 - p, lower - 1) - (upper === Infinity ? 0 : Math.pow(1 - p, upper));
+
+        // Draw until 99% of the distribution (or the region) is shown
+        let last = Math.ceil(Math.log(0.01) / Math.log(1 - p)) || 1;
+        if (Number.isFinite(upper)) last = Math.max(last, upper);
+        last = Math.max(1, Math.min(last, CALCULATOR_MAX_BARS));
+        return {
+            expression: mode === 'geometpdf' ? `geometpdf(${p}, ${lower})` : `geometcdf(${p}, ${lower} ≤ X ≤ ${formatCalculatorNumber(upper)})`,
+            result: result,
+            chart: { chartType: 'geometric', title: `Geometric(p = ${p})`, p,
+                chartConfig: { shade: getDiscreteShade(lower, upper), xAxis: { min: 1, max: last } } }
+        };
+    }
+
+    return { error: `Unknown calculator function ${mode}.` };
+}
+
+// ========================================
+// PANEL
+// ========================================
+
+/**
+ * Builds the input fields for the current mode
+ * @returns {string} HTML
+ */
+function renderCalculatorFields() {
+    const mode = CALCULATOR_MODES[calculatorState.mode];
+    return mode.fields.map(field => {
+        const value = calculatorState.values[field.name] ?? '';
+        if (field.type === 'tail') {
+            const tail = value || 'left';
+            return `
+                <label class="calculator-field">
+                    <span>${field.label}</span>
+                    <select data-field="${field.name}" onchange="onCalculatorInput(this)">
+                        <option value="left" ${tail === 'left' ? 'selected' : ''}>Left</option>
+                        <option value="center" ${tail === 'center' ? 'selected' : ''}>Center</option>
+                        <option value="right" ${tail === 'right' ? 'selected' : ''}>Right</option>
+                    </select>
+                </label>
+            `;
+        }
+        return `
+            <label class="calculator-field">
+                <span>${field.label}</span>
+                <input type="text" inputmode="decimal" data-field="${field.name}" value="${String(value).replace(/"/g, '&quot;')}"
+                       placeholder="${field.placeholder}" oninput="onCalculatorInput(this)"
+                       onkeydown="if (event.key === 'Enter') runDistributionCalculator()">
+            </label>
+        `;
+    }).join('');
+}
+
+/**
+ * Builds the whole calculator panel
+ * @returns {string} HTML
+ */
+function renderDistributionCalculator() {
+    const options = Object.keys(CALCULATOR_MODES).map(key =>
+        `<option value="${key}" ${key === calculatorState.mode ? 'selected' : ''}>${CALCULATOR_MODES[key].label}</option>`).join('');
+
+    return `
+        <div class="calculator-header">
+            <h3>📈 Distribution Calculator</h3>
+            <button class="calculator-close" onclick="toggleDistributionCalculator(false)" title="Close">✕</button>
+        </div>
+        <select id="calculatorMode" class="calculator-mode" onchange="onCalculatorModeChange(this.value)">${options}</select>
+        <div id="calculatorFields" class="calculator-fields">${renderCalculatorFields()}</div>
+        <button class="calculator-run" onclick="runDistributionCalculator()">Calculate</button>
+        <div id="calculatorResult" class="calculator-result"></div>
+        <div id="calculatorChart" class="calculator-chart"></div>
+        <div class="calculator-hint">Leave a bound blank for -∞ or ∞. Results match the TI-84 functions of the same name.</div>
+    `;
+}
+
+/**
+ * Opens or closes the calculator side panel, creating it the first time
+ * @param {boolean} open - Force open (true) or closed (false); toggles when omitted
+ */
+window.toggleDistributionCalculator = function(open) {
+    let panel = document.getElementById('distributionCalculator');
+    if (!panel) {
+        panel = document.createElement('aside');
+        panel.id = 'distributionCalculator';
+        panel.className = 'calculator-panel';
+        panel.setAttribute('aria-label', 'Distribution calculator');
+        panel.innerHTML = renderDistributionCalculator();
+        document.body.appendChild(panel);
+    }
+
+    const shouldOpen = open === undefined ? !panel.classList.contains('open') : open;
+    panel.classList.toggle('open', shouldOpen);
+    if (shouldOpen) {
+        runDistributionCalculator();
+        console.log('📈 Distribution calculator opened');
+    }
+};
+
+/**
+ * Keeps an entry in calculatorState as it is typed
+ * @param {HTMLElement} input - Input or select with data-field
+ */
+window.onCalculatorInput = function(input) {
+    calculatorState.values[input.dataset.field] = input.value;
+    if (input.tagName === 'SELECT') runDistributionCalculator();
+};
+
+/**
+ * Switches calculator function; entries with the same name (lower, upper, df, ...) carry over
+ * @param {string} mode - Key of CALCULATOR_MODES
+ */
+window.onCalculatorModeChange = function(mode) {
+    if (!CALCULATOR_MODES[mode]) return;
+    calculatorState.mode = mode;
+    document.getElementById('calculatorFields').innerHTML = renderCalculatorFields();
+    runDistributionCalculator();
+};
+
+/**
+ * Calculates from the panel's entries (placeholders stand in for blank required fields)
+ * and draws the shaded picture
+ */
+window.runDistributionCalculator = function() {
+    const resultDiv = document.getElementById('calculatorResult');
+    const chartDiv = document.getElementById('calculatorChart');
+    if (!resultDiv || !chartDiv) return;
+
+    // A blank field uses its placeholder, except bounds, where blank means unbounded
+    const values = {};
+    CALCULATOR_MODES[calculatorState.mode].fields.forEach(field => {
+        const entered = calculatorState.values[field.name];
+        const isBound = field.name === 'lower' || field.name === 'upper';
+        values[field.name] = entered !== undefined && entered !== '' ? entered :
+            (isBound || field.type === 'tail' || field.placeholder === 'n' ? '' : field.placeholder);
+    });
+
+    const outcome = computeDistribution(calculatorState.mode, values);
+
+    const chartId = `chart-${CALCULATOR_CHART_ID}`;
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+        delete chartInstances[chartId];
+    }
+
+    if (outcome.error) {
+        resultDiv.innerHTML = `<div class="calculator-error">${outcome.error}</div>`;
+        chartDiv.innerHTML = '';
+        return;
+    }
+
+    resultDiv.innerHTML = `
+        <code>${outcome.expression}</code>
+        <div class="calculator-answer">= ${formatCalculatorNumber(outcome.result)}</div>
+        ${outcome.resultLabel ? `<div class="calculator-answer-note">${outcome.resultLabel}</div>` : ''}
+    `;
+    chartDiv.innerHTML = renderChart(outcome.chart, CALCULATOR_CHART_ID);
+};
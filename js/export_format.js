@@ -0,0 +1,593 @@
+// export_format.js - Versioned, schema-validated export envelope for personal and master backups
+// Part of AP Statistics Consensus Quiz
+// Dependencies: None (pure functions; used by data_manager.js exports and the import handlers in index.html)
+// This module handles "is this backup file valid" - envelope creation, checksums, validation and legacy upgrades
+
+// ========================================
+// FORMAT DEFINITION
+// ========================================
+
+// Unversioned files written before the envelope existed are treated as version 1
+const EXPORT_FORMAT_VERSION = 2;
+
+// Question IDs follow U#-L#-Q##, U#-PC-..., U#-Q## etc.
+const QUESTION_ID_PATTERN = '^U\\d+-[A-Za-z0-9-]+$';
+
+/**
+ * JSON Schema (draft-07) for a version 2 export file.
+ * validateAgainstSchema below implements the subset of keywords used here.
+ */
+const EXPORT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'https://apstats-consensus-quiz/export-v2.schema.json',
+    title: 'AP Stats Consensus Quiz export',
+    type: 'object',
+    required: ['formatVersion', 'kind', 'exportedAt', 'checksum', 'payload'],
+    properties: {
+        formatVersion: { enum: [EXPORT_FORMAT_VERSION] },
+        kind: { enum: ['personal', 'master'] },
+        exportedAt: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T' },
+        checksum: { type: 'string', pattern: '^crc32:[0-9a-f]{8}$' },
+        payload: {
+            type: 'object',
+            required: ['users'],
+            properties: {
+                username: { type: 'string', minLength: 1 },
+                users: {
+                    type: 'object',
+                    additionalProperties: { $ref: '#/definitions/user' }
+                },
+                consensusData: { type: 'object' },
+                rawLocalStorage: {
+                    type: 'object',
+                    additionalProperties: { type: 'string' }
+                }
+            }
+        }
+    },
+    definitions: {
+        user: {
+            type: 'object',
+            required: ['answers'],
+            properties: {
+                answers: {
+                    type: 'object',
+                    propertyNames: { pattern: QUESTION_ID_PATTERN },
+                    additionalProperties: {
+                        type: 'object',
+                        required: ['value', 'timestamp'],
+                        properties: {
+                            value: { type: ['string', 'number'] },
+                            timestamp: { type: 'number', minimum: 0 }
+                        }
+                    }
+                },
+                reasons: {
+                    type: 'object',
+                    additionalProperties: { type: 'string' }
+                },
+                timestamps: {
+                    type: 'object',
+                    additionalProperties: { type: 'number', minimum: 0 }
+                },
+                attempts: {
+                    type: 'object',
+                    additionalProperties: { type: 'integer', minimum: 0 }
+                },
+                progress: { type: 'object' },
+                badges: { type: 'object' },
+                preferences: { type: 'object' },
+                votes: { type: 'object' },
+                rubricScores: { type: 'object' },
+                reviews: { type: 'object' },
+                graphs: { type: 'object' },
+                section: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' }
+            }
+        }
+    }
+};
+
+// ========================================
+// CHECKSUM
+// ========================================
+
+/**
+ * Serializes a value with object keys sorted so the checksum does not depend on key order
+ * @param {*} value - Any JSON value
+ * @returns {string} Canonical JSON string
+ */
+function canonicalStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+let crc32Table = null;
+
+/**
+ * CRC-32 (IEEE) of a string's UTF-8 bytes
+ * @param {string} text - Input text
+ * @returns {string} 8-digit lowercase hex
+ */
+function crc32(text) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    const bytes = new TextEncoder().encode(text);
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Computes the checksum stored in an envelope
+ * @param {Object} payload - Envelope payload
+ * @returns {string} Checksum string ("crc32:xxxxxxxx")
+ */
+function computeExportChecksum(payload) {
+    return `crc32:${crc32(canonicalStringify(payload))}`;
+}
+
+/**
+ * Wraps export data in a versioned envelope
+ * @param {string} kind - 'personal' or 'master'
+ * @param {Object} payload - {users, username?, consensusData?, rawLocalStorage?}
+ * @returns {Object} Export envelope ready for JSON.stringify
+ */
+function createExportEnvelope(kind, payload) {
+    return {
+        formatVersion: EXPORT_FORMAT_VERSION,
+        kind: kind,
+        exportedAt: new Date().toISOString(),
+        checksum: computeExportChecksum(payload),
+        payload: payload
+    };
+}
+
+// ========================================
+// SCHEMA VALIDATION
+// ========================================
+
+/**
+ * Returns the JSON type name of a value (distinguishing integer, array and null)
+ * @param {*} value - Any value
+ * @returns {string} JSON Schema type name
+ */
+function jsonTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Validates a value against a schema, appending {path, message} for every problem
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (subset: type, enum, required, properties,
+ *                          additionalProperties, propertyNames, pattern, minLength, minimum, $ref)
+ * @param {string} path - Dotted path of value, used in error messages
+ * @param {Array} errors - Accumulator for errors
+ * @param {Object} root - Root schema for resolving $ref
+ * @returns {Array} The errors array
+ */
+function validateAgainstSchema(value, schema, path = '', errors = [], root = schema) {
+    if (schema.$ref) {
+        const refName = schema.$ref.replace('#/definitions/', '');
+        return validateAgainstSchema(value, root.definitions[refName], path, errors, root);
+    }
+
+    const label = path || '(root)';
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: label, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})` });
+        return errors;
+    }
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = jsonTypeOf(value);
+        const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            errors.push({ path: label, message: `expected ${allowed.join(' or ')}, got ${actual}` });
+            return errors;
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: label, message: 'must not be empty' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: label, message: `does not match pattern ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path: label, message: `must be >= ${schema.minimum} (got ${value})` });
+    }
+
+    if (jsonTypeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+            }
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = path ? `${path}.${key}` : key;
+
+            if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+                errors.push({ path: childPath, message: `key does not match pattern ${schema.propertyNames.pattern}` });
+            }
+
+            if (schema.properties && schema.properties[key]) {
+                validateAgainstSchema(child, schema.properties[key], childPath, errors, root);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not an allowed field' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validateAgainstSchema(child, schema.additionalProperties, childPath, errors, root);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// ========================================
+// LEGACY UPGRADERS
+// ========================================
+
+/**
+ * Converts a legacy timestamp (number, numeric string or ISO string) to Unix milliseconds.
+ * Unparseable values are returned unchanged so validation can report them.
+ * @param {*} timestamp - Legacy timestamp
+ * @returns {*} Milliseconds, or the original value
+ */
+function normalizeExportTimestamp(timestamp) {
+    if (typeof timestamp === 'number') return timestamp;
+    if (typeof timestamp === 'string' && timestamp.trim() !== '') {
+        const numeric = Number(timestamp);
+        if (!isNaN(numeric)) return numeric;
+        const parsed = new Date(timestamp).getTime();
+        if (!isNaN(parsed)) return parsed;
+    }
+    return timestamp;
+}
+
+/**
+ * Brings one legacy user record to the version 2 shape: answers become {value, timestamp}
+ * objects, all timestamps become milliseconds, attempts become integers.
+ * @param {Object} userData - Legacy user record
+ * @param {number} fallbackTimestamp - Used for bare-string answers with no recorded time
+ * @returns {Object} Normalized user record
+ */
+function normalizeLegacyUser(userData, fallbackTimestamp) {
+    const user = { ...userData };
+    const timestamps = {};
+    Object.entries(userData.timestamps || {}).forEach(([questionId, timestamp]) => {
+        timestamps[questionId] = normalizeExportTimestamp(timestamp);
+    });
+
+    const answers = {};
+    Object.entries(userData.answers || {}).forEach(([questionId, answer]) => {
+        if (answer && typeof answer === 'object' && 'value' in answer) {
+            answers[questionId] = {
+                ...answer,
+                timestamp: normalizeExportTimestamp(answer.timestamp ?? timestamps[questionId] ?? fallbackTimestamp)
+            };
+        } else {
+            answers[questionId] = {
+                value: answer,
+                timestamp: typeof timestamps[questionId] === 'number' ? timestamps[questionId] : fallbackTimestamp
+            };
+        }
+    });
+
+    const attempts = {};
+    Object.entries(userData.attempts || {}).forEach(([questionId, count]) => {
+        const numeric = Number(count);
+        attempts[questionId] = Number.isInteger(numeric) ? numeric : count;
+    });
+
+    user.answers = answers;
+    user.reasons = { ...(userData.reasons || {}) };
+    user.timestamps = timestamps;
+    user.attempts = attempts;
+    return user;
+}
+
+/**
+ * Milliseconds for a legacy file's export time (falls back to now)
+ * @param {Object} data - Legacy file
+ * @returns {number} Milliseconds
+ */
+function legacyExportTime(data) {
+    const time = normalizeExportTimestamp(data.exportTime || data.timestamp);
+    return typeof time === 'number' ? time : Date.now();
+}
+
+/**
+ * Builds an upgraded envelope, keeping the original export time
+ * @param {string} kind - 'personal' or 'master'
+ * @param {Object} payload - Version 2 payload
+ * @param {Object} data - Legacy file
+ * @returns {Object} Export envelope
+ */
+function upgradedEnvelope(kind, payload, data) {
+    const envelope = createExportEnvelope(kind, payload);
+    envelope.exportedAt = new Date(legacyExportTime(data)).toISOString();
+    return envelope;
+}
+
+/**
+ * Upgraders for every unversioned shape the app has written. Each has a detect()
+ * that recognizes the shape and an upgrade() that returns a version 2 envelope.
+ * Order matters: the first matching detector wins.
+ */
+const LEGACY_EXPORT_UPGRADERS = [
+    {
+        // exportPersonal: {exportTime, username, users: {[username]: {...}}} (docs/users/*_data.json)
+        name: 'personal-v1',
+        detect: data => !!(data.username && data.users && data.users[data.username]),
+        upgrade: data => upgradedEnvelope('personal', {
+            username: data.username,
+            users: { [data.username]: normalizeLegacyUser(data.users[data.username], legacyExportTime(data)) }
+        }, data)
+    },
+    {
+        // Early single-user files: {username, answers, reasons?, timestamps?, attempts?, progress?}
+        name: 'personal-flat-v1',
+        detect: data => !!(data.username && data.answers && typeof data.answers === 'object'),
+        upgrade: data => {
+            const { username, exportTime, timestamp, exportType, ...userData } = data;
+            return upgradedEnvelope('personal', {
+                username: username,
+                users: { [username]: normalizeLegacyUser(userData, legacyExportTime(data)) }
+            }, data);
+        }
+    },
+    {
+        // Metadata format read by docs/advanced_combiner_tool.html: {metadata: {username}, personalData: {...}}
+        name: 'personal-metadata-v1',
+        detect: data => !!(data.metadata?.username && data.personalData),
+        upgrade: data => {
+            const username = data.metadata.username;
+            const fallback = normalizeExportTimestamp(data.metadata.exportTime || data.metadata.timestamp);
+            return upgradedEnvelope('personal', {
+                username: username,
+                users: { [username]: normalizeLegacyUser(data.personalData, typeof fallback === 'number' ? fallback : Date.now()) }
+            }, data);
+        }
+    },
+    {
+        // exportMasterData: {exportType: 'master_database', classData, allAnswers, allProgress,
+        //                    consensusData, rawLocalStorage, timestamp | exportTime}
+        name: 'master-database-v1',
+        detect: data => data.exportType === 'master_database' || !!(data.allUsers && Array.isArray(data.allUsers)),
+        upgrade: data => {
+            const fallback = legacyExportTime(data);
+            const merged = {};
+
+            Object.entries(data.classData?.users || {}).forEach(([username, userData]) => {
+                merged[username] = { ...userData };
+            });
+            Object.entries(data.allAnswers || {}).forEach(([username, answers]) => {
+                merged[username] = merged[username] || {};
+                merged[username].answers = { ...answers, ...(merged[username].answers || {}) };
+            });
+            Object.entries(data.allProgress || {}).forEach(([username, progress]) => {
+                merged[username] = merged[username] || {};
+                merged[username].progress = merged[username].progress || progress;
+            });
+
+            const users = {};
+            Object.entries(merged).forEach(([username, userData]) => {
+                users[username] = normalizeLegacyUser(userData, fallback);
+            });
+
+            const payload = { users: users };
+            if (data.consensusData) payload.consensusData = data.consensusData;
+            if (data.rawLocalStorage) payload.rawLocalStorage = data.rawLocalStorage;
+            return upgradedEnvelope('master', payload, data);
+        }
+    },
+    {
+        // Teacher peer-data exports: {exportTime, totalStudents, students: {...}} (docs/master_peer_data_*.json)
+        name: 'peer-data-v1',
+        detect: data => !!(data.students && typeof data.students === 'object'),
+        upgrade: data => {
+            const users = {};
+            Object.entries(data.students).forEach(([username, userData]) => {
+                users[username] = normalizeLegacyUser(userData, legacyExportTime(data));
+            });
+            return upgradedEnvelope('master', { users: users }, data);
+        }
+    },
+    {
+        // Raw classData ({users: {...}}) saved straight from localStorage
+        name: 'class-data-v1',
+        detect: data => !!(data.users && typeof data.users === 'object'),
+        upgrade: data => {
+            const usernames = Object.keys(data.users);
+            const users = {};
+            usernames.forEach(username => {
+                users[username] = normalizeLegacyUser(data.users[username], legacyExportTime(data));
+            });
+
+            return usernames.length === 1
+                ? upgradedEnvelope('personal', { username: usernames[0], users: users }, data)
+                : upgradedEnvelope('master', { users: users }, data);
+        }
+    }
+];
+
+// ========================================
+// IMPORT ENTRY POINTS
+// ========================================
+
+/**
+ * Upgrades an unversioned file with the first matching legacy upgrader
+ * @param {Object} data - Parsed legacy file
+ * @returns {Object|null} {envelope, upgradedFrom}, or null if no upgrader recognizes it
+ */
+function upgradeLegacyExport(data) {
+    const upgrader = LEGACY_EXPORT_UPGRADERS.find(u => u.detect(data));
+    if (!upgrader) return null;
+    return { envelope: upgrader.upgrade(data), upgradedFrom: upgrader.name };
+}
+
+/**
+ * Upgrades (if needed) and validates parsed export data
+ * @param {Object} data - Parsed JSON from an export file
+ * @returns {Object} {valid, errors: [{path, message}], envelope, upgradedFrom}
+ */
+function validateExportData(data) {
+    if (jsonTypeOf(data) !== 'object') {
+        return { valid: false, errors: [{ path: '(root)', message: `expected object, got ${jsonTypeOf(data)}` }], envelope: null, upgradedFrom: null };
+    }
+
+    let envelope = data;
+    let upgradedFrom = null;
+
+    if (data.formatVersion === undefined) {
+        const upgraded = upgradeLegacyExport(data);
+        if (!upgraded) {
+            return {
+                valid: false,
+                errors: [{ path: '(root)', message: `unrecognized file format (fields: ${Object.keys(data).join(', ') || 'none'})` }],
+                envelope: null,
+                upgradedFrom: null
+            };
+        }
+        envelope = upgraded.envelope;
+        upgradedFrom = upgraded.upgradedFrom;
+    } else if (typeof data.formatVersion === 'number' && data.formatVersion > EXPORT_FORMAT_VERSION) {
+        return {
+            valid: false,
+            errors: [{ path: 'formatVersion', message: `file uses format ${data.formatVersion} but this app only understands up to ${EXPORT_FORMAT_VERSION} - please update the app` }],
+            envelope: null,
+            upgradedFrom: null
+        };
+    }
+
+    const errors = validateAgainstSchema(envelope, EXPORT_SCHEMA);
+
+    if (errors.length === 0) {
+        if (envelope.kind === 'personal') {
+            const { username, users } = envelope.payload;
+            if (!username) {
+                errors.push({ path: 'payload.username', message: 'is required for personal exports' });
+            } else if (!users[username]) {
+                errors.push({ path: `payload.users.${username}`, message: 'is required (personal export has no data for its own username)' });
+            }
+        }
+
+        // Only native files carry a checksum worth checking; upgraded ones were just computed
+        if (!upgradedFrom && computeExportChecksum(envelope.payload) !== envelope.checksum) {
+            errors.push({ path: 'checksum', message: 'does not match the file contents (the file was edited or corrupted)' });
+        }
+    }
+
+    return { valid: errors.length === 0, errors, envelope, upgradedFrom };
+}
+
+/**
+ * Formats validation errors for display
+ * @param {Array} errors - [{path, message}]
+ * @param {number} limit - Maximum errors to list
+ * @returns {string} Human-readable summary
+ */
+function formatExportErrors(errors, limit = 3) {
+    const shown = errors.slice(0, limit).map(e => `${e.path} ${e.message}`);
+    if (errors.length > limit) {
+        shown.push(`...and ${errors.length - limit} more (see console)`);
+    }
+    return shown.join('; ');
+}
+
+/**
+ * Converts a validated envelope into the shape the existing importers consume
+ * (importAndMergePersonalData, importMasterData/mergeMasterData, importUsernameFromFile)
+ * @param {Object} envelope - Validated version 2 envelope
+ * @returns {Object} Legacy-compatible import object
+ */
+function envelopeToImportData(envelope) {
+    const { payload } = envelope;
+
+    if (envelope.kind === 'personal') {
+        return {
+            exportTime: envelope.exportedAt,
+            username: payload.username,
+            users: { [payload.username]: payload.users[payload.username] }
+        };
+    }
+
+    const allAnswers = {};
+    const allProgress = {};
+    Object.entries(payload.users).forEach(([username, userData]) => {
+        allAnswers[username] = userData.answers;
+        if (userData.progress) allProgress[username] = userData.progress;
+    });
+
+    return {
+        exportTime: envelope.exportedAt,
+        exportType: 'master_database',
+        allUsers: Object.keys(payload.users),
+        students: payload.users,
+        classData: { users: payload.users },
+        allAnswers: allAnswers,
+        allProgress: allProgress,
+        consensusData: payload.consensusData || {},
+        rawLocalStorage: payload.rawLocalStorage || {}
+    };
+}
+
+/**
+ * Parses, upgrades and validates the text of an export file.
+ * Throws an Error whose validationErrors lists every malformed field.
+ * @param {string} text - File contents
+ * @returns {Object} Legacy-compatible import object (see envelopeToImportData)
+ */
+function parseImportFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        const parseError = new Error(`File is not valid JSON: ${error.message}`);
+        parseError.validationErrors = [{ path: '(file)', message: `is not valid JSON: ${error.message}` }];
+        throw parseError;
+    }
+
+    const result = validateExportData(data);
+    if (!result.valid) {
+        console.error('❌ Import validation failed:', result.errors);
+        const validationError = new Error(`Invalid backup file: ${formatExportErrors(result.errors)}`);
+        validationError.validationErrors = result.errors;
+        throw validationError;
+    }
+
+    if (result.upgradedFrom) {
+        console.log(`✅ Upgraded ${result.upgradedFrom} file to export format ${EXPORT_FORMAT_VERSION}`);
+    }
+    return envelopeToImportData(result.envelope);
+}
+
+// Expose for console debugging and external tools
+window.EXPORT_SCHEMA = EXPORT_SCHEMA;
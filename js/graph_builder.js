@@ -0,0 +1,910 @@
+// graph_builder.js - Student-drawn graphs for FRQ parts whose solution is a chart
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (classData, currentUsername, chartInstances)
+//               Requires functions from other modules (renderChart from charts.js, isQuestionAnswered, canRetry,
+//               saveClassData)
+// This module handles "draw the histogram" - bars are dragged to height, boxplots take a five-number summary,
+// dots and points are placed by clicking. The graph is saved in classData.users[name].graphs in the same
+// shape as a chart attachment, drawn with renderChart, and checked against the solution chart. Submitting the
+// answer sends the question's graphs to the cloud with it (answer_graphs, see answer_details_sync.js).
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+// Solution chart types a student can construct
+const GRAPH_BUILDER_TYPES = ['histogram', 'bar', 'boxplot', 'dotplot', 'scatter'];
+
+// A drawn value is "approximately correct" within this fraction of its axis span
+const GRAPH_TOLERANCE_FRACTION = 0.05;
+
+// How close (in pixels) a click must be to a dot or point to remove it
+const GRAPH_HIT_RADIUS_PX = 8;
+
+// Shown on the student's chart in place of an axis title they have not written yet
+const GRAPH_AXIS_PLACEHOLDER = '(label this axis)';
+
+const FIVE_NUMBER_FIELDS = [
+    { key: 'min', label: 'Min' },
+    { key: 'Q1', label: 'Q1' },
+    { key: 'median', label: 'Median' },
+    { key: 'Q3', label: 'Q3' },
+    { key: 'max', label: 'Max' }
+];
+
+// "questionId::partId" -> graph being edited and the solution chart it is built against
+const graphDrafts = {};
+const graphSolutions = {};
+
+// Bar currently being dragged: {key, seriesIndex, index}
+let graphDrag = null;
+
+// ========================================
+// GRAPH PARTS AND BLANK GRAPHS
+// ========================================
+
+/**
+ * Finds the FRQ solution parts that ask the student to construct a graph
+ * @param {Object} question - Curriculum question
+ * @returns {Array} Solution parts whose attachments are a constructible chart
+ */
+function getGraphParts(question) {
+    const parts = question?.solution?.parts;
+    if (!Array.isArray(parts)) return [];
+    return parts.filter(part => GRAPH_BUILDER_TYPES.includes(part?.attachments?.chartType));
+}
+
+function graphKey(questionId, partId) {
+    return `${questionId}::${partId}`;
+}
+
+function graphDomId(questionId, partId) {
+    return `${questionId}-graph-${partId}`;
+}
+
+function cloneGraph(chart) {
+    return JSON.parse(JSON.stringify(chart));
+}
+
+/**
+ * Smallest step that can express every value (1 for counts, 0.01 for proportions like 0.38)
+ * @param {Array} values - Numbers from the solution chart
+ * @returns {number} Step size
+ */
+function getPrecisionStep(values) {
+    let decimals = 0;
+    values.forEach(value => {
+        const text = String(value);
+        if (text.includes('.')) decimals = Math.max(decimals, text.split('.')[1].length);
+    });
+    return Math.pow(10, -Math.min(decimals, 4));
+}
+
+function roundToStep(value, step) {
+    return Number((Math.round(value / step) * step).toFixed(6));
+}
+
+/**
+ * Axis range from the solution's chartConfig, or padded around the solution's values
+ * @param {Object} axisConfig - chartConfig.xAxis or chartConfig.yAxis
+ * @param {Array} values - Values plotted on that axis
+ * @returns {Object} {min, max}
+ */
+function getAxisRange(axisConfig, values) {
+    const finite = values.filter(v => Number.isFinite(v));
+    const dataMin = finite.length ? Math.min(...finite) : 0;
+    const dataMax = finite.length ? Math.max(...finite) : 10;
+    const padding = (dataMax - dataMin) * 0.1 || 1;
+
+    return {
+        min: axisConfig?.min !== undefined ? axisConfig.min : dataMin - padding,
+        max: axisConfig?.max !== undefined ? axisConfig.max : dataMax + padding
+    };
+}
+
+/**
+ * Copies the solution's axis scale (but not its title - the student writes that)
+ * @param {Object} axisConfig - Solution axis config
+ * @param {Object} range - {min, max}
+ * @returns {Object} Axis config for the student's chart
+ */
+function copyAxisScale(axisConfig, range) {
+    const axis = { title: '' };
+    ['tickInterval', 'labelType', 'labels'].forEach(field => {
+        if (axisConfig?.[field] !== undefined) axis[field] = axisConfig[field];
+    });
+    if (range) {
+        axis.min = range.min;
+        axis.max = range.max;
+    }
+    return axis;
+}
+
+function getBoxplots(chart) {
+    const data = chart?.chartConfig?.boxplotData;
+    if (!data) return [];
+    return Array.isArray(data) ? data : [data];
+}
+
+function getBoxplotValues(boxplot) {
+    return [
+        boxplot.whiskerMin !== undefined ? boxplot.whiskerMin : boxplot.min,
+        boxplot.Q1,
+        boxplot.median,
+        boxplot.Q3,
+        boxplot.whiskerMax !== undefined ? boxplot.whiskerMax : boxplot.max,
+        ...(boxplot.outliers || [])
+    ];
+}
+
+/**
+ * Value-axis range for a bar chart; stacked bars need room for the tallest stack
+ * @param {Object} solution - Solution chart
+ * @returns {Object} {min, max}
+ */
+function getBarValueRange(solution) {
+    const config = solution.chartConfig || {};
+    const isHorizontal = config.orientation === 'horizontal';
+    const axisConfig = isHorizontal ? config.xAxis : config.yAxis;
+    const series = solution.series || [];
+    const isStacked = config.stacked === true || config.stacked === 'true';
+
+    let tallest = 0;
+    (series[0]?.values || []).forEach((_, index) => {
+        const heights = series.map(s => Number(s.values[index]) || 0);
+        tallest = Math.max(tallest, isStacked ? heights.reduce((a, b) => a + b, 0) : Math.max(...heights));
+    });
+
+    return {
+        min: axisConfig?.min !== undefined ? axisConfig.min : 0,
+        max: axisConfig?.max !== undefined ? axisConfig.max : Math.ceil(tallest * 1.2) || 10
+    };
+}
+
+/**
+ * Builds an empty graph with the solution's categories and axis scales
+ * @param {Object} solution - Solution chart attachment
+ * @returns {Object} Chart in renderChart's format
+ */
+function createBlankGraph(solution) {
+    const config = solution.chartConfig || {};
+    const chartType = solution.chartType;
+    const graph = { chartType, chartConfig: {} };
+    if (config.gridLines !== undefined) graph.chartConfig.gridLines = config.gridLines;
+
+    if (chartType === 'bar' || chartType === 'histogram') {
+        const isHorizontal = config.orientation === 'horizontal';
+        const valueRange = getBarValueRange(solution);
+
+        if (solution.xLabels) graph.xLabels = [...solution.xLabels];
+        if (solution.yLabels) graph.yLabels = [...solution.yLabels];
+        graph.series = (solution.series || []).map(series => ({
+            name: series.name,
+            values: series.values.map(() => valueRange.min)
+        }));
+        graph.chartConfig.xAxis = copyAxisScale(config.xAxis, isHorizontal ? valueRange : null);
+        graph.chartConfig.yAxis = copyAxisScale(config.yAxis, isHorizontal ? null : valueRange);
+        if (config.orientation) graph.chartConfig.orientation = config.orientation;
+        if (config.stacked !== undefined) graph.chartConfig.stacked = config.stacked;
+
+    } else if (chartType === 'boxplot') {
+        const boxplots = getBoxplots(solution);
+        const range = getAxisRange(config.xAxis, boxplots.flatMap(getBoxplotValues));
+        const span = range.max - range.min;
+        const step = getPrecisionStep(boxplots.flatMap(getBoxplotValues));
+
+        // Start evenly spread across the axis so every box is visible and draggable into place
+        const blank = boxplots.map(boxplot => {
+            const box = {};
+            if (boxplot.name) box.name = boxplot.name;
+            FIVE_NUMBER_FIELDS.forEach((field, i) => {
+                box[field.key] = roundToStep(range.min + span * (i + 1) / 6, step);
+            });
+            return box;
+        });
+
+        graph.chartConfig.xAxis = copyAxisScale(config.xAxis, range);
+        graph.chartConfig.boxplotData = Array.isArray(config.boxplotData) ? blank : blank[0];
+        if (config.orientation) graph.chartConfig.orientation = config.orientation;
+
+    } else if (chartType === 'dotplot') {
+        graph.values = [];
+        graph.chartConfig.xAxis = copyAxisScale(config.xAxis, getAxisRange(config.xAxis, solution.values || []));
+        if (config.dotRadius !== undefined) graph.chartConfig.dotRadius = config.dotRadius;
+
+    } else if (chartType === 'scatter') {
+        const points = solution.points || [];
+        graph.points = [];
+        graph.chartConfig.xAxis = copyAxisScale(config.xAxis, getAxisRange(config.xAxis, points.map(p => p.x)));
+        graph.chartConfig.yAxis = copyAxisScale(config.yAxis, getAxisRange(config.yAxis, points.map(p => p.y)));
+    }
+
+    return graph;
+}
+
+/**
+ * Checks that a saved graph still fits the solution chart (the curriculum may have changed since it was drawn)
+ * @param {Object} graph - Student graph
+ * @param {Object} solution - Solution chart
+ * @returns {boolean} True if the graph can be edited against this solution
+ */
+function isCompatibleGraph(graph, solution) {
+    if (!graph || graph.chartType !== solution.chartType) return false;
+
+    if (solution.chartType === 'bar' || solution.chartType === 'histogram') {
+        const series = solution.series || [];
+        return Array.isArray(graph.series) && graph.series.length === series.length &&
+            graph.series.every((s, i) => Array.isArray(s.values) && s.values.length === series[i].values.length);
+    }
+    if (solution.chartType === 'boxplot') {
+        return getBoxplots(graph).length === getBoxplots(solution).length;
+    }
+    if (solution.chartType === 'dotplot') return Array.isArray(graph.values);
+    if (solution.chartType === 'scatter') return Array.isArray(graph.points);
+    return false;
+}
+
+/**
+ * Gets a user's saved graph for one part
+ * @param {string} username - Username
+ * @param {string} questionId - Question ID
+ * @param {string} partId - Solution part ID
+ * @returns {Object|null} Saved graph in renderChart's format
+ */
+function getSavedGraph(username, questionId, partId) {
+    return classData.users[username]?.graphs?.[questionId]?.[partId]?.chart || null;
+}
+
+/**
+ * The graph the current user is editing: the draft, else their saved graph, else a blank one
+ * @param {string} questionId - Question ID
+ * @param {Object} part - Solution part
+ * @returns {Object} Student graph
+ */
+function getStudentGraph(questionId, part) {
+    const key = graphKey(questionId, part.partId);
+    const solution = part.attachments;
+
+    if (isCompatibleGraph(graphDrafts[key], solution)) return graphDrafts[key];
+
+    const saved = getSavedGraph(currentUsername, questionId, part.partId);
+    graphDrafts[key] = isCompatibleGraph(saved, solution) ? cloneGraph(saved) : createBlankGraph(solution);
+    return graphDrafts[key];
+}
+
+// ========================================
+// COMPARISON WITH THE SOLUTION
+// ========================================
+
+function withinTolerance(value, expected, span) {
+    return Math.abs(Number(value) - Number(expected)) <= Math.abs(span) * GRAPH_TOLERANCE_FRACTION + 1e-9;
+}
+
+function describeMisses(misses) {
+    if (misses.length === 0) return '';
+    const shown = misses.slice(0, 4).join(', ');
+    return `Check ${shown}${misses.length > 4 ? ` and ${misses.length - 4} more` : ''}`;
+}
+
+/**
+ * Checks whether an axis title was written, quoting the solution's title for the grader
+ * @param {string} axisName - 'Horizontal' or 'Vertical'
+ * @param {Object} graphAxis - Student axis config
+ * @param {Object} solutionAxis - Solution axis config
+ * @returns {Object} Check result
+ */
+function checkAxisTitle(axisName, graphAxis, solutionAxis) {
+    const title = (graphAxis?.title || '').trim();
+    return {
+        label: `${axisName} axis is labeled${title ? `: "${title}"` : ''}`,
+        passed: title.length > 0,
+        detail: solutionAxis?.title ? `Solution: "${solutionAxis.title}"` : ''
+    };
+}
+
+/**
+ * Compares a student graph with the solution chart, one check per thing the rubric looks for
+ * @param {Object} graph - Student graph
+ * @param {Object} solution - Solution chart
+ * @returns {Array} Checks as {label, passed, detail}
+ */
+function compareGraphToSolution(graph, solution) {
+    if (!isCompatibleGraph(graph, solution)) {
+        return [{ label: 'Graph does not match the type of graph asked for', passed: false, detail: '' }];
+    }
+
+    const config = solution.chartConfig || {};
+    const graphConfig = graph.chartConfig || {};
+    const checks = [];
+
+    if (solution.chartType === 'bar' || solution.chartType === 'histogram') {
+        const range = getBarValueRange(solution);
+        const labels = solution.xLabels || solution.yLabels || [];
+        const multiSeries = solution.series.length > 1;
+        const misses = [];
+        let total = 0;
+
+        solution.series.forEach((series, s) => {
+            series.values.forEach((expected, i) => {
+                total++;
+                if (!withinTolerance(graph.series[s].values[i], expected, range.max - range.min)) {
+                    const label = labels[i] !== undefined ? labels[i] : `bar ${i + 1}`;
+                    misses.push(multiSeries ? `${label} (${series.name})` : label);
+                }
+            });
+        });
+
+        checks.push({
+            label: `${total - misses.length} of ${total} bars have approximately correct heights`,
+            passed: misses.length === 0,
+            detail: describeMisses(misses)
+        });
+        checks.push(checkAxisTitle('Horizontal', graphConfig.xAxis, config.xAxis));
+        checks.push(checkAxisTitle('Vertical', graphConfig.yAxis, config.yAxis));
+
+    } else if (solution.chartType === 'boxplot') {
+        const solutionBoxes = getBoxplots(solution);
+        const graphBoxes = getBoxplots(graph);
+        const range = getAxisRange(config.xAxis, solutionBoxes.flatMap(getBoxplotValues));
+
+        solutionBoxes.forEach((box, b) => {
+            const expected = getBoxplotValues(box);
+            const misses = FIVE_NUMBER_FIELDS
+                .filter((field, i) => !withinTolerance(graphBoxes[b][field.key], expected[i], range.max - range.min))
+                .map(field => field.label);
+            const name = solutionBoxes.length > 1 ? ` (${box.name || `boxplot ${b + 1}`})` : '';
+
+            checks.push({
+                label: `${FIVE_NUMBER_FIELDS.length - misses.length} of ${FIVE_NUMBER_FIELDS.length} summary values approximately correct${name}`,
+                passed: misses.length === 0,
+                detail: describeMisses(misses)
+            });
+        });
+        checks.push(checkAxisTitle('Horizontal', graphConfig.xAxis, config.xAxis));
+
+    } else if (solution.chartType === 'dotplot') {
+        const step = getPrecisionStep(solution.values);
+        const remaining = {};
+        solution.values.forEach(v => {
+            const key = roundToStep(v, step);
+            remaining[key] = (remaining[key] || 0) + 1;
+        });
+
+        let matched = 0;
+        graph.values.forEach(v => {
+            const key = roundToStep(v, step);
+            if (remaining[key] > 0) {
+                remaining[key]--;
+                matched++;
+            }
+        });
+
+        const missing = Object.keys(remaining).filter(key => remaining[key] > 0);
+        const extra = graph.values.length - matched;
+        checks.push({
+            label: `${matched} of ${solution.values.length} dots placed correctly`,
+            passed: matched === solution.values.length && extra === 0,
+            detail: [describeMisses(missing), extra > 0 ? `${extra} extra dot${extra === 1 ? '' : 's'}` : '']
+                .filter(Boolean).join('; ')
+        });
+        checks.push(checkAxisTitle('Horizontal', graphConfig.xAxis, config.xAxis));
+
+    } else if (solution.chartType === 'scatter') {
+        const points = solution.points || [];
+        const xRange = getAxisRange(config.xAxis, points.map(p => p.x));
+        const yRange = getAxisRange(config.yAxis, points.map(p => p.y));
+        const unused = graph.points.slice();
+        const misses = [];
+
+        // Greedy match: each solution point claims the nearest unclaimed student point within tolerance
+        points.forEach(point => {
+            let best = -1;
+            let bestDistance = Infinity;
+            unused.forEach((candidate, i) => {
+                if (!withinTolerance(candidate.x, point.x, xRange.max - xRange.min) ||
+                    !withinTolerance(candidate.y, point.y, yRange.max - yRange.min)) return;
+                const distance = Math.abs((candidate.x - point.x) / (xRange.max - xRange.min)) +
+                    Math.abs((candidate.y - point.y) / (yRange.max - yRange.min));
+                if (distance < bestDistance) {
+                    best = i;
+                    bestDistance = distance;
+                }
+            });
+
+            if (best >= 0) {
+                unused.splice(best, 1);
+            } else {
+                misses.push(`(${point.x}, ${point.y})`);
+            }
+        });
+
+        checks.push({
+            label: `${points.length - misses.length} of ${points.length} points plotted in approximately the right place`,
+            passed: misses.length === 0 && unused.length === 0,
+            detail: [describeMisses(misses), unused.length > 0 ? `${unused.length} extra point${unused.length === 1 ? '' : 's'}` : '']
+                .filter(Boolean).join('; ')
+        });
+        checks.push(checkAxisTitle('Horizontal', graphConfig.xAxis, config.xAxis));
+        checks.push(checkAxisTitle('Vertical', graphConfig.yAxis, config.yAxis));
+    }
+
+    return checks;
+}
+
+/**
+ * Builds the checklist shown to the author after submitting and to peers while grading
+ * @param {Object} graph - Student graph
+ * @param {Object} part - Solution part
+ * @returns {string} HTML
+ */
+function renderGraphCheck(graph, part) {
+    const checks = compareGraphToSolution(graph, part.attachments);
+    return `
+        <div class="graph-check">
+            <div class="graph-check-title">Compared with the solution graph for part ${escapeGraphHtml(part.partId)}:</div>
+            <ul>
+                ${checks.map(check => `
+                    <li class="${check.passed ? 'passed' : 'failed'}">
+                        ${check.passed ? '✅' : '❌'} ${escapeGraphHtml(check.label)}
+                        ${check.detail ? `<small>${escapeGraphHtml(check.detail)}</small>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+function escapeGraphHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Copy of a graph for renderChart, with a title and placeholders for unlabeled axes
+ * @param {Object} graph - Student graph
+ * @param {string} title - Chart title
+ * @returns {Object} Chart data
+ */
+function getDisplayGraph(graph, title) {
+    const display = cloneGraph(graph);
+    display.title = title;
+    ['xAxis', 'yAxis'].forEach(axis => {
+        const axisConfig = display.chartConfig?.[axis];
+        if (axisConfig && !axisConfig.title) axisConfig.title = GRAPH_AXIS_PLACEHOLDER;
+    });
+    return display;
+}
+
+/**
+ * Draws a graph into its container, replacing any chart already there
+ * @param {string} questionId - Question ID
+ * @param {string} partId - Solution part ID
+ */
+function redrawStudentGraph(questionId, partId) {
+    const domId = graphDomId(questionId, partId);
+    const container = document.getElementById(`graph-canvas-${domId}`);
+    const graph = graphDrafts[graphKey(questionId, partId)];
+    if (!container || !graph) return;
+
+    const chartId = `chart-${domId}`;
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+        delete chartInstances[chartId];
+    }
+    container.innerHTML = renderChart(getDisplayGraph(graph, `✏️ Your graph for part ${partId}`), domId);
+}
+
+function getGraphInstructions(chartType) {
+    if (chartType === 'bar' || chartType === 'histogram') {
+        return 'Drag each bar to its height, or type the heights below.';
+    }
+    if (chartType === 'boxplot') return 'Enter the five-number summary.';
+    if (chartType === 'dotplot') return 'Click above the axis to add a dot; click a dot to remove it.';
+    return 'Click the grid to plot a point; click a point to remove it.';
+}
+
+function renderAxisTitleInputs(questionId, partId, graph, isDisabled) {
+    const axes = graph.chartType === 'boxplot' || graph.chartType === 'dotplot' ?
+        [['xAxis', 'Horizontal axis label']] :
+        [['xAxis', 'Horizontal axis label'], ['yAxis', 'Vertical axis label']];
+
+    return `
+        <div class="graph-axis-inputs">
+            ${axes.map(([axis, label]) => `
+                <label>${label}
+                    <input type="text"
+                           value="${escapeGraphHtml(graph.chartConfig?.[axis]?.title || '')}"
+                           onchange="onGraphAxisTitleChange('${questionId}', '${partId}', '${axis}', this.value)"
+                           ${isDisabled ? 'disabled' : ''}>
+                </label>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderGraphValueInputs(questionId, partId, graph, isDisabled) {
+    const disabled = isDisabled ? 'disabled' : '';
+
+    if (graph.chartType === 'bar' || graph.chartType === 'histogram') {
+        const solution = graphSolutions[graphKey(questionId, partId)];
+        const labels = graph.xLabels || graph.yLabels || [];
+        const step = getPrecisionStep(solution.series.flatMap(s => s.values));
+        const multiSeries = graph.series.length > 1;
+
+        return `
+            <table class="graph-value-table">
+                <tr>${multiSeries ? '<th></th>' : ''}${labels.map(label => `<th>${escapeGraphHtml(label)}</th>`).join('')}</tr>
+                ${graph.series.map((series, s) => `
+                    <tr>
+                        ${multiSeries ? `<th>${escapeGraphHtml(series.name)}</th>` : ''}
+                        ${series.values.map((value, i) => `
+                            <td><input type="number" step="${step}" value="${value}"
+                                       id="graph-value-${graphDomId(questionId, partId)}-${s}-${i}"
+                                       oninput="onGraphValueInput('${questionId}', '${partId}', ${s}, ${i}, this.value)"
+                                       ${disabled}></td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    if (graph.chartType === 'boxplot') {
+        return getBoxplots(graph).map((box, b) => `
+            <div class="graph-five-number">
+                ${box.name ? `<strong>${escapeGraphHtml(box.name)}</strong>` : ''}
+                ${FIVE_NUMBER_FIELDS.map(field => `
+                    <label>${field.label}
+                        <input type="number" step="any" value="${box[field.key]}"
+                               onchange="onGraphBoxInput('${questionId}', '${partId}', ${b}, '${field.key}', this.value)"
+                               ${disabled}>
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    // Dots and points can also be typed, for students who cannot use a pointer
+    const text = graph.chartType === 'dotplot' ?
+        graph.values.join(', ') :
+        graph.points.map(p => `${p.x}, ${p.y}`).join('; ');
+    const placeholder = graph.chartType === 'dotplot' ? 'e.g. 3, 4, 4, 7' : 'e.g. 1, 2; 3, 5';
+
+    return `
+        <label class="graph-typed-values">Or type the ${graph.chartType === 'dotplot' ? 'values' : 'points (x, y)'}:
+            <input type="text" value="${escapeGraphHtml(text)}" placeholder="${placeholder}"
+                   id="graph-typed-${graphDomId(questionId, partId)}"
+                   onchange="onGraphTypedValues('${questionId}', '${partId}', this.value)"
+                   ${disabled}>
+        </label>
+    `;
+}
+
+/**
+ * Builds a graph builder for every FRQ part that asks for a graph
+ * @param {Object} question - Curriculum question
+ * @param {boolean} isDisabled - True when the question is answered and cannot be retried
+ * @returns {string} HTML (empty if no part asks for a graph)
+ */
+function renderGraphBuilders(question, isDisabled) {
+    const parts = getGraphParts(question);
+    if (parts.length === 0) return '';
+
+    const showCheck = isQuestionAnswered(question.id);
+
+    return parts.map(part => {
+        const partId = part.partId;
+        const domId = graphDomId(question.id, partId);
+        graphSolutions[graphKey(question.id, partId)] = part.attachments;
+        const graph = getStudentGraph(question.id, part);
+        const canDrag = graph.chartType !== 'boxplot';
+
+        return `
+            <div class="graph-builder ${isDisabled ? 'locked' : ''}" id="graph-builder-${domId}" data-question-id="${question.id}">
+                <div class="graph-builder-header">
+                    <strong>Part ${escapeGraphHtml(partId)}: draw your ${graph.chartType}</strong>
+                    <span class="graph-builder-hint">${getGraphInstructions(graph.chartType)}</span>
+                </div>
+                ${graph.series && graph.series.length > 1 ? `
+                    <label class="graph-series-select">Drag bars for
+                        <select id="graph-series-${domId}" ${isDisabled ? 'disabled' : ''}>
+                            ${graph.series.map((series, s) => `<option value="${s}">${escapeGraphHtml(series.name)}</option>`).join('')}
+                        </select>
+                    </label>
+                ` : ''}
+                <div class="graph-builder-canvas" id="graph-canvas-${domId}"
+                     ${canDrag ? `onpointerdown="onGraphPointerDown(event, '${question.id}', '${partId}')"
+                     onpointermove="onGraphPointerMove(event, '${question.id}', '${partId}')"
+                     onpointerup="onGraphPointerUp(event, '${question.id}', '${partId}')"` : ''}>
+                    ${renderChart(getDisplayGraph(graph, `✏️ Your graph for part ${partId}`), domId)}
+                </div>
+                ${renderAxisTitleInputs(question.id, partId, graph, isDisabled)}
+                <div id="graph-inputs-${domId}">${renderGraphValueInputs(question.id, partId, graph, isDisabled)}</div>
+                <button class="graph-clear-btn" onclick="clearStudentGraph('${question.id}', '${partId}')"
+                        ${isDisabled ? 'disabled' : ''}>Start over</button>
+                <div id="graph-check-${domId}">${showCheck ? renderGraphCheck(graph, part) : ''}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Shows a user's saved graphs, each with its solution checklist (used while peer grading)
+ * @param {Object} question - Curriculum question
+ * @param {string} username - Author of the graphs
+ * @param {string} context - Distinguishes chart IDs when several authors are shown (e.g. "peer2")
+ * @returns {string} HTML (empty if no part asks for a graph)
+ */
+function renderSavedGraphs(question, username, context) {
+    return getGraphParts(question).map(part => {
+        const graph = getSavedGraph(username, question.id, part.partId);
+        if (!graph) {
+            return `<div class="graph-saved graph-missing">No graph drawn for part ${escapeGraphHtml(part.partId)}.</div>`;
+        }
+        return `
+            <div class="graph-saved">
+                ${renderChart(getDisplayGraph(graph, `Part ${part.partId} graph`), `${question.id}-${context}-${part.partId}`)}
+                ${renderGraphCheck(graph, part)}
+            </div>
+        `;
+    }).join('');
+}
+
+// ========================================
+// EDITING
+// ========================================
+
+function isGraphLocked(questionId) {
+    return isQuestionAnswered(questionId) && !canRetry(questionId);
+}
+
+/**
+ * Saves the draft to classData and refreshes the author's checklist
+ * @param {string} questionId - Question ID
+ * @param {string} partId - Solution part ID
+ */
+function persistStudentGraph(questionId, partId) {
+    const key = graphKey(questionId, partId);
+    const user = classData.users[currentUsername];
+    if (!user || !graphDrafts[key]) return;
+
+    if (!user.graphs) user.graphs = {};
+    if (!user.graphs[questionId]) user.graphs[questionId] = {};
+    user.graphs[questionId][partId] = {
+        chart: cloneGraph(graphDrafts[key]),
+        timestamp: Date.now()
+    };
+    saveClassData();
+
+    const checkDiv = document.getElementById(`graph-check-${graphDomId(questionId, partId)}`);
+    if (checkDiv && isQuestionAnswered(questionId)) {
+        checkDiv.innerHTML = renderGraphCheck(graphDrafts[key], { partId, attachments: graphSolutions[key] });
+    }
+}
+
+function refreshGraphInputs(questionId, partId) {
+    const domId = graphDomId(questionId, partId);
+    const inputs = document.getElementById(`graph-inputs-${domId}`);
+    const graph = graphDrafts[graphKey(questionId, partId)];
+    if (inputs && graph) inputs.innerHTML = renderGraphValueInputs(questionId, partId, graph, false);
+}
+
+/**
+ * Converts a pointer event to data coordinates on the graph's chart
+ * @param {Event} event - Pointer event
+ * @param {Object} chart - Chart.js instance
+ * @returns {Object} {px, py} canvas pixels and {x, y} axis values
+ */
+function getGraphPointer(event, chart) {
+    const rect = chart.canvas.getBoundingClientRect();
+    const px = event.clientX - rect.left;
+    const py = event.clientY - rect.top;
+    return { px, py, x: chart.scales.x.getValueForPixel(px), y: chart.scales.y.getValueForPixel(py) };
+}
+
+/**
+ * Finds the plotted point nearest a pixel position
+ * @param {Object} chart - Chart.js instance
+ * @param {number} px - Canvas x pixel
+ * @param {number} py - Canvas y pixel
+ * @returns {Object|null} The point's data ({x, y}) or null if none is within GRAPH_HIT_RADIUS_PX
+ */
+function findGraphPointNear(chart, px, py) {
+    let nearest = null;
+    let nearestDistance = GRAPH_HIT_RADIUS_PX;
+    (chart.data.datasets[0]?.data || []).forEach(point => {
+        const distance = Math.hypot(chart.scales.x.getPixelForValue(point.x) - px, chart.scales.y.getPixelForValue(point.y) - py);
+        if (distance <= nearestDistance) {
+            nearest = point;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Sets one bar from the pointer position; stacked bars measure from the top of the segment below
+ * @param {string} key - Graph key
+ * @param {Object} chart - Chart.js instance
+ * @param {Object} pointer - From getGraphPointer
+ * @param {number} seriesIndex - Series being dragged
+ * @param {number} index - Bar index
+ */
+function setBarFromPointer(key, chart, pointer, seriesIndex, index) {
+    const graph = graphDrafts[key];
+    const solution = graphSolutions[key];
+    const isHorizontal = graph.chartConfig.orientation === 'horizontal';
+    const isStacked = graph.chartConfig.stacked === true || graph.chartConfig.stacked === 'true';
+    const range = getBarValueRange(solution);
+    const step = getPrecisionStep(solution.series.flatMap(s => s.values));
+
+    let value = isHorizontal ? pointer.x : pointer.y;
+    if (isStacked) {
+        for (let s = 0; s < seriesIndex; s++) value -= Number(graph.series[s].values[index]) || 0;
+    }
+    value = roundToStep(Math.min(range.max, Math.max(range.min, value)), step);
+
+    graph.series[seriesIndex].values[index] = value;
+    chart.data.datasets[seriesIndex].data[index] = value;
+    chart.update('none');
+
+    const [questionId, partId] = key.split('::');
+    const input = document.getElementById(`graph-value-${graphDomId(questionId, partId)}-${seriesIndex}-${index}`);
+    if (input) input.value = value;
+}
+
+window.onGraphPointerDown = function(event, questionId, partId) {
+    const key = graphKey(questionId, partId);
+    const graph = graphDrafts[key];
+    const chart = chartInstances[`chart-${graphDomId(questionId, partId)}`];
+    if (!graph || !chart || isGraphLocked(questionId)) return;
+
+    const pointer = getGraphPointer(event, chart);
+    const area = chart.chartArea;
+    if (area && (pointer.px < area.left || pointer.px > area.right || pointer.py < area.top || pointer.py > area.bottom)) return;
+    event.preventDefault();
+
+    if (graph.chartType === 'bar' || graph.chartType === 'histogram') {
+        const isHorizontal = graph.chartConfig.orientation === 'horizontal';
+        const categories = graph.series[0].values.length;
+        const index = Math.round(isHorizontal ? pointer.y : pointer.x);
+        if (index < 0 || index >= categories) return;
+
+        const seriesSelect = document.getElementById(`graph-series-${graphDomId(questionId, partId)}`);
+        const seriesIndex = seriesSelect ? parseInt(seriesSelect.value) : 0;
+
+        graphDrag = { key, seriesIndex, index };
+        if (event.currentTarget?.setPointerCapture && event.pointerId !== undefined) {
+            event.currentTarget.setPointerCapture(event.pointerId);
+        }
+        setBarFromPointer(key, chart, pointer, seriesIndex, index);
+        return;
+    }
+
+    const solution = graphSolutions[key];
+    const hit = findGraphPointNear(chart, pointer.px, pointer.py);
+
+    if (graph.chartType === 'dotplot') {
+        if (hit) {
+            const at = graph.values.indexOf(hit.x);
+            if (at >= 0) graph.values.splice(at, 1);
+        } else {
+            const axis = graph.chartConfig.xAxis;
+            const step = getPrecisionStep(solution.values || []);
+            graph.values.push(roundToStep(Math.min(axis.max, Math.max(axis.min, pointer.x)), step));
+            graph.values.sort((a, b) => a - b);
+        }
+    } else if (graph.chartType === 'scatter') {
+        if (hit) {
+            const at = graph.points.findIndex(p => p.x === hit.x && p.y === hit.y);
+            if (at >= 0) graph.points.splice(at, 1);
+        } else {
+            const xAxis = graph.chartConfig.xAxis;
+            const yAxis = graph.chartConfig.yAxis;
+            const xStep = xAxis.tickInterval ? xAxis.tickInterval / 10 : getPrecisionStep((solution.points || []).map(p => p.x));
+            const yStep = yAxis.tickInterval ? yAxis.tickInterval / 10 : getPrecisionStep((solution.points || []).map(p => p.y));
+            graph.points.push({ x: roundToStep(pointer.x, xStep), y: roundToStep(pointer.y, yStep) });
+        }
+    }
+
+    redrawStudentGraph(questionId, partId);
+    refreshGraphInputs(questionId, partId);
+    persistStudentGraph(questionId, partId);
+};
+
+window.onGraphPointerMove = function(event, questionId, partId) {
+    const key = graphKey(questionId, partId);
+    if (!graphDrag || graphDrag.key !== key) return;
+
+    const chart = chartInstances[`chart-${graphDomId(questionId, partId)}`];
+    if (!chart) return;
+    setBarFromPointer(key, chart, getGraphPointer(event, chart), graphDrag.seriesIndex, graphDrag.index);
+};
+
+window.onGraphPointerUp = function(event, questionId, partId) {
+    if (!graphDrag || graphDrag.key !== graphKey(questionId, partId)) return;
+    graphDrag = null;
+    persistStudentGraph(questionId, partId);
+};
+
+window.onGraphValueInput = function(questionId, partId, seriesIndex, index, value) {
+    const key = graphKey(questionId, partId);
+    const graph = graphDrafts[key];
+    const number = parseFloat(value);
+    if (!graph || !Number.isFinite(number) || isGraphLocked(questionId)) return;
+
+    graph.series[seriesIndex].values[index] = number;
+    const chart = chartInstances[`chart-${graphDomId(questionId, partId)}`];
+    if (chart) {
+        chart.data.datasets[seriesIndex].data[index] = number;
+        chart.update('none');
+    }
+    persistStudentGraph(questionId, partId);
+};
+
+window.onGraphBoxInput = function(questionId, partId, boxIndex, field, value) {
+    const graph = graphDrafts[graphKey(questionId, partId)];
+    const number = parseFloat(value);
+    if (!graph || !Number.isFinite(number) || isGraphLocked(questionId)) return;
+
+    getBoxplots(graph)[boxIndex][field] = number;
+    redrawStudentGraph(questionId, partId);
+    persistStudentGraph(questionId, partId);
+};
+
+window.onGraphTypedValues = function(questionId, partId, text) {
+    const graph = graphDrafts[graphKey(questionId, partId)];
+    if (!graph || isGraphLocked(questionId)) return;
+
+    if (graph.chartType === 'dotplot') {
+        graph.values = text.split(/[\s,;]+/)
+            .map(parseFloat)
+            .filter(Number.isFinite)
+            .sort((a, b) => a - b);
+    } else if (graph.chartType === 'scatter') {
+        graph.points = text.split(/[;\n]+/)
+            .map(pair => pair.split(/[\s,]+/).filter(Boolean).map(parseFloat))
+            .filter(pair => pair.length === 2 && pair.every(Number.isFinite))
+            .map(([x, y]) => ({ x, y }));
+    }
+
+    redrawStudentGraph(questionId, partId);
+    persistStudentGraph(questionId, partId);
+};
+
+window.onGraphAxisTitleChange = function(questionId, partId, axis, title) {
+    const graph = graphDrafts[graphKey(questionId, partId)];
+    if (!graph || isGraphLocked(questionId)) return;
+
+    if (!graph.chartConfig[axis]) graph.chartConfig[axis] = {};
+    graph.chartConfig[axis].title = title.trim();
+    redrawStudentGraph(questionId, partId);
+    persistStudentGraph(questionId, partId);
+};
+
+window.clearStudentGraph = function(questionId, partId) {
+    const key = graphKey(questionId, partId);
+    if (!graphSolutions[key] || isGraphLocked(questionId)) return;
+
+    const previous = graphDrafts[key];
+    graphDrafts[key] = createBlankGraph(graphSolutions[key]);
+
+    // Keep the axis labels - starting over is about the data
+    ['xAxis', 'yAxis'].forEach(axis => {
+        if (previous?.chartConfig?.[axis]?.title && graphDrafts[key].chartConfig[axis]) {
+            graphDrafts[key].chartConfig[axis].title = previous.chartConfig[axis].title;
+        }
+    });
+
+    redrawStudentGraph(questionId, partId);
+    refreshGraphInputs(questionId, partId);
+    persistStudentGraph(questionId, partId);
+};
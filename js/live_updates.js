@@ -0,0 +1,136 @@
+// live_updates.js - Live consensus view updates as peer answers arrive
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (currentUsername, classData, currentQuestions, chartInstances)
+//               Requires functions from other modules (saveClassData, renderMCQDistribution, renderFRQResponses,
+//               renderNumericDistribution, renderSelectionDistribution)
+// This module handles "a peer just answered" - new answers from WebSocket events or delta sync are merged
+// into classData and the open question's chart, response list and peer sidebar refresh without a reload.
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+// Color a bar flashes when its count changes, and for how long
+const LIVE_UPDATE_FLASH_COLOR = '#FFC107';
+const LIVE_UPDATE_FLASH_MS = 1200;
+
+// ========================================
+// MERGING INCOMING ANSWERS
+// ========================================
+
+/**
+ * Merges incoming peer answer rows into classData (newer timestamp wins) and refreshes
+ * any affected question that is currently on screen.
+ * @param {Array} rows - Answer rows {username, question_id, answer_value, timestamp, section}
+ * @returns {Array} Question IDs that changed
+ */
+function applyLivePeerAnswers(rows) {
+    if (!classData || !classData.users || !Array.isArray(rows)) return [];
+
+    // questionId -> {usernames: [peers who answered], values: [answer values whose counts changed]}
+    const changes = {};
+
+    rows.forEach(row => {
+        if (!row || !row.username || !row.question_id || row.username === currentUsername) return;
+
+        const timestamp = typeof row.timestamp === 'number' ? row.timestamp : new Date(row.timestamp).getTime() || Date.now();
+
+        if (!classData.users[row.username]) {
+            classData.users[row.username] = { answers: {}, reasons: {}, timestamps: {}, attempts: {} };
+        }
+        const user = classData.users[row.username];
+        if (!user.answers) user.answers = {};
+        if (row.section) user.section = row.section;
+
+        const existing = user.answers[row.question_id];
+        const existingTimestamp = existing?.timestamp ? new Date(existing.timestamp).getTime() || Number(existing.timestamp) : 0;
+        if (existing && existingTimestamp >= timestamp) return;
+
+        const previousValue = existing ? (existing.value !== undefined ? existing.value : existing) : null;
+        if (previousValue === row.answer_value) return;
+
+        user.answers[row.question_id] = { value: row.answer_value, timestamp: timestamp };
+
+        if (!changes[row.question_id]) {
+            changes[row.question_id] = { usernames: [], values: [] };
+        }
+        changes[row.question_id].usernames.push(row.username);
+        changes[row.question_id].values.push(row.answer_value);
+        if (previousValue !== null) {
+            changes[row.question_id].values.push(previousValue);
+        }
+    });
+
+    const changedIds = Object.keys(changes);
+    if (changedIds.length === 0) return [];
+
+    saveClassData();
+
+    changedIds.forEach(questionId => {
+        refreshLiveQuestion(questionId, changes[questionId].usernames, changes[questionId].values);
+    });
+
+    return changedIds;
+}
+
+// ========================================
+// REFRESHING THE OPEN QUESTION
+// ========================================
+
+/**
+ * Whether a question's consensus view is currently shown
+ * @param {string} questionId - Question ID
+ * @returns {boolean} True if the results section is visible
+ */
+function isConsensusViewOpen(questionId) {
+    const section = document.getElementById(`dotplot-section-${questionId}`);
+    return !!(section && section.classList.contains('show') && document.getElementById(`contributors-${questionId}`));
+}
+
+/**
+ * Re-renders an open question's consensus view and highlights what changed
+ * @param {string} questionId - Question ID
+ * @param {Array} usernames - Peers whose answers changed
+ * @param {Array} changedValues - Answer values whose counts changed (old and new)
+ */
+function refreshLiveQuestion(questionId, usernames, changedValues) {
+    if (!isConsensusViewOpen(questionId)) return;
+
+    const question = (currentQuestions || []).find(q => q.id === questionId);
+    if (!question) return;
+
+    if (question.type === 'multiple-choice') {
+        renderMCQDistribution(questionId, changedValues.map(String));
+    } else if (question.type === 'numeric') {
+        renderNumericDistribution(questionId, changedValues.map(String));
+    } else if (question.type === 'multi-select' || question.type === 'ordering') {
+        renderSelectionDistribution(questionId, changedValues.map(String));
+    } else {
+        renderFRQResponses(questionId);
+    }
+
+    highlightLiveResponses(questionId, usernames);
+    console.log(`⚡ Live update for ${questionId}: ${usernames.length} new peer answer${usernames.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Briefly highlights the response list entries and sidebar cards for peers who just answered
+ * @param {string} questionId - Question ID
+ * @param {Array} usernames - Peers to highlight
+ */
+function highlightLiveResponses(questionId, usernames) {
+    const containers = [
+        document.getElementById(`contributors-${questionId}`),
+        document.getElementById(`peer-reasoning-content-${questionId}`)
+    ];
+
+    containers.forEach(container => {
+        if (!container) return;
+        container.querySelectorAll('[data-username]').forEach(element => {
+            if (usernames.includes(element.dataset.username)) {
+                element.classList.add('live-updated');
+                setTimeout(() => element.classList.remove('live-updated'), LIVE_UPDATE_FLASH_MS * 2);
+            }
+        });
+    });
+}
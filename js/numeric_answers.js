@@ -0,0 +1,420 @@
+// numeric_answers.js - Numeric questions: parsing, answer keys with tolerance, and the class distribution
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (classData, currentUsername, chartInstances)
+//               Requires functions from other modules (getScopedUsernames, calculateBadges, populatePeerReasoning,
+//               getTextColor, getGridColor)
+// This module handles "type the number" questions - a student's entry is checked for units and significant
+// figures before it is saved, graded against a {value, tolerance} or {min, max} answer key, and the class's
+// submitted values are shown as a dotplot (or a histogram when they are spread out).
+//
+// Curriculum shape:
+//   { "type": "numeric", "answerKey": { "value": 0.66, "tolerance": 0.005 }, "units": "minutes", "sigFigs": 2 }
+//   answerKey may also be { "min": 0.65, "max": 0.67 } or a plain number (exact).
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+// More distinct submitted values than this are binned into a histogram instead of a dotplot
+const NUMERIC_DOTPLOT_MAX_DISTINCT = 15;
+const NUMERIC_HISTOGRAM_BINS = 10;
+
+// Floating-point slack when comparing against the answer key
+const NUMERIC_EPSILON = 1e-9;
+
+// Share of the class giving the same value that counts as consensus (matches the MCQ view)
+const NUMERIC_CONSENSUS_THRESHOLD = 0.7;
+
+// ========================================
+// PARSING AND VALIDATION
+// ========================================
+
+/**
+ * Counts significant figures in a number as typed ("0.660" has 3, "1200" has 2, "1200." has 4)
+ * @param {string} text - Number text without units
+ * @returns {number} Significant figures (0 for zero or non-numbers)
+ */
+function countSignificantFigures(text) {
+    const mantissa = String(text).trim().replace(/^[+-]/, '').split(/e/i)[0];
+    if (!/^(\d+\.?\d*|\.\d+)$/.test(mantissa)) return 0;
+
+    const hasPoint = mantissa.includes('.');
+    let digits = mantissa.replace('.', '').replace(/^0+/, '');
+    if (digits.length === 0) return 0;
+
+    // Without a decimal point, trailing zeros are placeholders
+    if (!hasPoint) digits = digits.replace(/0+$/, '');
+    return digits.length;
+}
+
+/**
+ * Whether typed units match the question's units (case-insensitive, plural "s" optional)
+ * @param {string} typed - Units the student typed
+ * @param {string} units - Units from the curriculum
+ * @returns {boolean} True if they match
+ */
+function unitsMatch(typed, units) {
+    const normalize = text => text.trim().toLowerCase().replace(/\s+/g, ' ').replace(/s$/, '');
+    return normalize(typed) === normalize(units);
+}
+
+/**
+ * Parses and validates a numeric entry against the question's units and significant-figure rule
+ * @param {string} text - What the student typed (e.g. "0.66 minutes", "1,250", "-1.2e3")
+ * @param {Object} question - Curriculum question ({units, sigFigs})
+ * @returns {Object} {value: number, text: string, error: string|null} - text is the number as typed, without units
+ */
+function parseNumericAnswer(text, question) {
+    const trimmed = String(text ?? '').trim();
+    if (!trimmed) {
+        return { value: NaN, text: '', error: 'Please enter a number.' };
+    }
+
+    // Thousands separators only ("1,250" but not "1,25")
+    const match = trimmed.match(/^([+-]?(?:\d{1,3}(?:,\d{3})+|\d+)?(?:\.\d*)?(?:e[+-]?\d+)?)\s*(.*)$/i);
+    const numberText = match ? match[1].replace(/,/g, '') : '';
+    const value = parseFloat(numberText);
+
+    if (!match || !/\d/.test(numberText) || !Number.isFinite(value)) {
+        return { value: NaN, text: '', error: 'Enter a number (for example 0.66).' };
+    }
+
+    const typedUnits = match[2];
+    if (typedUnits) {
+        if (!question?.units) {
+            return { value, text: numberText, error: 'Enter just the number.' };
+        }
+        if (!unitsMatch(typedUnits, question.units)) {
+            return { value, text: numberText, error: `Give your answer in ${question.units}.` };
+        }
+    }
+
+    if (question?.sigFigs && countSignificantFigures(numberText) !== question.sigFigs) {
+        return {
+            value,
+            text: numberText,
+            error: `Give your answer to ${question.sigFigs} significant figure${question.sigFigs === 1 ? '' : 's'}.`
+        };
+    }
+
+    return { value, text: numberText, error: null };
+}
+
+/**
+ * Normalizes an answer key to an inclusive interval
+ * @param {Object|number} answerKey - {value, tolerance}, {min, max} or a number
+ * @returns {Object|null} {min, max} or null if the key is not numeric
+ */
+function getNumericAnswerInterval(answerKey) {
+    if (typeof answerKey === 'number') return { min: answerKey, max: answerKey };
+    if (!answerKey || typeof answerKey !== 'object') return null;
+
+    if (Number.isFinite(answerKey.min) && Number.isFinite(answerKey.max)) {
+        return { min: answerKey.min, max: answerKey.max };
+    }
+    if (Number.isFinite(answerKey.value)) {
+        const tolerance = Math.abs(Number(answerKey.tolerance) || 0);
+        return { min: answerKey.value - tolerance, max: answerKey.value + tolerance };
+    }
+    return null;
+}
+
+/**
+ * Grades a stored numeric answer
+ * @param {Object} question - Curriculum question
+ * @param {string|number} value - Stored answer value
+ * @returns {boolean} True if the value is inside the answer key's interval
+ */
+function isNumericAnswerCorrect(question, value) {
+    const interval = getNumericAnswerInterval(question?.answerKey);
+    const number = parseFloat(String(value ?? '').replace(/,/g, ''));
+    if (!interval || !Number.isFinite(number)) return false;
+    return number >= interval.min - NUMERIC_EPSILON && number <= interval.max + NUMERIC_EPSILON;
+}
+
+/**
+ * Describes the answer key for the answer-key and College Board sections
+ * @param {Object} question - Curriculum question
+ * @returns {string} e.g. "0.66 ± 0.005 minutes" or "between 0.65 and 0.67"
+ */
+function formatNumericAnswerKey(question) {
+    const answerKey = question?.answerKey;
+    const units = question?.units ? ` ${question.units}` : '';
+
+    if (typeof answerKey === 'number') return `${answerKey}${units}`;
+    if (answerKey && Number.isFinite(answerKey.value)) {
+        return answerKey.tolerance ? `${answerKey.value} ± ${Math.abs(answerKey.tolerance)}${units}` : `${answerKey.value}${units}`;
+    }
+    if (answerKey && Number.isFinite(answerKey.min) && Number.isFinite(answerKey.max)) {
+        return `between ${answerKey.min} and ${answerKey.max}${units}`;
+    }
+    return '';
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Builds the numeric input for a question card
+ * @param {Object} question - Curriculum question
+ * @param {string} savedValue - Previously submitted value
+ * @param {boolean} isDisabled - True when the question is answered and cannot be retried
+ * @returns {string} HTML
+ */
+function renderNumericInput(question, savedValue, isDisabled) {
+    const hints = [];
+    if (question.units) hints.push(`in ${question.units}`);
+    if (question.sigFigs) hints.push(`to ${question.sigFigs} significant figure${question.sigFigs === 1 ? '' : 's'}`);
+
+    return `
+        <div class="answer-section numeric-answer">
+            <input type="text"
+                   inputmode="decimal"
+                   id="numeric-${question.id}"
+                   class="numeric-input"
+                   value="${String(savedValue ?? '').replace(/"/g, '&quot;')}"
+                   placeholder="Enter a number"
+                   ${isDisabled ? 'disabled' : ''}>
+            ${question.units ? `<span class="numeric-units">${question.units}</span>` : ''}
+            ${hints.length > 0 ? `<div class="numeric-hint">Give your answer ${hints.join(' ')}.</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Groups submitted values into dotplot stacks, or histogram bins when there are many distinct values
+ * @param {Array} values - Submitted numbers
+ * @returns {Object} {type: 'dotplot'|'histogram', labels, counts, bins}
+ */
+function buildNumericDistribution(values) {
+    const distinct = [...new Set(values)].sort((a, b) => a - b);
+
+    if (distinct.length <= NUMERIC_DOTPLOT_MAX_DISTINCT) {
+        return {
+            type: 'dotplot',
+            labels: distinct,
+            counts: distinct.map(v => values.filter(x => x === v).length)
+        };
+    }
+
+    const min = distinct[0];
+    const max = distinct[distinct.length - 1];
+    const width = (max - min) / NUMERIC_HISTOGRAM_BINS;
+    const counts = new Array(NUMERIC_HISTOGRAM_BINS).fill(0);
+    values.forEach(v => {
+        counts[Math.min(NUMERIC_HISTOGRAM_BINS - 1, Math.floor((v - min) / width))]++;
+    });
+
+    const format = v => Number(v.toPrecision(4));
+    const bins = counts.map((_, i) => ({ low: min + i * width, high: min + (i + 1) * width }));
+    return {
+        type: 'histogram',
+        labels: bins.map(bin => `${format(bin.low)}–${format(bin.high)}`),
+        counts,
+        bins
+    };
+}
+
+/**
+ * Renders the class distribution of submitted values, consensus message and contributor list
+ * (the numeric counterpart of renderMCQDistribution)
+ * @param {string} questionId - Question ID
+ * @param {Array} changedValues - Values whose counts just changed (optional, from live updates)
+ */
+function renderNumericDistribution(questionId, changedValues = null) {
+    const canvas = document.getElementById(`dotplot-${questionId}`);
+    if (!canvas) return;
+
+    const question = (currentQuestions || []).find(q => q.id === questionId);
+    const units = question?.units ? ` ${question.units}` : '';
+
+    canvas.style.display = '';
+    canvas.parentElement.style.position = 'relative';
+    canvas.style.height = '300px';
+    canvas.style.width = '100%';
+
+    // Gather submitted values from everyone in the student's section
+    const contributors = [];
+    for (let username of getScopedUsernames()) {
+        const userAnswer = classData.users[username].answers?.[questionId];
+        if (!userAnswer) continue;
+
+        const text = String(userAnswer.value !== undefined ? userAnswer.value : userAnswer);
+        const number = parseFloat(text.replace(/,/g, ''));
+        if (!Number.isFinite(number)) continue;
+
+        contributors.push({
+            username: username,
+            value: number,
+            choice: `${text}${units}`,
+            reason: classData.users[username].reasons?.[questionId] || ''
+        });
+    }
+
+    const values = contributors.map(c => c.value);
+    const distribution = buildNumericDistribution(values);
+    const userEntry = contributors.find(c => c.username === currentUsername);
+    const changed = (changedValues || []).map(v => parseFloat(v)).filter(Number.isFinite);
+
+    // The current user's dot/bin is green like their MCQ bar; values that just changed flash
+    const colorFor = (matches) => {
+        if (changed.some(matches)) return typeof LIVE_UPDATE_FLASH_COLOR !== 'undefined' ? LIVE_UPDATE_FLASH_COLOR : '#FFC107';
+        return userEntry && matches(userEntry.value) ? '#4CAF50' : '#36A2EB';
+    };
+
+    const existingChart = chartInstances[`dotplot-${questionId}`];
+    if (existingChart) {
+        existingChart.destroy();
+        delete chartInstances[`dotplot-${questionId}`];
+    }
+
+    const ctx = canvas.getContext('2d');
+    const xTitle = question?.units ? `Submitted value (${question.units})` : 'Submitted value';
+
+    if (distribution.type === 'dotplot') {
+        const points = [];
+        const colors = [];
+        distribution.labels.forEach((value, i) => {
+            for (let level = 1; level <= distribution.counts[i]; level++) {
+                points.push({ x: value, y: level });
+                colors.push(colorFor(v => v === value));
+            }
+        });
+        const maxCount = Math.max(0, ...distribution.counts);
+
+        chartInstances[`dotplot-${questionId}`] = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Submitted values',
+                    data: points,
+                    backgroundColor: colors,
+                    borderColor: colors,
+                    pointRadius: 6,
+                    pointHoverRadius: 8
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        grace: '10%',
+                        title: { display: true, text: xTitle, color: getTextColor() },
+                        grid: { color: getGridColor() },
+                        ticks: { color: getTextColor() }
+                    },
+                    y: {
+                        min: 0,
+                        max: maxCount + 1,
+                        ticks: { display: false, stepSize: 1 },
+                        grid: { display: false }
+                    }
+                },
+                plugins: {
+                    legend: { display: false },
+                    datalabels: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: context => {
+                                const index = distribution.labels.indexOf(context.parsed.x);
+                                return `${context.parsed.x}${units}: ${distribution.counts[index]} of ${values.length} responses`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    } else {
+        const inBin = bin => v => v >= bin.low && (v < bin.high || bin === distribution.bins[distribution.bins.length - 1]);
+
+        chartInstances[`dotplot-${questionId}`] = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: distribution.labels,
+                datasets: [{
+                    label: 'Responses',
+                    data: distribution.counts,
+                    backgroundColor: distribution.bins.map(bin => colorFor(inBin(bin))),
+                    borderColor: '#2196F3',
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                categoryPercentage: 1.0,
+                barPercentage: 1.0,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: { stepSize: 1, color: getTextColor() },
+                        title: { display: true, text: 'Number of responses', color: getTextColor() },
+                        grid: { color: getGridColor() }
+                    },
+                    x: {
+                        title: { display: true, text: xTitle, color: getTextColor() },
+                        ticks: { color: getTextColor() }
+                    }
+                },
+                plugins: {
+                    legend: { display: false },
+                    datalabels: { display: false }
+                }
+            }
+        });
+    }
+
+    // Consensus: the most common value given
+    const consensusDiv = document.getElementById(`consensus-${questionId}`);
+    if (consensusDiv) {
+        const counts = {};
+        contributors.forEach(c => { counts[c.value] = (counts[c.value] || 0) + 1; });
+        const mode = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+        const share = values.length > 0 ? counts[mode] / values.length : 0;
+        const percentage = (share * 100).toFixed(0);
+
+        if (values.length <= 1) {
+            consensusDiv.innerHTML = `
+                <div class="consensus-msg no-consensus">
+                    You're the first to answer! Import class data to see peer responses.
+                </div>
+            `;
+        } else if (share >= NUMERIC_CONSENSUS_THRESHOLD) {
+            consensusDiv.innerHTML = `
+                <div class="consensus-msg consensus">
+                    ✓ Consensus reached on ${mode}${units} (${percentage}% agreement)
+                </div>
+            `;
+        } else {
+            consensusDiv.innerHTML = `
+                <div class="consensus-msg no-consensus">
+                    No consensus yet - most common value: ${mode}${units} at ${percentage}%
+                </div>
+            `;
+        }
+    }
+
+    // Contributors with their values and reasons
+    const contributorsDiv = document.getElementById(`contributors-${questionId}`);
+    if (contributorsDiv && contributors.length > 0) {
+        let html = '<h4 style="margin-top: 10px;">Individual Responses:</h4>';
+        contributors.forEach(c => {
+            const isCurrentUser = c.username === currentUsername;
+            const badges = calculateBadges(c.username);
+            const badgeText = badges.length > 0 ? ` ${badges.join(' ')}` : '';
+
+            html += `
+                <div class="contributor-item" data-username="${c.username}" style="${isCurrentUser ? 'background: #e3f2fd;' : ''}">
+                    <span class="contributor-choice">${c.username}${badgeText} → ${c.choice}</span>
+                    ${c.reason ? `<div class="contributor-reason">"${c.reason}"</div>` : '<div style="color: #999; font-style: italic; margin-top: 5px;">No explanation provided</div>'}
+                </div>
+            `;
+        });
+        contributorsDiv.innerHTML = html;
+    }
+
+    populatePeerReasoning(questionId, contributors);
+}
@@ -0,0 +1,595 @@
+// peer_grading.js - Rubric-based peer grading for free-response questions
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (currentUsername, classData, allCurriculumData, supabase, turboModeActive,
+//               appStorage)
+//               Requires functions from other modules (saveClassData, renderFRQResponses,
+//               renderSavedGraphs from graph_builder.js, getUserSection, getSectionFilter from class_sections.js,
+//               getActiveSyncSource, getSyncCursor, setSyncCursor, toSyncTimestamp, DELTA_PULL_PAGE_SIZE,
+//               DELTA_CURSOR_OVERLAP_MS from delta_sync.js, getOutboxRetryDelay from sync_outbox.js,
+//               submitRubricScoreViaRailway, pullRubricScoresFromRailway from railway_client.js)
+// This module handles scoring anonymized peer FRQ responses part-by-part against solution.scoring.rubric.
+// Scores wait in a small outbox (meta rubricScoreOutbox) until a push succeeds, and peers' scores are pulled
+// by the server-set updated_at like answers.
+
+// ========================================
+// RUBRIC LOOKUP AND SCORING RULES
+// ========================================
+
+// AP scoring levels: Essentially correct, Partially correct, Incorrect
+const RUBRIC_LEVELS = ['E', 'P', 'I'];
+
+// Fraction of a rubric part's maxPoints earned at each level
+const RUBRIC_LEVEL_CREDIT = { E: 1, P: 0.5, I: 0 };
+
+// Debounce peer-score uploads so clicking through several parts sends one request
+const RUBRIC_SYNC_DELAY = 2000;
+const rubricSyncTimers = {};
+
+// questionId -> [author usernames] in the order shown to the grader.
+// onclick handlers reference responses by index so usernames never reach the DOM.
+const gradingTargets = {};
+
+// Scores waiting to upload, kept in meta so they survive reloads (see queueRubricScore)
+const RUBRIC_OUTBOX_KEY = 'rubricScoreOutbox';
+
+// A rubric outbox flush already in flight, and the timer for the next retry
+let rubricOutboxFlushPromise = null;
+let rubricOutboxTimer = null;
+
+/**
+ * Finds a question by ID in the loaded lesson or anywhere in the curriculum
+ * @param {string} questionId - Question ID (e.g. U1-L10-Q04)
+ * @returns {Object|null} The question object
+ */
+function findQuestionForGrading(questionId) {
+    const inLesson = (currentQuestions || []).find(q => q.id === questionId);
+    if (inLesson) return inLesson;
+
+    for (const unit of Object.values(allCurriculumData || {})) {
+        const match = unit.questions.find(q => q.id === questionId);
+        if (match) return match;
+    }
+    return null;
+}
+
+/**
+ * Gets the scoring rubric for a free-response question
+ * @param {string} questionId - Question ID
+ * @returns {Array|null} Rubric parts ({part, maxPoints, criteria, scoringNotes}) or null
+ */
+function getRubricForQuestion(questionId) {
+    const question = findQuestionForGrading(questionId);
+    const rubric = question?.solution?.scoring?.rubric;
+    return Array.isArray(rubric) && rubric.length > 0 ? rubric : null;
+}
+
+/**
+ * Stable per-question hash used to shuffle responses for anonymous grading
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashForGrading(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Collects every rubric score given to an author's response
+ * @param {string} questionId - Question ID
+ * @param {string} author - Username of the response author
+ * @returns {Array} Array of {grader, scores, timestamp}
+ */
+function getRubricScoresForResponse(questionId, author) {
+    const results = [];
+    for (const grader in classData.users) {
+        const entry = classData.users[grader].rubricScores?.[questionId]?.[author];
+        if (entry && entry.scores && grader !== author) {
+            results.push({ grader, scores: entry.scores, timestamp: entry.timestamp });
+        }
+    }
+    return results;
+}
+
+/**
+ * Aggregates peer scores for one response. Each part's level is the median of
+ * the graders' levels (so one outlier cannot swing it), converted to points.
+ * @param {string} questionId - Question ID
+ * @param {string} author - Username of the response author
+ * @returns {Object|null} {graderCount, points, totalPoints, parts: {partId: {level, counts, points}}}
+ */
+function getAggregateRubricScore(questionId, author) {
+    const rubric = getRubricForQuestion(questionId);
+    if (!rubric) return null;
+
+    const peerScores = getRubricScoresForResponse(questionId, author);
+    if (peerScores.length === 0) return null;
+
+    const parts = {};
+    let points = 0;
+    let totalPoints = 0;
+
+    rubric.forEach(rubricPart => {
+        const counts = { E: 0, P: 0, I: 0 };
+        const levels = [];
+        peerScores.forEach(({ scores }) => {
+            const level = scores[rubricPart.part];
+            if (RUBRIC_LEVELS.includes(level)) {
+                counts[level]++;
+                levels.push(level);
+            }
+        });
+
+        totalPoints += rubricPart.maxPoints;
+
+        if (levels.length === 0) {
+            parts[rubricPart.part] = { level: null, counts, points: 0 };
+            return;
+        }
+
+        // Median on the ordered scale E > P > I
+        levels.sort((a, b) => RUBRIC_LEVELS.indexOf(a) - RUBRIC_LEVELS.indexOf(b));
+        const level = levels[Math.floor((levels.length - 1) / 2)];
+        const partPoints = rubricPart.maxPoints * RUBRIC_LEVEL_CREDIT[level];
+
+        parts[rubricPart.part] = { level, counts, points: partPoints };
+        points += partPoints;
+    });
+
+    return {
+        graderCount: peerScores.length,
+        points,
+        totalPoints,
+        parts
+    };
+}
+
+// ========================================
+// GRADING UI
+// ========================================
+
+/**
+ * Whether renderPeerGradingSection shows anonymized peer responses to grade. While it does, the
+ * named response list is left out so a response number cannot be matched to its author.
+ * @param {string} questionId - Question ID
+ * @param {Array} responses - Array of {username, response} from renderFRQResponses
+ * @returns {boolean} True if there is a rubric and at least one peer response
+ */
+function isPeerGradingShown(questionId, responses) {
+    return !!currentUsername && !!getRubricForQuestion(questionId) &&
+        responses.some(r => r.username !== currentUsername);
+}
+
+/**
+ * Builds the peer grading section shown under FRQ responses
+ * @param {string} questionId - Question ID
+ * @param {Array} responses - Array of {username, response} from renderFRQResponses
+ * @returns {string} HTML string (empty if the question has no rubric)
+ */
+function renderPeerGradingSection(questionId, responses) {
+    const rubric = getRubricForQuestion(questionId);
+    if (!rubric || !currentUsername) return '';
+
+    let html = '<div class="peer-grading">';
+    html += renderAuthorRubricSummary(questionId, rubric);
+
+    const peers = responses
+        .filter(r => r.username !== currentUsername)
+        .sort((a, b) => hashForGrading(`${questionId}:${a.username}`) - hashForGrading(`${questionId}:${b.username}`));
+
+    gradingTargets[questionId] = peers.map(r => r.username);
+    const question = findQuestionForGrading(questionId);
+
+    if (peers.length === 0) {
+        html += '<p class="peer-grading-empty">No peer responses to grade yet.</p></div>';
+        return html;
+    }
+
+    html += `
+        <h4>📝 Grade Peer Responses</h4>
+        <details class="rubric-reference">
+            <summary>Scoring rubric</summary>
+            ${rubric.map(part => `
+                <div class="rubric-reference-part">
+                    <strong>Part ${part.part}</strong> (${part.maxPoints} pt${part.maxPoints === 1 ? '' : 's'})
+                    <ul>${part.criteria.map(c => `<li>${c}</li>`).join('')}</ul>
+                    ${part.scoringNotes ? `<div class="rubric-notes">${part.scoringNotes}</div>` : ''}
+                </div>
+            `).join('')}
+        </details>
+    `;
+
+    peers.forEach((peer, index) => {
+        const myScores = classData.users[currentUsername]?.rubricScores?.[questionId]?.[peer.username]?.scores || {};
+
+        html += `
+            <div class="peer-grading-item">
+                <strong>Response #${index + 1}</strong>
+                <div class="peer-grading-response">${peer.response}</div>
+                ${renderSavedGraphs(question, peer.username, `peer${index}`)}
+                <div class="rubric-score-rows">
+                    ${rubric.map(part => `
+                        <div class="rubric-score-row">
+                            <span class="rubric-part-label">Part ${part.part}</span>
+                            ${RUBRIC_LEVELS.map(level => `
+                                <button class="rubric-score-btn level-${level} ${myScores[part.part] === level ? 'active' : ''}"
+                                        onclick="scoreRubricPart('${questionId}', ${index}, '${part.part}', '${level}')"
+                                        title="${level === 'E' ? 'Essentially correct' : level === 'P' ? 'Partially correct' : 'Incorrect'}">
+                                    ${level}
+                                </button>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    });
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Builds the aggregate score card the author sees for their own response
+ * @param {string} questionId - Question ID
+ * @param {Array} rubric - Rubric parts
+ * @returns {string} HTML string
+ */
+function renderAuthorRubricSummary(questionId, rubric) {
+    if (!classData.users[currentUsername]?.answers?.[questionId]) return '';
+
+    const aggregate = getAggregateRubricScore(questionId, currentUsername);
+    if (!aggregate) {
+        return '<div class="rubric-summary">📋 Your response has not been peer graded yet.</div>';
+    }
+
+    const partRows = rubric.map(part => {
+        const result = aggregate.parts[part.part];
+        const countText = RUBRIC_LEVELS.map(level => `${level}×${result.counts[level]}`).join(' ');
+        return `<li>Part ${part.part}: <strong>${result.level || '—'}</strong> <small>(${countText})</small></li>`;
+    }).join('');
+
+    return `
+        <div class="rubric-summary">
+            <div>📋 <strong>Your peer score: ${aggregate.points} / ${aggregate.totalPoints}</strong>
+                (from ${aggregate.graderCount} grader${aggregate.graderCount === 1 ? '' : 's'})</div>
+            <ul>${partRows}</ul>
+        </div>
+    `;
+}
+
+/**
+ * Records the current user's E/P/I score for one rubric part of a peer response
+ * @param {string} questionId - Question ID
+ * @param {number} targetIndex - Index into gradingTargets[questionId]
+ * @param {string} partId - Rubric part (e.g. "a-i")
+ * @param {string} level - 'E', 'P' or 'I'
+ */
+window.scoreRubricPart = function(questionId, targetIndex, partId, level) {
+    const author = gradingTargets[questionId]?.[targetIndex];
+    if (!author || author === currentUsername || !RUBRIC_LEVELS.includes(level)) return;
+
+    const user = classData.users[currentUsername];
+    if (!user.rubricScores) user.rubricScores = {};
+    if (!user.rubricScores[questionId]) user.rubricScores[questionId] = {};
+
+    const entry = user.rubricScores[questionId][author] || { scores: {} };
+
+    // Clicking the active level clears it, like voteFRQ
+    if (entry.scores[partId] === level) {
+        delete entry.scores[partId];
+    } else {
+        entry.scores[partId] = level;
+    }
+    entry.timestamp = Date.now();
+    user.rubricScores[questionId][author] = entry;
+
+    saveClassData();
+    renderFRQResponses(questionId);
+    scheduleRubricScoreSync(questionId, author);
+};
+
+// ========================================
+// CLOUD SYNC (Turbo Mode)
+// ========================================
+
+/**
+ * The grader's queued rubric scores (see queueRubricScore)
+ * @returns {Object} "grader::questionId::author" -> {grader, questionId, author, timestamp, attempts, nextAttemptAt}
+ */
+function getRubricOutbox() {
+    return appStorage.getMeta(RUBRIC_OUTBOX_KEY, {});
+}
+
+/**
+ * Whether the current user's score for a response has not reached the cloud yet
+ * @param {string} questionId - Question ID
+ * @param {string} author - Username of the graded response
+ * @returns {boolean} True while the upload is debounced or queued
+ */
+function isRubricScorePending(questionId, author) {
+    return !!rubricSyncTimers[`${questionId}:${author}`] ||
+        !!getRubricOutbox()[`${currentUsername}::${questionId}::${author}`];
+}
+
+/**
+ * Adds the current user's score for a response to the rubric outbox. A newer score replaces the
+ * queued one and starts its retries over.
+ * @param {string} questionId - Question ID
+ * @param {string} author - Username of the graded response
+ * @param {number} timestamp - Score timestamp (ms)
+ */
+function queueRubricScore(questionId, author, timestamp) {
+    const outbox = getRubricOutbox();
+    outbox[`${currentUsername}::${questionId}::${author}`] = {
+        grader: currentUsername,
+        questionId,
+        author,
+        timestamp,
+        attempts: 0,
+        nextAttemptAt: null
+    };
+    appStorage.setMeta(RUBRIC_OUTBOX_KEY, outbox);
+}
+
+/**
+ * Queues a rubric score and uploads it after a short delay
+ * @param {string} questionId - Question ID
+ * @param {string} author - Username of the graded response
+ */
+function scheduleRubricScoreSync(questionId, author) {
+    const entry = classData.users[currentUsername]?.rubricScores?.[questionId]?.[author];
+    if (!entry) return;
+
+    // Queued first, so a grade given offline or before a reload still goes up
+    queueRubricScore(questionId, author, entry.timestamp);
+    if (!turboModeActive) return;
+
+    const key = `${questionId}:${author}`;
+    clearTimeout(rubricSyncTimers[key]);
+    rubricSyncTimers[key] = setTimeout(() => {
+        delete rubricSyncTimers[key];
+        flushRubricOutbox();
+    }, RUBRIC_SYNC_DELAY);
+}
+
+/**
+ * Pushes the current user's queued rubric scores that are due. A failed push backs off like an answer
+ * in the outbox (getOutboxRetryDelay) and keeps retrying at the longest delay.
+ * @param {Object} options - {force: true to ignore backoff}
+ * @returns {Promise<number>} Scores pushed
+ */
+function flushRubricOutbox(options = {}) {
+    // A flush in flight may have missed scores queued since it started, so run again after it
+    if (rubricOutboxFlushPromise) {
+        return rubricOutboxFlushPromise.then(() => flushRubricOutbox(options));
+    }
+
+    rubricOutboxFlushPromise = runRubricOutboxFlush(options).finally(() => {
+        rubricOutboxFlushPromise = null;
+        scheduleRubricOutboxRetry();
+    });
+    return rubricOutboxFlushPromise;
+}
+
+async function runRubricOutboxFlush(options) {
+    if (!turboModeActive || !supabase || navigator.onLine === false) return 0;
+
+    clearTimeout(rubricOutboxTimer);
+    rubricOutboxTimer = null;
+
+    const now = Date.now();
+    const due = Object.entries(getRubricOutbox()).filter(([, queued]) =>
+        // Only the signed-in grader's scores: a push carries one PIN (see student_auth.js)
+        queued.grader === currentUsername &&
+        !rubricSyncTimers[`${queued.questionId}:${queued.author}`] &&
+        (options.force || !queued.nextAttemptAt || queued.nextAttemptAt <= now));
+
+    let pushed = 0;
+    for (const [key, queued] of due) {
+        const entry = classData.users[queued.grader]?.rubricScores?.[queued.questionId]?.[queued.author];
+        const saved = !entry ||
+            await pushRubricScore(queued.grader, queued.author, queued.questionId, entry.scores, entry.timestamp);
+
+        // Re-read: the grader may have changed the score while the push was in flight
+        const outbox = getRubricOutbox();
+        const current = outbox[key];
+        if (!current) continue;
+
+        if (saved) {
+            if (!entry || current.timestamp <= entry.timestamp) delete outbox[key];
+            if (entry) pushed++;
+        } else if (current.timestamp === queued.timestamp) {
+            const attempts = (current.attempts || 0) + 1;
+            outbox[key] = { ...current, attempts, nextAttemptAt: Date.now() + getOutboxRetryDelay(attempts) };
+        }
+        appStorage.setMeta(RUBRIC_OUTBOX_KEY, outbox);
+    }
+
+    return pushed;
+}
+
+/**
+ * Schedules the next flush for the earliest rubric score still backing off
+ */
+function scheduleRubricOutboxRetry() {
+    const retries = Object.values(getRubricOutbox())
+        .filter(queued => queued.grader === currentUsername && queued.nextAttemptAt)
+        .map(queued => queued.nextAttemptAt);
+    if (retries.length === 0) return;
+
+    clearTimeout(rubricOutboxTimer);
+    rubricOutboxTimer = setTimeout(() => {
+        rubricOutboxTimer = null;
+        flushRubricOutbox();
+    }, Math.max(0, Math.min(...retries) - Date.now()));
+}
+
+/**
+ * Sends one rubric score through the active sync source (the Railway functions are always defined,
+ * so the choice follows getActiveSyncSource rather than which function exists)
+ * @param {string} grader - Username of the grader
+ * @param {string} author - Username of the response author
+ * @param {string} questionId - Question ID
+ * @param {Object} scores - {partId: 'E'|'P'|'I'}
+ * @param {number} timestamp - Unix milliseconds
+ * @returns {Promise<boolean>} True if the score was saved
+ */
+function pushRubricScore(grader, author, questionId, scores, timestamp) {
+    return getActiveSyncSource() === 'railway'
+        ? submitRubricScoreViaRailway(grader, author, questionId, scores, timestamp)
+        : pushRubricScoreToSupabase(grader, author, questionId, scores, timestamp);
+}
+
+/**
+ * Upserts one grader's scores for a response directly to Supabase
+ * @param {string} grader - Username of the grader
+ * @param {string} author - Username of the response author
+ * @param {string} questionId - Question ID
+ * @param {Object} scores - {partId: 'E'|'P'|'I'}
+ * @param {number} timestamp - Unix milliseconds
+ * @returns {Promise<boolean>} True if the score was saved
+ */
+async function pushRubricScoreToSupabase(grader, author, questionId, scores, timestamp) {
+    if (!turboModeActive || !supabase) return false;
+
+    try {
+        const { error } = await supabase
+            .from('rubric_scores')
+            .upsert(
+                [{
+                    grader: grader,
+                    author: author,
+                    question_id: questionId,
+                    scores: scores,
+                    timestamp: timestamp,
+                    section: getUserSection(grader)
+                }],
+                { onConflict: 'grader,author,question_id' }
+            );
+
+        if (error) throw error;
+        console.log(`✅ Synced rubric score for ${questionId} to cloud`);
+        return true;
+    } catch (error) {
+        console.log(`⚠️ Failed to sync rubric score: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Merges rubric score rows from the cloud into classData (newer timestamp wins)
+ * @param {Array} rows - Array of {grader, author, question_id, scores, timestamp}
+ * @returns {number} Number of scores that changed
+ */
+function applyRubricScoreRows(rows) {
+    let changed = 0;
+
+    rows.forEach(row => {
+        // Never let the cloud overwrite the current user's own grade while it is still waiting to upload
+        if (row.grader === currentUsername && isRubricScorePending(row.question_id, row.author)) return;
+
+        if (!classData.users[row.grader]) {
+            classData.users[row.grader] = {
+                answers: {},
+                reasons: {},
+                timestamps: {},
+                attempts: {}
+            };
+        }
+
+        const grader = classData.users[row.grader];
+        if (!grader.rubricScores) grader.rubricScores = {};
+        if (!grader.rubricScores[row.question_id]) grader.rubricScores[row.question_id] = {};
+
+        const existing = grader.rubricScores[row.question_id][row.author];
+        const timestamp = parseInt(row.timestamp);
+        if (!existing || timestamp > (existing.timestamp || 0)) {
+            grader.rubricScores[row.question_id][row.author] = {
+                scores: typeof row.scores === 'string' ? JSON.parse(row.scores) : row.scores,
+                timestamp: timestamp
+            };
+            changed++;
+        }
+    });
+
+    if (changed > 0) {
+        saveClassData();
+    }
+    return changed;
+}
+
+/**
+ * Pulls rubric score rows written after `since` directly from Supabase, paging past the row limit
+ * @param {number} since - Server updated_at to pull after (0 = everything)
+ * @param {string|null} section - Only scores from this section's graders (null = every section)
+ * @returns {Promise<Array>} Rows, oldest write first
+ */
+async function fetchRubricScoresFromSupabase(since, section) {
+    const rows = [];
+
+    for (let from = 0; ; from += DELTA_PULL_PAGE_SIZE) {
+        let query = supabase
+            .from('rubric_scores')
+            .select('grader, author, question_id, scores, timestamp, section, updated_at')
+            .order('updated_at', { ascending: true })
+            .range(from, from + DELTA_PULL_PAGE_SIZE - 1);
+
+        if (since > 0) {
+            query = query.gt('updated_at', since);
+        }
+        if (section) {
+            query = query.eq('section', section);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        rows.push(...data);
+        if (data.length < DELTA_PULL_PAGE_SIZE) break;
+    }
+
+    return rows;
+}
+
+/**
+ * Sends any queued rubric scores, then pulls peer rubric scores written since the cursor and merges them
+ * into classData. The cursor is the server-set updated_at (kept under "<source>:rubricScores" beside the
+ * answer cursors), so a grade uploaded late with an old timestamp still arrives.
+ * @returns {Promise<number>} Number of scores that changed
+ */
+async function pullRubricScoresFromSupabase() {
+    if (!turboModeActive || !supabase) return 0;
+
+    await flushRubricOutbox();
+
+    const source = getActiveSyncSource();
+    const cursorKey = `${source}:rubricScores`;
+    const since = getSyncCursor(cursorKey);
+    // A little behind the cursor, as for answers: merging a row twice is harmless
+    const pullAfter = since > 0 ? Math.max(since - DELTA_CURSOR_OVERLAP_MS, 1) : 0;
+    const section = getSectionFilter();
+
+    try {
+        const rows = source === 'railway'
+            ? await pullRubricScoresFromRailway(pullAfter, section)
+            : await fetchRubricScoresFromSupabase(pullAfter, section);
+
+        if (!rows || rows.length === 0) return 0;
+
+        const changed = applyRubricScoreRows(rows);
+        const newest = rows.reduce((max, row) => Math.max(max, toSyncTimestamp(row.updated_at)), since);
+        if (newest > since) setSyncCursor(cursorKey, newest);
+
+        console.log(`✅ Pulled ${rows.length} rubric scores (${changed} updated)`);
+        return changed;
+    } catch (error) {
+        console.log(`⚠️ Failed to pull rubric scores: ${error.message}`);
+        return 0;
+    }
+}
+
+// Back online: send the grades given while offline now instead of waiting out the backoff
+window.addEventListener('online', () => flushRubricOutbox({ force: true }));
@@ -0,0 +1,483 @@
+// question_export.js - PNG, printable PDF and lesson worksheet exports of rendered questions
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (chartInstances; currentQuestions, currentUnit, currentLesson for worksheets)
+//               Requires functions from other modules (renderTable from question_renderer.js, isDarkMode, showMessage,
+//               formatNumericAnswerKey from numeric_answers.js, isSelectionQuestion, formatSelectionAnswer
+//               from selection_answers.js)
+// This module handles "put this question on a slide / worksheet" - each question card gets a PNG download and
+// a print view (Save as PDF in the browser's print dialog), and a lesson can be printed as a worksheet. The
+// answer key page (built from answerKey and reasoning) is only offered under Teacher Actions in the sync modal,
+// so students still earn each answer through the per-question reveal. Charts are copied from their rendered canvases.
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+// PNG layout (CSS pixels; drawn at 2x for sharp text on slides)
+const EXPORT_IMAGE_WIDTH = 1000;
+const EXPORT_IMAGE_PADDING = 40;
+const EXPORT_IMAGE_SCALE = 2;
+const EXPORT_FONT = '"Segoe UI", Arial, sans-serif';
+
+// Blank lines printed under free-response questions on worksheets
+const WORKSHEET_FRQ_LINES = 8;
+
+// MathJax for the print window, so TeX in prompts prints the same as on screen
+const EXPORT_MATHJAX_URL = 'https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-mml-chtml.js';
+
+// Questions registered by renderQuestionExportButtons, keyed by question ID: {question, number}
+const exportableQuestions = {};
+
+// Plain-text stand-ins for the TeX the curriculum uses, for the PNG (which cannot run MathJax)
+const EXPORT_TEX_SYMBOLS = [
+    [/\\bar\{([^}]*)\}/g, '$1̄'],
+    [/\\hat\{([^}]*)\}/g, '$1̂'],
+    [/\\frac\{([^}]*)\}\{([^}]*)\}/g, '($1)/($2)'],
+    [/\\sqrt\{([^}]*)\}/g, '√($1)'],
+    [/\\text\{([^}]*)\}/g, '$1'],
+    [/\\(le|leq)\b/g, '≤'],
+    [/\\(ge|geq)\b/g, '≥'],
+    [/\\(ne|neq)\b/g, '≠'],
+    [/\\pm\b/g, '±'],
+    [/\\times\b/g, '×'],
+    [/\\cdot\b/g, '·'],
+    [/\\approx\b/g, '≈'],
+    [/\\mu\b/g, 'μ'],
+    [/\\sigma\b/g, 'σ'],
+    [/\\chi\b/g, 'χ'],
+    [/\\alpha\b/g, 'α'],
+    [/\\beta\b/g, 'β'],
+    [/\\rho\b/g, 'ρ'],
+    [/\\[()[\]]/g, ''],
+    [/\\,/g, ' '],
+    [/[{}]/g, '']
+];
+
+// ========================================
+// QUESTION CONTENT
+// ========================================
+
+/**
+ * Plain text of a prompt or choice (HTML removed, TeX turned into symbols)
+ * @param {string} html - Curriculum text
+ * @returns {string} Text
+ */
+function getExportText(html) {
+    const div = document.createElement('div');
+    div.innerHTML = String(html ?? '').replace(/<br\s*\/?>/gi, '\n').replace(/<\/p>/gi, '\n');
+    let text = div.textContent;
+    EXPORT_TEX_SYMBOLS.forEach(([pattern, replacement]) => {
+        text = text.replace(pattern, replacement);
+    });
+    return text.trim();
+}
+
+/**
+ * Choices shown with a question (MCQ, multi-select and ordering)
+ * @param {Object} question - Curriculum question
+ * @returns {Array} [{key, value}]
+ */
+function getExportChoices(question) {
+    return question.choices || question.attachments?.choices || [];
+}
+
+/**
+ * Canvases of a question's rendered attachment charts, in order
+ * @param {string} questionId - Question ID
+ * @returns {Array} Canvas elements that Chart.js has drawn
+ */
+function getQuestionChartCanvases(questionId) {
+    return Array.from(document.querySelectorAll(`canvas[id^="chart-${questionId}-chart"]`))
+        .filter(canvas => chartInstances[canvas.id]);
+}
+
+/**
+ * Answer key text for a question, in the same form the quiz shows after answering
+ * @param {Object} question - Curriculum question
+ * @returns {string} Answer (HTML allowed)
+ */
+function getExportAnswer(question) {
+    if (question.type === 'numeric' && question.answerKey !== undefined) {
+        return formatNumericAnswerKey(question);
+    }
+    if (isSelectionQuestion(question) && question.answerKey) {
+        return formatSelectionAnswer(question, question.answerKey);
+    }
+    if (question.type === 'multiple-choice' && question.answerKey) {
+        const choice = getExportChoices(question).find(c => c.key === question.answerKey);
+        return choice ? `${choice.key}. ${choice.value}` : question.answerKey;
+    }
+    if (question.solution?.parts) {
+        return question.solution.parts
+            .map(part => `<strong>(${part.partId})</strong> ${part.response || ''}`)
+            .join('<br>');
+    }
+    return question.answerKey || 'See scoring guidelines';
+}
+
+// ========================================
+// PNG EXPORT
+// ========================================
+
+/**
+ * Splits text into lines no wider than maxWidth for the current canvas font
+ * @param {CanvasRenderingContext2D} ctx - Context with the font set
+ * @param {string} text - Text (may contain newlines)
+ * @param {number} maxWidth - Line width in pixels
+ * @returns {Array} Lines
+ */
+function wrapExportText(ctx, text, maxWidth) {
+    const lines = [];
+    text.split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (ctx.measureText(candidate).width > maxWidth && line) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * Layout blocks for a question card image; each block knows its height and how to draw itself
+ * @param {CanvasRenderingContext2D} ctx - Context used for measuring
+ * @param {Object} question - Curriculum question
+ * @param {number} number - Question number in the lesson
+ * @param {Object} colors - {text, muted, border, background}
+ * @returns {Array} [{height, draw(ctx, y)}]
+ */
+function buildExportBlocks(ctx, question, number, colors) {
+    const left = EXPORT_IMAGE_PADDING;
+    const width = EXPORT_IMAGE_WIDTH - 2 * EXPORT_IMAGE_PADDING;
+    const blocks = [];
+
+    const addText = (text, font, color, lineHeight, gapAfter) => {
+        ctx.font = font;
+        const lines = wrapExportText(ctx, text, width);
+        blocks.push({
+            height: lines.length * lineHeight + gapAfter,
+            draw: (c, y) => {
+                c.font = font;
+                c.fillStyle = color;
+                lines.forEach((line, i) => c.fillText(line, left, y + (i + 1) * lineHeight - lineHeight * 0.25));
+            }
+        });
+    };
+
+    addText(`Question ${number}`, `bold 24px ${EXPORT_FONT}`, colors.text, 32, 4);
+    addText(`ID: ${question.id}`, `14px ${EXPORT_FONT}`, colors.muted, 20, 16);
+    addText(getExportText(question.prompt), `18px ${EXPORT_FONT}`, colors.text, 26, 16);
+    if (question.prompt_continued) {
+        addText(getExportText(question.prompt_continued), `18px ${EXPORT_FONT}`, colors.text, 26, 16);
+    }
+
+    const table = question.attachments?.table;
+    if (table) {
+        const headers = Array.isArray(table) ? table[0] : table.headers;
+        const rows = Array.isArray(table) ? table.slice(1) : table.rows;
+        const allRows = [headers, ...rows].map(row => row.map(cell => getExportText(cell)));
+        ctx.font = `15px ${EXPORT_FONT}`;
+        // Columns sized to their widest cell, shrunk together if the table is too wide
+        const natural = headers.map((_, col) => Math.max(...allRows.map(row => ctx.measureText(row[col] || '').width)) + 20);
+        const shrink = Math.min(1, width / natural.reduce((sum, w) => sum + w, 0));
+        const colWidths = natural.map(w => w * shrink);
+        const rowHeight = 28;
+        blocks.push({
+            height: allRows.length * rowHeight + 16,
+            draw: (c, y) => {
+                c.strokeStyle = colors.border;
+                c.lineWidth = 1;
+                allRows.forEach((row, r) => {
+                    let x = left;
+                    c.font = r === 0 ? `bold 15px ${EXPORT_FONT}` : `15px ${EXPORT_FONT}`;
+                    c.fillStyle = colors.text;
+                    row.forEach((cell, col) => {
+                        c.strokeRect(x, y + r * rowHeight, colWidths[col], rowHeight);
+                        c.save();
+                        c.beginPath();
+                        c.rect(x, y + r * rowHeight, colWidths[col], rowHeight);
+                        c.clip();
+                        c.fillText(cell, x + 10 * shrink, y + r * rowHeight + 19);
+                        c.restore();
+                        x += colWidths[col];
+                    });
+                });
+            }
+        });
+    }
+
+    getQuestionChartCanvases(question.id).forEach(canvas => {
+        const drawWidth = Math.min(width, canvas.clientWidth || canvas.width);
+        const drawHeight = drawWidth * (canvas.height / canvas.width);
+        blocks.push({
+            height: drawHeight + 16,
+            draw: (c, y) => c.drawImage(canvas, left + (width - drawWidth) / 2, y, drawWidth, drawHeight)
+        });
+    });
+
+    getExportChoices(question).forEach(choice => {
+        addText(`${choice.key}.  ${getExportText(choice.value)}`, `17px ${EXPORT_FONT}`, colors.text, 24, 8);
+    });
+
+    return blocks;
+}
+
+/**
+ * Draws a question card onto a new canvas
+ * @param {Object} question - Curriculum question
+ * @param {number} number - Question number
+ * @returns {HTMLCanvasElement} Canvas at EXPORT_IMAGE_SCALE
+ */
+function composeQuestionImage(question, number) {
+    // Match the on-screen theme, since the charts are copied as drawn
+    const colors = isDarkMode() ?
+        { text: '#e0e0e0', muted: '#999', border: '#555', background: '#1e1e1e' } :
+        { text: '#222', muted: '#777', border: '#bbb', background: '#ffffff' };
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const blocks = buildExportBlocks(ctx, question, number, colors);
+    const height = EXPORT_IMAGE_PADDING * 2 + blocks.reduce((sum, block) => sum + block.height, 0);
+
+    canvas.width = EXPORT_IMAGE_WIDTH * EXPORT_IMAGE_SCALE;
+    canvas.height = height * EXPORT_IMAGE_SCALE;
+    ctx.scale(EXPORT_IMAGE_SCALE, EXPORT_IMAGE_SCALE);
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, EXPORT_IMAGE_WIDTH, height);
+
+    let y = EXPORT_IMAGE_PADDING;
+    blocks.forEach(block => {
+        block.draw(ctx, y);
+        y += block.height;
+    });
+    return canvas;
+}
+
+/**
+ * Downloads a question card as a PNG
+ * @param {string} questionId - Question ID
+ */
+window.exportQuestionImage = function(questionId) {
+    const entry = exportableQuestions[questionId];
+    if (!entry) return;
+
+    const canvas = composeQuestionImage(entry.question, entry.number);
+    canvas.toBlob(blob => {
+        if (!blob) {
+            console.error('❌ Could not create the question image');
+            return;
+        }
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${questionId}.png`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        console.log(`🖼️ Exported ${questionId} as PNG`);
+    }, 'image/png');
+};
+
+// ========================================
+// PRINT / PDF EXPORT
+// ========================================
+
+/**
+ * Printable HTML for one question; charts become images of their rendered canvases
+ * @param {Object} question - Curriculum question
+ * @param {number} number - Question number
+ * @param {boolean} forWorksheet - Add answer space for students
+ * @returns {string} HTML
+ */
+function buildPrintableQuestion(question, number, forWorksheet) {
+    const attachments = question.attachments || {};
+    const darkCharts = isDarkMode();
+    let html = `
+        <section class="print-question">
+            <h2>${number}. <span class="print-id">${question.id}</span></h2>
+            <div class="print-prompt">${question.prompt || ''}</div>
+            ${question.prompt_continued ? `<div class="print-prompt">${question.prompt_continued}</div>` : ''}
+    `;
+
+    if (attachments.table) html += renderTable(attachments.table);
+
+    getQuestionChartCanvases(question.id).forEach(canvas => {
+        html += `<div class="print-chart ${darkCharts ? 'dark' : ''}"><img src="${canvas.toDataURL('image/png')}" alt="${canvas.getAttribute('aria-label') || 'Chart'}"></div>`;
+    });
+
+    if (attachments.image) {
+        html += `<div class="print-chart"><img src="${attachments.image}" alt="${attachments.imageAlt || 'Question image'}"></div>`;
+    }
+    (attachments.images || []).forEach(img => {
+        html += `<div class="print-chart"><img src="${img.url || img}" alt="${img.alt || 'Image'}"></div>`;
+    });
+
+    const choices = getExportChoices(question);
+    if (choices.length > 0) {
+        const marker = question.type === 'ordering' ? '___' : question.type === 'multi-select' ? '☐' : '○';
+        html += `<ol class="print-choices">${choices.map(c => `<li><span class="print-marker">${marker}</span> <strong>${c.key}.</strong> ${c.value}</li>`).join('')}</ol>`;
+        if (question.type === 'multi-select') html += '<p class="print-note">Select all that apply.</p>';
+        if (question.type === 'ordering') html += '<p class="print-note">Number the items in order.</p>';
+    }
+
+    if (forWorksheet && question.type === 'numeric') {
+        html += `<p class="print-answer-line">Answer: ______________ ${question.units || ''}</p>`;
+    }
+    if (forWorksheet && question.type === 'free-response') {
+        html += `<div class="print-lines">${'<div></div>'.repeat(WORKSHEET_FRQ_LINES)}</div>`;
+    }
+
+    html += '</section>';
+    return html;
+}
+
+/**
+ * Answer key page: answer and reasoning for each question
+ * @param {Array} questions - Curriculum questions in worksheet order
+ * @returns {string} HTML
+ */
+function buildAnswerKey(questions) {
+    return `
+        <section class="print-key">
+            <h1>Answer Key</h1>
+            ${questions.map((question, index) => `
+                <div class="print-key-item">
+                    <h3>${index + 1}. <span class="print-id">${question.id}</span></h3>
+                    <div><strong>Answer:</strong> ${getExportAnswer(question)}</div>
+                    ${question.reasoning ? `<div class="print-reasoning"><strong>Reasoning:</strong> ${question.reasoning}</div>` : ''}
+                </div>
+            `).join('')}
+        </section>
+    `;
+}
+
+/**
+ * Opens a print window for the given body; the browser's print dialog offers Save as PDF
+ * @param {string} title - Document title (also the suggested PDF file name)
+ * @param {string} bodyHtml - Content
+ */
+function openPrintWindow(title, bodyHtml) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        alert('Please allow pop-ups for this site to print or save as PDF.');
+        return;
+    }
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>${title}</title>
+    <style>
+        body { font-family: ${EXPORT_FONT}; color: #222; max-width: 800px; margin: 24px auto; line-height: 1.45; }
+        h1 { font-size: 22px; margin-bottom: 4px; }
+        h2 { font-size: 17px; margin: 0 0 8px; }
+        h3 { font-size: 15px; margin: 0 0 4px; }
+        .print-id { font-weight: normal; color: #777; font-size: 13px; }
+        .print-header { display: flex; justify-content: space-between; border-bottom: 2px solid #222; margin-bottom: 16px; padding-bottom: 8px; }
+        .print-question { page-break-inside: avoid; margin-bottom: 28px; }
+        .print-chart { text-align: center; margin: 10px 0; }
+        .print-chart img { max-width: 100%; max-height: 360px; }
+        .print-chart.dark img { background: #1e1e1e; padding: 6px; }
+        table { border-collapse: collapse; margin: 10px 0; font-size: 14px; }
+        th, td { border: 1px solid #999; padding: 4px 10px; text-align: center; }
+        .print-choices { list-style: none; padding-left: 8px; }
+        .print-choices li { margin: 6px 0; }
+        .print-note { font-style: italic; font-size: 13px; color: #555; }
+        .print-lines div { border-bottom: 1px solid #bbb; height: 30px; }
+        .print-key { page-break-before: always; }
+        .print-key-item { margin-bottom: 16px; page-break-inside: avoid; }
+        .print-reasoning { margin-top: 4px; color: #333; }
+        @media print { body { margin: 0 auto; } }
+    </style>
+    <script>
+        // Typeset TeX before printing; print anyway if MathJax cannot load
+        function printWhenReady() {
+            const ready = window.MathJax && MathJax.typesetPromise ? MathJax.typesetPromise() : Promise.resolve();
+            ready.catch(() => {}).then(() => window.print());
+        }
+    <\/script>
+    <script src="${EXPORT_MATHJAX_URL}" async onload="printWhenReady()" onerror="window.print()"><\/script>
+</head>
+<body>
+${bodyHtml}
+</body>
+</html>`);
+    printWindow.document.close();
+}
+
+/**
+ * Opens a print view of one question card (use Save as PDF in the print dialog)
+ * @param {string} questionId - Question ID
+ */
+window.printQuestion = function(questionId) {
+    const entry = exportableQuestions[questionId];
+    if (!entry) return;
+    openPrintWindow(questionId, buildPrintableQuestion(entry.question, entry.number, false));
+    console.log(`🖨️ Opened print view for ${questionId}`);
+};
+
+/**
+ * Opens a printable worksheet of the current lesson, optionally followed by an answer key page
+ * @param {boolean} includeKey - Add the answer key page
+ */
+window.printLessonWorksheet = function(includeKey) {
+    if (typeof currentQuestions === 'undefined' || currentQuestions.length === 0) {
+        if (typeof showMessage === 'function') {
+            showMessage('Open a lesson first, then print its worksheet.', 'info');
+        }
+        return;
+    }
+
+    const lessonName = currentLesson === 'PC' ? 'Progress Check' : `Lesson ${currentLesson}`;
+    const title = `Unit ${currentUnit} ${lessonName} Worksheet`;
+    const body = `
+        <div class="print-header">
+            <h1>${title}</h1>
+            <div>Name: ____________________ &nbsp; Date: __________</div>
+        </div>
+        ${currentQuestions.map((question, index) => buildPrintableQuestion(question, index + 1, true)).join('')}
+        ${includeKey ? buildAnswerKey(currentQuestions) : ''}
+    `;
+    openPrintWindow(title, body);
+    console.log(`🖨️ Opened worksheet for ${title}${includeKey ? ' with answer key' : ''}`);
+};
+
+// ========================================
+// BUTTONS
+// ========================================
+
+/**
+ * Export buttons for a question card header (registers the question for the export actions)
+ * @param {Object} question - Curriculum question
+ * @param {number} number - Question number shown on the card
+ * @returns {string} HTML
+ */
+function renderQuestionExportButtons(question, number) {
+    exportableQuestions[question.id] = { question, number };
+    return `
+        <span class="question-export">
+            <button type="button" class="question-export-button" onclick="exportQuestionImage('${question.id}')" title="Save as PNG (for slides)" aria-label="Save question ${number} as PNG">🖼️</button>
+            <button type="button" class="question-export-button" onclick="printQuestion('${question.id}')" title="Print or save as PDF" aria-label="Print question ${number} or save as PDF">🖨️</button>
+        </span>
+    `;
+}
+
+/**
+ * Worksheet controls for a lesson's header bar (questions only; the key is a Teacher Action)
+ * @returns {string} HTML
+ */
+function renderWorksheetControls() {
+    return `
+        <div class="worksheet-controls">
+            <button type="button" class="worksheet-button" onclick="printLessonWorksheet(false)">🖨️ Printable worksheet</button>
+        </div>
+    `;
+}
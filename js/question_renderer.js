@@ -0,0 +1,323 @@
+// question_renderer.js - Builds the HTML for one quiz question and its attachments
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (classData, currentUsername)
+//               Requires functions from other modules (renderChart from charts.js, isQuestionAnswered, getAttemptCount,
+//               canRetry, getCorrectAnswer, isAnswerCorrect, populatePeerResponses, displayCollegeBoardExplanation,
+//               renderGraphBuilders from graph_builder.js, renderNumericInput from numeric_answers.js,
+//               isSelectionQuestion, renderSelectionInput and scoreSelectionAnswer from selection_answers.js,
+//               renderSimulationButton from simulation_sandbox.js, renderQuestionExportButtons from question_export.js)
+// This module handles "what does a question look like" - the quiz page and authoring.html both render
+// questions through it, so an authored question previews exactly as students will see it.
+
+// ========================================
+// QUESTION RENDERING
+// ========================================
+
+/**
+ * Builds the two-column question card: prompt, attachments, answer inputs, reasoning box and peer sidebar
+ * @param {Object} question - Curriculum question
+ * @param {number} index - Position in the lesson (0-based)
+ * @returns {string} HTML
+ */
+function renderQuestion(question, index) {
+    const questionNumber = index + 1;
+    const isAnswered = isQuestionAnswered(question.id);
+    const attempts = getAttemptCount(question.id);
+    const canRetryQuestion = canRetry(question.id);
+
+    // Check if answer is correct (for styling)
+    let isCorrect = false;
+    let partialCredit = null;
+    if (isAnswered) {
+        const userAnswer = classData.users[currentUsername]?.answers?.[question.id];
+        isCorrect = isAnswerCorrect(question.id, userAnswer?.value || userAnswer);
+
+        // Multi-select and ordering answers can be partly right
+        if (!isCorrect && isSelectionQuestion(question)) {
+            const score = scoreSelectionAnswer(question, userAnswer?.value || userAnswer);
+            if (score > 0) partialCredit = score;
+        }
+    }
+
+    // Create two-column layout structure
+    let html = `
+        <div class="quiz-container two-column-layout" data-question-id="${question.id}" data-question-number="${questionNumber}">
+            <div class="question-main-column">
+                <div class="question-header ${isCorrect ? 'correct-answer' : ''}">
+                    <span>Question ${questionNumber}</span>
+                    ${isAnswered ? (isCorrect ? '<span style="color: #f39c12;">⭐ Correctly Answered</span>' : partialCredit ? `<span style="color: #ffcc80;">◐ Partly Correct (${Math.round(partialCredit * 100)}%)</span>` : '<span style="color: #a5d6a7;">✓ Answered</span>') : ''}
+                    ${renderQuestionExportButtons(question, questionNumber)}
+                </div>
+                <div class="question-id">ID: ${question.id || 'N/A'}</div>
+                <div class="question-prompt">${question.prompt || 'No prompt provided'}</div>
+    `;
+
+    // Render question attachments (charts, tables, images) in main column
+    if (question.attachments) {
+        html += renderAttachments(question.attachments, question.id);
+    }
+
+    // Handle MCQ in main column
+    if (question.type === 'multiple-choice') {
+        const choices = question.choices || question.attachments?.choices || [];
+        const savedAnswer = classData.users[currentUsername]?.answers?.[question.id];
+        const isDisabled = isAnswered && !canRetryQuestion;
+
+        html += '<div class="choices">';
+        choices.forEach(choice => {
+            const isSelected = savedAnswer?.value === choice.key || savedAnswer === choice.key;
+            html += `
+                <div class="choice ${isSelected ? 'selected' : ''} ${isDisabled ? 'disabled' : ''}">
+                    <label>
+                        <input type="radio"
+                               name="choice-${question.id}"
+                               value="${choice.key}"
+                               ${isSelected ? 'checked' : ''}
+                               ${isDisabled ? 'disabled' : ''}>
+                        <span class="choice-key">${choice.key}.</span>
+                        <span>${choice.value}</span>
+                    </label>
+                </div>
+            `;
+        });
+        html += '</div>';
+    }
+
+    // Handle FRQ in main column
+    if (question.type === 'free-response') {
+        const savedAnswer = classData.users[currentUsername]?.answers?.[question.id];
+        const isDisabled = isAnswered && !canRetryQuestion;
+        html += `
+            <div class="answer-section">
+                <textarea
+                    id="frq-${question.id}"
+                    class="frq-textarea"
+                    placeholder="Enter your complete response here..."
+                    ${isDisabled ? 'disabled' : ''}
+                    style="width: 100%; min-height: 200px; padding: 10px; border: 2px solid #ddd;"
+                >${savedAnswer?.value || savedAnswer || ''}</textarea>
+                ${renderGraphBuilders(question, isDisabled)}
+            </div>
+        `;
+    }
+
+    // Handle numeric answers in main column
+    if (question.type === 'numeric') {
+        const savedAnswer = classData.users[currentUsername]?.answers?.[question.id];
+        html += renderNumericInput(question, savedAnswer?.value ?? savedAnswer, isAnswered && !canRetryQuestion);
+    }
+
+    // Handle multi-select and ordering in main column
+    if (isSelectionQuestion(question)) {
+        const savedAnswer = classData.users[currentUsername]?.answers?.[question.id];
+        html += renderSelectionInput(question, savedAnswer?.value ?? savedAnswer, isAnswered && !canRetryQuestion);
+    }
+
+    // Add reasoning section in main column
+    html += `
+                <div class="answer-section">
+                    <div class="reason-wrapper">
+                        <label class="reason-label">
+                            ${attempts > 0 && !canRetryQuestion ?
+                                'Your explanation (required for retry):' :
+                                'Explain your reasoning (optional but enables retry):'}
+                        </label>
+                        <textarea
+                            id="reason-${question.id}"
+                            class="reason-textarea ${attempts > 0 && canRetryQuestion ? 'required' : ''}"
+                            placeholder="${attempts > 0 && !canRetryQuestion ?
+                                'Previous attempt did not include reasoning. Add reasoning to enable retry.' :
+                                'Explain why you chose this answer...'}"
+                            ${!canRetryQuestion && attempts >= 3 ? 'disabled' : ''}
+                        >${classData.users[currentUsername]?.reasons?.[question.id] || ''}</textarea>
+                    </div>
+                    <div>
+                        <button
+                            id="submit-${question.id}"
+                            class="submit-button"
+                            onclick="submitAnswer('${question.id}', '${question.type}')"
+                            ${!canRetryQuestion && isAnswered ? 'disabled' : ''}
+                        >
+                            ${isAnswered ? (canRetryQuestion ? 'Update Answer' : 'Max Attempts Reached') : 'Submit Answer'}
+                        </button>
+
+                        ${isAnswered && !canRetryQuestion && attempts < 3 && !(classData.users[currentUsername]?.reasons?.[question.id]?.trim()) ? `
+                            <button
+                                id="add-explanation-${question.id}"
+                                class="add-explanation-button"
+                                onclick="addExplanationToRetry('${question.id}')"
+                                style="margin-left: 10px; background: #28a745; color: white;"
+                            >
+                                Add Explanation to Retry
+                            </button>
+                        ` : ''}
+
+                        <span id="error-${question.id}" class="error-msg"></span>
+                        <span id="success-${question.id}" class="success-msg"></span>
+                    </div>
+                </div>
+            </div>
+
+            <!-- RIGHT COLUMN: Peer Reasoning Sidebar -->
+            <div class="peer-sidebar">
+                <div class="peer-sidebar-content">
+                    <!-- Peer reasoning section (main focus) -->
+                    <div class="peer-reasoning-section" id="peer-reasoning-${question.id}">
+                        <div class="peer-reasoning-header">
+                            <h4>🤝 Peer Responses</h4>
+                            <span class="peer-count" id="peer-count-${question.id}">Loading...</span>
+                        </div>
+                        <div class="peer-reasoning-content" id="peer-reasoning-content-${question.id}">
+                            ${isAnswered ? '<div class="peer-loading">Loading peer responses...</div>' : '<div class="peer-hint">Answer the question to see peer responses</div>'}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+
+    // If this question is already answered, populate peer responses immediately
+    setTimeout(() => {
+        if (isAnswered) {
+            populatePeerResponses(question.id, question.type);
+
+            // Check if answer was correct and should show College Board explanation
+            const userAnswer = classData.users[currentUsername]?.answers?.[question.id];
+            const userReason = classData.users[currentUsername]?.reasons?.[question.id];
+
+            if (userAnswer && getCorrectAnswer(question.id)) {
+                const isCorrect = isAnswerCorrect(question.id, userAnswer.value || userAnswer);
+                const hasExplanation = (userReason && userReason.trim().length > 0);
+
+                console.log(`DEBUG: On load - isCorrect: ${isCorrect}, hasExplanation: ${hasExplanation}`);
+
+                // Show College Board explanation if conditions are met
+                if (isCorrect && hasExplanation) {
+                    displayCollegeBoardExplanation(question.id);
+                    // Also change textarea border to gold
+                    const reasonTextarea = document.getElementById(`reason-${question.id}`);
+                    if (reasonTextarea) {
+                        reasonTextarea.style.borderColor = '#f39c12';
+                        reasonTextarea.style.boxShadow = '0 0 0 0.2rem rgba(243, 156, 18, 0.25)';
+                    }
+                }
+            }
+        }
+    }, 100);
+
+    return html;
+}
+
+// ========================================
+// ATTACHMENTS
+// ========================================
+
+/**
+ * Builds the HTML for a question's charts, table and images
+ * @param {Object} attachments - Question attachments ({charts} or a single {chartType}, table, image, images)
+ * @param {string} questionId - Question ID, used to derive chart canvas IDs
+ * @returns {string} HTML
+ */
+function renderAttachments(attachments, questionId) {
+    let html = '';
+
+    // Handle multiple charts
+    if (attachments.charts && Array.isArray(attachments.charts)) {
+        attachments.charts.forEach((chart, idx) => {
+            html += renderChart(chart, `${questionId}-chart-${idx}`);
+        });
+    }
+    // Handle single chart
+    else if (attachments.chartType) {
+        html += renderChart(attachments, `${questionId}-chart`);
+    }
+
+    // Handle tables (with a Simulate button for drawing samples from them)
+    if (attachments.table) {
+        html += renderTable(attachments.table);
+        html += renderSimulationButton(attachments.table, questionId);
+    }
+
+    // Handle images
+    if (attachments.image) {
+        const imageAlt = attachments.imageAlt || 'Question image';
+        const imageCaption = attachments.imageCaption || '';
+        html += `
+            <div class="image-container">
+                <img src="${attachments.image}" alt="${imageAlt}" style="max-width: 100%; height: auto;">
+                ${imageCaption ? `<div style="text-align: center; font-style: italic; color: #666; margin-top: 5px;">${imageCaption}</div>` : ''}
+            </div>
+        `;
+    }
+
+    // Handle multiple images
+    if (attachments.images && Array.isArray(attachments.images)) {
+        html += '<div style="display: flex; flex-wrap: wrap; gap: 10px; justify-content: center;">';
+        attachments.images.forEach(img => {
+            html += `
+                <div style="flex: 1; min-width: 200px; max-width: 400px;">
+                    <img src="${img.url || img}" alt="${img.alt || 'Image'}" style="width: 100%; height: auto;">
+                    ${img.caption ? `<div style="text-align: center; font-style: italic; color: #666; margin-top: 5px;">${img.caption}</div>` : ''}
+                </div>
+            `;
+        });
+        html += '</div>';
+    }
+
+    return html;
+}
+
+/**
+ * Builds an HTML table from either {headers, rows} or an array of rows whose first row is the header
+ * @param {Object|Array} table - Table attachment
+ * @returns {string} HTML
+ */
+function renderTable(table) {
+    if (!table) return '';
+
+    let html = '<div class="table-container"><table>';
+
+    // Handle object format with headers and rows
+    if (table.headers && table.rows) {
+        html += '<thead><tr>';
+        table.headers.forEach(header => {
+            html += `<th>${header}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+
+        table.rows.forEach(row => {
+            html += '<tr>';
+            row.forEach(cell => {
+                html += `<td>${cell}</td>`;
+            });
+            html += '</tr>';
+        });
+        html += '</tbody>';
+    }
+    // Handle array format (legacy)
+    else if (Array.isArray(table) && table.length > 0) {
+        const headers = table[0];
+        const rows = table.slice(1);
+
+        html += '<thead><tr>';
+        headers.forEach(header => {
+            html += `<th>${header}</th>`;
+        });
+        html += '</tr></thead>';
+
+        if (rows.length > 0) {
+            html += '<tbody>';
+            rows.forEach(row => {
+                html += '<tr>';
+                row.forEach(cell => {
+                    html += `<td>${cell}</td>`;
+                });
+                html += '</tr>';
+            });
+            html += '</tbody>';
+        }
+    }
+
+    html += '</table></div>';
+    return html;
+}
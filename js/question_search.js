@@ -0,0 +1,402 @@
+// question_search.js - Full-text search across every question in the curriculum
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (EMBEDDED_CURRICULUM, allCurriculumData)
+//               Requires functions from other modules (isQuestionAnswered, selectUnit, loadLesson, showMessage)
+// This module handles "where is that question" - prompts, choices, table cells and reasoning are searched
+// with unit / type / chart type / answered filters, and a result opens its lesson scrolled to the question.
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const SEARCH_RESULT_LIMIT = 50;
+const SEARCH_DEBOUNCE_MS = 200;
+
+// Characters of context shown either side of the first match
+const SEARCH_SNIPPET_RADIUS = 60;
+
+// How long to wait for a jumped-to question to render, and how long it stays highlighted
+const SEARCH_JUMP_TIMEOUT_MS = 5000;
+const SEARCH_HIGHLIGHT_MS = 2400;
+
+// Prompt matches rank above matches in choices, tables or reasoning
+const SEARCH_FIELD_WEIGHTS = { prompt: 3, choices: 2, table: 1, reasoning: 1 };
+
+// Short question type labels shown on each result
+const SEARCH_TYPE_LABELS = {
+    'multiple-choice': 'MCQ',
+    'free-response': 'FRQ',
+    'numeric': 'Numeric',
+    'multi-select': 'Multi-select',
+    'ordering': 'Ordering'
+};
+
+// Current query and filters, kept while the student moves around the app
+const searchState = {
+    query: '',
+    unit: '',
+    type: '',
+    chartType: '',
+    status: ''
+};
+
+let searchIndex = null;
+let searchTimer = null;
+
+// ========================================
+// INDEX
+// ========================================
+
+/**
+ * Plain text of a prompt or cell: HTML tags removed, whitespace collapsed
+ * @param {*} value - Text from the curriculum
+ * @returns {string} Plain text
+ */
+function toSearchText(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * All cell text of a table attachment ({headers, rows} or an array of rows)
+ * @param {Object|Array} table - Table attachment
+ * @returns {string} Cell text
+ */
+function tableSearchText(table) {
+    if (!table) return '';
+    const rows = Array.isArray(table) ? table : [table.headers || [], ...(table.rows || [])];
+    return rows.map(row => (Array.isArray(row) ? row.map(toSearchText).join(' | ') : toSearchText(row))).join(' / ');
+}
+
+/**
+ * Unit and lesson a question is listed under, as detectUnitAndLessons groups them
+ * @param {string} questionId - Question ID
+ * @returns {Object} {unit, lesson} where lesson is a number, 'PC' or null
+ */
+function getQuestionLocation(questionId) {
+    const unitMatch = questionId.match(/U(\d+)/i);
+    const unit = unitMatch ? parseInt(unitMatch[1]) : null;
+
+    if (questionId.includes('-PC-')) return { unit, lesson: 'PC' };
+    const lessonMatch = questionId.match(/U\d+-L(\d+)-/);
+    return { unit, lesson: lessonMatch ? parseInt(lessonMatch[1]) : null };
+}
+
+/**
+ * Builds (once) the searchable text of every curriculum question
+ * @returns {Array} Index entries {question, unit, lesson, chartTypes, fields}
+ */
+function getSearchIndex() {
+    if (searchIndex) return searchIndex;
+
+    const questions = typeof EMBEDDED_CURRICULUM !== 'undefined' ? EMBEDDED_CURRICULUM : [];
+    searchIndex = questions.map(question => {
+        const attachments = question.attachments || {};
+        const choices = question.choices || attachments.choices || [];
+        const charts = Array.isArray(attachments.charts) ? attachments.charts : (attachments.chartType ? [attachments] : []);
+
+        return {
+            question: question,
+            ...getQuestionLocation(question.id),
+            chartTypes: charts.map(chart => chart.chartType).filter(Boolean),
+            fields: {
+                prompt: toSearchText(question.prompt),
+                choices: choices.map(choice => `${choice.key}. ${toSearchText(choice.value)}`).join(' / '),
+                table: tableSearchText(attachments.table),
+                reasoning: toSearchText(question.reasoning)
+            }
+        };
+    });
+
+    console.log(`🔎 Search index built for ${searchIndex.length} questions`);
+    return searchIndex;
+}
+
+// ========================================
+// SEARCHING
+// ========================================
+
+/**
+ * Whether a question passes the unit / type / chart type / answered filters
+ * @param {Object} entry - Search index entry
+ * @param {Object} filters - {unit, type, chartType, status}
+ * @returns {boolean} True if it passes
+ */
+function matchesSearchFilters(entry, filters) {
+    if (filters.unit && entry.unit !== parseInt(filters.unit)) return false;
+    if (filters.type && entry.question.type !== filters.type) return false;
+
+    if (filters.chartType === 'none' && entry.chartTypes.length > 0) return false;
+    if (filters.chartType && filters.chartType !== 'none' && !entry.chartTypes.includes(filters.chartType)) return false;
+
+    if (filters.status) {
+        const answered = isQuestionAnswered(entry.question.id);
+        if (filters.status === 'answered' && !answered) return false;
+        if (filters.status === 'unanswered' && answered) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Searches the curriculum. Every word of the query must appear somewhere in the question (or its ID).
+ * @param {string} query - Search text
+ * @param {Object} filters - {unit, type, chartType, status}
+ * @returns {Array} Matches {entry, score, field} ordered best first, then in curriculum order
+ */
+function searchQuestions(query, filters = {}) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const results = [];
+
+    getSearchIndex().forEach((entry, position) => {
+        if (!matchesSearchFilters(entry, filters)) return;
+
+        const id = entry.question.id.toLowerCase();
+        let score = 0;
+        let bestField = 'prompt';
+        let bestFieldScore = 0;
+
+        const allFound = terms.every(term => {
+            let found = id.includes(term);
+            if (found) score += 5;
+
+            Object.keys(entry.fields).forEach(field => {
+                if (!entry.fields[field].toLowerCase().includes(term)) return;
+                found = true;
+                score += SEARCH_FIELD_WEIGHTS[field];
+                if (SEARCH_FIELD_WEIGHTS[field] > bestFieldScore) {
+                    bestField = field;
+                    bestFieldScore = SEARCH_FIELD_WEIGHTS[field];
+                }
+            });
+            return found;
+        });
+
+        if (allFound) {
+            results.push({ entry, score, field: bestField, position });
+        }
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.position - b.position);
+}
+
+// ========================================
+// SEARCH PANEL UI
+// ========================================
+
+/**
+ * Escapes text for use in result HTML and attributes
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeSearchHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Excerpt of a field around the first query term, with every term highlighted
+ * @param {string} text - Field text
+ * @param {Array} terms - Lowercased query terms
+ * @returns {string} HTML
+ */
+function buildSearchSnippet(text, terms) {
+    const lower = text.toLowerCase();
+    const firstHit = terms.map(term => lower.indexOf(term)).filter(index => index >= 0).sort((a, b) => a - b)[0] || 0;
+    const start = Math.max(0, firstHit - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(text.length, firstHit + SEARCH_SNIPPET_RADIUS * 2);
+    const excerpt = text.slice(start, end);
+    const lowerExcerpt = excerpt.toLowerCase();
+
+    // Mark matched characters first so overlapping terms highlight as one run
+    const marked = new Array(excerpt.length).fill(false);
+    terms.forEach(term => {
+        for (let at = lowerExcerpt.indexOf(term); at >= 0; at = lowerExcerpt.indexOf(term, at + term.length)) {
+            marked.fill(true, at, at + term.length);
+        }
+    });
+
+    let html = '';
+    let runStart = 0;
+    for (let i = 1; i <= excerpt.length; i++) {
+        if (i === excerpt.length || marked[i] !== marked[runStart]) {
+            const run = escapeSearchHtml(excerpt.slice(runStart, i));
+            html += marked[runStart] ? `<mark>${run}</mark>` : run;
+            runStart = i;
+        }
+    }
+
+    return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Options for a filter <select>, marking the current choice
+ * @param {Array} options - [value, label] pairs
+ * @param {string} selected - Current value
+ * @returns {string} HTML
+ */
+function renderSearchOptions(options, selected) {
+    return options.map(([value, label]) =>
+        `<option value="${escapeSearchHtml(value)}" ${String(value) === String(selected) ? 'selected' : ''}>${escapeSearchHtml(label)}</option>`
+    ).join('');
+}
+
+/**
+ * Search box and filters for the unit menu
+ * @returns {string} HTML
+ */
+function renderSearchPanel() {
+    const index = getSearchIndex();
+    const units = [...new Set(index.map(entry => entry.unit).filter(unit => unit !== null))].sort((a, b) => a - b);
+    const chartTypes = [...new Set(index.flatMap(entry => entry.chartTypes))].sort();
+
+    return `
+        <div class="question-search">
+            <div class="question-search-bar">
+                <input type="search" id="questionSearchInput" class="question-search-input"
+                       placeholder="🔎 Search all questions - prompts, choices, tables, reasoning"
+                       value="${escapeSearchHtml(searchState.query)}"
+                       oninput="onQuestionSearchChange()">
+            </div>
+            <div class="question-search-filters">
+                <select id="questionSearchUnit" onchange="onQuestionSearchChange()">
+                    ${renderSearchOptions([['', 'All units'], ...units.map(unit => [unit, `Unit ${unit}`])], searchState.unit)}
+                </select>
+                <select id="questionSearchType" onchange="onQuestionSearchChange()">
+                    ${renderSearchOptions([['', 'All types'], ['multiple-choice', 'Multiple choice'], ['free-response', 'Free response'], ['numeric', 'Numeric'], ['multi-select', 'Multi-select'], ['ordering', 'Ordering']], searchState.type)}
+                </select>
+                <select id="questionSearchChart" onchange="onQuestionSearchChange()">
+                    ${renderSearchOptions([['', 'Any chart'], ['none', 'No chart'], ...chartTypes.map(type => [type, type])], searchState.chartType)}
+                </select>
+                <select id="questionSearchStatus" onchange="onQuestionSearchChange()">
+                    ${renderSearchOptions([['', 'Answered or not'], ['answered', 'Answered'], ['unanswered', 'Unanswered']], searchState.status)}
+                </select>
+            </div>
+            <div id="questionSearchResults" class="question-search-results">${renderSearchResults()}</div>
+        </div>
+    `;
+}
+
+/**
+ * Result list for the current search state (empty until there is a query or a filter)
+ * @returns {string} HTML
+ */
+function renderSearchResults() {
+    const { query, ...filters } = searchState;
+    if (!query.trim() && !Object.values(filters).some(Boolean)) return '';
+
+    const results = searchQuestions(query, filters);
+    if (results.length === 0) {
+        return '<div class="question-search-empty">No questions match.</div>';
+    }
+
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const shown = results.slice(0, SEARCH_RESULT_LIMIT);
+
+    const items = shown.map(({ entry, field }) => {
+        const { question, unit, lesson } = entry;
+        const place = lesson === 'PC' ? `Unit ${unit} · Progress Check` : lesson !== null ? `Unit ${unit} · Lesson ${lesson}` : `Unit ${unit} · not in a lesson`;
+        const text = entry.fields[field] || entry.fields.prompt;
+        const answered = isQuestionAnswered(question.id);
+
+        return `
+            <button class="question-search-result" onclick="jumpToQuestion('${escapeSearchHtml(question.id)}')">
+                <div class="question-search-result-header">
+                    <strong>${escapeSearchHtml(question.id)}</strong>
+                    <span>${place}</span>
+                    <span>${SEARCH_TYPE_LABELS[question.type] || 'FRQ'}</span>
+                    ${entry.chartTypes.length ? `<span>📊 ${escapeSearchHtml(entry.chartTypes.join(', '))}</span>` : ''}
+                    ${answered ? '<span class="question-search-answered">✓ Answered</span>' : ''}
+                </div>
+                <div class="question-search-snippet">
+                    ${field !== 'prompt' && terms.length ? `<em>${field}:</em> ` : ''}${buildSearchSnippet(text, terms)}
+                </div>
+            </button>
+        `;
+    }).join('');
+
+    const more = results.length > shown.length ? ` (showing the first ${shown.length})` : '';
+    return `<div class="question-search-count">${results.length} question${results.length === 1 ? '' : 's'}${more}</div>${items}`;
+}
+
+/**
+ * Reads the search box and filters and refreshes the results after a short pause
+ * Exposed to window for oninput/onchange handlers
+ */
+window.onQuestionSearchChange = function() {
+    searchState.query = document.getElementById('questionSearchInput')?.value || '';
+    searchState.unit = document.getElementById('questionSearchUnit')?.value || '';
+    searchState.type = document.getElementById('questionSearchType')?.value || '';
+    searchState.chartType = document.getElementById('questionSearchChart')?.value || '';
+    searchState.status = document.getElementById('questionSearchStatus')?.value || '';
+
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+        const container = document.getElementById('questionSearchResults');
+        if (container) container.innerHTML = renderSearchResults();
+    }, SEARCH_DEBOUNCE_MS);
+}
+
+// ========================================
+// JUMP TO QUESTION
+// ========================================
+
+/**
+ * Waits for a question card to be rendered
+ * @param {string} questionId - Question ID
+ * @returns {Promise<Element|null>} The card, or null if it never appeared
+ */
+function waitForQuestionElement(questionId) {
+    const selector = `.quiz-container[data-question-id="${questionId}"]`;
+    const startedAt = Date.now();
+
+    return new Promise(resolve => {
+        const check = () => {
+            const element = document.querySelector(selector);
+            if (element) {
+                resolve(element);
+            } else if (Date.now() - startedAt > SEARCH_JUMP_TIMEOUT_MS) {
+                resolve(null);
+            } else {
+                setTimeout(check, 100);
+            }
+        };
+        check();
+    });
+}
+
+/**
+ * Opens the lesson containing a question and scrolls to it
+ * Exposed to window for onclick handlers
+ * @param {string} questionId - Question ID
+ */
+window.jumpToQuestion = async function(questionId) {
+    const { unit, lesson } = getQuestionLocation(questionId);
+
+    if (unit === null || !allCurriculumData[unit]) {
+        showMessage(`Unit for ${questionId} is not loaded.`, 'error');
+        return;
+    }
+    if (lesson === null) {
+        selectUnit(unit);
+        showMessage(`${questionId} is not listed under any lesson of Unit ${unit}.`, 'info');
+        return;
+    }
+
+    selectUnit(unit);
+    await loadLesson(String(lesson));
+
+    const element = await waitForQuestionElement(questionId);
+    if (!element) {
+        showMessage(`Could not open ${questionId}.`, 'error');
+        return;
+    }
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    element.classList.add('search-target');
+    setTimeout(() => element.classList.remove('search-target'), SEARCH_HIGHLIGHT_MS);
+    console.log(`🔎 Jumped to ${questionId}`);
+}
@@ -0,0 +1,439 @@
+// question_validation.js - Shape checks for curriculum questions
+// Part of AP Statistics Consensus Quiz
+// Dependencies: None (pure functions; used by authoring.html and loadable from Node via module.exports)
+// This module handles "will this question work in the app" - the ID must be one detectUnitAndLessons can place,
+// and the choices, FRQ parts/rubric and chart attachments must have the shape renderQuestion and renderChart expect.
+
+// ========================================
+// QUESTION IDS
+// ========================================
+
+// Lesson questions: U1-L2-Q01, plus the U1-L10-MCQ-Q01 / U1-L10-FRQ-Q01 variants
+const LESSON_QUESTION_ID_PATTERN = /^U(\d+)-L(\d+)-(?:(?:MCQ|FRQ)-)?Q(\d+)$/;
+
+// Progress check questions: U1-PC-FRQ-Q01, U1-PC-MCQ-A-Q01
+const PROGRESS_CHECK_ID_PATTERN = /^U(\d+)-PC-(?:FRQ|MCQ(?:-[A-Z])?)-Q(\d+)$/;
+
+const QUESTION_TYPES = ['multiple-choice', 'free-response', 'numeric', 'multi-select', 'ordering'];
+
+// Fields renderChart reads for each chart type, as [path, description] pairs ('a|b' = either field)
+const CHART_REQUIRED_FIELDS = {
+    bar: [['series', 'array of {name, values}'], ['xLabels|yLabels', 'array of category labels']],
+    histogram: [['series', 'array of {name, values}'], ['xLabels', 'array of bin labels']],
+    pie: [['series', 'array whose first entry has values [{name, value}]']],
+    scatter: [['points', 'array of {x, y}']],
+    dotplot: [['values', 'array of numbers']],
+    boxplot: [['chartConfig.boxplotData', 'object with Q1, median, Q3 and whiskers']],
+    normal: [],
+    tdist: [['df', 'degrees of freedom']],
+    chisquare: [],
+    binomial: [['n', 'number of trials'], ['p', 'probability of success']],
+    geometric: [['p', 'probability of success']],
+    sampling: [['values|n', 'simulated statistics, or the sample size n']],
+    numberline: []
+};
+
+/**
+ * Checks a question ID against the patterns detectUnitAndLessons groups by
+ * @param {string} id - Question ID
+ * @returns {Object} {errors, warnings, unit, lesson} where lesson is a number, 'PC' or null
+ */
+function validateQuestionId(id) {
+    const result = { errors: [], warnings: [], unit: null, lesson: null };
+
+    if (typeof id !== 'string' || id.trim() === '') {
+        result.errors.push('Question ID is required');
+        return result;
+    }
+
+    const lessonMatch = id.match(LESSON_QUESTION_ID_PATTERN);
+    const progressMatch = id.match(PROGRESS_CHECK_ID_PATTERN);
+
+    if (lessonMatch) {
+        result.unit = parseInt(lessonMatch[1]);
+        result.lesson = parseInt(lessonMatch[2]);
+    } else if (progressMatch) {
+        result.unit = parseInt(progressMatch[1]);
+        result.lesson = 'PC';
+    } else if (/^U\d+-/.test(id)) {
+        // detectUnitAndLessons still finds the unit, but the question never appears in a lesson
+        result.unit = parseInt(id.match(/^U(\d+)/)[1]);
+        result.warnings.push(`${id} has no lesson (expected U#-L#-Q## or U#-PC-...-Q##), so it will not be listed under any lesson`);
+    } else {
+        result.errors.push(`${id} does not match U#-L#-Q## or U#-PC-...-Q##`);
+    }
+
+    return result;
+}
+
+// ========================================
+// ATTACHMENTS
+// ========================================
+
+/**
+ * Reads a dotted path such as 'chartConfig.boxplotData' from an object
+ * @param {Object} object - Object to read
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or undefined
+ */
+function readQuestionPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Checks one chart definition against what renderChart reads
+ * @param {Object} chart - Chart attachment ({chartType, ...})
+ * @param {string} where - Location for messages, e.g. 'attachments' or 'parts[0].attachments'
+ * @returns {Object} {errors, warnings}
+ */
+function validateChartAttachment(chart, where) {
+    const errors = [];
+    const warnings = [];
+    const type = chart.chartType;
+
+    if (!Object.prototype.hasOwnProperty.call(CHART_REQUIRED_FIELDS, type)) {
+        errors.push(`${where}: unknown chartType "${type}" (renderChart supports ${Object.keys(CHART_REQUIRED_FIELDS).join(', ')})`);
+        return { errors, warnings };
+    }
+
+    CHART_REQUIRED_FIELDS[type].forEach(([path, description]) => {
+        const value = path.split('|').map(field => readQuestionPath(chart, field)).find(found => found != null);
+        const expectsArray = description.startsWith('array');
+        if (value === undefined || value === null || (expectsArray && !Array.isArray(value))) {
+            errors.push(`${where}: ${type} chart needs ${path} (${description})`);
+        }
+    });
+
+    const labels = chart.xLabels || chart.yLabels;
+    if ((type === 'bar' || type === 'histogram') && Array.isArray(chart.series) && Array.isArray(labels)) {
+        chart.series.forEach((series, index) => {
+            if (!series || !Array.isArray(series.values)) {
+                errors.push(`${where}: series[${index}] needs a values array`);
+            } else if (series.values.length !== labels.length) {
+                warnings.push(`${where}: series[${index}] has ${series.values.length} values for ${labels.length} labels`);
+            }
+        });
+    }
+
+    if (type === 'pie' && Array.isArray(chart.series) && !Array.isArray(chart.series[0]?.values)) {
+        errors.push(`${where}: pie chart needs series[0].values as [{name, value}]`);
+    }
+
+    if (chart.chartConfig !== undefined && (typeof chart.chartConfig !== 'object' || Array.isArray(chart.chartConfig))) {
+        errors.push(`${where}: chartConfig must be an object`);
+    }
+
+    if (type === 'sampling' && !Array.isArray(chart.values)) {
+        if (chart.statistic === 'mean' && (typeof chart.mean !== 'number' || !(chart.sd > 0))) {
+            errors.push(`${where}: sampling chart of means needs the population mean and sd`);
+        } else if (chart.statistic !== 'mean' && !(chart.p >= 0 && chart.p <= 1)) {
+            errors.push(`${where}: sampling chart of proportions needs p between 0 and 1`);
+        }
+    }
+
+    const config = chart.chartConfig || {};
+    const shade = config.shade !== undefined ? config.shade : chart.shade;
+    if (shade !== undefined && shade !== null) {
+        const regions = Array.isArray(shade) ? shade : [shade];
+        const isBound = bound => bound === undefined || bound === null || typeof bound === 'number';
+        if (regions.some(region => !region || typeof region !== 'object' || !isBound(region.lower) || !isBound(region.upper))) {
+            errors.push(`${where}: shade must be {lower, upper} (or an array of them) with numeric or null bounds`);
+        }
+    }
+    if (config.criticalValues !== undefined) {
+        const isMarker = marker => typeof marker === 'number' || (marker && typeof marker.value === 'number');
+        if (!Array.isArray(config.criticalValues) || !config.criticalValues.every(isMarker)) {
+            errors.push(`${where}: chartConfig.criticalValues must be an array of numbers or {value, label}`);
+        }
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Checks a table attachment: either an array of rows (first row = headers) or {headers, rows}
+ * @param {*} table - Table attachment
+ * @param {string} where - Location for messages
+ * @returns {Array} Error messages
+ */
+function validateTableAttachment(table, where) {
+    const rows = Array.isArray(table) ? table : (table && Array.isArray(table.rows) ? table.rows : null);
+    if (!rows || (!Array.isArray(table) && !Array.isArray(table.headers))) {
+        return [`${where}: table must be an array of rows or {headers, rows}`];
+    }
+    return rows.some(row => !Array.isArray(row)) ? [`${where}: every table row must be an array of cells`] : [];
+}
+
+/**
+ * Checks an attachments object (charts, table, images)
+ * @param {Object} attachments - Attachments
+ * @param {string} where - Location for messages
+ * @returns {Object} {errors, warnings}
+ */
+function validateAttachments(attachments, where) {
+    const errors = [];
+    const warnings = [];
+
+    if (typeof attachments !== 'object' || attachments === null || Array.isArray(attachments)) {
+        return { errors: [`${where} must be an object`], warnings };
+    }
+
+    const charts = [];
+    if (attachments.charts !== undefined) {
+        if (!Array.isArray(attachments.charts)) {
+            errors.push(`${where}.charts must be an array`);
+        } else {
+            attachments.charts.forEach((chart, index) => charts.push([chart, `${where}.charts[${index}]`]));
+        }
+        if (attachments.chartType) {
+            warnings.push(`${where} has both charts and chartType - only charts is rendered`);
+        }
+    } else if (attachments.chartType !== undefined) {
+        charts.push([attachments, where]);
+    }
+
+    charts.forEach(([chart, chartWhere]) => {
+        const result = validateChartAttachment(chart || {}, chartWhere);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+    });
+
+    if (attachments.table !== undefined) {
+        errors.push(...validateTableAttachment(attachments.table, `${where}.table`));
+    }
+
+    if (attachments.image !== undefined && typeof attachments.image !== 'string') {
+        errors.push(`${where}.image must be a URL string`);
+    }
+    if (attachments.images !== undefined && !Array.isArray(attachments.images)) {
+        errors.push(`${where}.images must be an array`);
+    }
+
+    return { errors, warnings };
+}
+
+// ========================================
+// WHOLE QUESTIONS
+// ========================================
+
+/**
+ * Checks MCQ, multi-select and ordering choices, and the MCQ answer key
+ * @param {Object} question - Multiple-choice, multi-select or ordering question
+ * @param {Array} errors - Collects error messages
+ * @param {Array} warnings - Collects warnings
+ * @returns {Set|null} The choice keys, or null if there are no usable choices
+ */
+function validateChoices(question, errors, warnings) {
+    const choices = question.choices || question.attachments?.choices;
+    if (!Array.isArray(choices) || choices.length < 2) {
+        errors.push(`${question.type === 'multiple-choice' ? 'Multiple-choice' : question.type} questions need at least two attachments.choices`);
+        return null;
+    }
+
+    const keys = new Set();
+    choices.forEach((choice, index) => {
+        if (!choice || typeof choice.key !== 'string' || choice.key === '') {
+            errors.push(`choices[${index}] needs a key`);
+            return;
+        }
+        if (keys.has(choice.key)) errors.push(`Choice key ${choice.key} is used twice`);
+        keys.add(choice.key);
+        if (choice.value === undefined || String(choice.value).trim() === '') {
+            warnings.push(`Choice ${choice.key} has no text`);
+        }
+    });
+
+    if (question.type !== 'multiple-choice') return keys;
+
+    if (!question.answerKey) {
+        warnings.push('No answerKey - answers cannot be marked correct');
+    } else if (!keys.has(question.answerKey)) {
+        errors.push(`answerKey ${question.answerKey} is not one of the choice keys`);
+    }
+    return keys;
+}
+
+/**
+ * Checks a multi-select or ordering answer key: a list of choice keys ("A,C" or ["A", "C"]).
+ * An ordering key must list every choice exactly once.
+ * @param {Object} question - Multi-select or ordering question
+ * @param {Set} keys - Choice keys from validateChoices
+ * @param {Array} errors - Collects error messages
+ * @param {Array} warnings - Collects warnings
+ */
+function validateSelectionAnswer(question, keys, errors, warnings) {
+    const answerKey = question.answerKey;
+    if (answerKey === undefined || answerKey === '' || (Array.isArray(answerKey) && answerKey.length === 0)) {
+        warnings.push('No answerKey - answers cannot be marked correct');
+        return;
+    }
+    if (!Array.isArray(answerKey) && typeof answerKey !== 'string') {
+        errors.push('answerKey must be a list of choice keys');
+        return;
+    }
+
+    const listed = (Array.isArray(answerKey) ? answerKey : answerKey.split(',')).map(key => String(key).trim());
+    listed.forEach(key => {
+        if (!keys.has(key)) errors.push(`answerKey ${key} is not one of the choice keys`);
+    });
+    if (new Set(listed).size !== listed.length) {
+        errors.push('answerKey lists a choice key twice');
+    }
+
+    if (question.type === 'ordering') {
+        const missing = [...keys].filter(key => !listed.includes(key));
+        if (missing.length > 0) errors.push(`answerKey order is missing ${missing.join(', ')}`);
+    } else if (listed.length === keys.size) {
+        warnings.push('Every choice is in the answerKey - selecting all would score full credit');
+    }
+}
+
+/**
+ * Checks a numeric question's answer key ({value, tolerance}, {min, max} or a number), units and sigFigs
+ * @param {Object} question - Numeric question
+ * @param {Array} errors - Collects error messages
+ * @param {Array} warnings - Collects warnings
+ */
+function validateNumericAnswer(question, errors, warnings) {
+    const answerKey = question.answerKey;
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    if (answerKey === undefined) {
+        warnings.push('No answerKey - answers cannot be marked correct');
+    } else if (answerKey?.min !== undefined || answerKey?.max !== undefined) {
+        if (!isNumber(answerKey.min) || !isNumber(answerKey.max)) {
+            errors.push('answerKey interval needs numeric min and max');
+        } else if (answerKey.min > answerKey.max) {
+            errors.push(`answerKey min ${answerKey.min} is greater than max ${answerKey.max}`);
+        }
+    } else if (isNumber(answerKey?.value)) {
+        if (answerKey.tolerance !== undefined && (!isNumber(answerKey.tolerance) || answerKey.tolerance < 0)) {
+            errors.push('answerKey.tolerance must be a non-negative number');
+        }
+    } else if (!isNumber(answerKey)) {
+        errors.push('answerKey must be a number, {value, tolerance} or {min, max}');
+    }
+
+    if (question.units !== undefined && (typeof question.units !== 'string' || question.units.trim() === '')) {
+        errors.push('units must be a non-empty string');
+    }
+    if (question.sigFigs !== undefined && !(Number.isInteger(question.sigFigs) && question.sigFigs > 0)) {
+        errors.push('sigFigs must be a positive integer');
+    }
+}
+
+/**
+ * Checks FRQ solution parts and the scoring rubric
+ * @param {Object} question - Free-response question
+ * @param {Array} errors - Collects error messages
+ * @param {Array} warnings - Collects warnings
+ */
+function validateSolution(question, errors, warnings) {
+    const solution = question.solution;
+    if (!solution) {
+        warnings.push('No solution - the answer key and rubric will be empty');
+        return;
+    }
+
+    const partIds = new Set();
+    (solution.parts || []).forEach((part, index) => {
+        if (!part || !part.partId) {
+            errors.push(`solution.parts[${index}] needs a partId`);
+            return;
+        }
+        if (partIds.has(part.partId)) errors.push(`Part ${part.partId} is listed twice`);
+        partIds.add(part.partId);
+        if (part.attachments) {
+            const result = validateAttachments(part.attachments, `solution.parts[${index}].attachments`);
+            errors.push(...result.errors);
+            warnings.push(...result.warnings);
+        }
+    });
+
+    const rubric = solution.scoring?.rubric;
+    if (!Array.isArray(rubric)) {
+        if (solution.scoring) errors.push('solution.scoring.rubric must be an array');
+        return;
+    }
+
+    // A rubric entry may score a group of parts ("d" for d-i and d-ii) or one step of a part ("b-step1" of b)
+    const coversPart = part => [...partIds].some(partId =>
+        partId === part || partId.startsWith(`${part}-`) || part.startsWith(`${partId}-`));
+
+    let points = 0;
+    rubric.forEach((entry, index) => {
+        if (!entry || typeof entry.part !== 'string' || !coversPart(entry.part)) {
+            errors.push(`solution.scoring.rubric[${index}] refers to unknown part "${entry?.part}"`);
+        }
+        if (typeof entry?.maxPoints !== 'number') {
+            errors.push(`solution.scoring.rubric[${index}] needs numeric maxPoints`);
+        } else {
+            points += entry.maxPoints;
+        }
+        if (!Array.isArray(entry?.criteria) || entry.criteria.length === 0) {
+            warnings.push(`solution.scoring.rubric[${index}] has no criteria`);
+        }
+    });
+
+    if (typeof solution.scoring.totalPoints === 'number' && solution.scoring.totalPoints !== points) {
+        warnings.push(`totalPoints is ${solution.scoring.totalPoints} but the rubric parts add up to ${points}`);
+    }
+}
+
+/**
+ * Checks a whole curriculum question
+ * @param {Object} question - Question object as it appears in EMBEDDED_CURRICULUM
+ * @returns {Object} {errors, warnings, unit, lesson}
+ */
+function validateQuestion(question) {
+    if (!question || typeof question !== 'object') {
+        return { errors: ['Question must be an object'], warnings: [], unit: null, lesson: null };
+    }
+
+    const result = validateQuestionId(question.id);
+    const { errors, warnings } = result;
+
+    if (!QUESTION_TYPES.includes(question.type)) {
+        errors.push(`type must be one of ${QUESTION_TYPES.join(', ')}`);
+    }
+    if (typeof question.prompt !== 'string' || question.prompt.trim() === '') {
+        errors.push('prompt is required');
+    }
+
+    if (question.attachments !== undefined) {
+        const attachmentResult = validateAttachments(question.attachments, 'attachments');
+        errors.push(...attachmentResult.errors);
+        warnings.push(...attachmentResult.warnings);
+    }
+
+    if (question.type === 'multiple-choice') {
+        validateChoices(question, errors, warnings);
+    } else if (question.type === 'multi-select' || question.type === 'ordering') {
+        const keys = validateChoices(question, errors, warnings);
+        if (keys) validateSelectionAnswer(question, keys, errors, warnings);
+    } else if (question.type === 'free-response') {
+        validateSolution(question, errors, warnings);
+    } else if (question.type === 'numeric') {
+        validateNumericAnswer(question, errors, warnings);
+    }
+
+    if (question.scoring !== undefined) {
+        warnings.push('Top-level scoring is ignored - peer grading reads solution.scoring.rubric');
+    }
+
+    return result;
+}
+
+// Export for use in other files if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LESSON_QUESTION_ID_PATTERN,
+        PROGRESS_CHECK_ID_PATTERN,
+        QUESTION_TYPES,
+        CHART_REQUIRED_FIELDS,
+        validateQuestionId,
+        validateChartAttachment,
+        validateAttachments,
+        validateQuestion
+    };
+}
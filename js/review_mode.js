@@ -0,0 +1,338 @@
+// review_mode.js - Spaced-repetition review of previously answered questions
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (currentUsername, classData, allCurriculumData, currentQuestions,
+//               currentUnit, currentLesson, chartInstances)
+//               Requires functions from other modules (saveClassData, getCorrectAnswer, getOfficialExplanation,
+//               renderAttachments, backToUnits, showMessage)
+// This module schedules answered multiple-choice questions across all units using Leitner boxes.
+// Review results live in classData.users[username].reviews so consensus answers are never touched.
+
+// ========================================
+// SCHEDULING
+// ========================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days until the next review for each Leitner box (box 0 = due now)
+const REVIEW_INTERVALS_DAYS = [0, 1, 3, 7, 14, 30, 60];
+
+// Maximum questions per review session
+const REVIEW_SESSION_SIZE = 20;
+
+// Active session state
+let reviewQueue = [];
+let reviewIndex = 0;
+let reviewSessionResults = [];
+
+/**
+ * Converts a stored timestamp (number or ISO string) to Unix milliseconds
+ * @param {number|string} timestamp - Timestamp from answers/timestamps
+ * @returns {number} Milliseconds, or 0 if unparseable
+ */
+function parseReviewTimestamp(timestamp) {
+    if (typeof timestamp === 'number') return timestamp;
+    if (typeof timestamp === 'string') {
+        const numeric = Number(timestamp);
+        if (!isNaN(numeric)) return numeric;
+        const parsed = new Date(timestamp).getTime();
+        return isNaN(parsed) ? 0 : parsed;
+    }
+    return 0;
+}
+
+/**
+ * Whether a stored answer matches the curriculum answer key
+ * @param {string} questionId - Question ID
+ * @param {*} value - Answer value
+ * @returns {boolean|null} null when the question has no answer key
+ */
+function isReviewAnswerCorrect(questionId, value) {
+    const correctAnswer = getCorrectAnswer(questionId);
+    if (!correctAnswer || value === undefined || value === null) return null;
+    return value.toString().toLowerCase().trim() === correctAnswer.toString().toLowerCase().trim();
+}
+
+/**
+ * Creates the initial review state for a question from the original answer:
+ * wrong answers are due now, right-after-retries in 1 day, right-first-time in 3 days.
+ * @param {Object} user - classData.users[currentUsername]
+ * @param {string} questionId - Question ID
+ * @returns {Object|null} Review state {box, due, lastReviewed, history}
+ */
+function createInitialReviewState(user, questionId) {
+    const answer = user.answers[questionId];
+    const value = answer?.value !== undefined ? answer.value : answer;
+    const correct = isReviewAnswerCorrect(questionId, value);
+    if (correct === null) return null;
+
+    const attempts = Number(user.attempts?.[questionId]) || 1;
+    const answeredAt = parseReviewTimestamp(answer?.timestamp) ||
+        parseReviewTimestamp(user.timestamps?.[questionId]) ||
+        Date.now();
+
+    const box = !correct ? 0 : (attempts > 1 ? 1 : 2);
+
+    return {
+        box: box,
+        due: answeredAt + REVIEW_INTERVALS_DAYS[box] * DAY_MS,
+        lastReviewed: null,
+        history: []
+    };
+}
+
+/**
+ * Lists every answered multiple-choice question in the curriculum, in unit order
+ * @returns {Array} Question objects
+ */
+function getReviewCandidates() {
+    const user = classData?.users?.[currentUsername];
+    if (!user || !user.answers) return [];
+
+    const candidates = [];
+    Object.keys(allCurriculumData)
+        .sort((a, b) => parseInt(a) - parseInt(b))
+        .forEach(unitNum => {
+            allCurriculumData[unitNum].questions.forEach(q => {
+                if (q.type === 'multiple-choice' && user.answers[q.id]) {
+                    candidates.push(q);
+                }
+            });
+        });
+    return candidates;
+}
+
+/**
+ * Builds the queue of questions due for review across all units, most overdue first.
+ * Schedules any answered question that has never been reviewed.
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} Due question objects
+ */
+function getDueReviewQuestions(now = Date.now()) {
+    const user = classData?.users?.[currentUsername];
+    if (!user) return [];
+
+    if (!user.reviews) user.reviews = {};
+
+    let scheduledNew = false;
+    const due = [];
+
+    getReviewCandidates().forEach(question => {
+        if (!user.reviews[question.id]) {
+            const state = createInitialReviewState(user, question.id);
+            if (!state) return;
+            user.reviews[question.id] = state;
+            scheduledNew = true;
+        }
+
+        if (user.reviews[question.id].due <= now) {
+            due.push(question);
+        }
+    });
+
+    if (scheduledNew) {
+        saveClassData();
+    }
+
+    return due.sort((a, b) => user.reviews[a.id].due - user.reviews[b.id].due);
+}
+
+/**
+ * Records a review result and moves the question to its next Leitner box
+ * @param {string} questionId - Question ID
+ * @param {string} value - Selected choice key
+ * @param {boolean} correct - Whether the review answer was correct
+ * @returns {Object} Updated review state
+ */
+function recordReviewResult(questionId, value, correct) {
+    const user = classData.users[currentUsername];
+    if (!user.reviews) user.reviews = {};
+
+    const now = Date.now();
+    const state = user.reviews[questionId] || { box: 0, due: now, lastReviewed: null, history: [] };
+
+    state.box = correct ? Math.min(state.box + 1, REVIEW_INTERVALS_DAYS.length - 1) : 0;
+    state.due = now + Math.max(REVIEW_INTERVALS_DAYS[state.box], correct ? 1 : 0) * DAY_MS;
+    state.lastReviewed = now;
+    state.history.push({ value: value, correct: correct, timestamp: now });
+
+    user.reviews[questionId] = state;
+    saveClassData();
+    return state;
+}
+
+// ========================================
+// REVIEW SESSION UI
+// ========================================
+
+/**
+ * Builds the unit-menu banner that launches review mode
+ * @returns {string} HTML string (empty if nothing has been answered yet)
+ */
+function renderReviewBanner() {
+    if (getReviewCandidates().length === 0) return '';
+
+    const dueCount = getDueReviewQuestions().length;
+    return `
+        <div class="review-banner">
+            <div>
+                <strong>🔁 Review</strong>
+                <span>${dueCount > 0 ? `${dueCount} question${dueCount === 1 ? '' : 's'} due for review across all units` : 'Nothing due right now - check back later!'}</span>
+            </div>
+            <button class="action-button primary" onclick="startReview()" ${dueCount === 0 ? 'disabled' : ''}>Start Review</button>
+        </div>
+    `;
+}
+
+/**
+ * Starts a review session with the questions currently due
+ */
+window.startReview = function() {
+    reviewQueue = getDueReviewQuestions().slice(0, REVIEW_SESSION_SIZE);
+    reviewIndex = 0;
+    reviewSessionResults = [];
+
+    if (reviewQueue.length === 0) {
+        showMessage('No questions are due for review right now.', 'info');
+        return;
+    }
+
+    // getCorrectAnswer/getOfficialExplanation look questions up in currentQuestions
+    currentQuestions = reviewQueue;
+    currentUnit = null;
+    currentLesson = 'Review';
+
+    renderReviewQuestion();
+}
+
+/**
+ * Leaves review mode and returns to the unit menu
+ */
+window.exitReview = function() {
+    reviewQueue = [];
+    reviewIndex = 0;
+    backToUnits();
+}
+
+/**
+ * Renders the current review question (a read-only copy that never calls submitAnswer)
+ */
+function renderReviewQuestion() {
+    const questionsContainer = document.getElementById('questionsContainer');
+    const question = reviewQueue[reviewIndex];
+
+    // Clear charts from the previous card
+    Object.values(chartInstances).forEach(chart => {
+        if (chart && typeof chart.destroy === 'function') {
+            chart.destroy();
+        }
+    });
+    chartInstances = {};
+
+    const choices = question.choices || question.attachments?.choices || [];
+    const state = classData.users[currentUsername].reviews?.[question.id];
+
+    questionsContainer.innerHTML = `
+        <button onclick="exitReview()" class="back-button">← Back to Units</button>
+        <div class="app-controls">
+            <div style="flex: 1;">
+                <strong>🔁 Review</strong> - Question ${reviewIndex + 1} of ${reviewQueue.length}
+            </div>
+        </div>
+        <div class="quiz-container review-card" data-review-question-id="${question.id}">
+            <div class="question-header">
+                <span>${question.id}</span>
+                <span class="review-box">Box ${state ? state.box : 0}</span>
+            </div>
+            <div class="question-prompt">${question.prompt || 'No prompt provided'}</div>
+            ${question.attachments ? renderAttachments(question.attachments, `review-${question.id}`) : ''}
+            <div class="choices">
+                ${choices.map(choice => `
+                    <div class="choice">
+                        <label>
+                            <input type="radio" name="review-choice-${question.id}" value="${choice.key}">
+                            <span class="choice-key">${choice.key}.</span>
+                            <span>${choice.value}</span>
+                        </label>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="review-actions">
+                <button class="submit-button" id="review-check-btn" onclick="checkReviewAnswer()">Check Answer</button>
+            </div>
+            <div id="review-feedback"></div>
+        </div>
+    `;
+
+    if (window.MathJax) {
+        MathJax.typesetPromise().catch(e => console.log('MathJax error:', e));
+    }
+}
+
+/**
+ * Grades the selected review answer and shows feedback
+ */
+window.checkReviewAnswer = function() {
+    const question = reviewQueue[reviewIndex];
+    const selected = document.querySelector(`input[name="review-choice-${question.id}"]:checked`);
+    const feedback = document.getElementById('review-feedback');
+
+    if (!selected) {
+        feedback.innerHTML = '<div class="error-msg show">Please select an answer.</div>';
+        return;
+    }
+
+    const correct = isReviewAnswerCorrect(question.id, selected.value) === true;
+    const state = recordReviewResult(question.id, selected.value, correct);
+    reviewSessionResults.push({ questionId: question.id, correct: correct });
+
+    document.querySelectorAll(`input[name="review-choice-${question.id}"]`).forEach(radio => {
+        radio.disabled = true;
+    });
+    document.getElementById('review-check-btn').style.display = 'none';
+
+    const explanation = getOfficialExplanation(question.id);
+    const nextDue = new Date(state.due).toLocaleDateString();
+    const isLast = reviewIndex >= reviewQueue.length - 1;
+
+    feedback.innerHTML = `
+        <div class="review-result ${correct ? 'correct' : 'incorrect'}">
+            ${correct ? '✅ Correct!' : `❌ Not quite - the answer is <strong>${getCorrectAnswer(question.id)}</strong>.`}
+            <div class="review-next-due">Next review: ${nextDue}</div>
+        </div>
+        ${typeof explanation === 'string' ? `<div class="contributor-reason">${explanation}</div>` : ''}
+        <button class="submit-button" onclick="${isLast ? 'finishReview()' : 'nextReviewQuestion()'}">
+            ${isLast ? 'Finish Review' : 'Next Question →'}
+        </button>
+    `;
+
+    if (window.MathJax) {
+        MathJax.typesetPromise([feedback]).catch(e => console.log('MathJax error:', e));
+    }
+}
+
+/**
+ * Advances to the next question in the review queue
+ */
+window.nextReviewQuestion = function() {
+    reviewIndex++;
+    renderReviewQuestion();
+}
+
+/**
+ * Shows the end-of-session summary
+ */
+window.finishReview = function() {
+    const questionsContainer = document.getElementById('questionsContainer');
+    const correctCount = reviewSessionResults.filter(r => r.correct).length;
+    const remaining = getDueReviewQuestions().length;
+
+    questionsContainer.innerHTML = `
+        <button onclick="exitReview()" class="back-button">← Back to Units</button>
+        <div class="quiz-container review-card">
+            <h3>🔁 Review complete</h3>
+            <p>You got <strong>${correctCount} of ${reviewSessionResults.length}</strong> correct.</p>
+            <p>${remaining > 0 ? `${remaining} more question${remaining === 1 ? ' is' : 's are'} still due.` : 'All caught up!'}</p>
+            ${remaining > 0 ? '<button class="submit-button" onclick="startReview()">Keep Reviewing</button>' : ''}
+        </div>
+    `;
+}
@@ -0,0 +1,475 @@
+// selection_answers.js - Multi-select and ordering questions: answer encoding, partial credit and selection rates
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (classData, currentUsername, currentQuestions, chartInstances)
+//               Requires functions from other modules (getScopedUsernames, calculateBadges, populatePeerReasoning,
+//               getTextColor, getGridColor)
+// This module handles "choose all that apply" and "put these steps in order" questions - a student's
+// selection is stored as comma-separated choice keys, scored with partial credit against the answer key,
+// and the class's answers are shown as per-option selection rates.
+//
+// Curriculum shape:
+//   { "type": "multi-select", "attachments": { "choices": [...] }, "answerKey": ["A", "C"] }
+//   { "type": "ordering", "attachments": { "choices": [...] }, "answerKey": ["C", "A", "D", "B"] }
+//   Ordering choices are shown in the order listed and answerKey is the correct order.
+//   answerKey may also be written as a string ("A,C").
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const SELECTION_QUESTION_TYPES = ['multi-select', 'ordering'];
+
+// Share of the class giving the same full answer that counts as consensus (matches the MCQ view)
+const SELECTION_CONSENSUS_THRESHOLD = 0.7;
+
+// One color per ordering item in the stacked position chart
+const ORDERING_ITEM_COLORS = ['#36A2EB', '#FF6384', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#8BC34A', '#795548'];
+
+// ========================================
+// ANSWERS AND SCORING
+// ========================================
+
+/**
+ * Whether a question is a multi-select or ordering question
+ * @param {Object} question - Curriculum question
+ * @returns {boolean} True for the selection types
+ */
+function isSelectionQuestion(question) {
+    return !!question && SELECTION_QUESTION_TYPES.includes(question.type);
+}
+
+/**
+ * Gets a question's choices (top-level or under attachments, like MCQ)
+ * @param {Object} question - Curriculum question
+ * @returns {Array} [{key, value}]
+ */
+function getSelectionChoices(question) {
+    return question?.choices || question?.attachments?.choices || [];
+}
+
+/**
+ * Splits a stored answer or answer key into choice keys
+ * @param {Array|string} value - ["A", "C"], "A,C" or a formatted "C → A → D"
+ * @returns {Array} Choice keys in the order given
+ */
+function parseSelectionKeys(value) {
+    if (Array.isArray(value)) return value.map(key => String(key).trim()).filter(Boolean);
+    if (value === undefined || value === null) return [];
+    return String(value).split(/\s*(?:,|→)\s*/).map(key => key.trim()).filter(Boolean);
+}
+
+/**
+ * Encodes selected keys as the stored answer value
+ * @param {Object} question - Curriculum question
+ * @param {Array} keys - Selected keys (multi-select) or keys in the student's order (ordering)
+ * @returns {string} Comma-separated keys; multi-select keys follow the choice order so equal sets compare equal
+ */
+function encodeSelectionAnswer(question, keys) {
+    if (question?.type !== 'multi-select') return keys.join(',');
+    const order = getSelectionChoices(question).map(choice => choice.key);
+    return [...keys].sort((a, b) => order.indexOf(a) - order.indexOf(b)).join(',');
+}
+
+/**
+ * Scores an answer with partial credit.
+ * Multi-select: (correct picks - wrong picks) / number of correct options, never below 0.
+ * Ordering: share of item pairs the student put in the right relative order.
+ * @param {Object} question - Curriculum question
+ * @param {Array|string} value - Stored answer value
+ * @returns {number|null} Credit from 0 to 1, or null if the question has no answer key
+ */
+function scoreSelectionAnswer(question, value) {
+    const answerKey = parseSelectionKeys(question?.answerKey);
+    if (answerKey.length === 0) return null;
+    const keys = parseSelectionKeys(value);
+    if (keys.length === 0) return 0;
+
+    if (question.type === 'multi-select') {
+        const picked = new Set(keys);
+        const hits = answerKey.filter(key => picked.has(key)).length;
+        const wrong = [...picked].filter(key => !answerKey.includes(key)).length;
+        return Math.max(0, (hits - wrong) / answerKey.length);
+    }
+
+    if (answerKey.length === 1) return keys[0] === answerKey[0] ? 1 : 0;
+
+    let inOrder = 0;
+    let pairs = 0;
+    for (let i = 0; i < answerKey.length; i++) {
+        for (let j = i + 1; j < answerKey.length; j++) {
+            pairs++;
+            const first = keys.indexOf(answerKey[i]);
+            const second = keys.indexOf(answerKey[j]);
+            if (first !== -1 && second !== -1 && first < second) inOrder++;
+        }
+    }
+    return inOrder / pairs;
+}
+
+/**
+ * Formats an answer for the response lists and answer key
+ * @param {Object} question - Curriculum question
+ * @param {Array|string} value - Stored answer value or answer key
+ * @returns {string} "A, C" for multi-select, "C → A → D → B" for ordering
+ */
+function formatSelectionAnswer(question, value) {
+    return parseSelectionKeys(value).join(question?.type === 'ordering' ? ' → ' : ', ');
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Builds the checkbox list (multi-select) or reorderable list (ordering) for a question card
+ * @param {Object} question - Curriculum question
+ * @param {string} savedValue - Previously submitted value
+ * @param {boolean} isDisabled - True when the question is answered and cannot be retried
+ * @returns {string} HTML
+ */
+function renderSelectionInput(question, savedValue, isDisabled) {
+    const choices = getSelectionChoices(question);
+    const savedKeys = parseSelectionKeys(savedValue);
+
+    if (question.type === 'multi-select') {
+        let html = '<div class="choices multi-select-choices"><div class="selection-hint">Select all that apply.</div>';
+        choices.forEach(choice => {
+            const isSelected = savedKeys.includes(choice.key);
+            html += `
+                <div class="choice ${isSelected ? 'selected' : ''} ${isDisabled ? 'disabled' : ''}">
+                    <label>
+                        <input type="checkbox"
+                               name="choice-${question.id}"
+                               value="${choice.key}"
+                               ${isSelected ? 'checked' : ''}
+                               ${isDisabled ? 'disabled' : ''}>
+                        <span class="choice-key">${choice.key}.</span>
+                        <span>${choice.value}</span>
+                    </label>
+                </div>
+            `;
+        });
+        return html + '</div>';
+    }
+
+    // Ordering: start from the student's saved order, then any items it is missing
+    const byKey = {};
+    choices.forEach(choice => { byKey[choice.key] = choice; });
+    const orderedKeys = savedKeys.filter(key => byKey[key]);
+    choices.forEach(choice => {
+        if (!orderedKeys.includes(choice.key)) orderedKeys.push(choice.key);
+    });
+
+    let html = `<div class="selection-hint">Use the arrows to put the items in order.</div><ol class="ordering-list ${isDisabled ? 'disabled' : ''}" id="ordering-${question.id}">`;
+    orderedKeys.forEach(key => {
+        html += `
+            <li class="ordering-item" data-key="${key}">
+                <span class="choice-key">${key}.</span>
+                <span class="ordering-text">${byKey[key].value}</span>
+                <span class="ordering-controls">
+                    <button type="button" class="ordering-move" title="Move up" aria-label="Move ${key} up"
+                            onclick="moveOrderingItem('${question.id}', '${key}', -1)" ${isDisabled ? 'disabled' : ''}>▲</button>
+                    <button type="button" class="ordering-move" title="Move down" aria-label="Move ${key} down"
+                            onclick="moveOrderingItem('${question.id}', '${key}', 1)" ${isDisabled ? 'disabled' : ''}>▼</button>
+                </span>
+            </li>
+        `;
+    });
+    return html + '</ol>';
+}
+
+/**
+ * Moves an ordering item one place up or down
+ * @param {string} questionId - Question ID
+ * @param {string} key - Choice key of the item
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+window.moveOrderingItem = function(questionId, key, offset) {
+    const list = document.getElementById(`ordering-${questionId}`);
+    if (!list) return;
+
+    const item = [...list.children].find(li => li.dataset.key === key);
+    if (!item) return;
+
+    const focused = document.activeElement;
+    if (offset < 0 && item.previousElementSibling) {
+        list.insertBefore(item, item.previousElementSibling);
+    } else if (offset > 0 && item.nextElementSibling) {
+        list.insertBefore(item.nextElementSibling, item);
+    }
+
+    // Moving the item can drop focus from its button; keep it so the arrows can be pressed repeatedly
+    if (focused && item.contains(focused)) focused.focus();
+};
+
+/**
+ * Reads the student's current selection from the question card
+ * @param {Object} question - Curriculum question
+ * @returns {Object} {value, error} - value is the encoded answer, error a message for the student
+ */
+function readSelectionAnswer(question) {
+    if (question.type === 'multi-select') {
+        const checked = [...document.querySelectorAll(`input[name="choice-${question.id}"]:checked`)];
+        if (checked.length === 0) return { value: '', error: 'Please select at least one answer.' };
+        return { value: encodeSelectionAnswer(question, checked.map(input => input.value)), error: null };
+    }
+
+    const list = document.getElementById(`ordering-${question.id}`);
+    if (!list || list.children.length === 0) return { value: '', error: 'Nothing to put in order.' };
+    return { value: encodeSelectionAnswer(question, [...list.children].map(li => li.dataset.key)), error: null };
+}
+
+// ========================================
+// CONSENSUS VIEW
+// ========================================
+
+/**
+ * Gathers everyone's answers to a selection question in the student's section
+ * @param {Object} question - Curriculum question
+ * @returns {Array} [{username, keys, value, choice, reason}]
+ */
+function gatherSelectionResponses(question) {
+    const responses = [];
+    for (let username of getScopedUsernames()) {
+        const userAnswer = classData.users[username].answers?.[question.id];
+        if (!userAnswer) continue;
+
+        const value = String(userAnswer.value !== undefined ? userAnswer.value : userAnswer);
+        const keys = parseSelectionKeys(value);
+        if (keys.length === 0) continue;
+
+        responses.push({
+            username: username,
+            keys: keys,
+            value: value,
+            choice: formatSelectionAnswer(question, value),
+            reason: classData.users[username].reasons?.[question.id] || ''
+        });
+    }
+    return responses;
+}
+
+/**
+ * Share of responders who selected each option (multi-select)
+ * @param {Array} choiceKeys - Choice keys in display order
+ * @param {Array} responses - From gatherSelectionResponses
+ * @returns {Array} Selection rate (0-1) per choice key
+ */
+function getSelectionRates(choiceKeys, responses) {
+    return choiceKeys.map(key => responses.length > 0
+        ? responses.filter(r => r.keys.includes(key)).length / responses.length
+        : 0);
+}
+
+/**
+ * Share of responders who put each item at each position (ordering)
+ * @param {Array} choiceKeys - Choice keys in display order
+ * @param {Array} responses - From gatherSelectionResponses
+ * @returns {Object} key -> array of rates (0-1), one per position
+ */
+function getOrderingPositionRates(choiceKeys, responses) {
+    const rates = {};
+    choiceKeys.forEach(key => {
+        rates[key] = choiceKeys.map((_, position) => responses.length > 0
+            ? responses.filter(r => r.keys[position] === key).length / responses.length
+            : 0);
+    });
+    return rates;
+}
+
+/**
+ * Renders per-option selection rates, the consensus message and contributor list
+ * (the multi-select/ordering counterpart of renderMCQDistribution)
+ * @param {string} questionId - Question ID
+ * @param {Array} changedValues - Answer values whose counts just changed (optional, from live updates)
+ */
+function renderSelectionDistribution(questionId, changedValues = null) {
+    const canvas = document.getElementById(`dotplot-${questionId}`);
+    if (!canvas) return;
+
+    const question = (currentQuestions || []).find(q => q.id === questionId);
+    if (!question) return;
+
+    canvas.style.display = '';
+    canvas.parentElement.style.position = 'relative';
+    canvas.style.height = '300px';
+    canvas.style.width = '100%';
+
+    const responses = gatherSelectionResponses(question);
+    const choiceKeys = getSelectionChoices(question).map(choice => choice.key);
+    const userKeys = responses.find(r => r.username === currentUsername)?.keys || [];
+    const percent = value => (value * 100).toFixed(0) + '%';
+    const ctx = canvas.getContext('2d');
+
+    if (question.type === 'multi-select') {
+        const rates = getSelectionRates(choiceKeys, responses);
+        const barColors = choiceKeys.map(key => userKeys.includes(key) ? '#4CAF50' : '#36A2EB');
+        // Flash every option that appears in an answer that just changed
+        const changedKeys = new Set((changedValues || []).flatMap(parseSelectionKeys));
+
+        const existingChart = chartInstances[`dotplot-${questionId}`];
+        if (changedValues && existingChart && existingChart.config.type === 'bar' && existingChart.data.datasets.length === 1) {
+            const dataset = existingChart.data.datasets[0];
+            existingChart.data.labels = choiceKeys;
+            dataset.data = rates;
+            dataset.totalCount = responses.length;
+            dataset.backgroundColor = choiceKeys.map((key, i) => changedKeys.has(key) ? LIVE_UPDATE_FLASH_COLOR : barColors[i]);
+            existingChart.update();
+
+            setTimeout(() => {
+                if (chartInstances[`dotplot-${questionId}`] !== existingChart) return;
+                dataset.backgroundColor = barColors;
+                existingChart.update();
+            }, LIVE_UPDATE_FLASH_MS);
+        } else {
+            if (existingChart) {
+                existingChart.destroy();
+                delete chartInstances[`dotplot-${questionId}`];
+            }
+            chartInstances[`dotplot-${questionId}`] = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: choiceKeys,
+                    datasets: [{
+                        label: 'Selected by',
+                        data: rates,
+                        totalCount: responses.length,
+                        backgroundColor: barColors,
+                        borderColor: '#2196F3',
+                        borderWidth: 1
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            max: 1,
+                            ticks: { stepSize: 0.1, color: getTextColor(), callback: value => percent(value) },
+                            title: { display: true, text: 'Share of responses selecting', color: getTextColor() },
+                            grid: { color: getGridColor() }
+                        },
+                        x: {
+                            title: { display: true, text: 'Option', color: getTextColor() },
+                            ticks: { color: getTextColor() }
+                        }
+                    },
+                    plugins: {
+                        legend: { display: false },
+                        datalabels: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                label: context => {
+                                    const count = Math.round(context.parsed.y * context.dataset.totalCount);
+                                    return `${percent(context.parsed.y)} selected (${count} of ${context.dataset.totalCount} responses)`;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        }
+    } else {
+        // Ordering: one bar per position, stacked by which item the class put there
+        const rates = getOrderingPositionRates(choiceKeys, responses);
+        const existingChart = chartInstances[`dotplot-${questionId}`];
+        if (existingChart) {
+            existingChart.destroy();
+            delete chartInstances[`dotplot-${questionId}`];
+        }
+
+        chartInstances[`dotplot-${questionId}`] = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: choiceKeys.map((_, position) => `Position ${position + 1}`),
+                datasets: choiceKeys.map((key, i) => ({
+                    label: key,
+                    data: rates[key],
+                    backgroundColor: ORDERING_ITEM_COLORS[i % ORDERING_ITEM_COLORS.length],
+                    // Outline where the current student placed this item
+                    borderColor: choiceKeys.map((_, position) => userKeys[position] === key ? '#1B5E20' : 'rgba(0, 0, 0, 0)'),
+                    borderWidth: choiceKeys.map((_, position) => userKeys[position] === key ? 3 : 0)
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        stacked: true,
+                        ticks: { color: getTextColor() },
+                        grid: { display: false }
+                    },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        max: 1,
+                        ticks: { stepSize: 0.25, color: getTextColor(), callback: value => percent(value) },
+                        title: { display: true, text: 'Share of responses', color: getTextColor() },
+                        grid: { color: getGridColor() }
+                    }
+                },
+                plugins: {
+                    legend: { display: true, labels: { color: getTextColor() } },
+                    datalabels: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: context => `${context.dataset.label} here: ${percent(context.parsed.y)}`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Consensus: the most common full answer
+    const consensusDiv = document.getElementById(`consensus-${questionId}`);
+    if (consensusDiv) {
+        const counts = {};
+        responses.forEach(r => { counts[r.value] = (counts[r.value] || 0) + 1; });
+        const mode = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+        const share = responses.length > 0 ? counts[mode] / responses.length : 0;
+
+        if (responses.length <= 1) {
+            consensusDiv.innerHTML = `
+                <div class="consensus-msg no-consensus">
+                    You're the first to answer! Import class data to see peer responses.
+                </div>
+            `;
+        } else if (share >= SELECTION_CONSENSUS_THRESHOLD) {
+            consensusDiv.innerHTML = `
+                <div class="consensus-msg consensus">
+                    ✓ Consensus reached on ${formatSelectionAnswer(question, mode)} (${percent(share)} agreement)
+                </div>
+            `;
+        } else {
+            consensusDiv.innerHTML = `
+                <div class="consensus-msg no-consensus">
+                    No consensus yet - most common answer: ${formatSelectionAnswer(question, mode)} at ${percent(share)}
+                </div>
+            `;
+        }
+    }
+
+    // Contributors with their answers and reasons
+    const contributorsDiv = document.getElementById(`contributors-${questionId}`);
+    if (contributorsDiv && responses.length > 0) {
+        let html = '<h4 style="margin-top: 10px;">Individual Responses:</h4>';
+        responses.forEach(r => {
+            const isCurrentUser = r.username === currentUsername;
+            const badges = calculateBadges(r.username);
+            const badgeText = badges.length > 0 ? ` ${badges.join(' ')}` : '';
+
+            html += `
+                <div class="contributor-item" data-username="${r.username}" style="${isCurrentUser ? 'background: #e3f2fd;' : ''}">
+                    <span class="contributor-choice">${r.username}${badgeText} → ${r.choice}</span>
+                    ${r.reason ? `<div class="contributor-reason">"${r.reason}"</div>` : '<div style="color: #999; font-style: italic; margin-top: 5px;">No explanation provided</div>'}
+                </div>
+            `;
+        });
+        contributorsDiv.innerHTML = html;
+    }
+
+    populatePeerReasoning(questionId, responses.map(r => ({ username: r.username, choice: r.choice, reason: r.reason })));
+}
@@ -0,0 +1,584 @@
+// simulation_sandbox.js - Repeated random samples from a question's data table
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (chartInstances)
+//               Requires functions from other modules (renderChart from charts.js)
+// This module handles "what if we took another sample?" - a Simulate button under any table attachment
+// draws samples from one column, computes a mean, median, proportion or slope, and stacks the results into
+// a dotplot of the sampling distribution. The RNG is seeded, so the same seed and settings replay the same demo.
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const SIMULATION_STATISTICS = {
+    mean: { label: 'Mean', noun: 'mean', needsNumbers: true },
+    median: { label: 'Median', noun: 'median', needsNumbers: true },
+    proportion: { label: 'Proportion', noun: 'proportion', needsNumbers: false },
+    slope: { label: 'Slope (LSRL)', noun: 'slope', needsNumbers: true }
+};
+
+// Most samples kept per sandbox; older draws stop being added beyond this
+const SIMULATION_MAX_SAMPLES = 2000;
+
+// Samples added per redraw while a batch is running, and the pause between redraws
+const SIMULATION_BATCH_SIZE = 10;
+const SIMULATION_FRAME_MS = 150;
+
+// Tallest dot stack before each dot stands for several samples
+const SIMULATION_MAX_STACK = 40;
+
+// Tables registered by renderSimulationButton, keyed by question ID
+const simulationTables = {};
+
+// Settings, RNG and results per open sandbox, keyed by question ID
+const simulationStates = {};
+
+// ========================================
+// SEEDED RANDOM NUMBERS
+// ========================================
+
+/**
+ * Turns a seed entry into a 32-bit integer; whole numbers are used as-is so "42" is easy to share
+ * @param {string|number} seed - Seed typed by the teacher
+ * @returns {number} Unsigned 32-bit seed
+ */
+function hashSimulationSeed(seed) {
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Mulberry32 generator - small, fast and reproducible across browsers
+ * @param {string|number} seed - Seed entry
+ * @returns {Function} () -> number in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = hashSimulationSeed(seed);
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Row indices for one random sample
+ * @param {number} rowCount - Rows in the table
+ * @param {number} size - Sample size
+ * @param {boolean} withReplacement - Allow a row more than once
+ * @param {Function} random - Seeded generator
+ * @returns {Array} Row indices
+ */
+function drawSampleIndices(rowCount, size, withReplacement, random) {
+    if (withReplacement) {
+        return Array.from({ length: size }, () => Math.floor(random() * rowCount));
+    }
+    // Partial Fisher-Yates shuffle
+    const indices = Array.from({ length: rowCount }, (_, i) => i);
+    for (let i = 0; i < size; i++) {
+        const j = i + Math.floor(random() * (rowCount - i));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, size);
+}
+
+// ========================================
+// TABLE DATA AND STATISTICS
+// ========================================
+
+/**
+ * Reads a table attachment into columns; a column is numeric when every cell parses
+ * ("8,133", "$12", "45%" included)
+ * @param {Object|Array} table - {headers, rows} or an array of rows whose first row is the header
+ * @returns {Array} [{name, cells, numbers}] where numbers is null for categorical columns
+ */
+function getTableColumns(table) {
+    const headers = Array.isArray(table) ? table[0] : table?.headers;
+    const rows = Array.isArray(table) ? table.slice(1) : table?.rows;
+    if (!Array.isArray(headers) || !Array.isArray(rows) || rows.length < 2) return [];
+
+    return headers.map((header, col) => {
+        const cells = rows.map(row => String(row?.[col] ?? '').trim());
+        const numbers = cells.map(cell => cell === '' ? NaN : Number(cell.replace(/[,$%\s]/g, '')));
+        return {
+            name: String(header),
+            cells: cells,
+            numbers: numbers.every(Number.isFinite) ? numbers : null
+        };
+    });
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number} Median
+ */
+function getSimulationMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Computes the chosen statistic for the rows in a sample (or every row for the population value)
+ * @param {Object} settings - {statistic, column, xColumn, success}
+ * @param {Array} columns - From getTableColumns
+ * @param {Array} indices - Row indices in the sample
+ * @returns {number} Statistic, or NaN when it is undefined for this sample (e.g. slope with one x value)
+ */
+function computeSampleStatistic(settings, columns, indices) {
+    const column = columns[settings.column];
+    if (!column || indices.length === 0) return NaN;
+
+    if (settings.statistic === 'proportion') {
+        return indices.filter(i => column.cells[i] === settings.success).length / indices.length;
+    }
+
+    if (!column.numbers) return NaN;
+    const ys = indices.map(i => column.numbers[i]);
+
+    if (settings.statistic === 'mean') return ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    if (settings.statistic === 'median') return getSimulationMedian(ys);
+
+    const xColumn = columns[settings.xColumn];
+    if (!xColumn?.numbers) return NaN;
+    const xs = indices.map(i => xColumn.numbers[i]);
+    const xBar = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const yBar = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    let sxy = 0;
+    let sxx = 0;
+    xs.forEach((x, i) => {
+        sxy += (x - xBar) * (ys[i] - yBar);
+        sxx += (x - xBar) * (x - xBar);
+    });
+    return sxx > 0 ? sxy / sxx : NaN;
+}
+
+/**
+ * Largest 1, 2, 2.5 or 5 × 10^k step that is no bigger than a target width
+ * @param {number} target - Desired step
+ * @returns {number} Nice step
+ */
+function getNiceSimulationStep(target) {
+    if (!(target > 0)) return 1;
+    const power = Math.pow(10, Math.floor(Math.log10(target)));
+    return [5, 2.5, 2, 1].map(m => m * power).find(step => step <= target) || power;
+}
+
+/**
+ * Rounds statistics onto a step so equal values stack, and when a stack would be taller than
+ * SIMULATION_MAX_STACK lets each dot stand for several samples
+ * @param {Array} results - Raw statistics
+ * @param {number} step - Rounding step
+ * @returns {Object} {values, perDot}
+ */
+function getDotplotValues(results, step) {
+    const counts = new Map();
+    results.forEach(value => {
+        const rounded = Number((Math.round(value / step) * step).toFixed(10));
+        counts.set(rounded, (counts.get(rounded) || 0) + 1);
+    });
+
+    const perDot = Math.max(1, Math.ceil(Math.max(0, ...counts.values()) / SIMULATION_MAX_STACK));
+    const values = [];
+    counts.forEach((count, value) => {
+        // Round up so rare outcomes still show a dot
+        for (let i = 0; i < Math.ceil(count / perDot); i++) values.push(value);
+    });
+    return { values, perDot };
+}
+
+/**
+ * Standard deviation of a list of numbers (n - 1 divisor)
+ * @param {Array} values - Numbers
+ * @returns {number} SD, or 0 for fewer than two values
+ */
+function getSimulationSd(values) {
+    if (values.length < 2) return 0;
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (values.length - 1));
+}
+
+/**
+ * Formats a statistic for the summary line
+ * @param {number} value - Number to show
+ * @returns {string} Up to 4 decimal places
+ */
+function formatSimulationNumber(value) {
+    return Number.isFinite(value) ? String(Number(value.toFixed(4))) : '—';
+}
+
+/**
+ * Escapes text for use in sandbox HTML and attributes
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeSimulationHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ========================================
+// SANDBOX STATE
+// ========================================
+
+/**
+ * Default settings for a table: mean of the first numeric column, or a proportion if there is none
+ * @param {Array} columns - From getTableColumns
+ * @returns {Object} Settings
+ */
+function getDefaultSimulationSettings(columns) {
+    const numericIndex = columns.findIndex(column => column.numbers);
+    const rowCount = columns[0].cells.length;
+    const column = numericIndex >= 0 ? numericIndex : 0;
+    return {
+        statistic: numericIndex >= 0 ? 'mean' : 'proportion',
+        column: column,
+        xColumn: columns.findIndex((c, i) => c.numbers && i !== column),
+        success: columns[column].cells[0],
+        size: Math.max(2, Math.floor(rowCount / 2)),
+        withReplacement: false,
+        seed: String(Math.floor(Math.random() * 9000) + 1000)
+    };
+}
+
+/**
+ * Clears results and restarts the RNG from the seed (same seed + settings = same samples)
+ * @param {Object} state - Sandbox state
+ */
+function restartSimulation(state) {
+    state.random = createSeededRandom(state.settings.seed);
+    state.results = [];
+    state.lastSample = null;
+}
+
+/**
+ * Fixes settings that no longer fit the chosen statistic or table (called after every change)
+ * @param {Object} settings - Settings to adjust in place
+ * @param {Array} columns - From getTableColumns
+ */
+function normalizeSimulationSettings(settings, columns) {
+    const rowCount = columns[0].cells.length;
+    const numericIndices = columns.map((c, i) => c.numbers ? i : -1).filter(i => i >= 0);
+
+    if (SIMULATION_STATISTICS[settings.statistic].needsNumbers && !columns[settings.column]?.numbers) {
+        settings.column = numericIndices[0];
+    }
+    if (settings.statistic === 'slope' && (settings.xColumn === settings.column || !columns[settings.xColumn]?.numbers)) {
+        settings.xColumn = numericIndices.find(i => i !== settings.column);
+    }
+    if (settings.statistic === 'proportion' && !columns[settings.column].cells.includes(settings.success)) {
+        settings.success = columns[settings.column].cells[0];
+    }
+
+    const minSize = settings.statistic === 'slope' ? 2 : 1;
+    const maxSize = settings.withReplacement ? 1000 : rowCount;
+    settings.size = Math.min(maxSize, Math.max(minSize, Math.round(settings.size) || minSize));
+}
+
+/**
+ * Statistics the table can support: numeric ones need a numeric column, slope needs two
+ * @param {Array} columns - From getTableColumns
+ * @returns {Array} Keys of SIMULATION_STATISTICS
+ */
+function getAvailableStatistics(columns) {
+    const numericCount = columns.filter(column => column.numbers).length;
+    return Object.keys(SIMULATION_STATISTICS).filter(key => {
+        if (key === 'slope') return numericCount >= 2;
+        return !SIMULATION_STATISTICS[key].needsNumbers || numericCount >= 1;
+    });
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Simulate button and (closed) sandbox placeholder for a table attachment
+ * @param {Object|Array} table - Table attachment
+ * @param {string} questionId - ID used for the sandbox's element IDs
+ * @returns {string} HTML, or '' if the table has too few rows to sample from
+ */
+function renderSimulationButton(table, questionId) {
+    if (getTableColumns(table).length === 0) return '';
+    simulationTables[questionId] = table;
+    return `
+        <button type="button" class="simulate-button" onclick="toggleSimulationSandbox('${questionId}')">🎲 Simulate</button>
+        <div class="simulation-sandbox" id="simulation-${questionId}" style="display: none;"></div>
+    `;
+}
+
+/**
+ * Builds the settings form for one sandbox
+ * @param {string} questionId - Question ID
+ * @param {Object} state - Sandbox state
+ * @returns {string} HTML
+ */
+function renderSimulationControls(questionId, state) {
+    const { settings, columns } = state;
+    const change = `onchange="onSimulationSettingChange('${questionId}')"`;
+    const needsNumbers = SIMULATION_STATISTICS[settings.statistic].needsNumbers;
+
+    const columnOptions = (selected, exclude) => columns
+        .map((column, i) => ({ column, i }))
+        .filter(({ column, i }) => (!needsNumbers || column.numbers) && i !== exclude)
+        .map(({ column, i }) => `<option value="${i}" ${i === selected ? 'selected' : ''}>${escapeSimulationHtml(column.name)}</option>`)
+        .join('');
+
+    const statisticOptions = getAvailableStatistics(columns)
+        .map(key => `<option value="${key}" ${key === settings.statistic ? 'selected' : ''}>${SIMULATION_STATISTICS[key].label}</option>`)
+        .join('');
+
+    let html = `
+        <div class="simulation-controls">
+            <label>Statistic
+                <select id="sim-statistic-${questionId}" ${change}>${statisticOptions}</select>
+            </label>
+            <label>${settings.statistic === 'slope' ? 'Response (y)' : 'Column'}
+                <select id="sim-column-${questionId}" ${change}>${columnOptions(settings.column, -1)}</select>
+            </label>
+    `;
+
+    if (settings.statistic === 'slope') {
+        html += `
+            <label>Explanatory (x)
+                <select id="sim-x-column-${questionId}" ${change}>${columnOptions(settings.xColumn, settings.column)}</select>
+            </label>
+        `;
+    }
+
+    if (settings.statistic === 'proportion') {
+        const categories = [...new Set(columns[settings.column].cells)];
+        html += `
+            <label>Success =
+                <select id="sim-success-${questionId}" ${change}>
+                    ${categories.map(cat => `<option value="${escapeSimulationHtml(cat)}" ${cat === settings.success ? 'selected' : ''}>${escapeSimulationHtml(cat)}</option>`).join('')}
+                </select>
+            </label>
+        `;
+    }
+
+    html += `
+            <label>Sample size n
+                <input type="number" id="sim-size-${questionId}" min="1" value="${settings.size}" ${change}>
+            </label>
+            <label class="simulation-checkbox">
+                <input type="checkbox" id="sim-replace-${questionId}" ${settings.withReplacement ? 'checked' : ''} ${change}>
+                With replacement
+            </label>
+            <label>Seed
+                <input type="text" id="sim-seed-${questionId}" value="${escapeSimulationHtml(settings.seed)}" ${change}>
+            </label>
+        </div>
+        <div class="simulation-actions">
+            <button type="button" onclick="runSimulation('${questionId}', 1)">Draw 1</button>
+            <button type="button" onclick="runSimulation('${questionId}', 10)">Draw 10</button>
+            <button type="button" onclick="runSimulation('${questionId}', 100)">Draw 100</button>
+            <button type="button" onclick="resetSimulation('${questionId}')">↺ Reset</button>
+        </div>
+        <div class="simulation-summary" id="sim-summary-${questionId}"></div>
+        <div class="simulation-chart" id="sim-chart-${questionId}"></div>
+    `;
+    return html;
+}
+
+/**
+ * Redraws the summary and dotplot for one sandbox
+ * @param {string} questionId - Question ID
+ */
+function renderSimulationResults(questionId) {
+    const state = simulationStates[questionId];
+    const summaryDiv = document.getElementById(`sim-summary-${questionId}`);
+    const chartDiv = document.getElementById(`sim-chart-${questionId}`);
+    if (!state || !summaryDiv || !chartDiv) return;
+
+    const { settings, columns, results } = state;
+    const rowCount = columns[0].cells.length;
+    const allRows = Array.from({ length: rowCount }, (_, i) => i);
+    const parameter = computeSampleStatistic(settings, columns, allRows);
+    const label = SIMULATION_STATISTICS[settings.statistic].noun;
+
+    let summary = `<div>Population (all ${rowCount} rows) ${label}: <strong>${formatSimulationNumber(parameter)}</strong></div>`;
+    if (state.lastSample) {
+        const rows = state.lastSample.indices.map(i => i + 1).join(', ');
+        summary += `<div>Last sample (rows ${rows}): ${label} = <strong>${formatSimulationNumber(state.lastSample.value)}</strong></div>`;
+    }
+    if (results.length > 0) {
+        const mean = results.reduce((sum, v) => sum + v, 0) / results.length;
+        summary += `<div>${results.length} samples · mean of the ${label}s = ${formatSimulationNumber(mean)} · SD = ${formatSimulationNumber(getSimulationSd(results))}</div>`;
+    }
+    if (state.skipped > 0) {
+        summary += `<div class="simulation-note">${state.skipped} sample(s) skipped: the statistic is undefined (e.g. every x value the same).</div>`;
+    }
+    summaryDiv.innerHTML = summary;
+
+    const chartId = `chart-simulation-${questionId}`;
+    if (chartInstances[chartId]) {
+        chartInstances[chartId].destroy();
+        delete chartInstances[chartId];
+    }
+    if (results.length === 0) {
+        chartDiv.innerHTML = '<div class="simulation-note">Draw samples to build the sampling distribution.</div>';
+        return;
+    }
+
+    // Dot width from the population (about a fifth of σ/√n) so it stays put as samples arrive;
+    // proportions are already multiples of 1/n and slopes have no simple formula, so use their results
+    let step;
+    if (settings.statistic === 'proportion') {
+        step = 1 / settings.size;
+    } else if (settings.statistic === 'slope') {
+        step = getNiceSimulationStep((getSimulationSd(results) || Math.abs(results[0]) || 1) / 5);
+    } else {
+        step = getNiceSimulationStep(getSimulationSd(columns[settings.column].numbers) / Math.sqrt(settings.size) / 5);
+    }
+    const dotplot = getDotplotValues(results, step);
+
+    chartDiv.innerHTML = renderChart({
+        chartType: 'dotplot',
+        title: `Sampling distribution of the sample ${label} (n = ${settings.size})`,
+        values: dotplot.values,
+        chartConfig: {
+            xAxis: { title: `Sample ${label}${settings.statistic === 'proportion' ? '' : ` of ${columns[settings.column].name}`}` },
+            description: dotplot.perDot > 1 ? `Each dot represents up to ${dotplot.perDot} samples` : 'Each dot is one sample',
+            dotRadius: results.length > 300 ? 3 : 4
+        }
+    }, `simulation-${questionId}`);
+}
+
+// ========================================
+// SANDBOX ACTIONS
+// ========================================
+
+/**
+ * Opens (creating on first use) or closes the sandbox under a question's table
+ * @param {string} questionId - Question ID
+ */
+window.toggleSimulationSandbox = function(questionId) {
+    const container = document.getElementById(`simulation-${questionId}`);
+    if (!container) return;
+
+    if (container.style.display !== 'none') {
+        container.style.display = 'none';
+        return;
+    }
+
+    if (!simulationStates[questionId]) {
+        const columns = getTableColumns(simulationTables[questionId]);
+        if (columns.length === 0) return;
+        const state = { columns, settings: getDefaultSimulationSettings(columns), skipped: 0 };
+        normalizeSimulationSettings(state.settings, columns);
+        restartSimulation(state);
+        simulationStates[questionId] = state;
+    }
+
+    const state = simulationStates[questionId];
+    container.innerHTML = renderSimulationControls(questionId, state);
+    container.style.display = 'block';
+    renderSimulationResults(questionId);
+};
+
+/**
+ * Reads the form after any change, then starts over with the new settings
+ * @param {string} questionId - Question ID
+ */
+window.onSimulationSettingChange = function(questionId) {
+    const state = simulationStates[questionId];
+    const container = document.getElementById(`simulation-${questionId}`);
+    if (!state || !container) return;
+
+    const read = suffix => document.getElementById(`sim-${suffix}-${questionId}`);
+    const settings = state.settings;
+    const previousStatistic = settings.statistic;
+    settings.statistic = read('statistic').value;
+    settings.column = Number(read('column').value);
+
+    // Switching to a proportion starts from a categorical column when the table has one
+    const categoricalIndex = state.columns.findIndex(column => !column.numbers);
+    if (settings.statistic === 'proportion' && previousStatistic !== 'proportion' && categoricalIndex >= 0) {
+        settings.column = categoricalIndex;
+    }
+    if (read('x-column')) settings.xColumn = Number(read('x-column').value);
+    if (read('success')) settings.success = read('success').value;
+    settings.size = Number(read('size').value);
+    settings.withReplacement = read('replace').checked;
+    settings.seed = read('seed').value.trim() || settings.seed;
+
+    normalizeSimulationSettings(settings, state.columns);
+    stopSimulationBatch(state);
+    restartSimulation(state);
+    state.skipped = 0;
+    container.innerHTML = renderSimulationControls(questionId, state);
+    renderSimulationResults(questionId);
+};
+
+/**
+ * Draws samples, redrawing every SIMULATION_BATCH_SIZE so the distribution builds up on screen
+ * @param {string} questionId - Question ID
+ * @param {number} count - Samples to draw
+ */
+window.runSimulation = function(questionId, count) {
+    const state = simulationStates[questionId];
+    if (!state) return;
+    stopSimulationBatch(state);
+
+    const { settings, columns } = state;
+    const rowCount = columns[0].cells.length;
+    let remaining = Math.min(count, SIMULATION_MAX_SAMPLES - state.results.length);
+    if (remaining <= 0) {
+        console.warn(`⚠️ Simulation for ${questionId} already has ${SIMULATION_MAX_SAMPLES} samples - reset to start again`);
+        return;
+    }
+
+    const drawBatch = () => {
+        const batch = Math.min(remaining, SIMULATION_BATCH_SIZE);
+        for (let i = 0; i < batch; i++) {
+            const indices = drawSampleIndices(rowCount, settings.size, settings.withReplacement, state.random);
+            const value = computeSampleStatistic(settings, columns, indices);
+            if (Number.isFinite(value)) {
+                state.results.push(value);
+                state.lastSample = { indices, value };
+            } else {
+                state.skipped++;
+            }
+        }
+        remaining -= batch;
+        renderSimulationResults(questionId);
+        state.timer = remaining > 0 ? setTimeout(drawBatch, SIMULATION_FRAME_MS) : null;
+    };
+    drawBatch();
+};
+
+/**
+ * Clears the samples and restarts the RNG from the same seed
+ * @param {string} questionId - Question ID
+ */
+window.resetSimulation = function(questionId) {
+    const state = simulationStates[questionId];
+    if (!state) return;
+    stopSimulationBatch(state);
+    restartSimulation(state);
+    state.skipped = 0;
+    renderSimulationResults(questionId);
+};
+
+/**
+ * Cancels a running batch (a new draw, reset or setting change takes over)
+ * @param {Object} state - Sandbox state
+ */
+function stopSimulationBatch(state) {
+    if (state.timer) {
+        clearTimeout(state.timer);
+        state.timer = null;
+    }
+}
@@ -0,0 +1,949 @@
+// storage.js - Offline-first IndexedDB storage for users, answers and sync state
+// Part of AP Statistics Consensus Quiz
+// Dependencies: None at load time - loads before every other module
+//               Uses functions from other modules when present (showMessage)
+// This module handles "where is their data kept" - users, answers, reasons, votes, activity and the
+// sync queue live in typed IndexedDB object stores instead of raw localStorage keys. Reads are served
+// synchronously from an in-memory copy loaded at startup; writes update that copy and are flushed to
+// IndexedDB in small batches. The first load moves every legacy localStorage key into the stores.
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const STORAGE_DB_NAME = 'apStatsConsensus';
+// Bumped whenever a store is added (2: conflicts)
+const STORAGE_DB_VERSION = 2;
+
+// Object store -> key path
+const STORAGE_STORES = {
+    users: 'username',                              // {username, section, progress, timestamps, attempts, badges, ...}
+    answers: ['username', 'questionId'],            // {username, questionId, value, timestamp}
+    reasons: ['username', 'questionId'],            // {username, questionId, text}
+    votes: ['voter', 'questionId', 'target'],       // {voter, questionId, target, type, timestamp}
+    activity: 'username',                           // {username, state, questionId, lastUpdate}
+    syncQueue: 'key',                               // {key: "username::questionId", username, questionId, timestamp,
+                                                    //  attempts, nextAttemptAt, lastAttemptAt, deadLettered} (see sync_outbox.js)
+    conflicts: 'key',                               // {key: "username::questionId", username, questionId, source,
+                                                    //  local, incoming, detectedAt} (see sync_conflicts.js)
+    meta: 'key'                                     // {key, value} - settings, cursors, pending imports
+};
+
+// Legacy per-user localStorage keys: answers_<username>, progress_<username>, ...
+const LEGACY_USER_KEY_PATTERN = /^(answers|reasons|timestamps|attempts|progress)_(.+)$/;
+
+// Legacy keys that move into the meta store, and which of them held JSON
+const LEGACY_META_KEYS = [
+    'consensusUsername', 'recentUsernames', 'syncCursors', 'lastSyncSummary', 'showAllSections',
+    'pendingStudentPin', 'pending_master_import', 'pending_personal_import', 'import_debug', 'consensusResponses'
+];
+const LEGACY_META_PREFIXES = ['sessionStart_', 'tempProgress_', 'studentPin_'];
+const LEGACY_JSON_META_KEYS = [
+    'recentUsernames', 'syncCursors', 'lastSyncSummary', 'showAllSections', 'pendingStudentPin',
+    'pending_master_import', 'pending_personal_import', 'import_debug', 'consensusResponses'
+];
+
+// Meta entries that never leave this device in an export
+const PRIVATE_META_PREFIXES = ['studentPin_', 'pendingStudentPin', 'legacyStorageMigrated'];
+
+// Meta entries describing this device's own session and sync state. Like the sync queue they are not
+// exported, and only this device's own localStorage migration may set them: an imported backup must not
+// sign in as its student or move this device's sync cursors.
+const DEVICE_META_KEYS = ['consensusUsername', 'recentUsernames', 'syncCursors', 'lastSyncSummary', 'rubricScoreOutbox', 'studentClientId'];
+
+const STORAGE_MIGRATED_KEY = 'legacyStorageMigrated';
+
+// Where the stores are kept when IndexedDB cannot be opened (old browsers, some private modes)
+const STORAGE_FALLBACK_KEY = 'appStorageSnapshot';
+
+// Writes made within this window share one IndexedDB transaction
+const STORAGE_FLUSH_DELAY_MS = 50;
+
+// A failed flush keeps its writes and tries again after this long
+const STORAGE_RETRY_DELAY_MS = 5000;
+
+// ========================================
+// IN-MEMORY COPY
+// ========================================
+
+let storageDb = null;
+let storageReadyPromise = null;
+let storageFlushTimer = null;
+let storageFlushPromise = Promise.resolve(true);
+let storageErrorShown = false;
+
+// store -> Map(JSON key -> JSON record). Parsing on read hands every caller its own copy.
+const storageCache = {};
+// store -> Map(JSON key -> record, or null to delete)
+let storagePending = {};
+
+// Stores whose key starts with the owning username. getUserData reads one student's records through
+// storageUserIndex (store -> Map(username -> Set of JSON keys)) instead of parsing the whole store, and
+// keeps the map it built as JSON in storageUserMaps until one of that student's records changes.
+const STORAGE_USER_STORES = ['answers', 'reasons', 'votes'];
+const storageUserIndex = {};
+const storageUserMaps = {};
+
+Object.keys(STORAGE_STORES).forEach(store => {
+    storageCache[store] = new Map();
+});
+STORAGE_USER_STORES.forEach(store => {
+    storageUserIndex[store] = new Map();
+    storageUserMaps[store] = new Map();
+});
+
+/**
+ * Keeps the per-user index in step with one cache entry being added or removed
+ * @param {string} store - Object store name
+ * @param {string} key - JSON-encoded key
+ * @param {boolean} present - True if the key is now in the cache
+ */
+function indexStorageKey(store, key, present) {
+    if (!storageUserIndex[store]) return;
+
+    const username = JSON.parse(key)[0];
+    storageUserMaps[store].delete(username);
+
+    let keys = storageUserIndex[store].get(username);
+    if (present) {
+        if (!keys) {
+            keys = new Set();
+            storageUserIndex[store].set(username, keys);
+        }
+        keys.add(key);
+    } else if (keys) {
+        keys.delete(key);
+        if (keys.size === 0) storageUserIndex[store].delete(username);
+    }
+}
+
+/**
+ * Puts a record's JSON into the in-memory copy without queueing a write (loading, and writeStorageRecord)
+ * @param {string} store - Object store name
+ * @param {string} key - JSON-encoded key
+ * @param {string} json - JSON-encoded record
+ */
+function setStorageCacheEntry(store, key, json) {
+    storageCache[store].set(key, json);
+    indexStorageKey(store, key, true);
+}
+
+/**
+ * Cache key for a record (or a raw key value) in a store
+ * @param {string} store - Object store name
+ * @param {Object} record - Record holding the store's key path
+ * @returns {string} JSON-encoded key
+ */
+function storageKeyFor(store, record) {
+    const keyPath = STORAGE_STORES[store];
+    return JSON.stringify(Array.isArray(keyPath) ? keyPath.map(part => record[part]) : record[keyPath]);
+}
+
+/**
+ * Puts a record into the in-memory copy and queues it for IndexedDB
+ * @param {string} store - Object store name
+ * @param {Object} record - Record to write
+ * @returns {boolean} True if the record changed
+ */
+function writeStorageRecord(store, record) {
+    const key = storageKeyFor(store, record);
+    const json = JSON.stringify(record);
+    if (storageCache[store].get(key) === json) return false;
+
+    setStorageCacheEntry(store, key, json);
+    queueStorageWrite(store, key, record);
+    return true;
+}
+
+/**
+ * Removes a record from the in-memory copy and queues the delete for IndexedDB
+ * @param {string} store - Object store name
+ * @param {string} key - JSON-encoded key from storageKeyFor
+ */
+function deleteStorageRecord(store, key) {
+    if (!storageCache[store].delete(key)) return;
+    indexStorageKey(store, key, false);
+    queueStorageWrite(store, key, null);
+}
+
+/**
+ * Reads one record by key
+ * @param {string} store - Object store name
+ * @param {string} key - JSON-encoded key
+ * @returns {Object|null} Copy of the record
+ */
+function readStorageRecord(store, key) {
+    const json = storageCache[store].get(key);
+    return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Every record one username owns in a per-user store (STORAGE_USER_STORES)
+ * @param {string} store - Object store name
+ * @param {string} username - Username (the first part of the key)
+ * @returns {Array<Object>} Copies of the records
+ */
+function readUserStorageRecords(store, username) {
+    const keys = storageUserIndex[store].get(username);
+    return keys ? [...keys].map(key => JSON.parse(storageCache[store].get(key))) : [];
+}
+
+/**
+ * Every record in a store, optionally only those matching a filter
+ * @param {string} store - Object store name
+ * @param {Function} filter - Optional predicate on the record
+ * @returns {Array<Object>} Copies of the records
+ */
+function readStorageRecords(store, filter) {
+    const records = [];
+    storageCache[store].forEach(json => {
+        const record = JSON.parse(json);
+        if (!filter || filter(record)) records.push(record);
+    });
+    return records;
+}
+
+// ========================================
+// PERSISTENCE
+// ========================================
+
+/**
+ * Opens (and on first use creates) the IndexedDB database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openStorageDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.entries(STORAGE_STORES).forEach(([store, keyPath]) => {
+                if (!db.objectStoreNames.contains(store)) {
+                    db.createObjectStore(store, { keyPath: keyPath });
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+    });
+}
+
+/**
+ * Loads every store into the in-memory copy
+ * @returns {Promise} Resolves once all stores are read
+ */
+function loadStorageCache() {
+    return new Promise((resolve, reject) => {
+        const stores = Object.keys(STORAGE_STORES);
+        const transaction = storageDb.transaction(stores, 'readonly');
+
+        stores.forEach(store => {
+            const request = transaction.objectStore(store).getAll();
+            request.onsuccess = () => {
+                request.result.forEach(record => {
+                    setStorageCacheEntry(store, storageKeyFor(store, record), JSON.stringify(record));
+                });
+            };
+        });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Loads the stores from the localStorage snapshot used when IndexedDB is unavailable
+ */
+function loadStorageFallbackSnapshot() {
+    try {
+        const snapshot = JSON.parse(localStorage.getItem(STORAGE_FALLBACK_KEY) || '{}');
+        Object.entries(snapshot).forEach(([store, entries]) => {
+            if (storageCache[store]) {
+                Object.entries(entries).forEach(([key, json]) => setStorageCacheEntry(store, key, json));
+            }
+        });
+    } catch (error) {
+        console.log(`⚠️ Could not read the storage snapshot: ${error.message}`);
+    }
+}
+
+/**
+ * Adds a write to the next flush
+ * @param {string} store - Object store name
+ * @param {string} key - JSON-encoded key
+ * @param {Object|null} record - Record to put, or null to delete
+ */
+function queueStorageWrite(store, key, record) {
+    if (!storagePending[store]) storagePending[store] = new Map();
+    storagePending[store].set(key, record);
+
+    if (!storageFlushTimer) {
+        storageFlushTimer = setTimeout(flushStorage, STORAGE_FLUSH_DELAY_MS);
+    }
+}
+
+/**
+ * Writes every queued change to IndexedDB (or the fallback snapshot) in one transaction
+ * @returns {Promise<boolean>} True once the writes are durable, false if they failed
+ */
+function flushStorage() {
+    clearTimeout(storageFlushTimer);
+    storageFlushTimer = null;
+
+    if (Object.keys(storagePending).length === 0) return storageFlushPromise;
+
+    // The batch is taken once the previous flush settles, so a failed batch is back in the queue
+    // before the next one is taken and can never be written over newer changes
+    storageFlushPromise = storageFlushPromise.then(() => {
+        const batch = storagePending;
+        storagePending = {};
+        if (Object.keys(batch).length === 0) return true;
+
+        return Promise.resolve()
+            .then(() => storageDb ? writeStorageBatch(batch) : writeStorageFallbackSnapshot())
+            .then(() => {
+                storageErrorShown = false;
+                return true;
+            })
+            .catch(error => {
+                handleStorageError(error);
+                requeueStorageBatch(batch);
+                return false;
+            });
+    });
+    return storageFlushPromise;
+}
+
+/**
+ * Puts the writes of a failed flush back in the queue and schedules another try.
+ * Writes queued since the batch was taken are newer, so they win over its entries.
+ * @param {Object} batch - store -> Map(key -> record|null)
+ */
+function requeueStorageBatch(batch) {
+    Object.entries(batch).forEach(([store, writes]) => {
+        if (!storagePending[store]) storagePending[store] = new Map();
+        writes.forEach((record, key) => {
+            if (!storagePending[store].has(key)) storagePending[store].set(key, record);
+        });
+    });
+
+    clearTimeout(storageFlushTimer);
+    storageFlushTimer = setTimeout(flushStorage, STORAGE_RETRY_DELAY_MS);
+}
+
+/**
+ * Applies a batch of queued writes in a single readwrite transaction
+ * @param {Object} batch - store -> Map(key -> record|null)
+ * @returns {Promise} Resolves when the transaction commits
+ */
+function writeStorageBatch(batch) {
+    return new Promise((resolve, reject) => {
+        const transaction = storageDb.transaction(Object.keys(batch), 'readwrite');
+
+        Object.entries(batch).forEach(([store, writes]) => {
+            const objectStore = transaction.objectStore(store);
+            writes.forEach((record, key) => {
+                if (record === null) {
+                    objectStore.delete(JSON.parse(key));
+                } else {
+                    objectStore.put(record);
+                }
+            });
+        });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
+}
+
+/**
+ * Saves the whole in-memory copy as one localStorage entry (IndexedDB unavailable)
+ */
+function writeStorageFallbackSnapshot() {
+    const snapshot = {};
+    Object.keys(storageCache).forEach(store => {
+        snapshot[store] = Object.fromEntries(storageCache[store]);
+    });
+    localStorage.setItem(STORAGE_FALLBACK_KEY, JSON.stringify(snapshot));
+}
+
+/**
+ * Reports a failed write; a full disk is the one the student can do something about
+ * @param {Error} error - Error from IndexedDB or localStorage
+ */
+function handleStorageError(error) {
+    const name = error && error.name;
+    console.log(`⚠️ Storage write failed: ${error && error.message}`);
+
+    // Failed writes are retried, so warn once per run of failures
+    if (name === 'QuotaExceededError' && !storageErrorShown && typeof showMessage === 'function') {
+        storageErrorShown = true;
+        showMessage('Warning: Storage on this device is full. Export your data so nothing is lost.', 'error');
+    }
+}
+
+// ========================================
+// STARTUP AND MIGRATION
+// ========================================
+
+/**
+ * Opens the database, loads it into memory and migrates legacy localStorage keys once.
+ * Every caller shares the same promise; it never rejects.
+ * @returns {Promise} Resolves when storage can be read synchronously
+ */
+function initStorage() {
+    if (!storageReadyPromise) {
+        storageReadyPromise = (async () => {
+            try {
+                storageDb = await openStorageDatabase();
+                await loadStorageCache();
+                console.log('💾 IndexedDB storage ready');
+            } catch (error) {
+                storageDb = null;
+                console.log(`⚠️ IndexedDB unavailable (${error.message}) - keeping data in localStorage`);
+                loadStorageFallbackSnapshot();
+            }
+
+            if (getMeta(STORAGE_MIGRATED_KEY) === null) {
+                await migrateLegacyLocalStorage();
+            }
+
+            // Ask the browser not to evict offline answers under storage pressure
+            if (navigator.storage && navigator.storage.persist) {
+                navigator.storage.persist().catch(() => {});
+            }
+        })();
+    }
+    return storageReadyPromise;
+}
+
+/**
+ * Moves every legacy localStorage key this app wrote into the object stores, then removes the
+ * migrated keys. Device preferences (theme, sprite colors) and keys owned by other libraries stay put.
+ * @returns {Promise} Resolves when the migration is durable
+ */
+async function migrateLegacyLocalStorage() {
+    let keys = [];
+    try {
+        keys = Object.keys(localStorage);
+    } catch (error) {
+        console.log(`⚠️ localStorage unavailable, nothing to migrate: ${error.message}`);
+    }
+
+    // classData first, so the per-user keys merge over it
+    keys.sort((a, b) => (b === 'classData') - (a === 'classData'));
+
+    const migrated = keys.filter(key => applyLegacyEntry(key, localStorage.getItem(key), true));
+    setMeta(STORAGE_MIGRATED_KEY, Date.now());
+
+    if (!(await flushStorage())) {
+        // Leave the legacy keys in place and try again next load
+        removeMeta(STORAGE_MIGRATED_KEY);
+        return;
+    }
+
+    migrated.forEach(key => localStorage.removeItem(key));
+    if (migrated.length > 0) {
+        console.log(`💾 Migrated ${migrated.length} localStorage keys into ${storageDb ? 'IndexedDB' : 'the storage snapshot'}`);
+    }
+}
+
+/**
+ * Applies one legacy localStorage entry (or a rawLocalStorage entry from a master export) to the stores
+ * @param {string} key - Legacy key
+ * @param {string} rawValue - Value as it was stored in localStorage
+ * @param {boolean} overwrite - Replace existing data (false = only fill in what is missing)
+ * @returns {boolean} True if the key was recognized and applied
+ */
+function applyLegacyEntry(key, rawValue, overwrite) {
+    if (rawValue === null || rawValue === undefined) return false;
+
+    const parseJson = () => {
+        try {
+            return JSON.parse(rawValue);
+        } catch (error) {
+            console.log(`⚠️ Skipping unreadable legacy key ${key}`);
+            return undefined;
+        }
+    };
+
+    if (key === 'classData') {
+        const data = parseJson();
+        if (!data || typeof data !== 'object') return false;
+        if (overwrite || getUsernames().length === 0) saveStoredClassData(data);
+        return true;
+    }
+
+    const userMatch = key.match(LEGACY_USER_KEY_PATTERN);
+    if (userMatch) {
+        const [, field, username] = userMatch;
+        const map = parseJson();
+        if (!map || typeof map !== 'object' || username === 'undefined') return false;
+        if (overwrite || Object.keys(getUserData(username, field)).length === 0) {
+            putUserData(username, field, map);
+        }
+        return true;
+    }
+
+    if (key === 'syncDirtyAnswers') {
+        const dirty = parseJson();
+        if (!dirty || typeof dirty !== 'object') return false;
+        if (overwrite) {
+            Object.entries(dirty).forEach(([dirtyKey, timestamp]) => queueSync(dirtyKey, timestamp));
+        }
+        return true;
+    }
+
+    if (LEGACY_META_KEYS.includes(key) || LEGACY_META_PREFIXES.some(prefix => key.startsWith(prefix))) {
+        if (!overwrite && DEVICE_META_KEYS.includes(key)) return true;
+        const value = LEGACY_JSON_META_KEYS.includes(key) ? parseJson() : rawValue;
+        if (value === undefined) return false;
+        if (overwrite || getMeta(key) === null) setMeta(key, value);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Fills in data from a master export's rawLocalStorage backup without replacing anything already stored
+ * @param {Object} entries - Legacy key -> stored string
+ * @returns {number} Number of entries recognized
+ */
+function importLegacyEntries(entries) {
+    return Object.entries(entries || {}).filter(([key, value]) => applyLegacyEntry(key, value, false)).length;
+}
+
+/**
+ * Rebuilds the legacy localStorage layout for the rawLocalStorage section of master exports,
+ * so older copies of the app can still import them. PINs, the sync queue and DEVICE_META_KEYS are left out.
+ * @returns {Object} Legacy key -> stored string
+ */
+function exportLegacyEntries() {
+    const entries = {};
+    const data = loadStoredClassData();
+    entries.classData = JSON.stringify(data);
+
+    Object.entries(data.users).forEach(([username, user]) => {
+        ['answers', 'reasons', 'timestamps', 'attempts', 'progress'].forEach(field => {
+            if (user[field] && Object.keys(user[field]).length > 0) {
+                entries[`${field}_${username}`] = JSON.stringify(user[field]);
+            }
+        });
+    });
+
+    readStorageRecords('meta').forEach(({ key, value }) => {
+        if (PRIVATE_META_PREFIXES.some(prefix => key.startsWith(prefix)) || DEVICE_META_KEYS.includes(key)) return;
+        entries[key] = typeof value === 'string' ? value : JSON.stringify(value);
+    });
+
+    return entries;
+}
+
+// ========================================
+// USERS AND CLASS DATA
+// ========================================
+
+/**
+ * Normalizes a stored answer to {value, timestamp}; bare legacy values get the current time
+ * @param {*} answer - Stored answer
+ * @returns {Object} {value, timestamp}
+ */
+function normalizeStoredAnswer(answer) {
+    if (answer && typeof answer === 'object' && 'value' in answer) {
+        return { value: answer.value, timestamp: answer.timestamp };
+    }
+    return { value: answer, timestamp: Date.now() };
+}
+
+/**
+ * Answer timestamps come as numbers, numeric strings or ISO strings
+ * @param {*} timestamp - Stored timestamp
+ * @returns {number} Milliseconds (0 if missing)
+ */
+function storedTimestampMs(timestamp) {
+    if (typeof timestamp === 'number') return timestamp;
+    const numeric = Number(timestamp);
+    if (!isNaN(numeric)) return numeric;
+    const parsed = new Date(timestamp).getTime();
+    return isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * Every username with anything stored on this device
+ * @returns {Array<string>} Usernames
+ */
+function getUsernames() {
+    // One record per student in users and activity; answers come from the index rather than every record
+    const usernames = new Set(storageUserIndex.answers.keys());
+    ['users', 'activity'].forEach(store => {
+        storageCache[store].forEach(json => usernames.add(JSON.parse(json).username));
+    });
+    return [...usernames].filter(username => username && username !== 'undefined');
+}
+
+/**
+ * Whether a username has a record or any answers on this device
+ * @param {string} username - Username
+ * @returns {boolean} True if data exists
+ */
+function hasUserData(username) {
+    return storageCache.users.has(storageKeyFor('users', { username })) ||
+        Object.keys(getUserData(username, 'answers')).length > 0;
+}
+
+/**
+ * Reads one per-user map in the shape classData uses
+ * @param {string} username - Username
+ * @param {string} field - answers, reasons, votes, or any users-record field (progress, timestamps, attempts, ...)
+ * @returns {Object} Map keyed by question ID (empty if none)
+ */
+function getUserData(username, field) {
+    const result = {};
+
+    if (!STORAGE_USER_STORES.includes(field)) {
+        const record = readStorageRecord('users', storageKeyFor('users', { username }));
+        return (record && record[field]) || result;
+    }
+
+    const cached = storageUserMaps[field].get(username);
+    if (cached) return JSON.parse(cached);
+
+    if (field === 'answers') {
+        readUserStorageRecords('answers', username).forEach(r => {
+            result[r.questionId] = { value: r.value, timestamp: r.timestamp };
+        });
+    } else if (field === 'reasons') {
+        readUserStorageRecords('reasons', username).forEach(r => {
+            result[r.questionId] = r.text;
+        });
+    } else {
+        readUserStorageRecords('votes', username).forEach(r => {
+            if (!result[r.questionId]) result[r.questionId] = {};
+            result[r.questionId][r.target] = { type: r.type, timestamp: r.timestamp };
+        });
+    }
+
+    storageUserMaps[field].set(username, JSON.stringify(result));
+    return result;
+}
+
+/**
+ * Every user's copy of one per-user map
+ * @param {string} field - Same fields as getUserData
+ * @returns {Object} username -> map
+ */
+function getAllUserData(field) {
+    const result = {};
+    getUsernames().forEach(username => {
+        const map = getUserData(username, field);
+        if (Object.keys(map).length > 0) result[username] = map;
+    });
+    return result;
+}
+
+/**
+ * Writes one per-user map. Answers merge by timestamp (newer copy wins) because every answer,
+ * whichever code path saved it, shares the one answers store; votes replace the voter's votes;
+ * reasons and users-record fields replace what was there.
+ * @param {string} username - Username
+ * @param {string} field - Same fields as getUserData
+ * @param {Object} map - Map keyed by question ID
+ * @returns {number} Number of records changed
+ */
+function putUserData(username, field, map) {
+    if (!username || !map || typeof map !== 'object') return 0;
+    let changed = 0;
+
+    if (field === 'answers') {
+        Object.entries(map).forEach(([questionId, answer]) => {
+            const { value, timestamp } = normalizeStoredAnswer(answer);
+            if (value === undefined) return;
+
+            const current = readStorageRecord('answers', storageKeyFor('answers', { username, questionId }));
+            if (current && storedTimestampMs(current.timestamp) > storedTimestampMs(timestamp)) return;
+
+            if (writeStorageRecord('answers', { username, questionId, value, timestamp })) changed++;
+        });
+    } else if (field === 'reasons') {
+        Object.entries(map).forEach(([questionId, text]) => {
+            if (text === undefined || text === null) return;
+            if (writeStorageRecord('reasons', { username, questionId, text })) changed++;
+        });
+    } else if (field === 'votes') {
+        const kept = new Set();
+        Object.entries(map).forEach(([questionId, targets]) => {
+            Object.entries(targets || {}).forEach(([target, vote]) => {
+                if (!vote) return;
+                const record = { voter: username, questionId, target, type: vote.type, timestamp: vote.timestamp };
+                kept.add(storageKeyFor('votes', record));
+                if (writeStorageRecord('votes', record)) changed++;
+            });
+        });
+        [...(storageUserIndex.votes.get(username) || [])].forEach(key => {
+            if (!kept.has(key)) {
+                deleteStorageRecord('votes', key);
+                changed++;
+            }
+        });
+    } else {
+        const key = storageKeyFor('users', { username });
+        const record = readStorageRecord('users', key) || { username };
+        record[field] = map;
+        if (writeStorageRecord('users', record)) changed++;
+    }
+
+    return changed;
+}
+
+/**
+ * Rebuilds the classData object ({users: {...}}) from the stores
+ * @returns {Object} A fresh classData object the caller may modify
+ */
+function loadStoredClassData() {
+    const users = {};
+    const userFor = username => {
+        if (!users[username]) {
+            users[username] = { answers: {}, reasons: {}, timestamps: {}, attempts: {} };
+        }
+        return users[username];
+    };
+
+    readStorageRecords('users').forEach(record => {
+        const { username, ...fields } = record;
+        Object.assign(userFor(username), fields);
+    });
+    readStorageRecords('answers').forEach(r => {
+        userFor(r.username).answers[r.questionId] = { value: r.value, timestamp: r.timestamp };
+    });
+    readStorageRecords('reasons').forEach(r => {
+        userFor(r.username).reasons[r.questionId] = r.text;
+    });
+    readStorageRecords('votes').forEach(r => {
+        const user = userFor(r.voter);
+        if (!user.votes) user.votes = {};
+        if (!user.votes[r.questionId]) user.votes[r.questionId] = {};
+        user.votes[r.questionId][r.target] = { type: r.type, timestamp: r.timestamp };
+    });
+    readStorageRecords('activity').forEach(({ username, ...activity }) => {
+        userFor(username).currentActivity = activity;
+    });
+
+    return { users: users };
+}
+
+/**
+ * Splits a classData object into the typed stores. Only records that changed are written.
+ * Answers never move backwards in time and are never deleted here.
+ * @param {Object} data - classData ({users: {...}})
+ */
+function saveStoredClassData(data) {
+    if (!data || !data.users) return;
+
+    Object.entries(data.users).forEach(([username, user]) => {
+        if (!user || typeof user !== 'object') return;
+        const { answers, reasons, votes, currentActivity, ...fields } = user;
+
+        const key = storageKeyFor('users', { username });
+        writeStorageRecord('users', { ...(readStorageRecord('users', key) || {}), ...fields, username });
+
+        if (answers) putUserData(username, 'answers', answers);
+        if (reasons) putUserData(username, 'reasons', reasons);
+        if (votes) putUserData(username, 'votes', votes);
+        if (currentActivity) {
+            writeStorageRecord('activity', { ...currentActivity, username });
+        }
+    });
+}
+
+// ========================================
+// SYNC QUEUE
+// ========================================
+
+/**
+ * Answers waiting to be pushed
+ * @returns {Object} "username::questionId" -> answer timestamp
+ */
+function getSyncQueue() {
+    const queue = {};
+    readStorageRecords('syncQueue').forEach(record => {
+        queue[record.key] = record.timestamp;
+    });
+    return queue;
+}
+
+/**
+ * Every queued answer with its retry state
+ * @returns {Array<Object>} Sync queue records
+ */
+function getSyncQueueEntries() {
+    return readStorageRecords('syncQueue');
+}
+
+/**
+ * Queues an answer for upload. A newer timestamp replaces an older entry and starts its retries over;
+ * queueing the same copy again keeps its retry state.
+ * @param {string} key - "username::questionId"
+ * @param {number} timestamp - Answer timestamp (ms)
+ */
+function queueSync(key, timestamp) {
+    const current = readStorageRecord('syncQueue', storageKeyFor('syncQueue', { key }));
+    if (current && current.timestamp === timestamp) return;
+
+    const [username, questionId] = key.split('::');
+    writeStorageRecord('syncQueue', { key, username, questionId, timestamp });
+}
+
+/**
+ * Updates the retry state of a queued answer (no-op if it is no longer queued)
+ * @param {string} key - "username::questionId"
+ * @param {Object} changes - Fields to set (attempts, nextAttemptAt, lastAttemptAt, deadLettered)
+ */
+function updateSyncQueueEntry(key, changes) {
+    const current = readStorageRecord('syncQueue', storageKeyFor('syncQueue', { key }));
+    if (current) {
+        writeStorageRecord('syncQueue', { ...current, ...changes, key });
+    }
+}
+
+/**
+ * Removes an answer from the queue unless it was queued again with a newer timestamp
+ * @param {string} key - "username::questionId"
+ * @param {number} timestamp - Timestamp of the copy that was pushed (omit to always remove)
+ */
+function dequeueSync(key, timestamp) {
+    const cacheKey = storageKeyFor('syncQueue', { key });
+    const current = readStorageRecord('syncQueue', cacheKey);
+    if (current && (timestamp === undefined || current.timestamp <= timestamp)) {
+        deleteStorageRecord('syncQueue', cacheKey);
+    }
+}
+
+/**
+ * Replaces the whole queue
+ * @param {Object} queue - "username::questionId" -> answer timestamp
+ */
+function replaceSyncQueue(queue) {
+    [...storageCache.syncQueue.keys()].forEach(cacheKey => {
+        if (!(JSON.parse(cacheKey) in queue)) deleteStorageRecord('syncQueue', cacheKey);
+    });
+    Object.entries(queue).forEach(([key, timestamp]) => queueSync(key, timestamp));
+}
+
+// ========================================
+// SYNC CONFLICTS
+// ========================================
+
+/**
+ * Answers whose local and other copies disagree, waiting for the student to choose
+ * @returns {Array<Object>} Conflict records, oldest first
+ */
+function getConflicts() {
+    return readStorageRecords('conflicts').sort((a, b) => a.detectedAt - b.detectedAt);
+}
+
+/**
+ * Records a conflict (replaces an earlier one for the same answer)
+ * @param {Object} conflict - {key, username, questionId, source, local, incoming, detectedAt}
+ */
+function putConflict(conflict) {
+    writeStorageRecord('conflicts', conflict);
+}
+
+/**
+ * Removes a conflict once it is resolved
+ * @param {string} key - "username::questionId"
+ */
+function removeConflict(key) {
+    deleteStorageRecord('conflicts', storageKeyFor('conflicts', { key }));
+}
+
+// ========================================
+// META (SETTINGS AND SMALL STATE)
+// ========================================
+
+/**
+ * Reads a setting or piece of sync state
+ * @param {string} key - Meta key
+ * @param {*} fallback - Returned when the key is not set
+ * @returns {*} Copy of the stored value
+ */
+function getMeta(key, fallback = null) {
+    const record = readStorageRecord('meta', storageKeyFor('meta', { key }));
+    return record ? record.value : fallback;
+}
+
+/**
+ * Stores a setting or piece of sync state (any structured-cloneable value)
+ * @param {string} key - Meta key
+ * @param {*} value - Value to store
+ */
+function setMeta(key, value) {
+    writeStorageRecord('meta', { key, value });
+}
+
+/**
+ * Removes a meta key
+ * @param {string} key - Meta key
+ */
+function removeMeta(key) {
+    deleteStorageRecord('meta', storageKeyFor('meta', { key }));
+}
+
+/**
+ * Record counts per store, for diagnostics
+ * @returns {Object} store -> count, plus backend
+ */
+function getStorageStats() {
+    const stats = { backend: storageDb ? 'indexeddb' : 'localStorage' };
+    Object.keys(storageCache).forEach(store => {
+        stats[store] = storageCache[store].size;
+    });
+    return stats;
+}
+
+// Writes queued when the tab is hidden or closed still get a transaction
+window.addEventListener('pagehide', flushStorage);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushStorage();
+});
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+// Start opening the database as soon as the page loads
+initStorage();
+
+window.appStorage = {
+    ready: initStorage,
+    flush: flushStorage,
+    loadClassData: loadStoredClassData,
+    saveClassData: saveStoredClassData,
+    getUsernames,
+    hasUserData,
+    getUserData,
+    getAllUserData,
+    putUserData,
+    getSyncQueue,
+    getSyncQueueEntries,
+    queueSync,
+    updateSyncQueueEntry,
+    getConflicts,
+    putConflict,
+    removeConflict,
+    dequeueSync,
+    replaceSyncQueue,
+    getMeta,
+    setMeta,
+    removeMeta,
+    importLegacyEntries,
+    exportLegacyEntries,
+    getStats: getStorageStats
+};
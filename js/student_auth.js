@@ -0,0 +1,342 @@
+// student_auth.js - Optional PIN protection for Fruit_Animal usernames
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (currentUsername, supabase, turboModeActive, appStorage,
+//               USE_RAILWAY and RAILWAY_SERVER_URL from railway_client.js)
+//               Requires functions from other modules (showMessage)
+// This module handles "is this really their username" - a student can bind their username to a PIN.
+// Once protected, only requests carrying that PIN may write the username's answers; the Railway server
+// and the Supabase RLS policies both check it. Peers still only ever see the pseudonym.
+
+// ========================================
+// LOCAL PIN STORAGE
+// ========================================
+
+// Meta key prefix for each username's PIN on this device
+const STUDENT_PIN_PREFIX = 'studentPin_';
+
+// Meta key for a PIN chosen while offline that still has to be registered
+const PENDING_PIN_KEY = 'pendingStudentPin';
+
+// Request header the server and RLS policies read the PIN from
+const STUDENT_PIN_HEADER = 'x-student-secret';
+
+// Meta key for this device's id; wrong PINs are counted and locked out per device, not per username
+const STUDENT_CLIENT_ID_KEY = 'studentClientId';
+
+// Request header carrying the device id (request_client_id in supabase_schema.sql)
+const STUDENT_CLIENT_HEADER = 'x-client-id';
+
+// Matches claim_username in supabase_schema.sql; five wrong PINs lock this device out for 15 minutes
+const STUDENT_PIN_MIN_LENGTH = 6;
+
+/**
+ * PIN saved on this device for a username
+ * @param {string} username - Username (defaults to the signed-in student)
+ * @returns {string|null} PIN, or null if none is saved
+ */
+function getStudentPin(username = currentUsername) {
+    return username ? appStorage.getMeta(STUDENT_PIN_PREFIX + username) : null;
+}
+
+/**
+ * Saves a username's PIN on this device
+ * @param {string} username - Username
+ * @param {string} pin - PIN
+ */
+function saveStudentPin(username, pin) {
+    appStorage.setMeta(STUDENT_PIN_PREFIX + username, pin);
+}
+
+/**
+ * Random id for this device, created the first time it is needed
+ * @returns {string} Device id
+ */
+function getStudentClientId() {
+    let clientId = appStorage.getMeta(STUDENT_CLIENT_ID_KEY);
+    if (!clientId) {
+        clientId = typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        appStorage.setMeta(STUDENT_CLIENT_ID_KEY, clientId);
+    }
+    return clientId;
+}
+
+/**
+ * Headers that prove ownership of a username on write requests
+ * @param {string} username - Username (defaults to the signed-in student)
+ * @returns {Object} Header map with the device id, plus the PIN when one is saved
+ */
+function getStudentAuthHeaders(username = currentUsername) {
+    const headers = { [STUDENT_CLIENT_HEADER]: getStudentClientId() };
+    const pin = getStudentPin(username);
+    if (pin) headers[STUDENT_PIN_HEADER] = pin;
+    return headers;
+}
+
+/**
+ * fetch() wrapper for the Supabase client that attaches the device id and the signed-in
+ * student's PIN, so the RLS policies can check them on every write
+ * @param {RequestInfo} input - Request URL or object
+ * @param {RequestInit} init - Request options
+ * @returns {Promise<Response>} Response
+ */
+function studentAuthFetch(input, init = {}) {
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+    for (const [name, value] of Object.entries(getStudentAuthHeaders())) {
+        headers.set(name, value);
+    }
+    return fetch(input, { ...init, headers });
+}
+
+/**
+ * Whether a failed write was rejected because the username is protected by someone else's PIN
+ * @param {Object} error - Supabase error or {status} from the Railway server
+ * @returns {boolean} True for ownership rejections
+ */
+function isStudentAuthError(error) {
+    return !!error && (error.code === '42501' || error.status === 403);
+}
+
+// ========================================
+// SERVER CALLS
+// ========================================
+
+/**
+ * Calls one of the username protection functions through Railway or directly through Supabase
+ * @param {string} action - 'status', 'verify' or 'claim'
+ * @param {Object} params - {username, secret, class_pin}
+ * @returns {Promise<*>} Function result, or undefined when protection is not set up on the server
+ */
+async function callStudentAuth(action, params) {
+    if (typeof USE_RAILWAY !== 'undefined' && USE_RAILWAY) {
+        const response = await fetch(`${RAILWAY_SERVER_URL}/api/auth/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', [STUDENT_CLIENT_HEADER]: getStudentClientId() },
+            body: JSON.stringify(params)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Railway returned ${response.status}`);
+        return result.result;
+    }
+
+    if (!turboModeActive || !supabase) {
+        throw new Error('Not connected');
+    }
+
+    const functionNames = {
+        status: 'username_is_protected',
+        verify: 'verify_student_secret',
+        claim: 'claim_username'
+    };
+    const args = { p_username: params.username };
+    if (action !== 'status') args.p_secret = params.secret;
+    if (action === 'claim') args.p_class_pin = params.class_pin || null;
+
+    const { data, error } = await supabase.rpc(functionNames[action], args);
+    if (error) {
+        // PGRST202: function not found - the database predates username protection
+        if (error.code === 'PGRST202') return undefined;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Whether a username has been protected with a PIN
+ * @param {string} username - Username
+ * @returns {Promise<boolean|null>} null when it cannot be checked (offline)
+ */
+async function isUsernameProtected(username) {
+    try {
+        return (await callStudentAuth('status', { username })) === true;
+    } catch (error) {
+        console.log(`⚠️ Could not check username protection: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Checks a PIN against a protected username
+ * @param {string} username - Username
+ * @param {string} pin - PIN to check
+ * @returns {Promise<boolean|null>} null when it cannot be checked (offline)
+ */
+async function verifyStudentPin(username, pin) {
+    try {
+        const result = await callStudentAuth('verify', { username, secret: pin });
+        return result === undefined ? true : result === true;
+    } catch (error) {
+        console.log(`⚠️ Could not verify PIN: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Binds a username to a PIN. If the teacher set a class PIN, it is asked for and the claim retried.
+ * @param {string} username - Username
+ * @param {string} pin - Student's chosen PIN
+ * @returns {Promise<Object>} {ok, status} where status is claimed, already_owned, taken, locked,
+ *                            bad_class_pin, weak_secret, not_configured or offline
+ */
+async function protectUsername(username, pin) {
+    let classPin = null;
+
+    for (;;) {
+        let status;
+        try {
+            status = await callStudentAuth('claim', { username, secret: pin, class_pin: classPin });
+        } catch (error) {
+            console.log(`⚠️ Could not protect username: ${error.message}`);
+            return { ok: false, status: 'offline' };
+        }
+
+        if (status === undefined) return { ok: false, status: 'not_configured' };
+
+        if (status === 'bad_class_pin') {
+            classPin = prompt(classPin === null
+                ? 'Your teacher set a class PIN. Enter it to protect your username:'
+                : 'That class PIN was not right. Try again:');
+            if (classPin === null) return { ok: false, status };
+            continue;
+        }
+
+        const ok = status === 'claimed' || status === 'already_owned';
+        if (ok) {
+            saveStudentPin(username, pin);
+            appStorage.removeMeta(PENDING_PIN_KEY);
+            console.log(`🔒 ${username} is protected with a PIN`);
+        }
+        return { ok, status };
+    }
+}
+
+/**
+ * Registers a PIN chosen during onboarding while the app was offline
+ */
+async function claimPendingStudentPin() {
+    const pending = appStorage.getMeta(PENDING_PIN_KEY);
+    if (!pending || pending.username !== currentUsername) return;
+
+    const result = await protectUsername(pending.username, pending.pin);
+    if (result.status === 'taken') {
+        appStorage.removeMeta(PENDING_PIN_KEY);
+        showMessage(`${pending.username} was already protected by someone else's PIN.`, 'error');
+    }
+}
+
+/**
+ * Checks the PIN saved for the signed-in student once per connection. Writes only pass the
+ * RLS check from devices that have unlocked the username, so this registers devices that
+ * saved their PIN before that rule existed, and catches PINs a teacher has reset.
+ */
+async function confirmStudentPin() {
+    const pin = getStudentPin();
+    if (!pin) return;
+
+    const pending = appStorage.getMeta(PENDING_PIN_KEY);
+    if (pending && pending.username === currentUsername) return;
+
+    const valid = await verifyStudentPin(currentUsername, pin);
+    if (valid === false) {
+        showMessage(`The PIN saved for ${currentUsername} was not accepted - your answers will not sync until it is entered again.`, 'error');
+    }
+}
+
+// ========================================
+// PIN UI
+// ========================================
+
+/**
+ * Protects the signed-in student's username with a PIN chosen during onboarding.
+ * Offline, the PIN is kept locally and registered the next time the app connects.
+ * @param {string} username - Username just accepted
+ * @param {string} pin - PIN typed on the onboarding screen
+ */
+async function protectUsernameFromOnboarding(username, pin) {
+    if (pin.length < STUDENT_PIN_MIN_LENGTH) {
+        showMessage(`PINs need at least ${STUDENT_PIN_MIN_LENGTH} characters - you can add one later from the ⚡ menu.`, 'error');
+        return;
+    }
+
+    const result = await protectUsername(username, pin);
+    if (result.ok) {
+        showMessage('🔒 Your username is protected. Remember your PIN!', 'success');
+    } else if (result.status === 'offline') {
+        appStorage.setMeta(PENDING_PIN_KEY, { username, pin });
+        saveStudentPin(username, pin);
+        showMessage('Your PIN will be registered the next time you are online.', 'info');
+    } else {
+        showStudentAuthResult(result);
+    }
+}
+
+/**
+ * Asks the signed-in student for a PIN and protects their username with it
+ * Exposed to window for onclick handlers
+ */
+window.showProtectUsernamePrompt = async function() {
+    if (!currentUsername) return;
+
+    if (getStudentPin() && await isUsernameProtected(currentUsername)) {
+        showMessage(`${currentUsername} is already protected on this device.`, 'info');
+        return;
+    }
+
+    const pin = prompt(`Choose a PIN (at least ${STUDENT_PIN_MIN_LENGTH} characters) to protect ${currentUsername}.\nYou will need it to use this username on another device.`);
+    if (pin === null) return;
+
+    if (pin.trim().length < STUDENT_PIN_MIN_LENGTH) {
+        showMessage(`PINs need at least ${STUDENT_PIN_MIN_LENGTH} characters.`, 'error');
+        return;
+    }
+
+    showStudentAuthResult(await protectUsername(currentUsername, pin.trim()));
+}
+
+/**
+ * Shows the outcome of a protect request
+ * @param {Object} result - {ok, status} from protectUsername
+ */
+function showStudentAuthResult(result) {
+    const messages = {
+        claimed: ['🔒 Your username is protected. Remember your PIN!', 'success'],
+        already_owned: ['🔒 Your username is protected. Remember your PIN!', 'success'],
+        taken: ['This username is already protected with a different PIN.', 'error'],
+        locked: ['Too many wrong PINs for this username from this device - try again in 15 minutes.', 'error'],
+        bad_class_pin: ['Username not protected - the class PIN is needed.', 'error'],
+        weak_secret: [`PINs need at least ${STUDENT_PIN_MIN_LENGTH} characters.`, 'error'],
+        not_configured: ['Username protection is not set up on this server yet.', 'info'],
+        offline: ['Connect to the internet to protect your username.', 'error']
+    };
+    const [text, type] = messages[result.status] || ['Could not protect your username.', 'error'];
+    showMessage(text, type);
+}
+
+/**
+ * Before switching to a username, asks for its PIN if it is protected and this device does not know it
+ * @param {string} username - Username being restored
+ * @returns {Promise<boolean>} True if the student may continue with this username
+ */
+async function unlockProtectedUsername(username) {
+    if (getStudentPin(username)) return true;
+
+    const isProtected = await isUsernameProtected(username);
+    if (!isProtected) return true;
+
+    for (;;) {
+        const pin = prompt(`🔒 ${username} is protected. Enter its PIN:`);
+        if (pin === null) return false;
+
+        const valid = await verifyStudentPin(username, pin.trim());
+        if (valid) {
+            saveStudentPin(username, pin.trim());
+            return true;
+        }
+        if (valid === null) {
+            showMessage('Could not check the PIN right now - please try again when online.', 'error');
+            return false;
+        }
+        showMessage('That PIN is not right. After 5 wrong tries this device is locked out for 15 minutes.', 'error');
+    }
+}
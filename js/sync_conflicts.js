@@ -0,0 +1,299 @@
+// sync_conflicts.js - Records answers that differ between devices and lets the student choose which to keep
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (classData, currentUsername, appStorage from storage.js)
+//               Requires functions from other modules (clearAnswerDirty, toSyncTimestamp, mergeAnswerRows from delta_sync.js,
+//               queueAnswerForSync from sync_outbox.js, saveClassData from data_manager.js, findQuestionById,
+//               showMessage, isSelectionQuestion, formatSelectionAnswer from selection_answers.js)
+// This module handles "which answer is really mine" - when a cloud copy would replace an answer this device
+// has not uploaded yet, the cloud turns away an upload because it holds a newer copy, or an imported backup
+// disagrees with what is stored here, newer-wins merging still runs, but the losing copy is kept in the
+// conflicts store. The Sync Conflicts panel in the sync modal shows
+// both copies; the student's choice is saved as a new answer and sent back out through the outbox.
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+// Where the other copy came from, as shown in the panel
+const CONFLICT_SOURCE_LABELS = {
+    cloud: 'Cloud (another device)',
+    import: 'Imported file'
+};
+
+// ========================================
+// DETECTION
+// ========================================
+
+/**
+ * Whether two stored answer values are the same answer
+ * @param {*} a - Answer value
+ * @param {*} b - Answer value
+ * @returns {boolean} True if equal
+ */
+function isSameAnswerValue(a, b) {
+    const normalize = value => typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '').trim();
+    return normalize(a) === normalize(b);
+}
+
+/**
+ * Keeps both copies of an answer that disagree
+ * @param {string} username - Answer owner
+ * @param {string} questionId - Question ID
+ * @param {string} source - 'cloud' or 'import'
+ * @param {Object} local - This device's copy {value, reason, timestamp}
+ * @param {Object} incoming - The other copy {value, reason, timestamp}
+ */
+function recordAnswerConflict(username, questionId, source, local, incoming) {
+    appStorage.putConflict({
+        key: `${username}::${questionId}`,
+        username: username,
+        questionId: questionId,
+        source: source,
+        local: local,
+        incoming: incoming,
+        detectedAt: Date.now()
+    });
+    console.log(`⚠️ Sync conflict on ${questionId}: this device has "${local.value}", ${source} has "${incoming.value}"`);
+}
+
+/**
+ * Checks pulled answer rows against the signed-in student's answers before they are merged.
+ * A conflict is a newer cloud copy with a different value replacing an answer this device has not uploaded
+ * yet. An older cloud copy is not one: it is this device's own earlier upload coming back, and the outbox
+ * is about to replace it anyway.
+ * @param {Array} rows - Answer rows {username, question_id, answer_value, timestamp, reason?}
+ * @returns {number} Number of new conflicts
+ */
+function recordSyncConflicts(rows) {
+    if (!currentUsername) return 0;
+
+    const answers = appStorage.getUserData(currentUsername, 'answers');
+    const reasons = appStorage.getUserData(currentUsername, 'reasons');
+    const unsynced = appStorage.getSyncQueue();
+    const existing = new Map(appStorage.getConflicts().map(conflict => [conflict.key, conflict]));
+    let recorded = 0;
+
+    rows.forEach(row => {
+        if (row.username !== currentUsername) return;
+
+        const key = `${row.username}::${row.question_id}`;
+        const local = answers[row.question_id];
+        if (!local) return;
+
+        const incomingTimestamp = toSyncTimestamp(row.timestamp);
+        const localTimestamp = toSyncTimestamp(local.timestamp);
+
+        // The other device picked the same answer (or resolved the conflict there) - nothing left to choose.
+        // The conflict's own cloud copy pulled again (it was merged when the conflict was recorded) settles nothing.
+        if (isSameAnswerValue(local.value, row.answer_value)) {
+            const conflict = existing.get(key);
+            if (conflict && incomingTimestamp > toSyncTimestamp(conflict.incoming.timestamp)) {
+                appStorage.removeConflict(key);
+            }
+            return;
+        }
+
+        if (unsynced[key] === undefined || incomingTimestamp <= localTimestamp) return;
+
+        recordAnswerConflict(row.username, row.question_id, 'cloud',
+            { value: local.value, reason: reasons[row.question_id] ?? null, timestamp: localTimestamp },
+            { value: row.answer_value, reason: row.reason ?? null, timestamp: incomingTimestamp });
+
+        // The local copy lives on in the conflict; the merge is about to replace it with the cloud copy
+        clearAnswerDirty(row.username, row.question_id, incomingTimestamp);
+        if (!existing.has(key)) recorded++;
+    });
+
+    notifyAnswerConflicts(recorded);
+    return recorded;
+}
+
+/**
+ * Handles uploads the cloud turned away because it already holds a newer, different answer
+ * (rows returned by upsert_answers in supabase_schema.sql, directly or through the Railway server).
+ * The uploaded copy is kept as a conflict and the cloud copy is merged in, so this device shows the
+ * current answer and the student can still choose theirs.
+ * @param {Array} rows - {username, question_id, kept_value, kept_timestamp, rejected_value, rejected_timestamp}
+ * @returns {Array} The rows, for callers that skip the rejected answers' reasons and attempts
+ */
+function recordRejectedAnswers(rows) {
+    if (!rows || rows.length === 0) return [];
+
+    const existing = new Set(appStorage.getConflicts().map(conflict => conflict.key));
+    let recorded = 0;
+
+    rows.forEach(row => {
+        const key = `${row.username}::${row.question_id}`;
+        const local = appStorage.getUserData(row.username, 'answers')[row.question_id];
+        const rejectedTimestamp = toSyncTimestamp(row.rejected_timestamp);
+
+        // Changed again since the upload started: that newer copy is queued and will be compared on its own push
+        if (local && toSyncTimestamp(local.timestamp) > rejectedTimestamp) return;
+
+        const reasons = appStorage.getUserData(row.username, 'reasons');
+        recordAnswerConflict(row.username, row.question_id, 'cloud',
+            { value: row.rejected_value, reason: reasons[row.question_id] ?? null, timestamp: rejectedTimestamp },
+            { value: row.kept_value, reason: null, timestamp: toSyncTimestamp(row.kept_timestamp) });
+        if (!existing.has(key)) recorded++;
+    });
+
+    mergeAnswerRows(rows.map(row => ({
+        username: row.username,
+        question_id: row.question_id,
+        answer_value: row.kept_value,
+        timestamp: row.kept_timestamp
+    })));
+
+    notifyAnswerConflicts(recorded);
+    return rows;
+}
+
+/**
+ * Tells the student new conflicts are waiting and refreshes the panel
+ * @param {number} count - New conflicts just recorded
+ */
+function notifyAnswerConflicts(count) {
+    renderSyncConflicts();
+    if (count > 0 && typeof showMessage === 'function') {
+        const what = count === 1 ? 'One of your answers differs' : `${count} of your answers differ`;
+        showMessage(`${what} from another copy. Open ⚡ Sync to choose which to keep.`, 'info');
+    }
+}
+
+// ========================================
+// PANEL
+// ========================================
+
+/**
+ * Escapes answers and reasons for the panel
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeConflictHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * An answer value as the student would recognize it (choice text, selection list, units)
+ * @param {string} questionId - Question ID
+ * @param {*} value - Stored answer value
+ * @returns {string} HTML
+ */
+function formatConflictValue(questionId, value) {
+    const question = typeof findQuestionById === 'function' ? findQuestionById(questionId) : null;
+    const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '');
+    if (!question) return escapeConflictHtml(text);
+
+    if (isSelectionQuestion(question)) {
+        return formatSelectionAnswer(question, text);
+    }
+    if (question.type === 'multiple-choice') {
+        const choice = (question.choices || question.attachments?.choices || []).find(c => c.key === text);
+        return choice ? `<strong>${escapeConflictHtml(choice.key)}.</strong> ${choice.value}` : escapeConflictHtml(text);
+    }
+    if (question.type === 'numeric' && question.units) {
+        return `${escapeConflictHtml(text)} ${escapeConflictHtml(question.units)}`;
+    }
+    return escapeConflictHtml(text);
+}
+
+/**
+ * One side of a conflict
+ * @param {Object} conflict - Conflict record
+ * @param {string} side - 'local' or 'incoming'
+ * @returns {string} HTML
+ */
+function renderConflictCopy(conflict, side) {
+    const copy = conflict[side];
+    const label = side === 'local' ? 'This device' : CONFLICT_SOURCE_LABELS[conflict.source] || conflict.source;
+    const when = copy.timestamp ? new Date(copy.timestamp).toLocaleString() : 'Unknown time';
+    const reason = copy.reason === null || copy.reason === undefined
+        ? '<em>No reason saved with this copy</em>'
+        : copy.reason === '' ? '<em>No reason given</em>' : escapeConflictHtml(copy.reason);
+
+    return `
+        <div class="conflict-copy">
+            <div class="conflict-copy-label">${label}</div>
+            <div class="conflict-value">${formatConflictValue(conflict.questionId, copy.value)}</div>
+            <div class="conflict-reason">${reason}</div>
+            <div class="conflict-time">${when}</div>
+            <button type="button" class="conflict-keep" onclick="resolveAnswerConflict('${escapeConflictHtml(conflict.key)}', '${side}')">Keep this one</button>
+        </div>
+    `;
+}
+
+/**
+ * Fills the Sync Conflicts section of the sync modal; hidden when the student has none
+ */
+function renderSyncConflicts() {
+    const section = document.getElementById('syncConflictsSection');
+    const list = document.getElementById('syncConflictsList');
+    if (!section || !list) return;
+
+    const conflicts = appStorage.getConflicts().filter(conflict => conflict.username === currentUsername);
+    section.style.display = conflicts.length > 0 ? 'block' : 'none';
+    list.innerHTML = conflicts.map(conflict => `
+        <div class="conflict-item">
+            <div class="conflict-question">${escapeConflictHtml(conflict.questionId)}</div>
+            <div class="conflict-copies">
+                ${renderConflictCopy(conflict, 'local')}
+                ${renderConflictCopy(conflict, 'incoming')}
+            </div>
+        </div>
+    `).join('');
+
+    if (window.MathJax && MathJax.typesetPromise && conflicts.length > 0) {
+        MathJax.typesetPromise([list]).catch(() => {});
+    }
+}
+
+// ========================================
+// RESOLUTION
+// ========================================
+
+/**
+ * Keeps the chosen copy: it is saved as a new answer (so it is the newest copy everywhere) and queued for upload
+ * @param {string} key - "username::questionId"
+ * @param {string} side - 'local' or 'incoming'
+ */
+window.resolveAnswerConflict = function(key, side) {
+    const conflict = appStorage.getConflicts().find(c => c.key === key);
+    if (!conflict || !conflict[side]) return;
+
+    const { username, questionId } = conflict;
+    const chosen = conflict[side];
+    const timestamp = Date.now();
+
+    const user = classData.users[username];
+    if (!user) return;
+    user.answers = user.answers || {};
+    user.reasons = user.reasons || {};
+    user.timestamps = user.timestamps || {};
+
+    user.answers[questionId] = { value: chosen.value, timestamp: timestamp };
+    user.timestamps[questionId] = new Date(timestamp).toISOString();
+    // Copies pulled from the answers table carry no reason; keep the one on this device rather than erasing it
+    if (chosen.reason !== null && chosen.reason !== undefined) {
+        user.reasons[questionId] = chosen.reason;
+    }
+    saveClassData();
+
+    queueAnswerForSync(username, questionId, chosen.value, timestamp);
+    appStorage.removeConflict(key);
+    renderSyncConflicts();
+
+    console.log(`✅ Resolved conflict on ${questionId}: kept ${side === 'local' ? 'this device' : conflict.source} copy`);
+    if (typeof showMessage === 'function') {
+        const from = side === 'local' ? 'from this device' : conflict.source === 'import' ? 'from the imported file' : 'from the cloud';
+        showMessage(`Kept the answer ${from} for ${questionId}.`, 'success');
+    }
+};
+
+// Conflicts left from an earlier visit show up once storage has loaded
+if (window.appStorage) {
+    appStorage.ready().then(renderSyncConflicts);
+}
@@ -0,0 +1,361 @@
+// sync_outbox.js - Persistent outbox for answer uploads with retry, backoff and dead letters
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Requires global variables (supabase, turboModeActive, currentUsername, appStorage from storage.js,
+//               USE_RAILWAY from railway_client.js)
+//               Requires functions from other modules (markAnswerDirty, clearAnswerDirty, getActiveSyncSource,
+//               pushAnswerBatch, toSyncTimestamp, deltaSyncAnswers from delta_sync.js, submitAnswerViaRailway from railway_client.js,
+//               getUserSection, updatePeerDataTimestamp)
+// This module handles "did my answer reach the cloud" - every submitted answer sits in the syncQueue store
+// (so it survives reloads and closed tabs) until a push succeeds, and its reason and attempt count go up
+// with it (see answer_details_sync.js). Failed pushes are retried with exponential backoff; after
+// OUTBOX_MAX_ATTEMPTS an answer is dead-lettered and waits for a manual retry.
+// Direct Supabase and the Railway server both send through here, and so does the push step of a delta sync.
+// Only the signed-in student's answers are sent: a push carries one PIN (see student_auth.js).
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+// Supabase: send once this many answers are waiting, or after the interval
+const OUTBOX_BATCH_SIZE = 10;
+const OUTBOX_BATCH_INTERVAL_MS = 60000;
+
+// Answers per upsert request
+const OUTBOX_PUSH_BATCH_SIZE = 100;
+
+// Retry delay doubles from the base up to the cap; after the last attempt the answer is dead-lettered
+const OUTBOX_RETRY_BASE_MS = 5000;
+const OUTBOX_RETRY_MAX_MS = 10 * 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 8;
+
+// A flush already in flight, and the timer for the next one
+let outboxFlushPromise = null;
+let outboxTimer = null;
+let outboxTimerAt = 0;
+
+// ========================================
+// QUEUE STATE
+// ========================================
+
+/**
+ * How long to wait before the next attempt, with jitter so a class coming back online does not retry in lockstep
+ * @param {number} attempts - Failed attempts so far (1 or more)
+ * @returns {number} Delay in ms
+ */
+function getOutboxRetryDelay(attempts) {
+    const delay = Math.min(OUTBOX_RETRY_MAX_MS, OUTBOX_RETRY_BASE_MS * Math.pow(2, attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Queued answers the signed-in student can send. A push carries only their PIN, so one protected username
+ * in a batch would get the whole batch rejected; answers queued under another username on this device
+ * (an earlier sign-in, an import) wait until that student signs in here.
+ * @returns {Array} Sync queue records
+ */
+function getOwnOutboxEntries() {
+    return appStorage.getSyncQueueEntries().filter(entry => entry.username === currentUsername);
+}
+
+/**
+ * Counts of the signed-in student's queued answers by state
+ * @returns {Object} {waiting, retrying, deadLettered, nextAttemptAt} - retrying is a subset of waiting
+ */
+function getOutboxCounts() {
+    const counts = { waiting: 0, retrying: 0, deadLettered: 0, nextAttemptAt: null };
+    getOwnOutboxEntries().forEach(entry => {
+        if (entry.deadLettered) {
+            counts.deadLettered++;
+            return;
+        }
+        counts.waiting++;
+        if (entry.attempts > 0) {
+            counts.retrying++;
+            if (counts.nextAttemptAt === null || entry.nextAttemptAt < counts.nextAttemptAt) {
+                counts.nextAttemptAt = entry.nextAttemptAt;
+            }
+        }
+    });
+    return counts;
+}
+
+/**
+ * The upload row for a queued answer, read from the stores so the newest local copy is sent.
+ * The reason, attempt count and drawn graphs go along for the answer_reasons, answer_attempts and answer_graphs tables.
+ * @param {Object} entry - Sync queue record
+ * @returns {Object|null} Answer row, or null when the answer no longer exists locally
+ */
+function buildOutboxRow(entry) {
+    const answer = appStorage.getUserData(entry.username, 'answers')[entry.questionId];
+    const value = answer && answer.value !== undefined ? answer.value : answer;
+    if (value === undefined || value === null || value === '') return null;
+
+    const reason = appStorage.getUserData(entry.username, 'reasons')[entry.questionId];
+    const attempts = appStorage.getUserData(entry.username, 'attempts')[entry.questionId];
+    const graphs = appStorage.getUserData(entry.username, 'graphs')[entry.questionId];
+
+    return {
+        username: entry.username,
+        question_id: entry.questionId,
+        answer_value: value,
+        timestamp: toSyncTimestamp(answer.timestamp) || entry.timestamp || Date.now(),
+        section: getUserSection(entry.username),
+        reason: typeof reason === 'string' ? reason : null,
+        attempts: Number(attempts) || 0,
+        graphs: graphs || null
+    };
+}
+
+/**
+ * Records a failed attempt for each entry: schedules its retry, or dead-letters it after the last attempt
+ * @param {Array} entries - Sync queue records that were in the failed request
+ */
+function recordOutboxFailure(entries) {
+    const now = Date.now();
+    entries.forEach(entry => {
+        const attempts = (entry.attempts || 0) + 1;
+        const deadLettered = attempts >= OUTBOX_MAX_ATTEMPTS;
+        appStorage.updateSyncQueueEntry(entry.key, {
+            attempts: attempts,
+            lastAttemptAt: now,
+            nextAttemptAt: deadLettered ? null : now + getOutboxRetryDelay(attempts),
+            deadLettered: deadLettered
+        });
+        if (deadLettered) {
+            console.log(`⚠️ Gave up syncing ${entry.questionId} for ${entry.username} after ${attempts} attempts`);
+        }
+    });
+}
+
+// ========================================
+// FLUSHING
+// ========================================
+
+/**
+ * Sends one batch through the active source. A single answer on Railway goes through /api/submit-answer,
+ * which broadcasts the answer itself so classmates see it live.
+ * @param {string} source - 'supabase' or 'railway'
+ * @param {Array} rows - Answer rows
+ * @returns {Promise<number>} Rows written (0 on failure)
+ */
+async function sendOutboxBatch(source, rows) {
+    try {
+        if (source === 'railway' && rows.length === 1) {
+            const row = rows[0];
+            const details = { reason: row.reason, attempts: row.attempts, graphs: row.graphs };
+            return await submitAnswerViaRailway(row.username, row.question_id, row.answer_value, row.timestamp, details) ? 1 : 0;
+        }
+        return await pushAnswerBatch(source, rows);
+    } catch (error) {
+        console.log(`⚠️ Outbox push failed: ${error.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Pushes every due answer of the signed-in student in the outbox. Answers still backing off are skipped
+ * unless forced; dead-lettered answers are only sent again by retryDeadLetteredAnswers.
+ * @param {Object} options - {force: true to ignore backoff}
+ * @returns {Promise<Object>} {pushed, failed, pending} - pending counts the student's answers still queued
+ */
+function flushOutbox(options = {}) {
+    // A flush in flight may have missed answers queued since it started, so run again after it
+    if (outboxFlushPromise) {
+        return outboxFlushPromise.then(() => flushOutbox(options));
+    }
+
+    outboxFlushPromise = runOutboxFlush(options).finally(() => {
+        outboxFlushPromise = null;
+        scheduleOutboxRetry();
+        renderOutboxIndicator();
+    });
+    return outboxFlushPromise;
+}
+
+async function runOutboxFlush(options) {
+    const result = { pushed: 0, failed: 0, pending: 0 };
+
+    if (!turboModeActive || !supabase || navigator.onLine === false) {
+        result.pending = getOwnOutboxEntries().length;
+        return result;
+    }
+
+    clearOutboxTimer();
+
+    const now = Date.now();
+    const due = [];
+    getOwnOutboxEntries().forEach(entry => {
+        if (entry.deadLettered) return;
+        if (!options.force && entry.nextAttemptAt && entry.nextAttemptAt > now) return;
+
+        const row = buildOutboxRow(entry);
+        if (!row) {
+            // Answer no longer exists locally - nothing to send
+            appStorage.dequeueSync(entry.key);
+            return;
+        }
+        due.push({ entry, row });
+    });
+
+    if (due.length > 0) {
+        const source = getActiveSyncSource();
+        console.log(`🔄 Flushing ${due.length} answers from the outbox via ${source}...`);
+
+        for (let i = 0; i < due.length; i += OUTBOX_PUSH_BATCH_SIZE) {
+            const batch = due.slice(i, i + OUTBOX_PUSH_BATCH_SIZE);
+            const count = await sendOutboxBatch(source, batch.map(item => item.row));
+
+            if (count > 0) {
+                // Answers changed again during the push stay queued (clearAnswerDirty compares timestamps)
+                batch.forEach(item => clearAnswerDirty(item.row.username, item.row.question_id, item.row.timestamp));
+                result.pushed += batch.length;
+            } else {
+                recordOutboxFailure(batch.map(item => item.entry));
+                result.failed += batch.length;
+            }
+        }
+
+        if (result.pushed > 0) {
+            console.log(`✅ Outbox flushed ${result.pushed} answers`);
+            if (typeof updatePeerDataTimestamp === 'function') {
+                updatePeerDataTimestamp();
+            }
+        }
+    }
+
+    result.pending = getOwnOutboxEntries().length;
+    return result;
+}
+
+function clearOutboxTimer() {
+    if (outboxTimer) {
+        clearTimeout(outboxTimer);
+        outboxTimer = null;
+        outboxTimerAt = 0;
+    }
+}
+
+/**
+ * Flushes after a delay; an earlier flush already scheduled wins
+ * @param {number} delayMs - Delay in ms
+ */
+function scheduleOutboxFlush(delayMs) {
+    const at = Date.now() + delayMs;
+    if (outboxTimer && outboxTimerAt <= at) return;
+
+    clearOutboxTimer();
+    outboxTimerAt = at;
+    outboxTimer = setTimeout(() => {
+        outboxTimer = null;
+        outboxTimerAt = 0;
+        flushOutbox();
+    }, delayMs);
+}
+
+/**
+ * Schedules the next flush for the earliest answer still backing off
+ */
+function scheduleOutboxRetry() {
+    const { nextAttemptAt } = getOutboxCounts();
+    if (nextAttemptAt !== null) {
+        scheduleOutboxFlush(Math.max(0, nextAttemptAt - Date.now()));
+    }
+}
+
+/**
+ * Adds a just-submitted answer to the outbox. Railway sends it right away (the server broadcasts it live);
+ * direct Supabase waits for a batch of OUTBOX_BATCH_SIZE answers or OUTBOX_BATCH_INTERVAL_MS.
+ * @param {string} username - Answer owner
+ * @param {string} questionId - Question ID
+ * @param {*} answerValue - Answer value (the push reads the stored copy)
+ * @param {number} timestamp - Answer timestamp (ms)
+ */
+function queueAnswerForSync(username, questionId, answerValue, timestamp) {
+    markAnswerDirty(username, questionId, timestamp);
+
+    const { waiting } = getOutboxCounts();
+    console.log(`📝 Queued answer for ${questionId} (outbox: ${waiting})`);
+
+    if (getActiveSyncSource() === 'railway' || waiting >= OUTBOX_BATCH_SIZE) {
+        scheduleOutboxFlush(0);
+    } else {
+        scheduleOutboxFlush(OUTBOX_BATCH_INTERVAL_MS);
+    }
+    renderOutboxIndicator();
+}
+
+/**
+ * Gives every dead-lettered answer a fresh set of attempts and sends them now
+ * @returns {Promise<Object>} Flush result
+ */
+window.retryDeadLetteredAnswers = function() {
+    getOwnOutboxEntries()
+        .filter(entry => entry.deadLettered)
+        .forEach(entry => appStorage.updateSyncQueueEntry(entry.key, {
+            attempts: 0,
+            nextAttemptAt: null,
+            deadLettered: false
+        }));
+    return flushOutbox({ force: true });
+};
+
+// ========================================
+// INDICATOR
+// ========================================
+
+/**
+ * Shows "N answers waiting to sync" (and any that gave up) in the corner indicator; hidden when the outbox is empty
+ */
+function renderOutboxIndicator() {
+    const element = document.getElementById('outboxIndicator');
+    if (!element) return;
+
+    const counts = getOutboxCounts();
+    if (counts.waiting === 0 && counts.deadLettered === 0) {
+        element.hidden = true;
+        element.innerHTML = '';
+        return;
+    }
+
+    const plural = n => `${n} answer${n === 1 ? '' : 's'}`;
+    const parts = [];
+    if (counts.waiting > 0) {
+        let status = '';
+        if (navigator.onLine === false) {
+            status = ' (offline)';
+        } else if (counts.retrying > 0) {
+            status = ' (will retry automatically)';
+        }
+        parts.push(`<span>⏳ ${plural(counts.waiting)} waiting to sync${status}</span>`);
+    }
+    if (counts.deadLettered > 0) {
+        parts.push(`<span class="outbox-failed">⚠️ ${plural(counts.deadLettered)} failed to sync</span>
+            <button type="button" class="outbox-retry" onclick="retryDeadLetteredAnswers()">Retry</button>`);
+    }
+
+    element.hidden = false;
+    element.classList.toggle('has-failures', counts.deadLettered > 0);
+    element.innerHTML = parts.join('');
+}
+
+// ========================================
+// EVENTS
+// ========================================
+
+// Back online: pull first, so answers changed on other devices meanwhile are compared with ours
+// (see recordSyncConflicts), then send everything now instead of waiting out the backoff
+window.addEventListener('online', async () => {
+    console.log('🌐 Back online - syncing, then flushing the outbox');
+    await deltaSyncAnswers();
+    flushOutbox({ force: true });
+});
+window.addEventListener('offline', renderOutboxIndicator);
+
+// Answers left over from an earlier visit show up (and get sent on the first sync) once storage has loaded
+if (window.appStorage) {
+    appStorage.ready().then(renderOutboxIndicator);
+}
+
+// Expose for console diagnostics (see sync_diagnostics.js)
+window.flushOutbox = flushOutbox;
+window.getOutboxCounts = getOutboxCounts;
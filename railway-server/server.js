@@ -15,7 +15,8 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Batches of up to 100 answers can carry drawn graphs, which outgrow the 100kb default
+app.use(express.json({ limit: '1mb' }));
 
 // Initialize Supabase
 const supabase = createClient(
@@ -34,11 +35,54 @@ const cache = {
 // Track connected WebSocket clients
 const wsClients = new Set();
 
+// WebSocket message counters, reported by /health
+const wsMessageStats = {
+  received: 0,
+  sent: 0,
+  broadcasts: 0,
+  filtered: 0
+};
+
+// Topic subscriptions: question:U2-L4-Q03, lesson:U2-L4, section:<code>
+const TOPIC_PATTERN = /^(question|lesson|section):[A-Za-z0-9_-]{1,64}$/;
+const MAX_TOPICS_PER_CLIENT = 50;
+
+// Class section codes (e.g. P3) - the same characters a section:<code> topic allows
+const SECTION_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// PostgREST returns at most this many rows per request, so larger reads are paged
+const SUPABASE_PAGE_SIZE = 1000;
+
+// Read every row a query matches, one page at a time. buildQuery returns a fresh query each call,
+// ordered ascending by updated_at like the clients' direct pulls (rows written meanwhile land on a later page).
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += SUPABASE_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + SUPABASE_PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < SUPABASE_PAGE_SIZE) break;
+  }
+
+  return rows;
+}
+
 // Helper to check cache validity
 function isCacheValid(lastUpdate, ttl = cache.TTL) {
   return Date.now() - lastUpdate < ttl;
 }
 
+// Drop every cached stats entry for a question: the whole-class one and each section's (`questionId|section`)
+function invalidateQuestionStats(questionId) {
+  for (const key of cache.questionStats.keys()) {
+    if (key === questionId || key.startsWith(`${questionId}|`)) {
+      cache.questionStats.delete(key);
+    }
+  }
+}
+
 // Convert timestamps to numbers if they're strings
 function normalizeTimestamp(timestamp) {
   if (typeof timestamp === 'string') {
@@ -47,6 +91,144 @@ function normalizeTimestamp(timestamp) {
   return timestamp;
 }
 
+// Header carrying a student's PIN for usernames protected in user_credentials
+const STUDENT_SECRET_HEADER = 'x-student-secret';
+
+// Header carrying the device id the PIN lockout is counted against (request_client_id in supabase_schema.sql)
+const STUDENT_CLIENT_HEADER = 'x-client-id';
+
+// PIN and device id sent with a request, forwarded to Supabase so the RLS policies see them too
+function readStudentAuth(req) {
+  return {
+    secret: req.get(STUDENT_SECRET_HEADER) || null,
+    clientId: req.get(STUDENT_CLIENT_HEADER) || null
+  };
+}
+
+// Attach a request's PIN and device id to a Supabase query
+function withStudentAuth(query, auth) {
+  if (auth.secret) query = query.setHeader(STUDENT_SECRET_HEADER, auth.secret);
+  if (auth.clientId) query = query.setHeader(STUDENT_CLIENT_HEADER, auth.clientId);
+  return query;
+}
+
+// Section code from a request, or null when absent. Throws on a malformed code.
+function readSection(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || !SECTION_PATTERN.test(value)) {
+    const error = new Error('Invalid section code (letters, numbers, - and _ only)');
+    error.status = 400;
+    throw error;
+  }
+  return value;
+}
+
+// Lesson ID (question ID prefix) for a question, e.g. U2-L4-Q03 -> U2-L4, U1-PC-FRQ-Q01 -> U1-PC
+function lessonIdForQuestion(questionId) {
+  const match = /^(U\d+-(?:L\d+|PC))-/i.exec(questionId || '');
+  return match ? match[1] : null;
+}
+
+// Topics an event about a question is published to
+function topicsForQuestion(questionId, section) {
+  const topics = [`question:${questionId}`];
+  const lessonId = lessonIdForQuestion(questionId);
+  if (lessonId) topics.push(`lesson:${lessonId}`);
+  if (section) topics.push(`section:${section}`);
+  return topics;
+}
+
+// Call one of the username protection functions in supabase_schema.sql.
+// Returns undefined when the database predates them (protection switched off).
+// The device id is forwarded because wrong PINs are counted per device.
+async function callAuthFunction(name, args, auth) {
+  const { data, error } = await withStudentAuth(supabase.rpc(name, args), auth);
+  if (error) {
+    if (error.code === 'PGRST202') return undefined; // function not found
+    throw error;
+  }
+  return data;
+}
+
+// Reject the request unless the PIN unlocks every protected username being written
+async function assertCanWriteAs(usernames, auth) {
+  for (const username of new Set(usernames)) {
+    const allowed = await callAuthFunction('verify_student_secret', {
+      p_username: username,
+      p_secret: auth.secret
+    }, auth);
+    if (allowed === false) {
+      const error = new Error(`${username} is protected - a valid PIN is required`);
+      error.status = 403;
+      throw error;
+    }
+  }
+}
+
+// FRQ vote types a peer can give a response (frq_votes.vote_type; null withdraws the vote)
+const VOTE_TYPES = ['helpful', 'unclear', 'contradicts'];
+
+// Cloud tables for the parts of an answer besides its value, keyed by their /api/<kind> route.
+// `since` on those routes is the server-set updated_at, as for /api/peer-data.
+const ANSWER_DETAIL_TABLES = {
+  reasons: { table: 'answer_reasons', columns: 'username, question_id, reason, timestamp, section, updated_at' },
+  attempts: { table: 'answer_attempts', columns: 'username, question_id, attempts, timestamp, section, updated_at' },
+  graphs: { table: 'answer_graphs', columns: 'username, question_id, graphs, timestamp, section, updated_at' },
+  votes: { table: 'frq_votes', columns: 'voter, author, question_id, vote_type, timestamp, section, updated_at' }
+};
+
+// Write answers through upsert_answers (supabase_schema.sql), which only replaces older copies.
+// Returns the rows it turned away because a newer, different answer is stored; the client keeps them
+// as sync conflicts.
+async function upsertAnswers(rows, auth) {
+  const { data, error } = await withStudentAuth(supabase.rpc('upsert_answers', { p_rows: rows }), auth);
+  if (error) throw error;
+  return data || [];
+}
+
+// Save the reason, attempt count and drawn graphs sent with each answer. Failures are logged, not thrown:
+// the answers are already saved, and the client sends these again with its next push.
+async function upsertAnswerDetails(answers, auth) {
+  const uploadedAt = Date.now();
+  const reasons = answers
+    .filter(answer => typeof answer.reason === 'string')
+    .map(answer => ({
+      username: answer.username,
+      question_id: answer.question_id,
+      reason: answer.reason,
+      timestamp: uploadedAt,
+      section: answer.section
+    }));
+  const attempts = answers
+    .filter(answer => Number.isInteger(answer.attempts) && answer.attempts > 0)
+    .map(answer => ({
+      username: answer.username,
+      question_id: answer.question_id,
+      attempts: answer.attempts,
+      timestamp: uploadedAt,
+      section: answer.section
+    }));
+  const graphs = answers
+    .filter(answer => answer.graphs && typeof answer.graphs === 'object' && Object.keys(answer.graphs).length > 0)
+    .map(answer => ({
+      username: answer.username,
+      question_id: answer.question_id,
+      graphs: answer.graphs,
+      timestamp: uploadedAt,
+      section: answer.section
+    }));
+
+  for (const [table, rows] of [['answer_reasons', reasons], ['answer_attempts', attempts], ['answer_graphs', graphs]]) {
+    if (rows.length === 0) continue;
+
+    const { error } = await withStudentAuth(
+      supabase.from(table).upsert(rows, { onConflict: 'username,question_id' }),
+      auth
+    );
+    if (error) console.error(`Error saving ${table}:`, error);
+  }
+}
+
 // ============================
 // REST API ENDPOINTS
 // ============================
@@ -56,6 +238,8 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     connections: wsClients.size,
+    subscriptions: [...wsClients].reduce((sum, client) => sum + client.topics.size, 0),
+    messages: { ...wsMessageStats },
     cache: isCacheValid(cache.lastUpdate) ? 'warm' : 'cold',
     timestamp: new Date().toISOString()
   });
@@ -65,12 +249,17 @@ app.get('/health', (req, res) => {
 app.get('/api/peer-data', async (req, res) => {
   try {
     const since = req.query.since ? parseInt(req.query.since) : 0;
+    const section = readSection(req.query.section);
+
+    // Rows written after `since` (server updated_at, not the client's answer timestamp),
+    // limited to one section when requested
+    const filterRows = rows => rows.filter(a =>
+      (since <= 0 || a.updated_at > since) && (!section || a.section === section)
+    );
 
     // Use cache if valid
     if (isCacheValid(cache.lastUpdate) && cache.peerData) {
-      const filteredData = since > 0
-        ? cache.peerData.filter(a => a.timestamp > since)
-        : cache.peerData;
+      const filteredData = filterRows(cache.peerData);
 
       return res.json({
         data: filteredData,
@@ -81,28 +270,25 @@ app.get('/api/peer-data', async (req, res) => {
       });
     }
 
-    // Fetch from Supabase
-    const { data, error } = await supabase
+    // Fetch from Supabase, every page, oldest write first
+    const data = await fetchAllRows(() => supabase
       .from('answers')
       .select('*')
-      .order('timestamp', { ascending: false });
-
-    if (error) throw error;
+      .order('updated_at', { ascending: true }));
 
     // Normalize timestamps
     const normalizedData = data.map(answer => ({
       ...answer,
-      timestamp: normalizeTimestamp(answer.timestamp)
+      timestamp: normalizeTimestamp(answer.timestamp),
+      updated_at: normalizeTimestamp(answer.updated_at)
     }));
 
     // Update cache
     cache.peerData = normalizedData;
     cache.lastUpdate = Date.now();
 
-    // Filter by timestamp if requested
-    const filteredData = since > 0
-      ? normalizedData.filter(a => a.timestamp > since)
-      : normalizedData;
+    // Filter by timestamp and section if requested
+    const filteredData = filterRows(normalizedData);
 
     res.json({
       data: filteredData,
@@ -114,122 +300,212 @@ app.get('/api/peer-data', async (req, res) => {
 
   } catch (error) {
     console.error('Error fetching peer data:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// Get question statistics
-app.get('/api/question-stats/:questionId', async (req, res) => {
-  try {
-    const { questionId } = req.params;
+// Calculate answer distribution and consensus for one question (cached for 1 minute).
+// With a section, only that section's answers are counted.
+async function computeQuestionStats(questionId, section = null) {
+  const cacheKey = section ? `${questionId}|${section}` : questionId;
+  const cached = cache.questionStats.get(cacheKey);
+  if (cached && isCacheValid(cached.timestamp, 60000)) {
+    return cached.data;
+  }
+
+  let query = supabase
+    .from('answers')
+    .select('answer_value, username')
+    .eq('question_id', questionId);
 
-    // Check cache
-    const cached = cache.questionStats.get(questionId);
-    if (cached && isCacheValid(cached.timestamp, 60000)) { // 1 minute cache for stats
-      return res.json(cached.data);
+  if (section) {
+    query = query.eq('section', section);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  // Calculate distribution
+  const distribution = {};
+  const users = new Set();
+
+  data.forEach(answer => {
+    distribution[answer.answer_value] = (distribution[answer.answer_value] || 0) + 1;
+    users.add(answer.username);
+  });
+
+  // Find consensus (most common answer)
+  let consensus = null;
+  let maxCount = 0;
+  Object.entries(distribution).forEach(([value, count]) => {
+    if (count > maxCount) {
+      maxCount = count;
+      consensus = value;
     }
+  });
 
-    // Calculate stats from Supabase
-    const { data, error } = await supabase
-      .from('answers')
-      .select('answer_value, username')
-      .eq('question_id', questionId);
+  // Convert to percentages
+  const total = data.length;
+  const percentages = {};
+  Object.entries(distribution).forEach(([value, count]) => {
+    percentages[value] = Math.round((count / total) * 100);
+  });
 
-    if (error) throw error;
+  const stats = {
+    questionId,
+    section,
+    consensus,
+    distribution: percentages,
+    totalResponses: total,
+    uniqueUsers: users.size,
+    timestamp: Date.now()
+  };
+
+  cache.questionStats.set(cacheKey, {
+    data: stats,
+    timestamp: Date.now()
+  });
 
-    // Calculate distribution
-    const distribution = {};
-    const users = new Set();
+  return stats;
+}
 
-    data.forEach(answer => {
-      distribution[answer.answer_value] = (distribution[answer.answer_value] || 0) + 1;
-      users.add(answer.username);
-    });
+// Get question statistics (optionally for one section: ?section=P3)
+app.get('/api/question-stats/:questionId', async (req, res) => {
+  try {
+    res.json(await computeQuestionStats(req.params.questionId, readSection(req.query.section)));
+  } catch (error) {
+    console.error('Error calculating stats:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    // Find consensus (most common answer)
-    let consensus = null;
-    let maxCount = 0;
-    Object.entries(distribution).forEach(([value, count]) => {
-      if (count > maxCount) {
-        maxCount = count;
-        consensus = value;
-      }
-    });
+// Get every student's answers for one lesson (teacher dashboard heatmap)
+// lessonId is the question ID prefix, e.g. U4-L3 or U4-PC; ?section=P3 limits it to one section
+app.get('/api/lesson-answers/:lessonId', async (req, res) => {
+  try {
+    const { lessonId } = req.params;
+    const section = readSection(req.query.section);
 
-    // Convert to percentages
-    const total = data.length;
-    const percentages = {};
-    Object.entries(distribution).forEach(([value, count]) => {
-      percentages[value] = Math.round((count / total) * 100);
-    });
+    if (!/^U\d+-(L\d+|PC)$/i.test(lessonId)) {
+      return res.status(400).json({ error: 'Invalid lesson id (expected U#-L# or U#-PC)' });
+    }
 
-    const stats = {
-      questionId,
-      consensus,
-      distribution: percentages,
-      totalResponses: total,
-      uniqueUsers: users.size,
-      timestamp: Date.now()
-    };
+    const prefix = `${lessonId.toUpperCase()}-`;
+
+    // Serve from the peer data cache when it is warm
+    let rows;
+    let cached = false;
+    if (isCacheValid(cache.lastUpdate) && cache.peerData) {
+      rows = cache.peerData.filter(a => a.question_id.startsWith(prefix));
+      cached = true;
+    } else {
+      const { data, error } = await supabase
+        .from('answers')
+        .select('username, question_id, answer_value, timestamp, section')
+        .like('question_id', `${prefix}%`);
+
+      if (error) throw error;
+
+      rows = data.map(answer => ({
+        ...answer,
+        timestamp: normalizeTimestamp(answer.timestamp)
+      }));
+    }
+
+    const sections = [...new Set(rows.map(a => a.section).filter(Boolean))].sort();
+    if (section) {
+      rows = rows.filter(a => a.section === section);
+    }
 
-    // Cache the results
-    cache.questionStats.set(questionId, {
-      data: stats,
+    const students = [...new Set(rows.map(a => a.username))].sort();
+
+    res.json({
+      lessonId: prefix.slice(0, -1),
+      section,
+      sections,
+      students,
+      answers: rows.map(a => ({
+        username: a.username,
+        question_id: a.question_id,
+        answer_value: a.answer_value,
+        timestamp: a.timestamp,
+        section: a.section || null
+      })),
+      cached,
       timestamp: Date.now()
     });
 
-    res.json(stats);
-
   } catch (error) {
-    console.error('Error calculating stats:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error fetching lesson answers:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Submit answer (proxies to Supabase and broadcasts via WebSocket)
 app.post('/api/submit-answer', async (req, res) => {
   try {
-    const { username, question_id, answer_value, timestamp } = req.body;
+    const { username, question_id, answer_value, timestamp, reason, attempts, graphs } = req.body;
+    const section = readSection(req.body.section);
+    const auth = readStudentAuth(req);
+
+    // Only the owner of a PIN-protected username may write its answers
+    await assertCanWriteAs([username], auth);
 
     // Normalize timestamp
     const normalizedTimestamp = normalizeTimestamp(timestamp || Date.now());
 
-    // Upsert to Supabase
-    const { data, error } = await supabase
-      .from('answers')
-      .upsert([{
-        username,
-        question_id,
-        answer_value,
-        timestamp: normalizedTimestamp
-      }], { onConflict: 'username,question_id' });
+    // Write through upsert_answers, which keeps whichever copy is newer (the PIN and device id are forwarded so the RLS policies see them too)
+    const rejected = await upsertAnswers([{
+      username,
+      question_id,
+      answer_value,
+      timestamp: normalizedTimestamp,
+      section
+    }], auth);
 
-    if (error) throw error;
+    // A newer, different answer is already stored: nothing changed, so there is nothing to broadcast
+    if (rejected.length > 0) {
+      return res.json({
+        success: true,
+        timestamp: normalizedTimestamp,
+        broadcast: 0,
+        rejected
+      });
+    }
+
+    await upsertAnswerDetails([{ username, question_id, section, reason, attempts, graphs }], auth);
 
     // Invalidate cache
     cache.lastUpdate = 0;
-    cache.questionStats.delete(question_id);
+    invalidateQuestionStats(question_id);
 
-    // Broadcast to WebSocket clients
+    // Broadcast to WebSocket clients (other devices and peers pick up the reason, attempts and graphs)
     const update = {
       type: 'answer_submitted',
       username,
       question_id,
       answer_value,
-      timestamp: normalizedTimestamp
+      timestamp: normalizedTimestamp,
+      section,
+      reason,
+      attempts,
+      graphs
     };
 
-    broadcastToClients(update);
+    const delivered = broadcastToClients(update, topicsForQuestion(question_id, section));
+    broadcastQuestionStats([question_id]);
 
     res.json({
       success: true,
       timestamp: normalizedTimestamp,
-      broadcast: wsClients.size
+      broadcast: delivered,
+      rejected
     });
 
   } catch (error) {
     console.error('Error submitting answer:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -242,44 +518,293 @@ app.post('/api/batch-submit', async (req, res) => {
       return res.status(400).json({ error: 'Invalid answers array' });
     }
 
-    // Normalize all timestamps
-    const normalizedAnswers = answers.map(answer => ({
+    // Normalize all timestamps and section codes; reasons, attempts and graphs are saved to their own tables
+    const normalizedAnswers = answers.map(({ reason, attempts, graphs, ...answer }) => ({
       ...answer,
-      timestamp: normalizeTimestamp(answer.timestamp || Date.now())
+      timestamp: normalizeTimestamp(answer.timestamp || Date.now()),
+      section: readSection(answer.section)
     }));
 
-    // Batch upsert to Supabase
-    const { data, error } = await supabase
-      .from('answers')
-      .upsert(normalizedAnswers, { onConflict: 'username,question_id' });
+    // Only the owners of PIN-protected usernames may write their answers
+    const auth = readStudentAuth(req);
+    await assertCanWriteAs(normalizedAnswers.map(answer => answer.username), auth);
 
-    if (error) throw error;
+    // Batch write through upsert_answers; answers older than the stored copy come back as rejected
+    const rejected = await upsertAnswers(normalizedAnswers, auth);
+
+    // Reasons, attempts and graphs only go up with answers that were written
+    const lost = new Set(rejected.map(row => `${row.username}::${row.question_id}`));
+    await upsertAnswerDetails(
+      answers
+        .map((answer, index) => ({ ...answer, section: normalizedAnswers[index].section }))
+        .filter(answer => !lost.has(`${answer.username}::${answer.question_id}`)),
+      auth
+    );
 
     // Invalidate cache
     cache.lastUpdate = 0;
     cache.questionStats.clear();
 
     // Broadcast batch update
+    const questionIds = [...new Set(normalizedAnswers.map(answer => answer.question_id))];
     const update = {
       type: 'batch_submitted',
       count: normalizedAnswers.length,
+      question_ids: questionIds,
       timestamp: Date.now()
     };
 
-    broadcastToClients(update);
+    const topics = new Set(normalizedAnswers.flatMap(answer => topicsForQuestion(answer.question_id, answer.section)));
+    const delivered = broadcastToClients(update, [...topics]);
+    broadcastQuestionStats(questionIds);
 
     res.json({
       success: true,
       count: normalizedAnswers.length,
-      broadcast: wsClients.size
+      broadcast: delivered,
+      rejected
     });
 
   } catch (error) {
     console.error('Error batch submitting:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Username protection: status {username}, verify {username, secret}, claim {username, secret, class_pin}
+// All three answer {result}; result is omitted when the database has no protection functions.
+app.post('/api/auth/:action', async (req, res) => {
+  try {
+    const { username, secret, class_pin } = req.body;
+    const auth = readStudentAuth(req);
+
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({ error: 'username is required' });
+    }
+
+    let result;
+    switch (req.params.action) {
+      case 'status':
+        result = await callAuthFunction('username_is_protected', { p_username: username }, auth);
+        break;
+      case 'verify':
+        result = await callAuthFunction('verify_student_secret', { p_username: username, p_secret: secret || null }, auth);
+        break;
+      case 'claim':
+        result = await callAuthFunction('claim_username', {
+          p_username: username,
+          p_secret: secret || null,
+          p_class_pin: class_pin || null
+        }, auth);
+        break;
+      default:
+        return res.status(404).json({ error: `Unknown auth action: ${req.params.action}` });
+    }
+
+    res.json({ result });
+
+  } catch (error) {
+    console.error('Error in username protection:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Get reasons, attempt counts, drawn graphs or FRQ votes with optional delta (?since=) and section (?section=)
+for (const [kind, { table, columns }] of Object.entries(ANSWER_DETAIL_TABLES)) {
+  app.get(`/api/${kind}`, async (req, res) => {
+    try {
+      const since = req.query.since ? parseInt(req.query.since) : 0;
+      const section = readSection(req.query.section);
+
+      // Every page past the row limit, so a delta never stops at the first 1000 rows
+      const data = await fetchAllRows(() => {
+        let query = supabase
+          .from(table)
+          .select(columns)
+          .order('updated_at', { ascending: true });
+
+        if (since > 0) {
+          query = query.gt('updated_at', since);
+        }
+        if (section) {
+          query = query.eq('section', section);
+        }
+        return query;
+      });
+
+      res.json({
+        data: data.map(row => ({
+          ...row,
+          timestamp: normalizeTimestamp(row.timestamp),
+          updated_at: normalizeTimestamp(row.updated_at)
+        })),
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error(`Error fetching ${kind}:`, error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+}
+
+// Submit FRQ votes (proxies to Supabase and broadcasts via WebSocket)
+app.post('/api/votes', async (req, res) => {
+  try {
+    const { votes } = req.body;
+
+    if (!votes || !Array.isArray(votes) || votes.length === 0) {
+      return res.status(400).json({ error: 'Invalid votes array' });
+    }
+
+    const invalidVote = votes.find(vote =>
+      !vote.voter || !vote.author || !vote.question_id ||
+      (vote.vote_type !== null && !VOTE_TYPES.includes(vote.vote_type))
+    );
+    if (invalidVote) {
+      return res.status(400).json({ error: `Each vote needs voter, author, question_id and vote_type (${VOTE_TYPES.join(', ')} or null)` });
+    }
+
+    const normalizedVotes = votes.map(vote => ({
+      voter: vote.voter,
+      author: vote.author,
+      question_id: vote.question_id,
+      vote_type: vote.vote_type,
+      timestamp: normalizeTimestamp(vote.timestamp || Date.now()),
+      section: readSection(vote.section)
+    }));
+
+    // Only the owners of PIN-protected usernames may vote as them
+    const auth = readStudentAuth(req);
+    await assertCanWriteAs(normalizedVotes.map(vote => vote.voter), auth);
+
+    const { error } = await withStudentAuth(
+      supabase
+        .from('frq_votes')
+        .upsert(normalizedVotes, { onConflict: 'voter,author,question_id' }),
+      auth
+    );
+
+    if (error) throw error;
+
+    const topics = new Set(normalizedVotes.flatMap(vote => topicsForQuestion(vote.question_id, vote.section)));
+    const delivered = broadcastToClients({
+      type: 'votes_cast',
+      votes: normalizedVotes
+    }, [...topics]);
+
+    res.json({
+      success: true,
+      count: normalizedVotes.length,
+      broadcast: delivered
+    });
+
+  } catch (error) {
+    console.error('Error submitting votes:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get peer rubric scores with optional delta (?since= is the server-set updated_at) and section (?section=)
+app.get('/api/rubric-scores', async (req, res) => {
+  try {
+    const since = req.query.since ? parseInt(req.query.since) : 0;
+    const section = readSection(req.query.section);
+
+    // `since` is the server-set updated_at, so a grade uploaded late with an old timestamp still arrives
+    const data = await fetchAllRows(() => {
+      let query = supabase
+        .from('rubric_scores')
+        .select('grader, author, question_id, scores, timestamp, section, updated_at')
+        .order('updated_at', { ascending: true });
+
+      if (since > 0) {
+        query = query.gt('updated_at', since);
+      }
+      if (section) {
+        query = query.eq('section', section);
+      }
+      return query;
+    });
+
+    res.json({
+      data: data.map(row => ({
+        ...row,
+        timestamp: normalizeTimestamp(row.timestamp),
+        updated_at: normalizeTimestamp(row.updated_at)
+      })),
+      timestamp: Date.now()
+    });
+
+  } catch (error) {
+    console.error('Error fetching rubric scores:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Submit a peer rubric score (proxies to Supabase and broadcasts via WebSocket)
+app.post('/api/rubric-scores', async (req, res) => {
+  try {
+    const { grader, author, question_id, scores, timestamp } = req.body;
+    const section = readSection(req.body.section);
+
+    if (!grader || !author || !question_id || !scores || typeof scores !== 'object') {
+      return res.status(400).json({ error: 'grader, author, question_id and scores are required' });
+    }
+
+    if (grader === author) {
+      return res.status(400).json({ error: 'Students cannot grade their own response' });
+    }
+
+    const invalidPart = Object.entries(scores).find(([, score]) => !['E', 'P', 'I'].includes(score));
+    if (invalidPart) {
+      return res.status(400).json({ error: `Invalid score for part ${invalidPart[0]} (expected E, P or I)` });
+    }
+
+    // Only the owner of a PIN-protected username may grade as them
+    const auth = readStudentAuth(req);
+    await assertCanWriteAs([grader], auth);
+
+    const normalizedTimestamp = normalizeTimestamp(timestamp || Date.now());
+
+    const { error } = await withStudentAuth(
+      supabase
+        .from('rubric_scores')
+        .upsert([{
+          grader,
+          author,
+          question_id,
+          scores,
+          timestamp: normalizedTimestamp,
+          section
+        }], { onConflict: 'grader,author,question_id' }),
+      auth
+    );
+
+    if (error) throw error;
+
+    const delivered = broadcastToClients({
+      type: 'rubric_scored',
+      grader,
+      author,
+      question_id,
+      scores,
+      timestamp: normalizedTimestamp,
+      section
+    }, topicsForQuestion(question_id, section));
+
+    res.json({
+      success: true,
+      timestamp: normalizedTimestamp,
+      broadcast: delivered
+    });
+
+  } catch (error) {
+    console.error('Error submitting rubric score:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Get server statistics
 app.get('/api/stats', async (req, res) => {
   try {
@@ -324,32 +849,63 @@ const wss = new WebSocketServer({ server });
 
 wss.on('connection', (ws) => {
   console.log('New WebSocket client connected');
+  ws.topics = new Set();
   wsClients.add(ws);
 
   // Send welcome message
-  ws.send(JSON.stringify({
+  sendToClient(ws, {
     type: 'connected',
     message: 'Connected to AP Stats Turbo Server',
     clients: wsClients.size
-  }));
+  });
 
   // Handle client messages
   ws.on('message', async (message) => {
+    wsMessageStats.received++;
+
     try {
       const data = JSON.parse(message);
 
       switch (data.type) {
         case 'ping':
-          ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+          sendToClient(ws, { type: 'pong', timestamp: Date.now() });
           break;
 
-        case 'subscribe':
-          // Client wants to subscribe to a specific question
-          ws.questionId = data.questionId;
-          ws.send(JSON.stringify({
+        case 'subscribe': {
+          // Accepts {topics: [...]}, {topic} or the legacy {questionId}
+          const requested = readTopics(data);
+          const rejected = requested.filter(topic => !TOPIC_PATTERN.test(topic));
+
+          requested
+            .filter(topic => TOPIC_PATTERN.test(topic))
+            .forEach(topic => {
+              if (ws.topics.size < MAX_TOPICS_PER_CLIENT) {
+                ws.topics.add(topic);
+              } else {
+                rejected.push(topic);
+              }
+            });
+
+          sendToClient(ws, {
             type: 'subscribed',
-            questionId: data.questionId
-          }));
+            topics: [...ws.topics],
+            rejected
+          });
+          break;
+        }
+
+        case 'unsubscribe':
+          // {all: true} clears every topic; otherwise {topics: [...]}, {topic} or {questionId}
+          if (data.all) {
+            ws.topics.clear();
+          } else {
+            readTopics(data).forEach(topic => ws.topics.delete(topic));
+          }
+
+          sendToClient(ws, {
+            type: 'unsubscribed',
+            topics: [...ws.topics]
+          });
           break;
 
         default:
@@ -372,19 +928,94 @@ wss.on('connection', (ws) => {
   });
 });
 
-// Broadcast to all connected clients
-function broadcastToClients(data) {
+// Topic list from a subscribe/unsubscribe message
+function readTopics(data) {
+  if (Array.isArray(data.topics)) return data.topics.map(String);
+  if (data.topic) return [String(data.topic)];
+  if (data.questionId) return [`question:${data.questionId}`];
+  return [];
+}
+
+// Whether a client should receive an event published to these topics.
+// Clients that never subscribed keep receiving everything, as before topics existed.
+function clientWantsTopics(client, topics) {
+  if (!topics || client.topics.size === 0) return true;
+  return topics.some(topic => client.topics.has(topic));
+}
+
+// Send one message to one client, counting it
+function sendToClient(client, data) {
+  if (client.readyState !== 1) return false; // WebSocket.OPEN
+
+  try {
+    client.send(JSON.stringify(data));
+    wsMessageStats.sent++;
+    return true;
+  } catch (error) {
+    console.error('Error sending to client:', error);
+    return false;
+  }
+}
+
+// Broadcast to subscribed clients (topics = null sends to everyone).
+// Returns how many clients received the message.
+function broadcastToClients(data, topics = null) {
   const message = JSON.stringify(data);
+  let delivered = 0;
+
+  wsMessageStats.broadcasts++;
 
   wsClients.forEach(client => {
-    if (client.readyState === 1) { // WebSocket.OPEN
+    if (client.readyState !== 1) return; // WebSocket.OPEN
+
+    if (!clientWantsTopics(client, topics)) {
+      wsMessageStats.filtered++;
+      return;
+    }
+
+    try {
+      client.send(message);
+      wsMessageStats.sent++;
+      delivered++;
+    } catch (error) {
+      console.error('Error broadcasting to client:', error);
+    }
+  });
+
+  return delivered;
+}
+
+// Push fresh stats for changed questions to clients subscribed to them.
+// Only questions someone is explicitly watching are recalculated. A client subscribed to
+// section:<code> topics gets the stats counted for each of those sections, others the whole class.
+async function broadcastQuestionStats(questionIds) {
+  for (const questionId of questionIds) {
+    const topics = topicsForQuestion(questionId);
+
+    // Watching clients grouped by the section their stats are counted for (null = whole class)
+    const watchersBySection = new Map();
+    wsClients.forEach(client => {
+      if (client.topics.size === 0 || !topics.some(topic => client.topics.has(topic))) return;
+
+      const sections = [...client.topics]
+        .filter(topic => topic.startsWith('section:'))
+        .map(topic => topic.slice('section:'.length));
+      (sections.length > 0 ? sections : [null]).forEach(section => {
+        if (!watchersBySection.has(section)) watchersBySection.set(section, []);
+        watchersBySection.get(section).push(client);
+      });
+    });
+
+    for (const [section, clients] of watchersBySection) {
       try {
-        client.send(message);
+        const stats = await computeQuestionStats(questionId, section);
+        wsMessageStats.broadcasts++;
+        clients.forEach(client => sendToClient(client, { type: 'question_stats', question_id: questionId, section, stats }));
       } catch (error) {
-        console.error('Error broadcasting to client:', error);
+        console.error(`Error broadcasting stats for ${questionId}${section ? ` (section ${section})` : ''}:`, error);
       }
     }
-  });
+  }
 }
 
 // Set up Supabase real-time subscription
@@ -398,13 +1029,14 @@ const subscription = supabase
       // Invalidate cache
       cache.lastUpdate = 0;
 
-      // Broadcast to all WebSocket clients
+      // Broadcast to clients subscribed to the changed question (everyone if the row has none)
+      const row = payload.new || payload.old;
       broadcastToClients({
         type: 'realtime_update',
         event: payload.eventType,
-        data: payload.new || payload.old,
+        data: row,
         timestamp: Date.now()
-      });
+      }, row && row.question_id ? topicsForQuestion(row.question_id, row.section) : null);
     }
   )
   .subscribe();
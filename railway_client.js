@@ -10,6 +10,10 @@ let ws = null;
 let wsReconnectTimer = null;
 let wsConnected = false;
 
+// Topics this client is subscribed to (re-sent after every reconnect).
+// With no topics the server sends every event, as it did before subscriptions existed.
+const wsTopics = new Set();
+
 // Initialize Railway connection
 function initializeRailwayConnection() {
     if (!USE_RAILWAY) {
@@ -53,6 +57,11 @@ function connectWebSocket() {
                 wsReconnectTimer = null;
             }
 
+            // Restore subscriptions lost with the previous connection
+            if (wsTopics.size > 0) {
+                sendTopicMessage('subscribe', [...wsTopics]);
+            }
+
             // Send ping every 30 seconds to keep connection alive
             setInterval(() => {
                 if (ws.readyState === WebSocket.OPEN) {
@@ -103,37 +112,83 @@ function handleWebSocketMessage(data) {
             // Someone submitted an answer - update UI if viewing that question
             console.log('📨 New answer:', data.question_id, 'by', data.username);
 
+            // Our own answer from another device may replace one not uploaded from here yet
+            if (typeof recordSyncConflicts === 'function') {
+                recordSyncConflicts([data]);
+            }
+
             // Update local storage with new peer data
-            const key = `answers_${data.username}`;
-            const answers = JSON.parse(localStorage.getItem(key) || '{}');
-            answers[data.question_id] = {
-                value: data.answer_value,
-                timestamp: data.timestamp
-            };
-            localStorage.setItem(key, JSON.stringify(answers));
+            appStorage.putUserData(data.username, 'answers', {
+                [data.question_id]: {
+                    value: data.answer_value,
+                    timestamp: data.timestamp
+                }
+            });
 
             // Update timestamp display
             if (typeof updatePeerDataTimestamp === 'function') {
                 updatePeerDataTimestamp();
             }
 
-            // Update chart if viewing this question
-            const currentQuestion = getCurrentQuestionId();
-            if (currentQuestion === data.question_id) {
-                // Trigger re-render of peer data
-                console.log('Updating display for current question');
+            // Update the chart, responses and peer sidebar if this question is open
+            if (typeof applyLivePeerAnswers === 'function') {
+                applyLivePeerAnswers([data]);
+            }
+
+            // The reason and attempt count sent with the answer
+            if (typeof applyAnswerDetailRows === 'function') {
+                applyAnswerDetailRows([data]);
             }
             break;
 
         case 'batch_submitted':
             console.log(`📦 Batch update: ${data.count} answers`);
-            // Pull latest data from server
-            pullPeerDataFromRailway();
+            // Pull only what changed since our cursor (answers, then their reasons and attempts)
+            if (typeof deltaSyncAnswers === 'function') {
+                deltaSyncAnswers().then(() => typeof pullAnswerDetails === 'function' && pullAnswerDetails());
+            } else {
+                pullPeerDataFromRailway();
+            }
             break;
 
         case 'realtime_update':
             console.log('🔄 Real-time update:', data.event);
-            // Handle Supabase real-time updates relayed through server
+            // Supabase answer changes relayed through server
+            if (data.event !== 'DELETE' && data.data?.question_id && typeof applyLivePeerAnswers === 'function') {
+                applyLivePeerAnswers([data.data]);
+            }
+            break;
+
+        case 'rubric_scored':
+            // A peer graded a free-response answer
+            console.log('📝 Rubric score:', data.question_id);
+            if (typeof applyRubricScoreRows === 'function' && applyRubricScoreRows([data]) > 0) {
+                // Refresh the FRQ view if it is on screen
+                if (document.getElementById(`contributors-${data.question_id}`)) {
+                    renderFRQResponses(data.question_id);
+                }
+            }
+            break;
+
+        case 'votes_cast':
+            // Someone voted on (or withdrew a vote from) peer responses
+            console.log(`👍 Votes: ${data.votes.length}`);
+            if (typeof applyVoteRows === 'function') {
+                applyVoteRows(data.votes);
+            }
+            break;
+
+        case 'subscribed':
+        case 'unsubscribed':
+            console.log(`📡 WebSocket topics: ${data.topics.join(', ') || '(all events)'}`);
+            if (data.rejected && data.rejected.length > 0) {
+                console.warn('Server rejected topics:', data.rejected);
+            }
+            break;
+
+        case 'question_stats':
+            // Fresh distribution for a question this client is subscribed to
+            console.log(`📊 Stats update for ${data.question_id}${data.section ? ` (section ${data.section})` : ''}:`, data.stats);
             break;
 
         case 'pong':
@@ -145,24 +200,73 @@ function handleWebSocketMessage(data) {
     }
 }
 
-// Railway-enhanced answer submission
-async function submitAnswerViaRailway(username, questionId, answerValue, timestamp) {
+// ========================================
+// TOPIC SUBSCRIPTIONS
+// ========================================
+
+// Send a subscribe/unsubscribe message if the socket is open
+function sendTopicMessage(type, topics) {
+    if (!ws || ws.readyState !== WebSocket.OPEN || topics.length === 0) return;
+    ws.send(JSON.stringify({ type, topics }));
+}
+
+// Subscribe to topics such as question:U2-L4-Q03, lesson:U2-L4 or section:<code>
+function subscribeToTopics(topics) {
+    const added = topics.filter(topic => !wsTopics.has(topic));
+    added.forEach(topic => wsTopics.add(topic));
+    sendTopicMessage('subscribe', added);
+}
+
+// Unsubscribe from topics (no argument unsubscribes from everything)
+function unsubscribeFromTopics(topics = [...wsTopics]) {
+    const removed = topics.filter(topic => wsTopics.has(topic));
+    removed.forEach(topic => wsTopics.delete(topic));
+    sendTopicMessage('unsubscribe', removed);
+}
+
+// Lesson topics (falling back to question topics) for the questions on screen
+function getTopicsForQuestions(questions) {
+    const topics = new Set();
+    questions.forEach(q => {
+        const match = q.id.match(/^(U\d+-(?:L\d+|PC))-/);
+        topics.add(match ? `lesson:${match[1]}` : `question:${q.id}`);
+    });
+    return [...topics];
+}
+
+// Replace the current subscriptions with the topics for a newly loaded lesson
+function subscribeToLessonQuestions(questions) {
+    if (!USE_RAILWAY) return;
+
+    const next = getTopicsForQuestions(questions);
+    unsubscribeFromTopics([...wsTopics].filter(topic => !next.includes(topic)));
+    subscribeToTopics(next);
+}
+
+// Railway-enhanced answer submission (details: {reason, attempts, graphs} sent along with the answer)
+async function submitAnswerViaRailway(username, questionId, answerValue, timestamp, details = {}) {
     if (!USE_RAILWAY) {
         // Fall back to direct Supabase
-        return window.originalPushAnswer(username, questionId, answerValue, timestamp);
+        return pushAnswerToSupabase(username, questionId, answerValue, timestamp, details);
     }
 
     try {
         const response = await fetch(`${RAILWAY_SERVER_URL}/api/submit-answer`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                // PIN for protected usernames (see js/student_auth.js)
+                ...(typeof getStudentAuthHeaders === 'function' ? getStudentAuthHeaders(username) : {})
             },
             body: JSON.stringify({
                 username,
                 question_id: questionId,
                 answer_value: answerValue,
-                timestamp: timestamp
+                timestamp: timestamp,
+                section: typeof getUserSection === 'function' ? getUserSection(username) : null,
+                reason: details.reason,
+                attempts: details.attempts,
+                graphs: details.graphs
             })
         });
 
@@ -170,6 +274,10 @@ async function submitAnswerViaRailway(username, questionId, answerValue, timesta
 
         if (result.success) {
             console.log(`✅ Answer synced via Railway (broadcast to ${result.broadcast} clients)`);
+            // A newer, different copy was already in the cloud - keep ours as a sync conflict
+            if (result.rejected?.length > 0 && typeof recordRejectedAnswers === 'function') {
+                recordRejectedAnswers(result.rejected);
+            }
             return true;  // SUCCESS - Don't fall back!
         } else {
             throw new Error(result.error || 'Railway sync failed');
@@ -177,7 +285,7 @@ async function submitAnswerViaRailway(username, questionId, answerValue, timesta
     } catch (error) {
         console.error('Railway submit failed, falling back to direct Supabase:', error);
         // Only fall back if Railway actually failed
-        return window.originalPushAnswer(username, questionId, answerValue, timestamp);
+        return pushAnswerToSupabase(username, questionId, answerValue, timestamp, details);
     }
 }
 
@@ -189,15 +297,22 @@ async function pullPeerDataFromRailway(since = 0) {
     }
 
     try {
-        const url = since > 0
-            ? `${RAILWAY_SERVER_URL}/api/peer-data?since=${since}`
-            : `${RAILWAY_SERVER_URL}/api/peer-data`;
-
-        const response = await fetch(url);
+        // Only classmates from the student's section (unless the teacher shows all sections)
+        const params = new URLSearchParams();
+        if (since > 0) params.set('since', since);
+        const section = typeof getSectionFilter === 'function' ? getSectionFilter() : null;
+        if (section) params.set('section', section);
+
+        const query = params.toString();
+        const response = await fetch(`${RAILWAY_SERVER_URL}/api/peer-data${query ? `?${query}` : ''}`);
         const result = await response.json();
 
         console.log(`📥 Pulled ${result.filtered} answers from Railway (${result.cached ? 'cached' : 'fresh'})`);
 
+        if (typeof recordUserSections === 'function') {
+            recordUserSections(result.data);
+        }
+
         // Convert to local storage format
         const peerData = {};
         result.data.forEach(answer => {
@@ -211,15 +326,11 @@ async function pullPeerDataFromRailway(since = 0) {
         });
 
         // Update local storage
-        const currentUser = localStorage.getItem('consensusUsername');
+        const currentUser = appStorage.getMeta('consensusUsername');
         for (const [username, userData] of Object.entries(peerData)) {
             if (username !== currentUser) {
-                const key = `answers_${username}`;
-                const existing = JSON.parse(localStorage.getItem(key) || '{}');
-
-                // Merge with existing data
-                Object.assign(existing, userData.answers);
-                localStorage.setItem(key, JSON.stringify(existing));
+                // Merge with existing data (newer timestamps win)
+                appStorage.putUserData(username, 'answers', userData.answers);
             }
         }
 
@@ -265,7 +376,8 @@ async function batchSubmitViaRailway(answers) {
         const response = await fetch(`${RAILWAY_SERVER_URL}/api/batch-submit`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...(typeof getStudentAuthHeaders === 'function' ? getStudentAuthHeaders() : {})
             },
             body: JSON.stringify({ answers })
         });
@@ -274,6 +386,9 @@ async function batchSubmitViaRailway(answers) {
 
         if (result.success) {
             console.log(`✅ Batch synced ${result.count} answers via Railway`);
+            if (result.rejected?.length > 0 && typeof recordRejectedAnswers === 'function') {
+                recordRejectedAnswers(result.rejected);
+            }
             return result.count;
         } else {
             throw new Error(result.error);
@@ -285,26 +400,127 @@ async function batchSubmitViaRailway(answers) {
     }
 }
 
+// Submit a peer rubric score via Railway
+async function submitRubricScoreViaRailway(grader, author, questionId, scores, timestamp) {
+    try {
+        const response = await fetch(`${RAILWAY_SERVER_URL}/api/rubric-scores`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                // PIN for protected usernames (see js/student_auth.js)
+                ...(typeof getStudentAuthHeaders === 'function' ? getStudentAuthHeaders(grader) : {})
+            },
+            body: JSON.stringify({
+                grader,
+                author,
+                question_id: questionId,
+                scores,
+                timestamp,
+                section: typeof getUserSection === 'function' ? getUserSection(grader) : null
+            })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            console.log(`✅ Rubric score synced via Railway (broadcast to ${result.broadcast} clients)`);
+            return true;
+        } else {
+            throw new Error(result.error || 'Railway rubric sync failed');
+        }
+    } catch (error) {
+        console.error('Railway rubric submit failed, falling back to direct Supabase:', error);
+        return pushRubricScoreToSupabase(grader, author, questionId, scores, timestamp);
+    }
+}
+
+// Pull peer rubric scores written after `since` (server updated_at) from Railway server (section: only that section's graders)
+async function pullRubricScoresFromRailway(since = 0, section = null) {
+    const params = new URLSearchParams();
+    if (since > 0) params.set('since', since);
+    if (section) params.set('section', section);
+
+    const query = params.toString();
+    const response = await fetch(`${RAILWAY_SERVER_URL}/api/rubric-scores${query ? `?${query}` : ''}`);
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.error || `Railway returned ${response.status}`);
+    }
+
+    console.log(`📥 Pulled ${result.data.length} rubric scores from Railway`);
+    return result.data;
+}
+
+// Pull reasons, attempt counts or votes newer than `since` from Railway server
+async function pullAnswerDetailsFromRailway(kind, since = 0, section = null) {
+    const params = new URLSearchParams();
+    if (since > 0) params.set('since', since);
+    if (section) params.set('section', section);
+
+    const query = params.toString();
+    const response = await fetch(`${RAILWAY_SERVER_URL}/api/${kind}${query ? `?${query}` : ''}`);
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.error || `Railway returned ${response.status}`);
+    }
+
+    console.log(`📥 Pulled ${result.data.length} ${kind} from Railway`);
+    return result.data;
+}
+
+// Submit FRQ votes via Railway (rows from buildVoteRow in js/answer_details_sync.js)
+async function submitVotesViaRailway(votes) {
+    try {
+        const response = await fetch(`${RAILWAY_SERVER_URL}/api/votes`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(typeof getStudentAuthHeaders === 'function' ? getStudentAuthHeaders() : {})
+            },
+            body: JSON.stringify({ votes })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            console.log(`✅ ${result.count} votes synced via Railway (broadcast to ${result.broadcast} clients)`);
+            return true;
+        } else {
+            throw new Error(result.error || 'Railway vote sync failed');
+        }
+    } catch (error) {
+        console.error('Railway vote submit failed, falling back to direct Supabase:', error);
+        return pushVotesToSupabase(votes);
+    }
+}
+
 // Override existing functions when Railway is enabled
 if (USE_RAILWAY) {
     console.log('🚂 Railway mode enabled - overriding sync functions');
 
-    // Store original functions BEFORE overriding
-    window.originalPushAnswer = window.pushAnswerToSupabase;
-    window.originalPullPeerData = window.pullPeerDataFromSupabase;
+    // Answer pushes choose Railway or Supabase in the outbox (js/sync_outbox.js), and Railway falls back to
+    // pushAnswerToSupabase itself - index.html declares that function after this file loads, so it could not
+    // be captured or overridden here
 
-    // Override with Railway-enhanced versions
-    window.pushAnswerToSupabase = submitAnswerViaRailway;
+    // Store the original pull BEFORE overriding
+    window.originalPullPeerData = window.pullPeerDataFromSupabase;
     window.pullPeerDataFromSupabase = () => pullPeerDataFromRailway();
 
     // Add new Railway-specific functions
     window.getQuestionStats = getQuestionStats;
     window.batchSubmitViaRailway = batchSubmitViaRailway;
+    window.submitRubricScoreViaRailway = submitRubricScoreViaRailway;
+    window.pullRubricScoresFromRailway = pullRubricScoresFromRailway;
+    window.submitVotesViaRailway = submitVotesViaRailway;
+    window.subscribeToLessonQuestions = subscribeToLessonQuestions;
 
     // Initialize on page load
     document.addEventListener('DOMContentLoaded', () => {
         setTimeout(() => {
-            initializeRailwayConnection();
+            // Stored answers have to be loaded before the first pull merges into them
+            appStorage.ready().then(initializeRailwayConnection);
         }, 1000); // Give Supabase time to initialize first
     });
 }
@@ -317,6 +533,13 @@ window.railwayClient = {
     pullPeerData: pullPeerDataFromRailway,
     getStats: getQuestionStats,
     batchSubmit: batchSubmitViaRailway,
+    submitRubricScore: submitRubricScoreViaRailway,
+    pullRubricScores: pullRubricScoresFromRailway,
+    pullAnswerDetails: pullAnswerDetailsFromRailway,
+    submitVotes: submitVotesViaRailway,
+    subscribe: subscribeToTopics,
+    unsubscribe: unsubscribeFromTopics,
+    getTopics: () => [...wsTopics],
     isConnected: () => wsConnected
 };
 
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// lint_curriculum.js - Command-line checks for data/curriculum.js and data/units.js
+// Part of AP Statistics Consensus Quiz
+// Dependencies: Node.js 18+, js/question_validation.js (the same checks authoring.html runs)
+// This module handles "is the curriculum safe to ship" - duplicate IDs, MCQ answer keys, chart attachments,
+// FRQ rubrics and units.js lessons without questions. Exits non-zero on errors so edits can be gated on it.
+//
+// Usage: node scripts/lint_curriculum.js [--strict] [--quiet] [--curriculum path] [--units path]
+//   --strict   also fail on warnings
+//   --quiet    only print errors and the summary
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const {
+    LESSON_QUESTION_ID_PATTERN,
+    PROGRESS_CHECK_ID_PATTERN,
+    validateQuestion
+} = require('../js/question_validation.js');
+
+const ROOT = path.join(__dirname, '..');
+
+const EXIT_OK = 0;
+const EXIT_PROBLEMS = 1;
+const EXIT_LOAD_FAILED = 2;
+
+// ========================================
+// LOADING
+// ========================================
+
+/**
+ * Parses command-line flags
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} {strict, quiet, curriculumPath, unitsPath}
+ */
+function parseArgs(argv) {
+    const options = {
+        strict: false,
+        quiet: false,
+        curriculumPath: path.join(ROOT, 'data', 'curriculum.js'),
+        unitsPath: path.join(ROOT, 'data', 'units.js')
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--strict') options.strict = true;
+        else if (arg === '--quiet') options.quiet = true;
+        else if (arg === '--curriculum') options.curriculumPath = path.resolve(argv[++i]);
+        else if (arg === '--units') options.unitsPath = path.resolve(argv[++i]);
+        else throw new Error(`Unknown option ${arg}`);
+    }
+
+    return options;
+}
+
+/**
+ * Runs one of the browser data files and returns the global it declares
+ * @param {string} filePath - Path to the data file
+ * @param {string} globalName - Name of the const it declares (EMBEDDED_CURRICULUM, ALL_UNITS_DATA)
+ * @returns {Array} The declared value
+ */
+function loadDataFile(filePath, globalName) {
+    const source = fs.readFileSync(filePath, 'utf8');
+    const value = vm.runInNewContext(`${source}\n;typeof ${globalName} !== 'undefined' ? ${globalName} : undefined`, { console }, {
+        filename: filePath
+    });
+    if (!Array.isArray(value)) {
+        throw new Error(`${path.relative(ROOT, filePath)} does not define ${globalName} as an array`);
+    }
+    return value;
+}
+
+// ========================================
+// CHECKS
+// ========================================
+
+/**
+ * Lesson key a question belongs to, matching units.js topic IDs ('1-2', or '1-capstone' for progress checks)
+ * @param {string} id - Question ID
+ * @returns {string|null} Topic ID, or null if the ID has no lesson
+ */
+function topicIdForQuestion(id) {
+    const lessonMatch = String(id).match(LESSON_QUESTION_ID_PATTERN);
+    if (lessonMatch) return `${parseInt(lessonMatch[1])}-${parseInt(lessonMatch[2])}`;
+
+    const progressMatch = String(id).match(PROGRESS_CHECK_ID_PATTERN);
+    if (progressMatch) return `${parseInt(progressMatch[1])}-capstone`;
+
+    return null;
+}
+
+/**
+ * Checks every curriculum question and reports duplicate IDs
+ * @param {Array} questions - EMBEDDED_CURRICULUM
+ * @param {Function} report - report(level, where, message)
+ */
+function lintQuestions(questions, report) {
+    const seen = new Map();
+
+    questions.forEach((question, index) => {
+        const where = question?.id || `EMBEDDED_CURRICULUM[${index}]`;
+
+        if (question?.id) {
+            if (seen.has(question.id)) {
+                report('error', where, `Duplicate ID (also at index ${seen.get(question.id)})`);
+            } else {
+                seen.set(question.id, index);
+            }
+        }
+
+        const result = validateQuestion(question);
+        result.errors.forEach(message => report('error', where, message));
+        result.warnings.forEach(message => report('warning', where, message));
+    });
+}
+
+/**
+ * Cross-checks units.js topics against the curriculum
+ * Topics that list quizzes but have no questions are errors; intro and skills-focus topics
+ * without quizzes only warn. Lessons with questions but no topic are warnings.
+ * @param {Array} units - ALL_UNITS_DATA
+ * @param {Array} questions - EMBEDDED_CURRICULUM
+ * @param {Function} report - report(level, where, message)
+ */
+function lintUnits(units, questions, report) {
+    const questionCounts = {};
+    questions.forEach(question => {
+        const topicId = topicIdForQuestion(question?.id);
+        if (topicId) questionCounts[topicId] = (questionCounts[topicId] || 0) + 1;
+    });
+
+    const topicIds = new Set();
+    units.forEach((unit, unitIndex) => {
+        const unitWhere = unit?.unitId || `ALL_UNITS_DATA[${unitIndex}]`;
+        if (!Array.isArray(unit?.topics)) {
+            report('error', unitWhere, 'topics must be an array');
+            return;
+        }
+
+        unit.topics.forEach(topic => {
+            if (!topic?.id) {
+                report('error', unitWhere, 'A topic has no id');
+                return;
+            }
+            if (topicIds.has(topic.id)) report('error', `topic ${topic.id}`, 'Duplicate topic ID');
+            topicIds.add(topic.id);
+
+            if (!questionCounts[topic.id]) {
+                const hasQuizzes = Array.isArray(topic.quizzes) && topic.quizzes.length > 0;
+                report(hasQuizzes ? 'error' : 'warning', `topic ${topic.id}`,
+                    `No questions in the curriculum for "${topic.description || topic.name}"`);
+            }
+        });
+    });
+
+    Object.keys(questionCounts).forEach(topicId => {
+        if (!topicIds.has(topicId)) {
+            report('warning', `topic ${topicId}`, `${questionCounts[topicId]} questions have no matching topic in units.js`);
+        }
+    });
+}
+
+// ========================================
+// MAIN
+// ========================================
+
+function main() {
+    let options;
+    let questions;
+    let units;
+
+    try {
+        options = parseArgs(process.argv.slice(2));
+        questions = loadDataFile(options.curriculumPath, 'EMBEDDED_CURRICULUM');
+        units = loadDataFile(options.unitsPath, 'ALL_UNITS_DATA');
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return EXIT_LOAD_FAILED;
+    }
+
+    const counts = { error: 0, warning: 0 };
+    const report = (level, where, message) => {
+        counts[level]++;
+        if (level === 'error' || !options.quiet) {
+            console.log(`${level === 'error' ? '❌' : '⚠️ '} ${level.padEnd(7)} ${where}: ${message}`);
+        }
+    };
+
+    lintQuestions(questions, report);
+    lintUnits(units, questions, report);
+
+    console.log(`\n📋 ${questions.length} questions, ${units.length} units: ${counts.error} errors, ${counts.warning} warnings`);
+
+    if (counts.error > 0 || (options.strict && counts.warning > 0)) {
+        return EXIT_PROBLEMS;
+    }
+    console.log('✅ Curriculum looks good');
+    return EXIT_OK;
+}
+
+process.exitCode = main();
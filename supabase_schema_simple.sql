@@ -2,6 +2,16 @@
 -- This version avoids stored procedures that may cause security warnings
 
 -- Drop existing tables if they exist (for clean setup)
+DROP TABLE IF EXISTS user_activity CASCADE;
+DROP TABLE IF EXISTS user_credentials CASCADE;
+DROP TABLE IF EXISTS class_settings CASCADE;
+DROP TABLE IF EXISTS secret_attempts CASCADE;
+DROP TABLE IF EXISTS frq_votes CASCADE;
+DROP TABLE IF EXISTS answer_graphs CASCADE;
+DROP TABLE IF EXISTS answer_attempts CASCADE;
+DROP TABLE IF EXISTS answer_reasons CASCADE;
+DROP TABLE IF EXISTS answer_conflicts CASCADE;
+DROP TABLE IF EXISTS rubric_scores CASCADE;
 DROP TABLE IF EXISTS badges CASCADE;
 DROP TABLE IF EXISTS answers CASCADE;
 
@@ -12,6 +22,8 @@ CREATE TABLE IF NOT EXISTS answers (
   question_id TEXT NOT NULL,
   answer_value TEXT NOT NULL,
   timestamp BIGINT NOT NULL,
+  section TEXT, -- class section code (e.g. P3); NULL if the student has not joined one
+  updated_at BIGINT, -- server clock (Unix ms) of the last write; delta syncs pull by this
   created_at TIMESTAMPTZ DEFAULT NOW(),
 
   -- Ensure unique answers per user per question
@@ -22,6 +34,24 @@ CREATE TABLE IF NOT EXISTS answers (
 CREATE INDEX IF NOT EXISTS idx_answers_username ON answers(username);
 CREATE INDEX IF NOT EXISTS idx_answers_question_id ON answers(question_id);
 CREATE INDEX IF NOT EXISTS idx_answers_timestamp ON answers(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_answers_section ON answers(section, timestamp);
+CREATE INDEX IF NOT EXISTS idx_answers_updated_at ON answers(updated_at);
+CREATE INDEX IF NOT EXISTS idx_answers_section_updated_at ON answers(section, updated_at);
+
+-- Stamps updated_at with the server clock on every write (a late upload keeps its old timestamp)
+CREATE OR REPLACE FUNCTION set_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at := (EXTRACT(EPOCH FROM clock_timestamp()) * 1000)::BIGINT;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER answers_set_updated_at
+  BEFORE INSERT OR UPDATE ON answers
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
 
 -- Create badges table (optional - for achievement tracking)
 CREATE TABLE IF NOT EXISTS badges (
@@ -38,30 +68,433 @@ CREATE TABLE IF NOT EXISTS badges (
 -- Create index for badges
 CREATE INDEX IF NOT EXISTS idx_badges_username ON badges(username);
 
+-- Create user_activity table (what each student is doing right now, for peer sprites)
+CREATE TABLE IF NOT EXISTS user_activity (
+  username TEXT PRIMARY KEY,
+  activity_state TEXT,
+  question_id TEXT,
+  timestamp BIGINT,
+  section TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_activity_section ON user_activity(section, timestamp);
+
+-- Create rubric_scores table (peer grading of free-response answers)
+-- One row per grader per author per question; scores holds {partId: 'E'|'P'|'I'}
+CREATE TABLE IF NOT EXISTS rubric_scores (
+  id SERIAL PRIMARY KEY,
+  grader TEXT NOT NULL,
+  author TEXT NOT NULL,
+  question_id TEXT NOT NULL,
+  scores JSONB NOT NULL,
+  timestamp BIGINT NOT NULL,
+  section TEXT, -- the grader's section
+  updated_at BIGINT, -- server clock (Unix ms) of the last write; clients pull by this, not the grader's timestamp
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  -- Each grader scores a given response once (re-grading overwrites)
+  UNIQUE(grader, author, question_id)
+);
+
+-- Create indexes for rubric scores
+CREATE INDEX IF NOT EXISTS idx_rubric_scores_author ON rubric_scores(author, question_id);
+CREATE INDEX IF NOT EXISTS idx_rubric_scores_timestamp ON rubric_scores(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_rubric_scores_section ON rubric_scores(section, timestamp);
+CREATE INDEX IF NOT EXISTS idx_rubric_scores_updated_at ON rubric_scores(updated_at);
+CREATE INDEX IF NOT EXISTS idx_rubric_scores_section_updated_at ON rubric_scores(section, updated_at);
+
+CREATE TRIGGER rubric_scores_set_updated_at
+  BEFORE INSERT OR UPDATE ON rubric_scores
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Create answer_conflicts table (stale writes upsert_answers turned away)
+-- One row per rejected write whose value differed from the newer answer already stored
+CREATE TABLE IF NOT EXISTS answer_conflicts (
+  id SERIAL PRIMARY KEY,
+  username TEXT NOT NULL,
+  question_id TEXT NOT NULL,
+  kept_value TEXT NOT NULL,
+  kept_timestamp BIGINT NOT NULL,
+  rejected_value TEXT NOT NULL,
+  rejected_timestamp BIGINT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_answer_conflicts_username ON answer_conflicts(username, question_id);
+
+-- Create answer_reasons table (the explanation a student gave with an answer)
+-- timestamp is when this copy was uploaded; clients pull by updated_at, which the server sets on every write
+CREATE TABLE IF NOT EXISTS answer_reasons (
+  id SERIAL PRIMARY KEY,
+  username TEXT NOT NULL,
+  question_id TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  section TEXT,
+  updated_at BIGINT, -- server clock (Unix ms) of the last write
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(username, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_answer_reasons_updated_at ON answer_reasons(updated_at);
+CREATE INDEX IF NOT EXISTS idx_answer_reasons_section_updated_at ON answer_reasons(section, updated_at);
+
+CREATE TRIGGER answer_reasons_set_updated_at
+  BEFORE INSERT OR UPDATE ON answer_reasons
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Create answer_attempts table (how many times a student has submitted each question; retries stop at 3)
+-- Devices merge by keeping the higher count
+CREATE TABLE IF NOT EXISTS answer_attempts (
+  id SERIAL PRIMARY KEY,
+  username TEXT NOT NULL,
+  question_id TEXT NOT NULL,
+  attempts INTEGER NOT NULL,
+  timestamp BIGINT NOT NULL,
+  section TEXT,
+  updated_at BIGINT, -- server clock (Unix ms) of the last write
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(username, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_answer_attempts_updated_at ON answer_attempts(updated_at);
+CREATE INDEX IF NOT EXISTS idx_answer_attempts_section_updated_at ON answer_attempts(section, updated_at);
+
+CREATE TRIGGER answer_attempts_set_updated_at
+  BEFORE INSERT OR UPDATE ON answer_attempts
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Create answer_graphs table (the graphs a student drew for FRQ parts, see js/graph_builder.js)
+-- graphs holds the student's classData graphs entry for the question: partId -> {chart, timestamp}
+CREATE TABLE IF NOT EXISTS answer_graphs (
+  id SERIAL PRIMARY KEY,
+  username TEXT NOT NULL,
+  question_id TEXT NOT NULL,
+  graphs JSONB NOT NULL,
+  timestamp BIGINT NOT NULL,
+  section TEXT,
+  updated_at BIGINT, -- server clock (Unix ms) of the last write
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(username, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_answer_graphs_updated_at ON answer_graphs(updated_at);
+CREATE INDEX IF NOT EXISTS idx_answer_graphs_section_updated_at ON answer_graphs(section, updated_at);
+
+CREATE TRIGGER answer_graphs_set_updated_at
+  BEFORE INSERT OR UPDATE ON answer_graphs
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Create frq_votes table (helpful / unclear / contradicts votes on peer responses)
+-- One row per voter per author per question; vote_type is NULL once the vote is withdrawn
+CREATE TABLE IF NOT EXISTS frq_votes (
+  id SERIAL PRIMARY KEY,
+  voter TEXT NOT NULL,
+  author TEXT NOT NULL,
+  question_id TEXT NOT NULL,
+  vote_type TEXT CHECK (vote_type IN ('helpful', 'unclear', 'contradicts')),
+  timestamp BIGINT NOT NULL,
+  section TEXT, -- the voter's section
+  updated_at BIGINT, -- server clock (Unix ms) of the last write
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(voter, author, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_frq_votes_updated_at ON frq_votes(updated_at);
+CREATE INDEX IF NOT EXISTS idx_frq_votes_section_updated_at ON frq_votes(section, updated_at);
+
+CREATE TRIGGER frq_votes_set_updated_at
+  BEFORE INSERT OR UPDATE ON frq_votes
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- ========================================
+-- OPTIONAL USERNAME PROTECTION
+-- ========================================
+-- (These are the only SECURITY DEFINER functions here: RLS cannot read user_credentials otherwise.)
+-- A student may bind their username to a PIN. Protected usernames can only be written by
+-- requests that send the PIN in the x-student-secret header; unprotected usernames stay open
+-- so the anonymous Fruit_Animal model keeps working. Peers can still read every answer.
+-- To require a class PIN before anyone can protect a username:
+--   INSERT INTO class_settings (key, value) VALUES ('class_pin', '1234');
+-- To reset a student who forgot their PIN:
+--   DELETE FROM user_credentials WHERE username = 'Apple_Bear';
+-- Five wrong PINs within 15 minutes lock the device that sent them (not the username) for 15 minutes.
+-- To lift every lock on a username early:
+--   UPDATE secret_attempts SET failed_count = 0, locked_until = NULL WHERE username = 'Apple_Bear';
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+CREATE TABLE IF NOT EXISTS user_credentials (
+  username TEXT PRIMARY KEY,
+  secret_hash TEXT NOT NULL, -- bcrypt hash of the student's PIN
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS class_settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+
+-- Wrong PINs and successful unlocks per username and device, so a PIN cannot be guessed with a loop
+-- of requests and a stranger's wrong guesses never lock the owner's own devices out
+CREATE TABLE IF NOT EXISTS secret_attempts (
+  username TEXT NOT NULL REFERENCES user_credentials(username) ON DELETE CASCADE,
+  client_id TEXT NOT NULL, -- request_client_id() of the device
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMPTZ,
+  locked_until TIMESTAMPTZ,
+  verified_at TIMESTAMPTZ, -- last time this device sent the right PIN
+  PRIMARY KEY (username, client_id)
+);
+
+-- No policies on purpose: only the SECURITY DEFINER functions below can read these tables
+ALTER TABLE user_credentials ENABLE ROW LEVEL SECURITY;
+ALTER TABLE class_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE secret_attempts ENABLE ROW LEVEL SECURITY;
+
+-- Device making the current request: the x-client-id the app keeps on each device (the Railway
+-- server forwards it), or the caller's address for clients that send none
+CREATE OR REPLACE FUNCTION request_client_id()
+RETURNS TEXT
+LANGUAGE sql STABLE
+AS $$
+  SELECT left(COALESCE(
+    NULLIF(current_setting('request.headers', true)::json ->> 'x-client-id', ''),
+    NULLIF(split_part(current_setting('request.headers', true)::json ->> 'x-forwarded-for', ',', 1), ''),
+    'unknown'
+  ), 100);
+$$;
+
+-- True while the current device may not try PINs for a username: five wrong PINs from it within
+-- 15 minutes lock it for 15 minutes. Twenty wrong PINs within 15 minutes from devices that never
+-- unlocked the username also hold off every new device, so a fresh x-client-id buys no extra guesses.
+-- Devices that already unlocked the username are never held off by other devices' guesses.
+CREATE OR REPLACE FUNCTION username_is_locked(p_username TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM secret_attempts
+    WHERE username = p_username AND client_id = request_client_id() AND locked_until > NOW()
+  ) OR (
+    NOT EXISTS (
+      SELECT 1 FROM secret_attempts
+      WHERE username = p_username AND client_id = request_client_id() AND verified_at IS NOT NULL
+    )
+    AND (
+      SELECT COALESCE(SUM(failed_count), 0) FROM secret_attempts
+      WHERE username = p_username AND verified_at IS NULL AND last_failed_at > NOW() - INTERVAL '15 minutes'
+    ) >= 20
+  );
+$$;
+
+-- True if the username is unprotected, or the secret is its PIN and this device is not locked.
+-- A right PIN marks the device as unlocked (see can_write_as); a wrong one is counted against it.
+-- A missing PIN is not a guess and is not counted.
+CREATE OR REPLACE FUNCTION verify_student_secret(p_username TEXT, p_secret TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_hash TEXT;
+  v_client_id TEXT := request_client_id();
+BEGIN
+  SELECT secret_hash INTO v_hash FROM user_credentials WHERE username = p_username;
+  IF v_hash IS NULL THEN
+    RETURN TRUE;
+  END IF;
+
+  IF p_secret IS NULL OR username_is_locked(p_username) THEN
+    RETURN FALSE;
+  END IF;
+
+  IF v_hash = crypt(p_secret, v_hash) THEN
+    INSERT INTO secret_attempts (username, client_id, verified_at)
+    VALUES (p_username, v_client_id, NOW())
+    ON CONFLICT (username, client_id) DO UPDATE SET
+      failed_count = 0,
+      locked_until = NULL,
+      verified_at = NOW();
+    RETURN TRUE;
+  END IF;
+
+  INSERT INTO secret_attempts (username, client_id, failed_count, last_failed_at)
+  VALUES (p_username, v_client_id, 1, NOW())
+  ON CONFLICT (username, client_id) DO UPDATE SET
+    failed_count = CASE
+      WHEN secret_attempts.last_failed_at IS NULL
+        OR secret_attempts.last_failed_at < NOW() - INTERVAL '15 minutes' THEN 1
+      ELSE secret_attempts.failed_count + 1
+    END,
+    last_failed_at = NOW();
+
+  UPDATE secret_attempts
+  SET locked_until = NOW() + INTERVAL '15 minutes'
+  WHERE username = p_username AND client_id = v_client_id AND failed_count >= 5;
+
+  RETURN FALSE;
+END;
+$$;
+
+-- Used by the write policies: checks the PIN sent with the current request.
+-- The answer is kept in a transaction-local setting, so a batch of rows costs one bcrypt check per
+-- username instead of one per row. Only a device that unlocked the username through
+-- verify_student_secret or claim_username is checked at all: wrong PINs here would be rolled back
+-- with the rejected write, so they could never count toward the lockout.
+CREATE OR REPLACE FUNCTION can_write_as(p_username TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_setting TEXT := 'app.can_write_' || md5(p_username);
+  v_cached TEXT := current_setting(v_setting, true);
+  v_secret TEXT := current_setting('request.headers', true)::json ->> 'x-student-secret';
+  v_hash TEXT;
+  v_allowed BOOLEAN := FALSE;
+BEGIN
+  IF v_cached IN ('true', 'false') THEN
+    RETURN v_cached::BOOLEAN;
+  END IF;
+
+  SELECT secret_hash INTO v_hash FROM user_credentials WHERE username = p_username;
+  IF v_hash IS NULL THEN
+    v_allowed := TRUE;
+  ELSIF v_secret IS NOT NULL AND EXISTS (
+    SELECT 1 FROM secret_attempts
+    WHERE username = p_username
+      AND client_id = request_client_id()
+      AND verified_at IS NOT NULL
+      AND (locked_until IS NULL OR locked_until <= NOW())
+  ) THEN
+    v_allowed := v_hash = crypt(v_secret, v_hash);
+  END IF;
+
+  PERFORM set_config(v_setting, v_allowed::TEXT, true);
+  RETURN v_allowed;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION username_is_protected(p_username TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+  SELECT EXISTS (SELECT 1 FROM user_credentials WHERE username = p_username);
+$$;
+
+-- Protects a username with a PIN. Returns claimed, already_owned (same PIN again),
+-- taken (protected with another PIN), locked (too many wrong PINs), bad_class_pin or weak_secret.
+-- Claiming again goes through verify_student_secret, so it counts toward the lockout too.
+-- The claiming device is marked as unlocked.
+CREATE OR REPLACE FUNCTION claim_username(p_username TEXT, p_secret TEXT, p_class_pin TEXT DEFAULT NULL)
+RETURNS TEXT
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_class_pin TEXT;
+  v_hash TEXT;
+BEGIN
+  IF p_secret IS NULL OR length(p_secret) < 6 THEN
+    RETURN 'weak_secret';
+  END IF;
+
+  SELECT value INTO v_class_pin FROM class_settings WHERE key = 'class_pin';
+  IF v_class_pin IS NOT NULL AND p_class_pin IS DISTINCT FROM v_class_pin THEN
+    RETURN 'bad_class_pin';
+  END IF;
+
+  SELECT secret_hash INTO v_hash FROM user_credentials WHERE username = p_username;
+  IF v_hash IS NOT NULL THEN
+    IF username_is_locked(p_username) THEN
+      RETURN 'locked';
+    END IF;
+    RETURN CASE WHEN verify_student_secret(p_username, p_secret) THEN 'already_owned' ELSE 'taken' END;
+  END IF;
+
+  -- Cost 10 keeps every guess that gets through the lockout slow
+  INSERT INTO user_credentials (username, secret_hash)
+  VALUES (p_username, crypt(p_secret, gen_salt('bf', 10)))
+  ON CONFLICT (username) DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN 'taken';
+  END IF;
+
+  INSERT INTO secret_attempts (username, client_id, verified_at)
+  VALUES (p_username, request_client_id(), NOW());
+
+  RETURN 'claimed';
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION verify_student_secret(TEXT, TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION can_write_as(TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION username_is_protected(TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION username_is_locked(TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION claim_username(TEXT, TEXT, TEXT) TO anon;
+
 -- Enable Row Level Security (RLS)
 ALTER TABLE answers ENABLE ROW LEVEL SECURITY;
 ALTER TABLE badges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rubric_scores ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_activity ENABLE ROW LEVEL SECURITY;
+ALTER TABLE answer_conflicts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE answer_reasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE answer_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE answer_graphs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE frq_votes ENABLE ROW LEVEL SECURITY;
 
 -- Create policies for public read/write (no auth required)
 -- Drop existing policies if they exist
 DROP POLICY IF EXISTS "Anyone can read answers" ON answers;
 DROP POLICY IF EXISTS "Anyone can insert answers" ON answers;
 DROP POLICY IF EXISTS "Anyone can update answers" ON answers;
+DROP POLICY IF EXISTS "Owners can insert answers" ON answers;
+DROP POLICY IF EXISTS "Owners can update answers" ON answers;
 DROP POLICY IF EXISTS "Anyone can read badges" ON badges;
 DROP POLICY IF EXISTS "Anyone can insert badges" ON badges;
 DROP POLICY IF EXISTS "Anyone can update badges" ON badges;
+DROP POLICY IF EXISTS "Anyone can read rubric scores" ON rubric_scores;
+DROP POLICY IF EXISTS "Anyone can insert rubric scores" ON rubric_scores;
+DROP POLICY IF EXISTS "Anyone can update rubric scores" ON rubric_scores;
+DROP POLICY IF EXISTS "Graders can insert rubric scores" ON rubric_scores;
+DROP POLICY IF EXISTS "Graders can update rubric scores" ON rubric_scores;
+DROP POLICY IF EXISTS "Anyone can read activity" ON user_activity;
+DROP POLICY IF EXISTS "Anyone can insert activity" ON user_activity;
+DROP POLICY IF EXISTS "Anyone can update activity" ON user_activity;
+DROP POLICY IF EXISTS "Anyone can read answer conflicts" ON answer_conflicts;
+DROP POLICY IF EXISTS "Owners can insert answer conflicts" ON answer_conflicts;
+DROP POLICY IF EXISTS "Anyone can read answer reasons" ON answer_reasons;
+DROP POLICY IF EXISTS "Owners can insert answer reasons" ON answer_reasons;
+DROP POLICY IF EXISTS "Owners can update answer reasons" ON answer_reasons;
+DROP POLICY IF EXISTS "Anyone can read answer attempts" ON answer_attempts;
+DROP POLICY IF EXISTS "Owners can insert answer attempts" ON answer_attempts;
+DROP POLICY IF EXISTS "Owners can update answer attempts" ON answer_attempts;
+DROP POLICY IF EXISTS "Anyone can read answer graphs" ON answer_graphs;
+DROP POLICY IF EXISTS "Owners can insert answer graphs" ON answer_graphs;
+DROP POLICY IF EXISTS "Owners can update answer graphs" ON answer_graphs;
+DROP POLICY IF EXISTS "Anyone can read votes" ON frq_votes;
+DROP POLICY IF EXISTS "Voters can insert votes" ON frq_votes;
+DROP POLICY IF EXISTS "Voters can update votes" ON frq_votes;
 
 -- Anyone can read all answers (peer learning transparency)
 CREATE POLICY "Anyone can read answers" ON answers
   FOR SELECT USING (true);
 
--- Anyone can insert their own answers
-CREATE POLICY "Anyone can insert answers" ON answers
-  FOR INSERT WITH CHECK (true);
+-- Anyone can write answers for unprotected usernames; protected ones need their PIN
+CREATE POLICY "Owners can insert answers" ON answers
+  FOR INSERT WITH CHECK (can_write_as(username));
 
--- Anyone can update their own answers
-CREATE POLICY "Anyone can update answers" ON answers
-  FOR UPDATE USING (true);
+CREATE POLICY "Owners can update answers" ON answers
+  FOR UPDATE USING (can_write_as(username)) WITH CHECK (can_write_as(username));
 
 -- Same policies for badges
 CREATE POLICY "Anyone can read badges" ON badges
@@ -73,6 +506,157 @@ CREATE POLICY "Anyone can insert badges" ON badges
 CREATE POLICY "Anyone can update badges" ON badges
   FOR UPDATE USING (true);
 
+-- Anyone can read rubric scores; only the grader (PIN rule as for answers) can write them
+CREATE POLICY "Anyone can read rubric scores" ON rubric_scores
+  FOR SELECT USING (true);
+
+CREATE POLICY "Graders can insert rubric scores" ON rubric_scores
+  FOR INSERT WITH CHECK (can_write_as(grader));
+
+CREATE POLICY "Graders can update rubric scores" ON rubric_scores
+  FOR UPDATE USING (can_write_as(grader)) WITH CHECK (can_write_as(grader));
+
+-- Same policies for user activity
+CREATE POLICY "Anyone can read activity" ON user_activity
+  FOR SELECT USING (true);
+
+CREATE POLICY "Anyone can insert activity" ON user_activity
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Anyone can update activity" ON user_activity
+  FOR UPDATE USING (true);
+
+-- Conflicts are written by upsert_answers on the caller's behalf, so the same PIN rule applies
+CREATE POLICY "Anyone can read answer conflicts" ON answer_conflicts
+  FOR SELECT USING (true);
+
+CREATE POLICY "Owners can insert answer conflicts" ON answer_conflicts
+  FOR INSERT WITH CHECK (can_write_as(username));
+
+-- Reasons, attempts, graphs and votes belong to a username, so they follow the answers PIN rule
+CREATE POLICY "Anyone can read answer reasons" ON answer_reasons
+  FOR SELECT USING (true);
+
+CREATE POLICY "Owners can insert answer reasons" ON answer_reasons
+  FOR INSERT WITH CHECK (can_write_as(username));
+
+CREATE POLICY "Owners can update answer reasons" ON answer_reasons
+  FOR UPDATE USING (can_write_as(username)) WITH CHECK (can_write_as(username));
+
+CREATE POLICY "Anyone can read answer attempts" ON answer_attempts
+  FOR SELECT USING (true);
+
+CREATE POLICY "Owners can insert answer attempts" ON answer_attempts
+  FOR INSERT WITH CHECK (can_write_as(username));
+
+CREATE POLICY "Owners can update answer attempts" ON answer_attempts
+  FOR UPDATE USING (can_write_as(username)) WITH CHECK (can_write_as(username));
+
+CREATE POLICY "Anyone can read answer graphs" ON answer_graphs
+  FOR SELECT USING (true);
+
+CREATE POLICY "Owners can insert answer graphs" ON answer_graphs
+  FOR INSERT WITH CHECK (can_write_as(username));
+
+CREATE POLICY "Owners can update answer graphs" ON answer_graphs
+  FOR UPDATE USING (can_write_as(username)) WITH CHECK (can_write_as(username));
+
+CREATE POLICY "Anyone can read votes" ON frq_votes
+  FOR SELECT USING (true);
+
+CREATE POLICY "Voters can insert votes" ON frq_votes
+  FOR INSERT WITH CHECK (can_write_as(voter));
+
+CREATE POLICY "Voters can update votes" ON frq_votes
+  FOR UPDATE USING (can_write_as(voter)) WITH CHECK (can_write_as(voter));
+
+-- Create a function to handle upserts (insert or update based on unique constraint)
+-- Every answer write from the app and the Railway server goes through upsert_answers: a plain upsert would
+-- let a stale copy (e.g. from a device that was offline) overwrite a newer answer.
+-- (No SECURITY DEFINER: the answers and answer_conflicts policies apply as for a direct write)
+DROP FUNCTION IF EXISTS upsert_answer(TEXT, TEXT, TEXT, BIGINT);
+DROP FUNCTION IF EXISTS upsert_answer(TEXT, TEXT, TEXT, BIGINT, TEXT);
+
+-- Writes a batch of answers ([{username, question_id, answer_value, timestamp, section}, ...]).
+-- Each row only replaces a stored answer with an older timestamp. Rows turned away because a newer,
+-- different answer is stored are logged in answer_conflicts and returned, so the sender can show
+-- the student both copies.
+CREATE OR REPLACE FUNCTION upsert_answers(p_rows JSONB)
+RETURNS TABLE (
+  username TEXT,
+  question_id TEXT,
+  kept_value TEXT,
+  kept_timestamp BIGINT,
+  rejected_value TEXT,
+  rejected_timestamp BIGINT
+) AS $$
+#variable_conflict use_column
+DECLARE
+  v_row JSONB;
+  v_current answers%ROWTYPE;
+BEGIN
+  FOR v_row IN SELECT * FROM jsonb_array_elements(p_rows) LOOP
+    INSERT INTO answers (username, question_id, answer_value, timestamp, section)
+    VALUES (v_row->>'username', v_row->>'question_id', v_row->>'answer_value',
+            (v_row->>'timestamp')::BIGINT, v_row->>'section')
+    ON CONFLICT (username, question_id)
+    DO UPDATE SET
+      answer_value = EXCLUDED.answer_value,
+      timestamp = EXCLUDED.timestamp,
+      section = COALESCE(EXCLUDED.section, answers.section) -- keep the known section if none was sent
+    WHERE EXCLUDED.timestamp > answers.timestamp; -- Only update if newer
+
+    -- Nothing written: a newer answer is already stored. Record the write if it disagreed instead of dropping it.
+    IF NOT FOUND THEN
+      SELECT * INTO v_current FROM answers
+      WHERE answers.username = v_row->>'username' AND answers.question_id = v_row->>'question_id';
+
+      IF v_current.answer_value IS DISTINCT FROM v_row->>'answer_value' THEN
+        INSERT INTO answer_conflicts (username, question_id, kept_value, kept_timestamp, rejected_value, rejected_timestamp)
+        VALUES (v_current.username, v_current.question_id, v_current.answer_value, v_current.timestamp,
+                v_row->>'answer_value', (v_row->>'timestamp')::BIGINT);
+
+        username := v_current.username;
+        question_id := v_current.question_id;
+        kept_value := v_current.answer_value;
+        kept_timestamp := v_current.timestamp;
+        rejected_value := v_row->>'answer_value';
+        rejected_timestamp := (v_row->>'timestamp')::BIGINT;
+        RETURN NEXT;
+      END IF;
+    END IF;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Single-answer form of upsert_answers
+CREATE OR REPLACE FUNCTION upsert_answer(
+  p_username TEXT,
+  p_question_id TEXT,
+  p_answer_value TEXT,
+  p_timestamp BIGINT,
+  p_section TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  username TEXT,
+  question_id TEXT,
+  kept_value TEXT,
+  kept_timestamp BIGINT,
+  rejected_value TEXT,
+  rejected_timestamp BIGINT
+) AS $$
+  SELECT * FROM upsert_answers(jsonb_build_array(jsonb_build_object(
+    'username', p_username,
+    'question_id', p_question_id,
+    'answer_value', p_answer_value,
+    'timestamp', p_timestamp,
+    'section', p_section
+  )));
+$$ LANGUAGE sql;
+
+GRANT EXECUTE ON FUNCTION upsert_answers(JSONB) TO anon;
+GRANT EXECUTE ON FUNCTION upsert_answer(TEXT, TEXT, TEXT, BIGINT, TEXT) TO anon;
+
 -- Simple views for reporting (without SECURITY DEFINER to avoid warnings)
 -- Drop existing views if they exist
 DROP VIEW IF EXISTS latest_peer_answers;
@@ -100,7 +684,20 @@ GROUP BY username;
 -- Grant necessary permissions for anon role (Supabase's public access)
 GRANT ALL ON answers TO anon;
 GRANT ALL ON badges TO anon;
+GRANT ALL ON rubric_scores TO anon;
+GRANT ALL ON user_activity TO anon;
+GRANT ALL ON answer_conflicts TO anon;
+GRANT ALL ON answer_reasons TO anon;
+GRANT ALL ON answer_attempts TO anon;
+GRANT ALL ON answer_graphs TO anon;
+GRANT ALL ON frq_votes TO anon;
 GRANT SELECT ON latest_peer_answers TO anon;
 GRANT SELECT ON user_progress TO anon;
 GRANT USAGE ON SEQUENCE answers_id_seq TO anon;
-GRANT USAGE ON SEQUENCE badges_id_seq TO anon;
\ No newline at end of file
+GRANT USAGE ON SEQUENCE badges_id_seq TO anon;
+GRANT USAGE ON SEQUENCE rubric_scores_id_seq TO anon;
+GRANT USAGE ON SEQUENCE answer_conflicts_id_seq TO anon;
+GRANT USAGE ON SEQUENCE answer_reasons_id_seq TO anon;
+GRANT USAGE ON SEQUENCE answer_attempts_id_seq TO anon;
+GRANT USAGE ON SEQUENCE answer_graphs_id_seq TO anon;
+GRANT USAGE ON SEQUENCE frq_votes_id_seq TO anon;
\ No newline at end of file
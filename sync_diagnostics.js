@@ -3,18 +3,17 @@
 
 // Function to see all local peer data
 function checkLocalPeerData() {
-    const allKeys = Object.keys(localStorage);
-    const answerKeys = allKeys.filter(key => key.startsWith('answers_'));
+    const allAnswers = appStorage.getAllUserData('answers');
+    const usernames = Object.keys(allAnswers);
 
     console.log('=== Local Peer Data Summary ===');
-    console.log(`Found ${answerKeys.length} users with local data:`);
+    console.log(`Found ${usernames.length} users with local data:`);
 
     let totalAnswers = 0;
     const summary = [];
 
-    answerKeys.forEach(key => {
-        const username = key.replace('answers_', '');
-        const answers = JSON.parse(localStorage.getItem(key) || '{}');
+    usernames.forEach(username => {
+        const answers = allAnswers[username];
         const answerCount = Object.keys(answers).length;
         totalAnswers += answerCount;
 
@@ -24,14 +23,14 @@ function checkLocalPeerData() {
     });
 
     summary.forEach(s => console.log(s));
-    console.log(`Total: ${totalAnswers} answers across ${answerKeys.length} users`);
+    console.log(`Total: ${totalAnswers} answers across ${usernames.length} users`);
 
-    return { users: answerKeys.length, answers: totalAnswers };
+    return { users: usernames.length, answers: totalAnswers };
 }
 
 // Function to check classData
 function checkClassData() {
-    const classData = JSON.parse(localStorage.getItem('classData') || '{}');
+    const classData = appStorage.loadClassData();
 
     if (!classData.users) {
         console.log('No classData.users found');
@@ -67,16 +66,13 @@ async function manualSyncAllPeers() {
 
     console.log('Starting full peer data sync...');
 
-    // Try both sync methods
-    console.log('Method 1: Syncing from individual answer keys...');
-    const result1 = await syncAllLocalAnswersToSupabase();
-
-    console.log('Method 2: Syncing from classData...');
-    const result2 = await syncClassDataToSupabase();
+    // Dropping the cursors makes the delta sync pull everything and re-check every local answer
+    resetSyncCursors();
+    const summary = await deltaSyncAnswers();
 
     console.log('Sync complete! Check Supabase dashboard.');
 
-    return { method1: result1, method2: result2 };
+    return summary;
 }
 
 // Function to compare local vs Supabase data
@@ -128,7 +124,7 @@ async function pullAllPeerData() {
         return;
     }
 
-    const currentUser = localStorage.getItem('consensusUsername');
+    const currentUser = appStorage.getMeta('consensusUsername');
 
     const { data, error } = await supabase
         .from('answers')
@@ -141,7 +137,7 @@ async function pullAllPeerData() {
 
     console.log(`Pulled ${data.length} answers from Supabase`);
 
-    // Group by user and update localStorage
+    // Group by user and update local storage
     const userGroups = {};
     data.forEach(answer => {
         if (!userGroups[answer.username]) {
@@ -157,14 +153,13 @@ async function pullAllPeerData() {
     Object.entries(userGroups).forEach(([username, answers]) => {
         // Don't overwrite current user's data
         if (username !== currentUser) {
-            const key = `answers_${username}`;
-            localStorage.setItem(key, JSON.stringify(answers));
+            appStorage.putUserData(username, 'answers', answers);
             updateCount++;
             console.log(`  Updated ${username}: ${Object.keys(answers).length} answers`);
         }
     });
 
-    console.log(`✅ Updated ${updateCount} users' data in localStorage`);
+    console.log(`✅ Updated ${updateCount} users' data in local storage`);
 
     // Update timestamp display
     updatePeerDataTimestamp();